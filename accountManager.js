@@ -0,0 +1,166 @@
+// accountManager.js - Registry of the WhatsApp accounts served by one gateway
+const fs = require('fs')
+const path = require('path')
+const { AsyncLocalStorage } = require('async_hooks')
+const PersistentStorage = require('./persistentStorage')
+
+const DEFAULT_ACCOUNT = 'default'
+const ACCOUNT_ID = /^[a-z0-9_-]{1,32}$/i
+
+// One WhatsApp number: its socket, auth folder, stores and storage
+class Account {
+  constructor({ id, name, authDir, dataDir, createdAt }) {
+    this.id = id
+    this.name = name || id
+    this.authDir = authDir
+    this.dataDir = dataDir
+    this.createdAt = createdAt || new Date().toISOString()
+
+    this.storage = new PersistentStorage(dataDir)
+    const data = this.storage.loadAllData(PersistentStorage.MEMORY_MESSAGES_PER_CHAT)
+    this.messageStore = data.messages
+    this.contactStore = data.contacts
+    this.chatStore = data.chats
+    this.isFullySynced = data.meta.isFullySynced
+    this.syncAttempts = data.meta.syncAttempts
+    // Group id -> { metadata, expires }, see groupMetadataFor in serverWml.js
+    this.groupMetadata = new Map()
+
+    this.sock = null
+    this.connectionState = 'disconnected'
+    this.currentQR = null
+  }
+
+  record() {
+    return { id: this.id, name: this.name, createdAt: this.createdAt }
+  }
+
+  toJSON() {
+    return {
+      ...this.record(),
+      connectionState: this.connectionState,
+      connected: this.connectionState === 'open' && !!this.sock?.user,
+      user: this.sock?.user?.id || null,
+      qrAvailable: !!this.currentQR,
+      contacts: this.contactStore.size,
+      chats: this.chatStore.size,
+      isFullySynced: this.isFullySynced
+    }
+  }
+}
+
+class AccountManager {
+  constructor({ dataDir = './data' } = {}) {
+    this.dataDir = dataDir
+    this.file = path.join(dataDir, 'accounts.json')
+    this.context = new AsyncLocalStorage()
+    this.accounts = new Map()
+
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true })
+    }
+
+    const records = this.load()
+    if (!records.some(r => r.id === DEFAULT_ACCOUNT)) {
+      records.unshift({ id: DEFAULT_ACCOUNT, name: 'Default' })
+    }
+    for (const record of records) {
+      this.accounts.set(record.id, new Account({ ...record, ...this.paths(record.id) }))
+    }
+    this.save()
+  }
+
+  // The default account keeps the original single-account locations
+  paths(id) {
+    if (id === DEFAULT_ACCOUNT) {
+      return { authDir: './auth_info_baileys', dataDir: this.dataDir }
+    }
+    const dataDir = path.join(this.dataDir, 'accounts', id)
+    return { authDir: path.join(dataDir, 'auth'), dataDir }
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'))
+      }
+    } catch (error) {
+      console.error(`❌ Error loading account registry:`, error.message)
+    }
+    return []
+  }
+
+  save() {
+    const tempFile = `${this.file}.tmp`
+    fs.writeFileSync(tempFile, JSON.stringify(this.list().map(a => a.record()), null, 2))
+    fs.renameSync(tempFile, this.file)
+  }
+
+  get(id) {
+    return this.accounts.get(id) || null
+  }
+
+  list() {
+    return Array.from(this.accounts.values())
+  }
+
+  defaultAccount() {
+    return this.accounts.get(DEFAULT_ACCOUNT)
+  }
+
+  create({ id, name } = {}) {
+    id = String(id || '').trim().toLowerCase()
+    if (!ACCOUNT_ID.test(id)) {
+      throw new Error('Account ID must be 1-32 letters, digits, _ or -')
+    }
+    if (this.accounts.has(id)) {
+      throw new Error(`Account ${id} already exists`)
+    }
+
+    const account = new Account({ id, name: String(name || '').trim() || id, ...this.paths(id) })
+    this.accounts.set(id, account)
+    this.save()
+    console.log(`➕ Added account ${id}`)
+    return account
+  }
+
+  // Drops the account and deletes its auth folder and data directory
+  remove(id) {
+    if (id === DEFAULT_ACCOUNT) {
+      throw new Error('The default account cannot be removed')
+    }
+    const account = this.accounts.get(id)
+    if (!account) return false
+
+    account.storage.close()
+    this.accounts.delete(id)
+    this.save()
+    fs.rmSync(account.dataDir, { recursive: true, force: true })
+    console.log(`➖ Removed account ${id}`)
+    return true
+  }
+
+  // Runs fn with `account` as the current account for everything it awaits
+  run(account, fn) {
+    return this.context.run(account, fn)
+  }
+
+  // Account of the running request, event or timer. There is none outside
+  // of run(): falling back to the default account would act on the wrong
+  // number, so that is an error
+  current() {
+    const account = this.context.getStore()
+    if (!account) throw new Error('No current account: run the code through accounts.run()')
+    return account
+  }
+
+  forEach(fn) {
+    for (const account of this.list()) {
+      this.run(account, () => fn(account))
+    }
+  }
+}
+
+AccountManager.DEFAULT_ACCOUNT = DEFAULT_ACCOUNT
+
+module.exports = AccountManager
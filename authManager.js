@@ -0,0 +1,280 @@
+// authManager.js - PIN login, WAP-friendly sessions and hashed API keys
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+// Query/postfield name carrying the session token for browsers without cookies
+const SESSION_PARAM = 'sid'
+const SESSION_COOKIE = 'wsid'
+
+// Attributes that hold navigable URLs in WML decks
+const URL_ATTRIBUTES = 'href|src|ontimer|onpick|onenterforward|onenterbackward'
+
+const sha256 = value => crypto.createHash('sha256').update(String(value)).digest('hex')
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a), 'hex')
+  const bufB = Buffer.from(String(b), 'hex')
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB)
+}
+
+class AuthManager {
+  constructor({
+    dataDir = './data',
+    pin = process.env.WML_PIN,
+    apiKey = process.env.API_KEY,
+    sessionTtlMinutes = parseInt(process.env.SESSION_TTL_MINUTES) || 30,
+    maxSessionHours = parseInt(process.env.SESSION_MAX_HOURS) || 12,
+    maxAttempts = 5,
+    lockoutMinutes = 5
+  } = {}) {
+    this.file = path.join(dataDir, 'auth.json')
+    this.sessionTtl = sessionTtlMinutes * 60 * 1000
+    this.maxSessionAge = maxSessionHours * 60 * 60 * 1000
+    this.maxAttempts = maxAttempts
+    this.lockoutMs = lockoutMinutes * 60 * 1000
+
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true })
+    }
+
+    this.config = this.load()
+    this.sessions = new Map()
+    this.failures = new Map()
+
+    // A key from the environment works without being stored
+    this.envKeyHash = apiKey ? sha256(apiKey) : null
+
+    if (pin) {
+      if (!this.config.pin || !this.verifyPin(pin)) this.setPin(pin)
+    } else if (!this.config.pin) {
+      const generated = String(crypto.randomInt(0, 1000000)).padStart(6, '0')
+      this.setPin(generated)
+      console.log(`🔑 No PIN configured, generated login PIN: ${generated} (set WML_PIN to choose one)`)
+    }
+
+    setInterval(() => this.pruneSessions(), 5 * 60 * 1000).unref()
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        return { pin: null, apiKeys: [], ...JSON.parse(fs.readFileSync(this.file, 'utf8')) }
+      }
+    } catch (error) {
+      console.error(`❌ Error loading auth config:`, error.message)
+    }
+    return { pin: null, apiKeys: [] }
+  }
+
+  save() {
+    const tempFile = `${this.file}.tmp`
+    fs.writeFileSync(tempFile, JSON.stringify(this.config, null, 2), { mode: 0o600 })
+    fs.renameSync(tempFile, this.file)
+  }
+
+  // =================== PIN ===================
+
+  hashPin(pin, salt) {
+    return crypto.scryptSync(String(pin), salt, 32).toString('hex')
+  }
+
+  setPin(pin) {
+    if (!/^\d{4,12}$/.test(String(pin))) {
+      throw new Error('PIN must be 4-12 digits')
+    }
+    const salt = crypto.randomBytes(16).toString('hex')
+    this.config.pin = { salt, hash: this.hashPin(pin, salt), updatedAt: new Date().toISOString() }
+    this.save()
+  }
+
+  verifyPin(pin) {
+    if (!this.config.pin || !pin) return false
+    const { salt, hash } = this.config.pin
+    return safeEqual(this.hashPin(pin, salt), hash)
+  }
+
+  // Checks a PIN with per-client lockout; throws with a user-facing message
+  confirmPin(pin, client = 'unknown') {
+    const entry = this.failures.get(client)
+    if (entry?.lockedUntil > Date.now()) {
+      const minutes = Math.ceil((entry.lockedUntil - Date.now()) / 60000)
+      throw new Error(`Too many attempts, try again in ${minutes} min`)
+    }
+
+    if (this.verifyPin(pin)) {
+      this.failures.delete(client)
+      return true
+    }
+
+    const count = (entry?.count || 0) + 1
+    this.failures.set(client, {
+      count: count >= this.maxAttempts ? 0 : count,
+      lockedUntil: count >= this.maxAttempts ? Date.now() + this.lockoutMs : 0
+    })
+    throw new Error(pin ? 'Wrong PIN' : 'PIN required')
+  }
+
+  // =================== SESSIONS ===================
+
+  login(pin, { client = 'unknown', userAgent = '', type = 'wml' } = {}) {
+    this.confirmPin(pin, client)
+    return this.createSession({ client, userAgent, type })
+  }
+
+  createSession({ client = 'unknown', userAgent = '', type = 'wml' } = {}) {
+    // 16 URL-safe characters: short enough for WAP URL limits
+    const token = crypto.randomBytes(12).toString('base64url')
+    const now = Date.now()
+    const session = {
+      token,
+      type,
+      client,
+      userAgent: String(userAgent).slice(0, 120),
+      createdAt: now,
+      lastSeen: now,
+      expiresAt: now + this.sessionTtl
+    }
+    this.sessions.set(token, session)
+    return session
+  }
+
+  // Returns the live session for a token and slides its idle expiry
+  getSession(token) {
+    if (!token) return null
+    const session = this.sessions.get(token)
+    if (!session) return null
+
+    const now = Date.now()
+    if (now > session.expiresAt || now - session.createdAt > this.maxSessionAge) {
+      this.sessions.delete(token)
+      return null
+    }
+
+    session.lastSeen = now
+    session.expiresAt = Math.min(now + this.sessionTtl, session.createdAt + this.maxSessionAge)
+    return session
+  }
+
+  destroySession(token) {
+    return this.sessions.delete(token)
+  }
+
+  listSessions() {
+    return Array.from(this.sessions.values()).map(({ token, ...rest }) => ({
+      id: token.slice(0, 4) + '…',
+      ...rest
+    }))
+  }
+
+  pruneSessions() {
+    const now = Date.now()
+    for (const [token, session] of this.sessions) {
+      if (now > session.expiresAt || now - session.createdAt > this.maxSessionAge) {
+        this.sessions.delete(token)
+      }
+    }
+  }
+
+  // =================== API KEYS ===================
+
+  // The plain key is only returned here; only its SHA-256 is stored
+  createApiKey(name = 'API key') {
+    const key = `wak_${crypto.randomBytes(24).toString('base64url')}`
+    const record = {
+      id: crypto.randomBytes(4).toString('hex'),
+      name: String(name).slice(0, 50),
+      prefix: key.slice(0, 8),
+      hash: sha256(key),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    }
+    this.config.apiKeys.push(record)
+    this.save()
+    return { ...this.publicKey(record), key }
+  }
+
+  publicKey({ hash, ...record }) {
+    return record
+  }
+
+  listApiKeys() {
+    return this.config.apiKeys.map(k => this.publicKey(k))
+  }
+
+  revokeApiKey(id) {
+    const before = this.config.apiKeys.length
+    this.config.apiKeys = this.config.apiKeys.filter(k => k.id !== id)
+    if (this.config.apiKeys.length === before) return false
+    this.save()
+    return true
+  }
+
+  verifyApiKey(key) {
+    if (!key) return null
+    const hash = sha256(key)
+    if (this.envKeyHash && safeEqual(hash, this.envKeyHash)) {
+      return { id: 'env', name: 'API_KEY' }
+    }
+    const record = this.config.apiKeys.find(k => safeEqual(hash, k.hash))
+    if (!record) return null
+    record.lastUsedAt = new Date().toISOString()
+    return this.publicKey(record)
+  }
+
+  // =================== REQUESTS ===================
+
+  // Session token from URL rewriting, a postfield or the cookie
+  sessionTokenFromRequest(req) {
+    const fromCookie = String(req.headers.cookie || '')
+      .split(';')
+      .map(part => part.trim().split('='))
+      .find(([name]) => name === SESSION_COOKIE)
+    return req.query?.[SESSION_PARAM] || req.body?.[SESSION_PARAM] || (fromCookie && fromCookie[1]) || null
+  }
+
+  // Resolves the caller of a request: a session (sid, cookie or bearer
+  // session token) or an API key (bearer or X-API-Key)
+  authenticate(req) {
+    const header = String(req.headers.authorization || '')
+    const bearer = header.toLowerCase().startsWith('bearer ') ? header.slice(7).trim() : null
+    const apiKey = req.headers['x-api-key'] || bearer
+
+    const session = this.getSession(bearer) || this.getSession(this.sessionTokenFromRequest(req))
+    if (session) return { type: 'session', session }
+
+    const key = this.verifyApiKey(apiKey)
+    if (key) return { type: 'apiKey', key }
+
+    return null
+  }
+
+  sessionCookie(token) {
+    return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(this.maxSessionAge / 1000)}`
+  }
+
+  clearedCookie() {
+    return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`
+  }
+
+  // URL rewriting: appends sid to every local /wml/ and /api/ link of a deck
+  addSessionToUrls(markup, token) {
+    const pattern = new RegExp(`\\b(${URL_ATTRIBUTES})="(/(?:wml|api)(?:/[^"#]*)?)(#[^"]*)?"`, 'g')
+    return markup.replace(pattern, (match, attr, url, fragment = '') => {
+      if (new RegExp(`[?&;]${SESSION_PARAM}=`).test(url)) return match
+      const separator = url.includes('?') ? '&amp;' : '?'
+      return `${attr}="${url}${separator}${SESSION_PARAM}=${token}${fragment}"`
+    })
+  }
+
+  // Removes sid from a URL before it is echoed back (e.g. as a login return path)
+  stripSessionParam(url) {
+    return String(url)
+      .replace(new RegExp(`([?&])${SESSION_PARAM}=[^&#]*&?`), '$1')
+      .replace(/[?&]$/, '')
+  }
+}
+
+AuthManager.SESSION_PARAM = SESSION_PARAM
+
+module.exports = AuthManager
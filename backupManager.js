@@ -0,0 +1,289 @@
+// backupManager.js - Scheduled, rotated and optionally encrypted backups of each account's database and WhatsApp session
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const PersistentStorage = require('./persistentStorage')
+const { createZip, readZip } = require('./zipArchive')
+
+const FORMAT_VERSION = 1
+const DATABASE_ENTRY = 'whatsapp.db'
+const AUTH_PREFIX = 'auth/'
+
+// backup-<account>-<UTC time>.zip, plus .enc when encrypted
+const BACKUP_NAME = /^backup-([a-z0-9_-]+)-(\d{8}T\d{9}Z)\.zip(\.enc)?$/i
+
+// Encrypted files: MAGIC | salt (16) | iv (12) | tag (16) | AES-256-GCM ciphertext
+// of the ZIP, with the key derived from the passphrase by scrypt
+const MAGIC = Buffer.from('WABK1')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// 2025-01-31T18:30:00.123Z -> 20250131T183000123Z
+const stamp = date => date.toISOString().replace(/[-:.]/g, '')
+
+const parseStamp = text => new Date(text.replace(
+  /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/, '$1-$2-$3T$4:$5:$6.$7Z'))
+
+class BackupManager {
+  // accounts() lists the accounts to back up on schedule; each has
+  // { id, storage, authDir, dataDir } like AccountManager's accounts
+  constructor({
+    backupDir = './data/backups',
+    accounts = () => [],
+    passphrase = process.env.BACKUP_PASSPHRASE || null,
+    keepDaily = parseInt(process.env.BACKUP_KEEP_DAILY) || 7,
+    keepWeekly = parseInt(process.env.BACKUP_KEEP_WEEKLY) || 4,
+    // 0 turns scheduled backups off
+    intervalHours = process.env.BACKUP_INTERVAL_HOURS !== undefined ? parseFloat(process.env.BACKUP_INTERVAL_HOURS) : 24,
+    tickMs = 10 * 60 * 1000
+  } = {}) {
+    this.backupDir = backupDir
+    this.accounts = accounts
+    this.passphrase = passphrase
+    this.keepDaily = keepDaily
+    this.keepWeekly = keepWeekly
+    this.intervalHours = intervalHours
+    this.running = false
+
+    if (!fs.existsSync(backupDir)) {
+      fs.mkdirSync(backupDir, { recursive: true })
+    }
+
+    this.timer = setInterval(() => this.tick(), tickMs)
+    this.timer.unref()
+  }
+
+  // =================== BACKUPS ===================
+
+  // Newest first
+  list({ account } = {}) {
+    return fs.readdirSync(this.backupDir)
+      .map(name => this.get(name))
+      .filter(b => b && (account === undefined || b.account === account))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+  }
+
+  get(id) {
+    const match = String(id).match(BACKUP_NAME)
+    if (!match) return null
+    const file = path.join(this.backupDir, id)
+    if (!fs.existsSync(file)) return null
+    return {
+      id,
+      account: match[1],
+      createdAt: parseStamp(match[2]).toISOString(),
+      size: fs.statSync(file).size,
+      encrypted: !!match[3]
+    }
+  }
+
+  // Full path of a backup, only for names this manager wrote
+  file(id) {
+    return this.get(id) ? path.join(this.backupDir, id) : null
+  }
+
+  // Snapshot of the account's database and session folder. Backups hold the
+  // session keys, so files are private and encrypted when a passphrase is set.
+  async create(account, { passphrase = this.passphrase, reason = 'manual', rotate = true } = {}) {
+    const createdAt = new Date()
+    const id = `backup-${account.id}-${stamp(createdAt)}.zip${passphrase ? '.enc' : ''}`
+    const tempDb = path.join(this.backupDir, `.${id}.db`)
+
+    let database
+    try {
+      await account.storage.backup(tempDb)
+      database = fs.readFileSync(tempDb)
+    } finally {
+      fs.rmSync(tempDb, { force: true })
+    }
+
+    const authFiles = fs.existsSync(account.authDir)
+      ? fs.readdirSync(account.authDir).filter(name => fs.statSync(path.join(account.authDir, name)).isFile())
+      : []
+    const manifest = {
+      version: FORMAT_VERSION,
+      account: account.id,
+      createdAt: createdAt.toISOString(),
+      reason,
+      databaseSize: database.length,
+      authFiles: authFiles.length
+    }
+
+    const zip = createZip([
+      { name: 'manifest.json', data: JSON.stringify(manifest, null, 2), date: createdAt },
+      { name: DATABASE_ENTRY, data: database, date: createdAt },
+      ...authFiles.map(name => ({
+        name: `${AUTH_PREFIX}${name}`,
+        data: fs.readFileSync(path.join(account.authDir, name)),
+        date: createdAt
+      }))
+    ])
+
+    const file = path.join(this.backupDir, id)
+    const tempFile = `${file}.tmp`
+    fs.writeFileSync(tempFile, passphrase ? this.encrypt(zip, passphrase) : zip, { mode: 0o600 })
+    fs.renameSync(tempFile, file)
+    console.log(`📦 Backup ${id} written (${reason})`)
+
+    if (rotate) this.rotate(account.id)
+    return this.get(id)
+  }
+
+  remove(id) {
+    const file = this.file(id)
+    if (!file) return false
+    fs.rmSync(file)
+    return true
+  }
+
+  // Decrypts and checks a backup without touching anything.
+  // Returns { id, manifest, database, auth: Map name -> Buffer }.
+  read(id, { passphrase = this.passphrase } = {}) {
+    const info = this.get(id)
+    if (!info) throw new Error('Backup not found')
+
+    let data = fs.readFileSync(path.join(this.backupDir, id))
+    if (info.encrypted) {
+      if (!passphrase) throw new Error('This backup is encrypted; a passphrase is required')
+      data = this.decrypt(data, passphrase)
+    }
+
+    const entries = readZip(data)
+    const manifestEntry = entries.find(e => e.name === 'manifest.json')
+    const databaseEntry = entries.find(e => e.name === DATABASE_ENTRY)
+    if (!manifestEntry || !databaseEntry) throw new Error('Backup is incomplete')
+    const manifest = JSON.parse(manifestEntry.data.toString('utf8'))
+    if (manifest.version !== FORMAT_VERSION) throw new Error(`Unsupported backup version ${manifest.version}`)
+
+    const auth = new Map()
+    for (const entry of entries) {
+      if (entry.name.startsWith(AUTH_PREFIX)) auth.set(path.basename(entry.name), entry.data)
+    }
+    return { id, manifest, database: databaseEntry.data, auth }
+  }
+
+  // Swaps a backup from read() into the account: the database through
+  // PersistentStorage.restore, the session folder by renaming a complete copy
+  // into place. The current state is backed up first. The caller must have
+  // closed the account's socket and reloads its stores afterwards.
+  async restore(account, backup) {
+    if (backup.manifest.account !== account.id) {
+      throw new Error(`Backup belongs to account ${backup.manifest.account}`)
+    }
+
+    const tempDb = path.join(account.dataDir, `${DATABASE_ENTRY}.restore`)
+    fs.writeFileSync(tempDb, backup.database)
+    try {
+      PersistentStorage.validateDatabase(tempDb)
+    } catch (error) {
+      fs.rmSync(tempDb, { force: true })
+      throw new Error(`Backup database is unusable: ${error.message}`)
+    }
+
+    // Not rotated, or the backup being restored could be the one dropped
+    await this.create(account, { reason: 'pre-restore', rotate: false })
+    account.storage.restore(tempDb)
+
+    // Backups taken before the number was linked have no session to restore
+    if (backup.auth.size > 0) {
+      const incoming = `${account.authDir}.restore`
+      const previous = `${account.authDir}.old`
+      fs.rmSync(incoming, { recursive: true, force: true })
+      fs.mkdirSync(incoming, { recursive: true })
+      for (const [name, data] of backup.auth) {
+        fs.writeFileSync(path.join(incoming, name), data, { mode: 0o600 })
+      }
+      fs.rmSync(previous, { recursive: true, force: true })
+      if (fs.existsSync(account.authDir)) fs.renameSync(account.authDir, previous)
+      fs.renameSync(incoming, account.authDir)
+      fs.rmSync(previous, { recursive: true, force: true })
+    }
+
+    console.log(`♻️ Account ${account.id} restored from ${backup.id}`)
+    return backup.manifest
+  }
+
+  // =================== ENCRYPTION ===================
+
+  encrypt(data, passphrase) {
+    const salt = crypto.randomBytes(16)
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(String(passphrase), salt, 32), iv)
+    const encrypted = Buffer.concat([cipher.update(data), cipher.final()])
+    return Buffer.concat([MAGIC, salt, iv, cipher.getAuthTag(), encrypted])
+  }
+
+  decrypt(data, passphrase) {
+    if (!data.subarray(0, MAGIC.length).equals(MAGIC)) throw new Error('Not an encrypted backup')
+    let offset = MAGIC.length
+    const salt = data.subarray(offset, offset += 16)
+    const iv = data.subarray(offset, offset += 12)
+    const tag = data.subarray(offset, offset += 16)
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', crypto.scryptSync(String(passphrase), salt, 32), iv)
+      decipher.setAuthTag(tag)
+      return Buffer.concat([decipher.update(data.subarray(offset)), decipher.final()])
+    } catch (error) {
+      throw new Error('Wrong passphrase or damaged backup')
+    }
+  }
+
+  // =================== SCHEDULE ===================
+
+  // Keeps the newest backup of each of the last keepDaily days and of each of
+  // the last keepWeekly weeks; the newest backup is always kept
+  rotate(account) {
+    const backups = this.list({ account })
+    const keep = new Set(backups.slice(0, 1).map(b => b.id))
+    const days = new Set()
+    const weeks = new Set()
+    for (const backup of backups) {
+      const time = new Date(backup.createdAt).getTime()
+      const day = Math.floor(time / DAY_MS)
+      // Weeks start on Monday; day 0 (1970-01-01) was a Thursday
+      const week = Math.floor((day + 3) / 7)
+      if (!days.has(day) && days.size < this.keepDaily) {
+        days.add(day)
+        keep.add(backup.id)
+      }
+      if (!weeks.has(week) && weeks.size < this.keepWeekly) {
+        weeks.add(week)
+        keep.add(backup.id)
+      }
+    }
+
+    const dropped = backups.filter(b => !keep.has(b.id))
+    for (const backup of dropped) this.remove(backup.id)
+    if (dropped.length > 0) console.log(`🧹 Rotated out ${dropped.length} old backup(s) of ${account}`)
+    return dropped.length
+  }
+
+  lastBackupAt(account) {
+    const latest = this.list({ account })[0]
+    return latest ? latest.createdAt : null
+  }
+
+  async tick() {
+    if (this.running || !(this.intervalHours > 0)) return
+    this.running = true
+    try {
+      for (const account of this.accounts()) {
+        const last = this.lastBackupAt(account.id)
+        if (last && Date.now() - new Date(last).getTime() < this.intervalHours * 60 * 60 * 1000) continue
+        try {
+          await this.create(account, { reason: 'scheduled' })
+        } catch (error) {
+          console.error(`❌ Scheduled backup of ${account.id} failed:`, error.message)
+        }
+      }
+    } finally {
+      this.running = false
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer)
+  }
+}
+
+module.exports = BackupManager
@@ -0,0 +1,225 @@
+// chatExport.js - Per-chat transcripts: WhatsApp-style .txt, standalone HTML and ZIP with media
+const { extractMessageContent, getContentType } = require('@whiskeysockets/baileys')
+const { createZip } = require('./zipArchive')
+
+const FORMATS = ['txt', 'html', 'zip']
+
+// Content type -> [file prefix, default extension] as WhatsApp names attachments
+const MEDIA_FILES = {
+  imageMessage: ['IMG', 'jpg'],
+  videoMessage: ['VID', 'mp4'],
+  audioMessage: ['AUD', 'opus'],
+  stickerMessage: ['STK', 'webp'],
+  documentMessage: ['DOC', 'bin']
+}
+
+// Not part of the conversation itself
+const SKIPPED_TYPES = ['protocolMessage', 'reactionMessage', 'senderKeyDistributionMessage', 'messageContextInfo']
+
+const pad = n => String(n).padStart(2, '0')
+
+function messageDate(msg) {
+  return new Date(Number(msg.messageTimestamp || 0) * 1000)
+}
+
+// "31/01/2025, 18:30" in local time, as the WhatsApp exporter writes it
+function exportTimestamp(date) {
+  return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}, ${pad(date.getHours())}:${pad(date.getMinutes())}`
+}
+
+function contentOf(msg) {
+  const content = extractMessageContent(msg?.message)
+  const type = content ? getContentType(content) : null
+  return { content, type }
+}
+
+function isExportable(msg) {
+  const { type } = contentOf(msg)
+  return !!type && !SKIPPED_TYPES.includes(type)
+}
+
+function isMedia(msg) {
+  return !!MEDIA_FILES[contentOf(msg).type]
+}
+
+// Size of the attachment as announced in the message (fileLength may be a Long); 0 when unknown
+function mediaSize(msg) {
+  const { content, type } = contentOf(msg)
+  const size = MEDIA_FILES[type] ? content[type]?.fileLength : null
+  if (size == null) return 0
+  if (typeof size === 'object' && 'low' in size) {
+    return (size.high >>> 0) * 4294967296 + (size.low >>> 0)
+  }
+  return Number(size) || 0
+}
+
+// Text of a message without its attachment; captions included
+function messageBody(msg) {
+  const { content, type } = contentOf(msg)
+  if (!content) return ''
+  switch (type) {
+    case 'conversation':
+      return content.conversation
+    case 'extendedTextMessage':
+      return content.extendedTextMessage.text || ''
+    case 'imageMessage':
+    case 'videoMessage':
+    case 'documentMessage':
+      return content[type].caption || ''
+    case 'locationMessage':
+    case 'liveLocationMessage': {
+      const { degreesLatitude, degreesLongitude, name } = content[type]
+      return `${name ? `${name}: ` : ''}location: https://maps.google.com/?q=${degreesLatitude},${degreesLongitude}`
+    }
+    case 'contactMessage':
+      return `${content.contactMessage.displayName || 'Contact'}.vcf (contact card)`
+    case 'pollCreationMessage':
+    case 'pollCreationMessageV2':
+    case 'pollCreationMessageV3': {
+      const poll = content[type]
+      return ['POLL:', poll.name, ...(poll.options || []).map(o => `OPTION: ${o.optionName}`)].join('\n')
+    }
+    default:
+      return ''
+  }
+}
+
+// Message id -> attachment file name, numbered per day like IMG-20250131-WA0001.jpg.
+// Documents keep their own file name.
+function attachmentNames(messages) {
+  const names = new Map()
+  const used = new Set()
+  const counters = new Map()
+  for (const msg of messages) {
+    const { content, type } = contentOf(msg)
+    if (!MEDIA_FILES[type]) continue
+
+    let [prefix, extension] = MEDIA_FILES[type]
+    const mimeExtension = String(content[type].mimetype || '').split(';')[0].split('/')[1]
+    if (type === 'documentMessage' && mimeExtension) extension = mimeExtension
+    if (type === 'audioMessage' && content[type].ptt) prefix = 'PTT'
+
+    const date = messageDate(msg)
+    const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+    const counter = (counters.get(day) || 0) + 1
+    counters.set(day, counter)
+
+    let name = type === 'documentMessage' && content[type].fileName
+      ? String(content[type].fileName).replace(/[\\/:*?"<>|]/g, '_')
+      : `${prefix}-${day}-WA${String(counter).padStart(4, '0')}.${extension}`
+    if (used.has(name)) name = name.replace(/(\.[^.]*)?$/, `-${counter}$1`)
+    used.add(name)
+    names.set(msg.key.id, name)
+  }
+  return names
+}
+
+// One .txt entry. Media with an entry in `attachments` is written as
+// "<file> (file attached)", otherwise as "<Media omitted>".
+function exportLine(msg, { nameOf, attachments = new Map() }) {
+  const body = messageBody(msg)
+  let text = body
+  if (isMedia(msg)) {
+    const file = attachments.get(msg.key.id)
+    text = file ? `${file} (file attached)` : '<Media omitted>'
+    if (body) text += `\n${body}`
+  }
+  return `${exportTimestamp(messageDate(msg))} - ${nameOf(msg)}: ${text}`
+}
+
+// nameOf(msg) gives the sender name to print
+function toTxt(messages, options) {
+  return messages
+    .filter(isExportable)
+    .map(msg => exportLine(msg, options))
+    .join('\n') + '\n'
+}
+
+const escHtml = (s = '') => String(s)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// Self-contained transcript: the small JPEG previews WhatsApp sends along
+// with images, videos and documents are inlined as data: URIs
+function toHtml(messages, { title, nameOf }) {
+  let lastDay = null
+  const rows = messages.filter(isExportable).map(msg => {
+    const { content, type } = contentOf(msg)
+    const date = messageDate(msg)
+    const day = exportTimestamp(date).split(',')[0]
+    const thumbnail = content[type]?.jpegThumbnail
+    const media = MEDIA_FILES[type]
+      ? `<div class="media">${thumbnail
+        ? `<img src="data:image/jpeg;base64,${Buffer.from(thumbnail).toString('base64')}" alt="">`
+        : ''}<span>${escHtml(type === 'documentMessage' ? content[type].fileName || 'Document' : `[${MEDIA_FILES[type][0]}]`)}</span></div>`
+      : ''
+    const body = messageBody(msg)
+
+    const separator = day !== lastDay ? `<div class="day">${day}</div>` : ''
+    lastDay = day
+    return `${separator}<div class="msg${msg.key.fromMe ? ' me' : ''}">
+<div class="from">${escHtml(nameOf(msg))}</div>${media}${body ? `<div class="text">${escHtml(body).replace(/\n/g, '<br>')}</div>` : ''}
+<div class="time">${pad(date.getHours())}:${pad(date.getMinutes())}</div>
+</div>`
+  })
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escHtml(title)}</title>
+<style>
+body{font-family:sans-serif;background:#ece5dd;margin:0;padding:8px}
+h1{font-size:1.2em}
+.day{text-align:center;color:#555;font-size:.8em;margin:12px 0}
+.msg{background:#fff;border-radius:6px;padding:6px 8px;margin:4px 0;max-width:80%}
+.msg.me{background:#dcf8c6;margin-left:auto}
+.from{font-weight:bold;font-size:.8em;color:#075e54}
+.text{white-space:normal;word-wrap:break-word}
+.media img{display:block;max-width:100%;border-radius:4px}
+.media span{font-size:.8em;color:#555}
+.time{text-align:right;font-size:.7em;color:#888}
+</style>
+</head>
+<body>
+<h1>${escHtml(title)}</h1>
+<p>${rows.length} messages, exported ${escHtml(exportTimestamp(new Date()))}</p>
+${rows.join('\n')}
+</body>
+</html>
+`
+}
+
+// WhatsApp's own archive layout: "WhatsApp Chat with <title>.txt" plus the
+// attachments next to it. media maps message ids to downloaded Buffers.
+function toZip(messages, { title, nameOf, media = new Map() }) {
+  const names = attachmentNames(messages)
+  const attachments = new Map()
+  const entries = []
+  for (const msg of messages) {
+    const data = media.get(msg.key.id)
+    if (!data || !names.has(msg.key.id)) continue
+    attachments.set(msg.key.id, names.get(msg.key.id))
+    entries.push({ name: names.get(msg.key.id), data, date: messageDate(msg) })
+  }
+  entries.unshift({
+    name: `WhatsApp Chat with ${String(title).replace(/[\\/:*?"<>|]/g, '_')}.txt`,
+    data: toTxt(messages, { nameOf, attachments })
+  })
+  return createZip(entries)
+}
+
+module.exports = {
+  FORMATS,
+  exportLine,
+  exportTimestamp,
+  isExportable,
+  isMedia,
+  mediaSize,
+  toHtml,
+  toTxt,
+  toZip
+}
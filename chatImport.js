@@ -0,0 +1,229 @@
+// chatImport.js - Parser for WhatsApp's "Export chat" .txt/.zip files into Baileys-shaped messages
+const crypto = require('crypto')
+const path = require('path')
+const { readZip } = require('./zipArchive')
+
+// Direction marks the exporter puts around dates, names and notices
+const INVISIBLE = /[\u200e\u200f\u202a-\u202e\ufeff]/g
+
+// Android: "31/01/2025, 18:30 - Name: text", "1/31/25, 6:30 PM - Name: text", "31.01.25, 18:30 - ..."
+// iOS:     "[31/01/2025, 18:30:12] Name: text", "[1/31/25, 6:30:12 PM] Name: text"
+const DATE = '(\\d{1,4})[./-](\\d{1,2})[./-](\\d{1,4})'
+const TIME = '(\\d{1,2})[:.](\\d{2})(?:[:.](\\d{2}))?(?:\\s*([AaPp])\\.?\\s*[Mm]\\.?)?'
+const ANDROID_LINE = new RegExp(`^${DATE},?\\s+${TIME}\\s+[-–]\\s+(.*)$`)
+const IOS_LINE = new RegExp(`^\\[${DATE},?\\s+${TIME}\\]\\s+(.*)$`)
+
+// "<attached: 00000012-PHOTO-2025-01-31-18-30-12.jpg>" (iOS, localized label)
+const ATTACHED = /^<[^<>:]+:\s*([^<>]+)>$/
+// "IMG-20250131-WA0001.jpg (file attached)" (Android, localized label)
+const FILE_ATTACHED = /^(\S.*?\.\w{1,5})\s+\([^()]+\)$/
+// "<Media omitted>", "<Medien ausgeschlossen>", "image omitted" ...
+const MEDIA_OMITTED = /^(<[^<>]+>|(image|video|audio|sticker|GIF|document) omitted)$/i
+
+// Extension -> [message type, mimetype]
+const MEDIA_TYPES = {
+  jpg: ['image', 'image/jpeg'],
+  jpeg: ['image', 'image/jpeg'],
+  png: ['image', 'image/png'],
+  gif: ['image', 'image/gif'],
+  webp: ['sticker', 'image/webp'],
+  mp4: ['video', 'video/mp4'],
+  '3gp': ['video', 'video/3gpp'],
+  mov: ['video', 'video/quicktime'],
+  opus: ['audio', 'audio/ogg; codecs=opus'],
+  ogg: ['audio', 'audio/ogg'],
+  mp3: ['audio', 'audio/mpeg'],
+  m4a: ['audio', 'audio/mp4'],
+  aac: ['audio', 'audio/aac'],
+  amr: ['audio', 'audio/amr'],
+  vcf: ['contact', 'text/vcard'],
+  pdf: ['document', 'application/pdf']
+}
+
+const toSpaces = s => s.replace(/[\u00a0\u202f]/g, ' ')
+
+function matchLine(line) {
+  const clean = toSpaces(line).replace(INVISIBLE, '')
+  const match = clean.match(IOS_LINE) || clean.match(ANDROID_LINE)
+  if (!match) return null
+  const [, a, b, c, hours, minutes, seconds, meridiem, rest] = match
+  // iOS marks its own notices and attachments with a direction mark after "Name: "
+  const close = line.indexOf('] ')
+  const colon = close >= 0 ? line.indexOf(': ', close) : -1
+  const marked = colon >= 0 && /^\s*\u200e/.test(line.slice(colon + 2))
+  return { parts: [a, b, c].map(Number), hours: Number(hours), minutes: Number(minutes), seconds: Number(seconds || 0), meridiem, rest, marked }
+}
+
+// The exporter follows the phone's locale: decide between day-first and
+// month-first from the whole file. Year-first dates are unambiguous.
+function detectDateOrder(headers) {
+  for (const { parts: [a, b] } of headers) {
+    if (a > 31) return 'ymd'
+    if (a > 12) return 'dmy'
+    if (b > 12) return 'mdy'
+  }
+  return 'dmy'
+}
+
+function headerDate({ parts, hours, minutes, seconds, meridiem }, order) {
+  let [day, month, year] = order === 'ymd' ? [parts[2], parts[1], parts[0]]
+    : order === 'mdy' ? [parts[1], parts[0], parts[2]]
+      : parts
+  if (year < 100) year += 2000
+  if (meridiem) hours = (hours % 12) + (/p/i.test(meridiem) ? 12 : 0)
+  const date = new Date(year, month - 1, day, hours, minutes, seconds)
+  return isNaN(date.getTime()) ? null : date
+}
+
+// Splits "Name: text"; lines without a sender are system messages
+// ("Messages and calls are end-to-end encrypted", "Alice added Bob", ...)
+function splitSender(rest) {
+  const colon = rest.indexOf(': ')
+  if (colon <= 0 || colon > 80) return { sender: null, text: rest }
+  return { sender: rest.slice(0, colon).trim(), text: rest.slice(colon + 2) }
+}
+
+// Parses the transcript into entries, oldest first:
+// { date, sender, text, attachment, mediaOmitted, system }.
+// Lines that do not start with a date continue the previous message.
+function parseExport(text, { dateOrder = 'auto' } = {}) {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n')
+  const headers = lines.map(matchLine)
+  const order = dateOrder === 'auto' ? detectDateOrder(headers.filter(Boolean)) : dateOrder
+
+  const entries = []
+  lines.forEach((line, i) => {
+    const header = headers[i]
+    const date = header && headerDate(header, order)
+    if (!date) {
+      const last = entries[entries.length - 1]
+      if (last) last.text += `\n${line}`
+      return
+    }
+    const { sender, text: body } = splitSender(header.rest)
+    entries.push({ date, sender, text: body, marked: header.marked })
+  })
+
+  for (const entry of entries) {
+    const firstLine = entry.text.split('\n')[0].replace(INVISIBLE, '').trim()
+    const caption = entry.text.split('\n').slice(1).join('\n').trim()
+    const attached = firstLine.match(ATTACHED) || firstLine.match(FILE_ATTACHED)
+    entry.attachment = attached ? attached[1].trim() : null
+    entry.mediaOmitted = !attached && MEDIA_OMITTED.test(firstLine)
+    entry.system = !entry.sender || (entry.marked && !entry.attachment && !entry.mediaOmitted)
+    entry.text = entry.attachment || entry.mediaOmitted ? caption : entry.text.replace(INVISIBLE, '').trim()
+    delete entry.marked
+  }
+  return { entries, dateOrder: order }
+}
+
+// A .zip archive or a bare .txt. Returns { title, text, files: Map name -> Buffer }.
+// limits ({ maxEntries, maxBytes }) are handed to readZip.
+function readExport(buffer, filename = '', limits) {
+  const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50
+  if (!isZip) {
+    return { title: exportTitle(filename), text: buffer.toString('utf8'), files: new Map() }
+  }
+
+  const entries = readZip(buffer, limits)
+  const transcript = entries.find(e => /\.txt$/i.test(e.name) && /chat/i.test(e.name)) ||
+    entries.find(e => /\.txt$/i.test(e.name))
+  if (!transcript) throw new Error('No chat transcript (.txt) in the archive')
+
+  const files = new Map()
+  for (const entry of entries) {
+    if (entry !== transcript) files.set(path.basename(entry.name), entry.data)
+  }
+  return { title: exportTitle(transcript.name) || exportTitle(filename), text: transcript.data.toString('utf8'), files }
+}
+
+// "WhatsApp Chat with Alice.txt" / "WhatsApp Chat - Alice.zip" -> "Alice"
+function exportTitle(filename) {
+  const base = path.basename(String(filename)).replace(/\.(txt|zip)$/i, '')
+  const match = base.match(/^WhatsApp Chat (?:with |- )(.+)$/i)
+  return match ? match[1].trim() : null
+}
+
+// Same chat, time, sender and text always give the same id, so importing an
+// export twice does not duplicate it. `n` separates identical repeated lines.
+function syntheticId(jid, entry, n) {
+  const hash = crypto.createHash('sha1')
+    .update([jid, entry.date.getTime(), entry.sender, entry.attachment || '', entry.text, n].join('\u0000'))
+    .digest('hex')
+  return `IMPORT${hash.slice(0, 20).toUpperCase()}`
+}
+
+function mediaContent(entry, data) {
+  const extension = path.extname(entry.attachment).slice(1).toLowerCase()
+  const [kind, mimetype] = MEDIA_TYPES[extension] || ['document', 'application/octet-stream']
+  const caption = entry.text || undefined
+  switch (kind) {
+    case 'image':
+      return { imageMessage: { mimetype, caption, fileLength: data.length } }
+    case 'video':
+      return { videoMessage: { mimetype, caption, fileLength: data.length } }
+    case 'audio':
+      return { audioMessage: { mimetype, ptt: /^PTT-/i.test(entry.attachment), fileLength: data.length } }
+    case 'sticker':
+      return { stickerMessage: { mimetype, fileLength: data.length } }
+    case 'contact':
+      return { contactMessage: { displayName: path.basename(entry.attachment, '.vcf'), vcard: data.toString('utf8') } }
+    default:
+      return { documentMessage: { mimetype, fileName: entry.attachment, caption, fileLength: data.length } }
+  }
+}
+
+// Turns parsed entries into messages for chat `jid`. senderOf(name) returns
+// { fromMe, jid } for a sender name. Attachments found in `files` become media
+// messages carrying { imported: { file } }; the caller stores the file.
+// Returns [{ message, file }], system entries left out.
+function toMessages(entries, { jid, senderOf, files = new Map(), source = 'import' }) {
+  const isGroup = jid.endsWith('@g.us')
+  const seen = new Map()
+  const results = []
+
+  for (const entry of entries) {
+    if (entry.system) continue
+
+    const baseKey = [entry.date.getTime(), entry.sender, entry.attachment, entry.text].join('\u0000')
+    const n = seen.get(baseKey) || 0
+    seen.set(baseKey, n + 1)
+
+    const sender = senderOf(entry.sender) || { fromMe: false, jid: null }
+    const data = entry.attachment ? files.get(entry.attachment) : null
+    let content
+    if (data) {
+      content = mediaContent(entry, data)
+    } else if (entry.attachment || entry.mediaOmitted) {
+      // Media that did not come with the export
+      content = { conversation: [`<${entry.attachment || 'Media'} omitted>`, entry.text].filter(Boolean).join('\n') }
+    } else {
+      content = { conversation: entry.text }
+    }
+
+    const id = syntheticId(jid, entry, n)
+    results.push({
+      message: {
+        key: {
+          remoteJid: jid,
+          fromMe: sender.fromMe,
+          id,
+          ...(isGroup && !sender.fromMe && sender.jid ? { participant: sender.jid } : {})
+        },
+        messageTimestamp: Math.floor(entry.date.getTime() / 1000),
+        ...(sender.fromMe ? {} : { pushName: entry.sender }),
+        message: content,
+        imported: { source, file: data ? `${id}${path.extname(entry.attachment).toLowerCase()}` : null }
+      },
+      file: data ? { name: `${id}${path.extname(entry.attachment).toLowerCase()}`, data } : null
+    })
+  }
+  return results
+}
+
+module.exports = {
+  exportTitle,
+  parseExport,
+  readExport,
+  toMessages
+}
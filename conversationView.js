@@ -0,0 +1,289 @@
+// conversationView.js - The chat conversation and media info cards, laid out for the requesting device
+const { extractMessageContent, getContentType } = require('@whiskeysockets/baileys')
+const { esc, truncate } = require('./wmlText')
+const { toTimestamp } = require('./persistentStorage')
+
+// Compact is for small decks and narrow screens (old Nokia, UP.Browser):
+// fewer messages per page, shorter texts, terse labels. Lengths of 0 are
+// not truncated.
+const LAYOUTS = {
+  compact: { compact: true, pageSize: 3, textLength: 50, captionLength: 30, fileNameLength: 20, nameLength: 10, titleLength: 15 },
+  full: { compact: false, pageSize: 10, textLength: 100, captionLength: 50, fileNameLength: 40, nameLength: 0, titleLength: 0 }
+}
+
+// Attachment types: compact tag, full name, extension of the original
+const MEDIA_TYPES = {
+  imageMessage: { tag: 'IMG', name: 'Image', extension: 'jpg' },
+  videoMessage: { tag: 'VID', name: 'Video', extension: 'mp4' },
+  audioMessage: { tag: 'AUD', name: 'Audio', extension: 'ogg' },
+  documentMessage: { tag: 'DOC', name: 'Document', extension: 'bin' },
+  stickerMessage: { tag: 'STK', name: 'Sticker', extension: 'webp' }
+}
+
+// What /wml/media/:filename serves besides the original: [label, suffix,
+// image format the device must show]
+const CONVERSIONS = {
+  imageMessage: [['Small JPG', 'jpg', 'jpg'], ['Small PNG', 'png', 'png'], ['WBMP', 'wbmp', 'wbmp']],
+  videoMessage: [['3GP', '3gp'], ['AVI', 'avi']],
+  audioMessage: [['AMR', 'amr'], ['MP3', 'mp3'], ['WAV', 'wav']],
+  stickerMessage: [['WBMP', 'wbmp', 'wbmp']],
+  documentMessage: []
+}
+
+const pad = n => String(n).padStart(2, '0')
+
+// Shortened names keep the " ~1234" number suffix that tells apart
+// senders with the same name
+function shortName(name = '', length) {
+  const [, base, suffix = ''] = String(name).match(/^([\s\S]*?)( ~\d+)?$/)
+  return truncate(base, length) + suffix
+}
+
+// "30/12 14:30" compact, "30 Dec 2024 14:30" full
+function formatTime(timestamp, compact) {
+  const date = new Date(Number(timestamp) * 1000)
+  if (isNaN(date.getTime())) return ''
+  if (compact) return `${pad(date.getDate())}/${pad(date.getMonth() + 1)} ${pad(date.getHours())}:${pad(date.getMinutes())}`
+  const day = date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })
+  return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}`
+}
+
+function attachmentOf(msg) {
+  const content = extractMessageContent(msg?.message)
+  const type = content ? getContentType(content) : null
+  return MEDIA_TYPES[type] ? { type, media: content[type], ...MEDIA_TYPES[type] } : null
+}
+
+function fileExtension(attachment) {
+  if (attachment.type !== 'documentMessage') return attachment.extension
+  const name = attachment.media.fileName || ''
+  return name.includes('.') ? name.split('.').pop() : attachment.extension
+}
+
+const sizeKb = media => Math.round(Number(media.fileLength || 0) / 1024)
+
+function layoutFor(device = {}) {
+  return device.compact ? LAYOUTS.compact : LAYOUTS.full
+}
+
+// Newest first, filtered by a lowercase search; the page at offset
+function pageOf(messages, { offset = 0, pageSize, search = '', textOf }) {
+  let sorted = messages.slice().sort((a, b) => toTimestamp(b.messageTimestamp) - toTimestamp(a.messageTimestamp))
+  if (search) sorted = sorted.filter(m => (textOf(m) || '').toLowerCase().includes(search))
+  return { items: sorted.slice(offset, offset + pageSize), total: sorted.length }
+}
+
+function chatHref({ jid, offset = 0, search = '', order = 'desc', more = false }) {
+  const params = [`jid=${encodeURIComponent(jid)}`]
+  if (offset) params.push(`offset=${offset}`)
+  if (search) params.push(`search=${encodeURIComponent(search)}`)
+  if (order !== 'desc') params.push(`order=${order}`)
+  if (more) params.push('more=1')
+  return `/wml/chat.wml?${params.join('&amp;')}`
+}
+
+const mediaInfoHref = (jid, mid) => `/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}`
+const messageHref = (jid, mid) => `/wml/msg.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}`
+
+// Summary line and links for one message
+function messageEntry(msg, n, { jid, layout, nameOf, textOf, ticksOf }) {
+  const { compact } = layout
+  const mid = msg.key.id
+  const who = msg.key.fromMe ? 'Me' : shortName(nameOf(msg), layout.nameLength)
+  const ticks = ticksOf(msg)
+  const time = `${formatTime(toTimestamp(msg.messageTimestamp), compact)}${ticks ? ` ${ticks}` : ''}`
+
+  const attachment = attachmentOf(msg)
+  let text = truncate(textOf(msg), layout.textLength)
+  let mediaLinks = ''
+  if (attachment) {
+    const { media } = attachment
+    const details = [`${sizeKb(media)}KB`]
+    if (!compact && media.seconds) details.push(`${media.seconds}s`)
+    text = `[${compact ? attachment.tag : attachment.name.toUpperCase()} ${details.join(', ')}]`
+    if (media.fileName) text += ` ${truncate(media.fileName, layout.fileNameLength)}`
+    if (media.caption) text += ` ${truncate(media.caption, layout.captionLength)}`
+    const view = `<a href="${mediaInfoHref(jid, mid)}">[View ${compact ? attachment.tag : attachment.name}]</a>`
+    mediaLinks = compact
+      ? `<br/>${view}`
+      : `<br/>${view} | <a href="/wml/media/${encodeURIComponent(mid)}.original.${fileExtension(attachment)}">[Download]</a>`
+  }
+
+  if (compact) {
+    return `<p><a href="${messageHref(jid, mid)}">${n}.</a> ${esc(who)} (${time})<br/>${esc(text)}${mediaLinks}</p>`
+  }
+  return `<p><b>${n}. ${msg.key.fromMe ? '[OUT]' : '[IN]'} ${esc(who)}</b><br/>
+  <small><b>Time:</b> ${time}</small><br/>
+  <small><b>Message:</b> ${esc(text)}</small>${mediaLinks}<br/>
+  <a href="${messageHref(jid, mid)}">[Details]</a> |
+  <a href="/wml/send.text.wml?to=${encodeURIComponent(jid)}&amp;reply=${encodeURIComponent(mid)}">[Reply]</a>
+</p>`
+}
+
+// The conversation deck: the "chat" card and, compact, a "search" card.
+// items is the page from pageOf (newest first) and total counts the loaded
+// messages it came from; moreStored says the database holds older ones, so
+// counts are labelled as loaded. order 'asc' shows the page oldest first.
+// phoneHistory offers fetching older messages from the phone past the last
+// stored one.
+function conversationCards({
+  jid, chatName, number, isGroup, items, total, offset = 0, search = '', order = 'desc',
+  layout = LAYOUTS.full, historyNote = '', phoneHistory = false, moreStored = false,
+  nameOf, textOf, ticksOf = () => ''
+}) {
+  const { compact, pageSize } = layout
+  const view = { jid, search, order }
+  const shown = order === 'asc' ? items.slice().reverse() : items
+  const messageList = shown.length
+    ? shown.map((msg, idx) => messageEntry(msg, idx + 1, { jid, layout, nameOf, textOf, ticksOf })).join('\n')
+    : `<p>No messages${search ? ' found' : ''}</p>`
+
+  // Older pages, then past the last stored message the phone itself
+  const olderOffset = offset + pageSize
+  const askPhone = olderOffset >= total && !search && phoneHistory
+  const lastOffset = Math.max(0, total - pageSize)
+  const links = {
+    older: olderOffset < total || askPhone
+      ? `<a href="${chatHref({ ...view, offset: olderOffset, more: askPhone })}" accesskey="2">${compact ? '2-Older' : '[2] Older'}${askPhone ? (compact ? ' (phone)' : ' (from phone)') : ''}</a>`
+      : '',
+    newer: offset > 0
+      ? `<a href="${chatHref({ ...view, offset: Math.max(0, offset - pageSize) })}" accesskey="3">${compact ? '3-Newer' : '[3] Newer'}</a>`
+      : '',
+    newest: offset > pageSize ? `<a href="${chatHref(view)}">${compact ? 'Newest' : '[Newest]'}</a>` : '',
+    oldest: lastOffset > olderOffset
+      ? `<a href="${chatHref({ ...view, offset: lastOffset })}">${compact ? 'Oldest' : '[Oldest'}${moreStored ? ' loaded' : ''}${compact ? '' : ']'}</a>`
+      : ''
+  }
+  const first = Math.min(offset + 1, total)
+  const last = Math.min(offset + pageSize, total)
+  const clearSearch = `<a href="${chatHref({ jid, order })}">${compact ? 'Clear' : '[Clear]'}</a>`
+  const send = `/wml/send.text.wml?to=${encodeURIComponent(jid)}`
+  const exportHref = `/wml/chat.export.wml?jid=${encodeURIComponent(jid)}`
+
+  let body
+  if (compact) {
+    body = `<p>${esc(truncate(chatName, layout.titleLength))}</p>
+<p>Msgs ${first}-${last}/${total}${moreStored ? ' loaded' : ''}</p>
+${historyNote ? `<p>${esc(historyNote)}</p>` : ''}
+${search ? `<p>Search: ${esc(search)}</p><p>${clearSearch}</p>` : '<p><a href="#search">Search</a></p>'}
+${messageList}
+${links.newer ? `<p>${links.newer}${links.newest ? ` ${links.newest}` : ''}</p>` : ''}
+${links.older ? `<p>${links.older}${links.oldest ? ` ${links.oldest}` : ''}</p>` : ''}
+<p><a href="${send}" accesskey="1">1-Send</a></p>
+<p><a href="${exportHref}">Export</a></p>
+<p><a href="/wml/chats.wml" accesskey="0">0-Back</a></p>`
+  } else {
+    const navigation = [links.newest, links.newer, links.older, links.oldest].filter(Boolean).join(' | ')
+    body = `<p><b>${esc(chatName)}</b> ${isGroup ? '[GROUP]' : '[CHAT]'}</p>
+<p>${esc(number)} | ${moreStored ? 'Loaded' : 'Total'}: ${total} messages</p>
+<p><b>Search Messages:</b></p>
+<p>
+  <input name="searchQuery" title="Search..." value="${esc(search)}" size="15" maxlength="50"/>
+  <do type="accept" name="search" label="Search">
+    <go href="/wml/chat.wml" method="get">
+      <postfield name="jid" value="${esc(jid)}"/>
+      <postfield name="search" value="$(searchQuery)"/>${order !== 'desc' ? `
+      <postfield name="order" value="${order}"/>` : ''}
+    </go>
+  </do>
+</p>
+${search ? `<p>Searching: <b>${esc(search)}</b> | ${clearSearch}</p>` : ''}
+<p><b>Messages ${first}-${last} of ${total}${moreStored ? ' loaded' : ''}</b></p>
+<p>${order === 'asc' ? 'Oldest' : 'Most recent'} first | <a href="${chatHref({ ...view, offset, order: order === 'asc' ? 'desc' : 'asc' })}">[${order === 'asc' ? 'Newest' : 'Oldest'} first]</a></p>
+${historyNote ? `<p><em>${esc(historyNote)}</em></p>` : ''}
+${messageList}
+${navigation ? `<p><b>Navigation:</b></p>\n<p>${navigation}</p>` : ''}
+<p><b>Quick Actions:</b></p>
+<p>
+  <a href="${send}" accesskey="1">[1] Send Text</a> |
+  <a href="/wml/contact.wml?jid=${encodeURIComponent(jid)}" accesskey="4">[4] Contact Info</a> |
+  <a href="${exportHref}">[Export]</a>
+  ${number && !isGroup ? ` | <a href="wtai://wp/mc;${esc(number)}" accesskey="9">[9] Call</a>` : ''}
+  ${number && !isGroup ? ` | <a href="wtai://wp/ms;${esc(number)};">[SMS]</a>` : ''}
+</p>
+<p>
+  <a href="/wml/chats.wml" accesskey="0">[0] Back to Chats</a> |
+  <a href="/wml/home.wml" accesskey="*">[*] Home</a>
+</p>`
+  }
+
+  const chatCard = `<card id="chat" title="${esc(truncate(chatName, layout.titleLength))}">
+${body}
+<do type="accept" label="Send">
+  <go href="${send}"/>
+</do>
+<do type="options" label="Refresh">
+  <go href="${chatHref({ ...view, offset })}"/>
+</do>
+</card>`
+  if (!compact) return chatCard
+
+  return `${chatCard}
+<card id="search" title="Search">
+<p>Search:</p>
+<p><input name="searchQuery" title="Search" size="10" maxlength="30"/></p>
+<do type="accept" label="Find">
+  <go href="/wml/chat.wml" method="get">
+    <postfield name="jid" value="${esc(jid)}"/>
+    <postfield name="search" value="$(searchQuery)"/>
+  </go>
+</do>
+<p><a href="#chat">0-Back</a></p>
+</card>`
+}
+
+// Details and download links of one attachment. Converted images are only
+// offered in formats the device shows (imageFormats).
+function mediaInfoCard({ jid, messageId, msg, from, layout = LAYOUTS.full, imageFormats = [] }) {
+  const attachment = msg && attachmentOf(msg)
+  let body
+  if (!msg) {
+    body = `<p><b>Media Not Found</b></p>
+<p>Message may have been deleted</p>
+<p>Please try refreshing the chat</p>`
+  } else if (!attachment) {
+    body = '<p><b>Unknown Media Type</b></p>'
+  } else {
+    const { media } = attachment
+    const file = suffix => `/wml/media/${encodeURIComponent(messageId)}.${suffix}`
+    const conversions = CONVERSIONS[attachment.type]
+      .filter(([, , imageFormat]) => !imageFormat || imageFormats.includes(imageFormat))
+      .map(([label, suffix]) => `<a href="${file(suffix)}">[${label}]</a>`)
+    const original = `<a href="${file(`original.${fileExtension(attachment)}`)}">[Original]</a>`
+    const lines = [
+      `<p><b>${attachment.name}${attachment.type === 'documentMessage' || attachment.type === 'stickerMessage' ? '' : ' Message'}</b></p>`,
+      `<p>From: ${esc(from)}</p>`,
+      media.fileName ? `<p>Name: ${esc(truncate(media.fileName, layout.fileNameLength))}</p>` : '',
+      `<p>Size: ${sizeKb(media)}KB${media.seconds ? ` | Duration: ${media.seconds}s` : ''}</p>`,
+      layout.compact ? '' : `<p>Type: ${esc(media.mimetype || 'unknown')}</p>`,
+      media.caption ? `<p><b>Caption:</b> ${esc(truncate(media.caption, layout.compact ? layout.captionLength : 0))}</p>` : '',
+      conversions.length ? `<p><b>${layout.compact ? 'Download' : 'Mobile Compatible'}:</b></p>\n<p>${conversions.join(' | ')}</p>` : '',
+      `<p><b>${layout.compact ? 'Full' : 'Full Quality'}:</b></p>\n<p>${original}</p>`
+    ]
+    body = lines.filter(Boolean).join('\n')
+  }
+
+  const back = chatHref({ jid })
+  return `<card id="media" title="Media Info">
+${body}
+<p>
+<a href="${back}" accesskey="0">[0] Back to Chat</a> |
+<a href="/wml/chats.wml" accesskey="9">[9] All Chats</a>
+</p>
+<do type="accept" label="Back">
+<go href="${back}"/>
+</do>
+<do type="options" label="Refresh">
+<go href="${mediaInfoHref(jid, messageId)}"/>
+</do>
+</card>`
+}
+
+module.exports = {
+  LAYOUTS,
+  chatHref,
+  conversationCards,
+  layoutFor,
+  mediaInfoCard,
+  pageOf
+}
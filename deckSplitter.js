@@ -0,0 +1,138 @@
+// deckSplitter.js - Splits WML decks over a device's deck size limit into smaller decks and card pages
+const { parseWml } = require('./wbxmlEncoder')
+
+// Card children repeated on every page of a split card
+const CARD_CHROME = new Set(['do', 'onevent'])
+// Attributes that can point at a card of the same deck ("#id")
+const CARD_LINK_ATTRIBUTES = new Set(['href', 'ontimer', 'onpick', 'onenterforward', 'onenterbackward'])
+// Card attributes that only make sense on the first page
+const FIRST_PAGE_ATTRIBUTES = new Set(['id', 'ontimer', 'onenterforward', 'onenterbackward', 'newcontext'])
+
+const escText = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+const escAttribute = s => escText(s).replace(/"/g, '&quot;')
+
+function serialize(node) {
+  if (typeof node === 'string') return escText(node)
+  const attributes = node.attributes.map(([name, value]) => ` ${name}="${escAttribute(value)}"`).join('')
+  if (!node.children.length) return `<${node.name}${attributes}/>`
+  return `<${node.name}${attributes}>${node.children.map(serialize).join('')}</${node.name}>`
+}
+
+const elementsOf = node => node.children.filter(child => typeof child !== 'string')
+const attribute = (node, name) => (node.attributes.find(([n]) => n === name) || [])[1]
+
+// Copy of a tree with "#card" links rewritten by link(id); null keeps the link
+function relink(node, link) {
+  if (typeof node === 'string') return node
+  return {
+    name: node.name,
+    attributes: node.attributes.map(([name, value]) => {
+      if (!CARD_LINK_ATTRIBUTES.has(name) || !value.startsWith('#')) return [name, value]
+      const target = link(value.slice(1))
+      return [name, target === null ? value : target]
+    }),
+    children: node.children.map(child => relink(child, link))
+  }
+}
+
+// A paragraph too big for one page becomes several, cut at <br/>
+function splitParagraph(paragraph, fits) {
+  const lines = [[]]
+  for (const child of paragraph.children) {
+    lines[lines.length - 1].push(child)
+    if (typeof child !== 'string' && child.name === 'br') lines.push([])
+  }
+  const paragraphs = []
+  for (const line of lines.filter(l => l.length)) {
+    const current = paragraphs[paragraphs.length - 1]
+    const grown = current && { ...current, children: [...current.children, ...line] }
+    if (grown && fits(grown)) paragraphs[paragraphs.length - 1] = grown
+    else paragraphs.push({ name: paragraph.name, attributes: paragraph.attributes, children: line })
+  }
+  return paragraphs
+}
+
+// Splits a card into pages linked by a "More" link. fits(card) tells whether
+// a card fits the budget on its own.
+function paginateCard(card, fits, moreLabel) {
+  const id = attribute(card, 'id') || 'card'
+  const events = elementsOf(card).filter(child => child.name === 'onevent')
+  const actions = elementsOf(card).filter(child => child.name === 'do')
+  const timer = elementsOf(card).filter(child => child.name === 'timer')
+  const pageId = n => n === 0 ? id : `${id}-${n + 1}`
+  const title = attribute(card, 'title')
+
+  const page = (n, blocks, last) => ({
+    name: 'card',
+    attributes: [
+      ...(n === 0 ? card.attributes : card.attributes.filter(([name]) => !FIRST_PAGE_ATTRIBUTES.has(name) && name !== 'title')),
+      ...(n === 0 ? [] : [['id', pageId(n)], ...(title !== undefined ? [['title', `${title} (${n + 1})`]] : [])])
+    ],
+    // Card content order: onevent*, timer?, then do and p in any order
+    children: [
+      ...events,
+      ...(n === 0 ? timer : []),
+      ...blocks,
+      ...(last ? [] : [{ name: 'p', attributes: [], children: [{ name: 'a', attributes: [['href', `#${pageId(n + 1)}`]], children: [moreLabel] }] }]),
+      ...actions
+    ]
+  })
+  // Sized as a middle page: with the "More" link, without first-page extras
+  const pageFits = blocks => fits(page(1, blocks, false))
+
+  const blocks = elementsOf(card)
+    .filter(child => !CARD_CHROME.has(child.name) && child.name !== 'timer')
+    .flatMap(child => child.name === 'p' && !pageFits([child])
+      ? splitParagraph(child, p => pageFits([p]))
+      : [child])
+
+  const pages = []
+  for (const block of blocks) {
+    const current = pages[pages.length - 1]
+    if (current && pageFits([...current, block])) current.push(block)
+    else pages.push([block])
+  }
+  if (!pages.length) return [card]
+
+  return pages.map((blocks, n) => page(n, blocks, n === pages.length - 1))
+}
+
+// Returns [wml] when the deck fits in maxBytes as measured by measure(wml),
+// otherwise the decks it was split into. The first is sent as the answer;
+// partHref(n, cardId) is the URL the n-th (0 based) is served at. Cards are
+// moved into separate decks first; cards still too big are cut into pages.
+function splitDeck(wml, { maxBytes, measure, partHref, moreLabel = 'More...' }) {
+  if (!maxBytes || measure(wml) <= maxBytes) return [wml]
+
+  const prolog = wml.slice(0, wml.search(/<wml[\s>]/))
+  const { root } = parseWml(wml)
+  const shared = elementsOf(root).filter(child => child.name !== 'card')
+  const cards = elementsOf(root).filter(child => child.name === 'card')
+
+  // Links to cards outside the deck point at part 99 while sizing, which
+  // is at least as long as the real part number
+  const render = (deckCards, deckOf = () => 99) => {
+    const local = new Set(deckCards.map(card => attribute(card, 'id')))
+    const link = id => local.has(id) || deckOf(id) === undefined ? null : partHref(deckOf(id), id)
+    const deck = { name: 'wml', attributes: root.attributes, children: [...shared, ...deckCards] }
+    return prolog + serialize(relink(deck, link))
+  }
+  const fits = deckCards => measure(render(deckCards)) <= maxBytes
+
+  const pages = cards.flatMap(card => fits([card]) ? [card] : paginateCard(card, c => fits([c]), moreLabel))
+
+  const decks = []
+  for (const card of pages) {
+    const current = decks[decks.length - 1]
+    if (current && fits([...current, card])) current.push(card)
+    else decks.push([card])
+  }
+
+  const deckIndex = new Map()
+  decks.forEach((deckCards, n) => deckCards.forEach(card => deckIndex.set(attribute(card, 'id'), n)))
+  return decks.map(deckCards => render(deckCards, id => deckIndex.get(id)))
+}
+
+module.exports = {
+  splitDeck
+}
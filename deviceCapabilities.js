@@ -0,0 +1,320 @@
+// deviceCapabilities.js - Resolves User-Agent and UAProf (x-wap-profile) headers to deck size, markup, image, charset and screen limits
+const fs = require('fs')
+const path = require('path')
+const dns = require('dns')
+const net = require('net')
+const http = require('http')
+const https = require('https')
+const axios = require('axios')
+
+// Used for anything not recognised. maxDeckBytes is the compiled (WBXML)
+// deck size, or the page size for XHTML-MP and cHTML; 0 means no limit.
+// markup is what the device prefers when Accept does not tell: 'wml',
+// 'xhtml-mp' or 'chtml'.
+const DEFAULT_CAPABILITIES = {
+  name: 'Unknown device',
+  maxDeckBytes: parseInt(process.env.WML_DEFAULT_DECK_BYTES) || 10000,
+  markup: 'wml',
+  wmlVersion: '1.3',
+  imageFormats: ['wbmp', 'gif', 'png', 'jpg'],
+  charset: 'utf-8',
+  screenWidth: 128
+}
+
+// First match wins. Extra entries can be put in <dataDir>/devices.json with
+// the same fields and `match` as a regular expression string; they are
+// checked before these.
+const DEVICES = [
+  { match: /Nokia7110/i, name: 'Nokia 7110', maxDeckBytes: 1397, wmlVersion: '1.1', imageFormats: ['wbmp'], charset: 'iso-8859-1', screenWidth: 96 },
+  { match: /Nokia7210/i, name: 'Nokia 7210', maxDeckBytes: 1400, wmlVersion: '1.3', imageFormats: ['wbmp', 'png', 'gif', 'jpg'], charset: 'iso-8859-1', screenWidth: 128 },
+  { match: /Nokia(3310|3330|3350|3410|5210|5510|6210|6250|6310i?|8310|8910i?)/i, name: 'Nokia WAP 1.1', maxDeckBytes: 2800, wmlVersion: '1.1', imageFormats: ['wbmp'], charset: 'iso-8859-1', screenWidth: 96 },
+  { match: /Nokia(3100|3200|3300|3510i|3595|5100|6100|6108|6220|6610|6800|7250)/i, name: 'Nokia Series 40 (1st edition)', maxDeckBytes: 3500, wmlVersion: '1.3', imageFormats: ['wbmp', 'png', 'gif', 'jpg'], charset: 'iso-8859-1', screenWidth: 128 },
+  { match: /SymbianOS|Series60|S60/i, name: 'Nokia Series 60', maxDeckBytes: 0, wmlVersion: '1.3', imageFormats: ['wbmp', 'png', 'gif', 'jpg'], charset: 'utf-8', screenWidth: 176 },
+  { match: /Series40|Nokia\d{4}/i, name: 'Nokia Series 40', maxDeckBytes: 20000, wmlVersion: '1.3', imageFormats: ['wbmp', 'png', 'gif', 'jpg'], charset: 'utf-8', screenWidth: 128 },
+  { match: /UP\.Browser\/[34]/i, name: 'UP.Browser 3/4', maxDeckBytes: 1492, wmlVersion: '1.1', imageFormats: ['wbmp'], charset: 'iso-8859-1', screenWidth: 96 },
+  { match: /UP\.Browser/i, name: 'Openwave', maxDeckBytes: 8000, wmlVersion: '1.3', imageFormats: ['wbmp', 'png', 'gif', 'jpg'], charset: 'utf-8', screenWidth: 120 },
+  { match: /^SIE-/i, name: 'Siemens', maxDeckBytes: 2000, wmlVersion: '1.1', imageFormats: ['wbmp'], charset: 'iso-8859-1', screenWidth: 101 },
+  { match: /^Ericsson/i, name: 'Ericsson', maxDeckBytes: 3000, wmlVersion: '1.1', imageFormats: ['wbmp'], charset: 'iso-8859-1', screenWidth: 101 },
+  { match: /SonyEricsson/i, name: 'Sony Ericsson', maxDeckBytes: 10000, wmlVersion: '1.3', imageFormats: ['wbmp', 'png', 'gif', 'jpg'], charset: 'utf-8', screenWidth: 128 },
+  { match: /^(SEC-|SAMSUNG)/i, name: 'Samsung', maxDeckBytes: 8000, wmlVersion: '1.3', imageFormats: ['wbmp', 'png', 'gif', 'jpg'], charset: 'utf-8', screenWidth: 128 },
+  { match: /^DoCoMo\//i, name: 'i-mode', maxDeckBytes: 5000, markup: 'chtml', wmlVersion: '1.1', imageFormats: ['gif', 'jpg'], charset: 'shift_jis', screenWidth: 120 },
+  { match: /Opera Mini|Mozilla|Opera/i, name: 'Web browser', maxDeckBytes: 0, markup: 'xhtml-mp', wmlVersion: '1.3', imageFormats: ['wbmp', 'png', 'gif', 'jpg'], charset: 'utf-8', screenWidth: 240 }
+]
+
+// Decks this small, or screens this narrow, get the terse page layouts
+const COMPACT_DECK_BYTES = 4000
+const COMPACT_SCREEN_WIDTH = 101
+
+const IMAGE_TYPES = {
+  'image/vnd.wap.wbmp': 'wbmp',
+  'image/gif': 'gif',
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg'
+}
+
+const PROFILE_HEADERS = ['x-wap-profile', 'profile', 'wap-profile']
+const PROFILE_MAX_BYTES = 256 * 1024
+const PROFILE_TTL_MS = 7 * 24 * 60 * 60 * 1000
+// Unreachable or unreadable profiles are retried after an hour
+const PROFILE_RETRY_MS = 60 * 60 * 1000
+// Any client can name a profile URL, so the cache keeps only the most
+// recently used ones and is written at most this often
+const PROFILE_CACHE_MAX = 500
+const PROFILE_SAVE_DELAY_MS = 10 * 1000
+
+// Profile URLs come from request headers; they must not reach the gateway
+// itself or the network it sits in
+const BLOCKED_ADDRESSES = new net.BlockList()
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4')
+for (const [address, prefix] of [
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6')
+
+function isPublicAddress(address) {
+  const family = net.isIP(address)
+  if (family === 0) return false
+  // IPv4-mapped and NAT64 addresses are judged by the IPv4 address inside
+  const embedded = family === 6 && address.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/i)
+  if (embedded) return isPublicAddress(embedded[1])
+  return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6')
+}
+
+// dns.lookup that refuses to connect to non-public addresses, so redirects
+// and hosts that re-resolve are checked too
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error)
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address))
+    if (blocked) return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`))
+    if (options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+const profileAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+}
+
+// http(s) URLs whose host is a name or a public address; literal addresses
+// never go through the lookup
+function isFetchableUrl(url) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch {
+    return false
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return false
+  const host = parsed.hostname.replace(/^\[|\]$/g, '')
+  return net.isIP(host) ? isPublicAddress(host) : host.includes('.')
+}
+
+// Values of a UAProf (RDF/XML) property, whatever namespace prefix the
+// vendor used: plain values or the rdf:li items of a Bag/Seq
+function profileValues(rdf, property) {
+  const match = rdf.match(new RegExp(`<(?:[\\w-]+:)?${property}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${property}>`))
+  if (!match) return []
+  const items = [...match[1].matchAll(/<(?:[\w-]+:)?li(?:\s[^>]*)?>([^<]*)</g)].map(m => m[1].trim())
+  return items.length ? items : [match[1].trim()]
+}
+
+// The capabilities a UAProf document states; missing ones are left out
+function parseProfile(rdf) {
+  const profile = {}
+  const deckSize = parseInt(profileValues(rdf, 'WmlDeckSize')[0])
+  if (deckSize > 0) profile.maxDeckBytes = deckSize
+
+  const versions = profileValues(rdf, 'WmlVersion')
+    .map(v => (String(v).match(/(\d)\.(\d)/) || []).slice(1).join('.'))
+    .filter(v => ['1.1', '1.2', '1.3'].includes(v))
+    .sort()
+  if (versions.length) profile.wmlVersion = versions[versions.length - 1]
+  else if (profileValues(rdf, 'XhtmlVersion').length) profile.markup = 'xhtml-mp'
+
+  const screen = String(profileValues(rdf, 'ScreenSize')[0] || '').match(/(\d+)\s*x\s*(\d+)/i)
+  if (screen) profile.screenWidth = parseInt(screen[1])
+
+  const formats = [...new Set(profileValues(rdf, 'CcppAccept').map(type => IMAGE_TYPES[type.toLowerCase()]).filter(Boolean))]
+  if (formats.length) profile.imageFormats = formats
+
+  const charsets = profileValues(rdf, 'CcppAccept-Charset').map(c => c.toLowerCase())
+  if (charsets.includes('utf-8')) profile.charset = 'utf-8'
+  else if (charsets.includes('iso-8859-1')) profile.charset = 'iso-8859-1'
+
+  return profile
+}
+
+// "http://nds.nokia.com/uaprof/N7210r100.xml" or the first URL of a
+// profile header with profile-diff references
+function profileUrl(headers) {
+  for (const name of PROFILE_HEADERS) {
+    const value = headers[name]
+    if (!value) continue
+    const match = String(value).match(/https?:\/\/[^\s",]+/i)
+    if (match) return match[0]
+  }
+  return null
+}
+
+class DeviceCapabilities {
+  constructor({
+    dataDir = './data',
+    fetchProfiles = process.env.UAPROF_FETCH !== '0',
+    fetchTimeoutMs = 3000
+  } = {}) {
+    this.devicesFile = path.join(dataDir, 'devices.json')
+    this.cacheFile = path.join(dataDir, 'uaprof-cache.json')
+    this.fetchProfiles = fetchProfiles
+    this.fetchTimeoutMs = fetchTimeoutMs
+
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true })
+    }
+
+    this.devices = [...this.loadDevices(), ...DEVICES]
+    this.profiles = this.loadProfiles()
+    this.inFlight = new Map()
+    this.saveTimer = null
+    this.saving = Promise.resolve()
+  }
+
+  loadDevices() {
+    try {
+      if (fs.existsSync(this.devicesFile)) {
+        return JSON.parse(fs.readFileSync(this.devicesFile, 'utf8')).map(device => ({ ...device, match: new RegExp(device.match, 'i') }))
+      }
+    } catch (error) {
+      console.error(`❌ Error loading ${this.devicesFile}:`, error.message)
+    }
+    return []
+  }
+
+  // Expired entries are dropped; the newest PROFILE_CACHE_MAX are kept
+  loadProfiles() {
+    try {
+      if (fs.existsSync(this.cacheFile)) {
+        const entries = Object.entries(JSON.parse(fs.readFileSync(this.cacheFile, 'utf8')))
+          .filter(([, entry]) => Date.now() - new Date(entry.fetchedAt).getTime() < PROFILE_TTL_MS)
+          .sort(([, a], [, b]) => new Date(a.fetchedAt) - new Date(b.fetchedAt))
+        return new Map(entries.slice(-PROFILE_CACHE_MAX))
+      }
+    } catch (error) {
+      console.error(`❌ Error loading UAProf cache:`, error.message)
+    }
+    return new Map()
+  }
+
+  async saveProfiles() {
+    const tempFile = `${this.cacheFile}.tmp`
+    await fs.promises.writeFile(tempFile, JSON.stringify(Object.fromEntries(this.profiles), null, 2))
+    await fs.promises.rename(tempFile, this.cacheFile)
+  }
+
+  // A burst of new profiles costs one write; writes never overlap
+  scheduleSave() {
+    if (this.saveTimer) return
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null
+      this.saving = this.saving
+        .then(() => this.saveProfiles())
+        .catch(error => console.error(`❌ Error saving UAProf cache:`, error.message))
+    }, PROFILE_SAVE_DELAY_MS)
+    this.saveTimer.unref()
+  }
+
+  // Least recently used profiles go first once the cache is full
+  rememberProfile(url, entry) {
+    this.profiles.delete(url)
+    this.profiles.set(url, entry)
+    while (this.profiles.size > PROFILE_CACHE_MAX) {
+      this.profiles.delete(this.profiles.keys().next().value)
+    }
+    this.scheduleSave()
+  }
+
+  // =================== LOOKUP ===================
+
+  fromUserAgent(userAgent = '') {
+    const device = this.devices.find(d => d.match.test(userAgent))
+    if (!device) return null
+    const { match, ...capabilities } = device
+    return capabilities
+  }
+
+  // Cached profile, fetched once per URL unless fetch is false; null when
+  // unavailable or when the URL points at a non-public host
+  async profile(url, { fetch = true } = {}) {
+    const cached = this.profiles.get(url)
+    const age = cached ? Date.now() - new Date(cached.fetchedAt).getTime() : Infinity
+    if (cached && age < (cached.capabilities ? PROFILE_TTL_MS : PROFILE_RETRY_MS)) {
+      this.profiles.delete(url)
+      this.profiles.set(url, cached)
+      return cached.capabilities
+    }
+    if (!this.fetchProfiles || !fetch || !isFetchableUrl(url)) return null
+
+    if (!this.inFlight.has(url)) {
+      const job = axios.get(url, {
+        ...profileAgents,
+        timeout: this.fetchTimeoutMs,
+        maxContentLength: PROFILE_MAX_BYTES,
+        maxRedirects: 2,
+        beforeRedirect: options => {
+          if (!isFetchableUrl(options.href)) throw new Error(`redirect to ${options.href} refused`)
+        },
+        responseType: 'text'
+      })
+        .then(response => {
+          const capabilities = parseProfile(String(response.data))
+          return Object.keys(capabilities).length ? capabilities : null
+        })
+        .catch(error => {
+          console.warn(`⚠️ UAProf ${url} unavailable: ${error.message}`)
+          return null
+        })
+        .then(capabilities => {
+          this.rememberProfile(url, { fetchedAt: new Date().toISOString(), capabilities })
+          this.inFlight.delete(url)
+          return capabilities
+        })
+      this.inFlight.set(url, job)
+    }
+    return this.inFlight.get(url)
+  }
+
+  // Capabilities for a request's headers: the UAProf document when the
+  // device sends one, then the device database, then the Accept header.
+  // fetchProfile: false only uses profiles already cached.
+  async resolve(headers = {}, { fetchProfile = true } = {}) {
+    const userAgent = String(headers['user-agent'] || '')
+    const known = this.fromUserAgent(userAgent)
+    const url = profileUrl(headers)
+    const profile = url ? await this.profile(url, { fetch: fetchProfile }) : null
+
+    const capabilities = { ...DEFAULT_CAPABILITIES, ...known, ...profile }
+    capabilities.source = profile ? 'uaprof' : known ? 'database' : 'default'
+
+    if (!known && !profile) {
+      const accepted = String(headers.accept || '').split(',').map(type => IMAGE_TYPES[type.split(';')[0].trim().toLowerCase()]).filter(Boolean)
+      if (accepted.length) capabilities.imageFormats = [...new Set(accepted)]
+    }
+
+    capabilities.compact = (capabilities.maxDeckBytes > 0 && capabilities.maxDeckBytes <= COMPACT_DECK_BYTES) ||
+      capabilities.screenWidth <= COMPACT_SCREEN_WIDTH
+    return capabilities
+  }
+
+  fallback() {
+    return { ...DEFAULT_CAPABILITIES, source: 'default', compact: false }
+  }
+}
+
+DeviceCapabilities.parseProfile = parseProfile
+DeviceCapabilities.profileUrl = profileUrl
+
+module.exports = DeviceCapabilities
@@ -0,0 +1,383 @@
+// markupRenderer.js - Renders the WML decks built by the routes as WML 1.1, WML 1.3, XHTML Mobile Profile or cHTML
+const { parseWml } = require('./wbxmlEncoder')
+
+const FORMATS = {
+  'wml1.1': {
+    contentType: 'text/vnd.wap.wml',
+    doctype: '<!DOCTYPE wml PUBLIC "-//WAPFORUM//DTD WML 1.1//EN" "http://www.wapforum.org/DTD/wml_1.1.xml">'
+  },
+  'wml1.3': {
+    contentType: 'text/vnd.wap.wml',
+    doctype: '<!DOCTYPE wml PUBLIC "-//WAPFORUM//DTD WML 1.3//EN" "http://www.wapforum.org/DTD/wml13.dtd">'
+  },
+  'xhtml-mp': {
+    contentType: 'application/vnd.wap.xhtml+xml',
+    doctype: '<!DOCTYPE html PUBLIC "-//WAPFORUM//DTD XHTML Mobile 1.0//EN" "http://www.wapforum.org/DTD/xhtml-mobile10.dtd">'
+  },
+  'chtml': {
+    contentType: 'text/html',
+    doctype: '<!DOCTYPE HTML PUBLIC "-//W3C//DTD Compact HTML 1.0 Draft//EN">'
+  }
+}
+
+// Media types a client can list in Accept, by the markup they stand for
+const ACCEPT_TYPES = {
+  'text/vnd.wap.wml': 'wml',
+  'application/vnd.wap.wmlc': 'wml',
+  'application/vnd.wap.xhtml+xml': 'xhtml-mp',
+  'application/xhtml+xml': 'xhtml-mp',
+  'text/html': 'chtml'
+}
+// Markups the client rates the same are picked in this order
+const MARKUP_ORDER = ['wml', 'xhtml-mp', 'chtml']
+
+// Added in WML 1.2/1.3, dropped for WML 1.1 devices
+const WML12_ATTRIBUTES = new Set(['accesskey', 'enctype', 'cache-control', 'xml:space'])
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'input', 'meta'])
+const TASKS = new Set(['go', 'prev', 'refresh', 'noop'])
+const DEFAULT_LABELS = { accept: 'OK', options: 'Options', delete: 'Delete', help: 'Help', reset: 'Reset' }
+
+// "$$", "$(name)", "$(name:conversion)" and "$name"
+const VARIABLE = /\$\$|\$\(([A-Za-z_]\w*)(?::\w+)?\)|\$([A-Za-z_]\w*)/g
+
+const escText = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+const escAttribute = s => escText(s).replace(/"/g, '&quot;')
+
+const el = (name, attributes = [], children = []) => ({ name, attributes, children })
+const elementsOf = node => node.children.filter(child => typeof child !== 'string')
+const descendants = node => elementsOf(node).flatMap(child => [child, ...descendants(child)])
+const attribute = (node, name) => (node.attributes.find(([n]) => n === name) || [])[1]
+
+// WML: every empty element is closed in place. XHTML: only void elements.
+// cHTML: void elements have no end tag.
+function serialize(node, format) {
+  if (typeof node === 'string') return escText(node)
+  const attributes = node.attributes.map(([name, value]) => ` ${name}="${escAttribute(value)}"`).join('')
+  const children = node.children.map(child => serialize(child, format)).join('')
+  if (format === 'chtml' && VOID_ELEMENTS.has(node.name)) return `<${node.name}${attributes}>`
+  if (!children && (format.startsWith('wml') || VOID_ELEMENTS.has(node.name))) return `<${node.name}${attributes}/>`
+  return `<${node.name}${attributes}>${children}</${node.name}>`
+}
+
+// =================== NEGOTIATION ===================
+
+function acceptedTypes(accept = '') {
+  const types = new Map()
+  for (const entry of String(accept).split(',')) {
+    const [type, ...params] = entry.split(';').map(s => s.trim().toLowerCase())
+    if (!ACCEPT_TYPES[type]) continue
+    const q = params.find(p => p.startsWith('q='))
+    types.set(type, q ? parseFloat(q.slice(2)) || 0 : 1)
+  }
+  return types
+}
+
+// The format for a request: the markup the client rates highest in Accept,
+// or the device's own markup on a tie or when Accept only has wildcards.
+// WML is sent in the version the device supports.
+function negotiateFormat(headers = {}, device = {}) {
+  const accepted = acceptedTypes(headers.accept)
+  const quality = markup => Math.max(0, ...[...accepted].filter(([type]) => ACCEPT_TYPES[type] === markup).map(([, q]) => q))
+  const preferred = device.markup || 'wml'
+  const ranked = MARKUP_ORDER.filter(markup => quality(markup) > 0).sort((a, b) => quality(b) - quality(a))
+  const markup = !ranked.length || quality(preferred) === quality(ranked[0]) ? preferred : ranked[0]
+
+  if (markup === 'wml') {
+    const format = device.wmlVersion === '1.1' ? 'wml1.1' : 'wml1.3'
+    return { format, contentType: FORMATS[format].contentType }
+  }
+  // Desktop browsers only know the generic XHTML type
+  if (markup === 'xhtml-mp' && accepted.has('application/xhtml+xml') && !accepted.has('application/vnd.wap.xhtml+xml')) {
+    return { format: markup, contentType: 'application/xhtml+xml' }
+  }
+  return { format: markup, contentType: FORMATS[markup].contentType }
+}
+
+// =================== WML 1.1 ===================
+
+function downgradeWml(node) {
+  if (typeof node === 'string') return node
+  if (node.name === 'pre') return el('p', [['mode', 'nowrap']], node.children.map(downgradeWml))
+  return el(node.name, node.attributes.filter(([name]) => !WML12_ATTRIBUTES.has(name)), node.children.map(downgradeWml))
+}
+
+// =================== XHTML-MP / cHTML ===================
+
+// Name of the variable when the whole value is one reference, else null
+function soleVariable(value) {
+  const match = String(value).match(/^\$(?:\(([A-Za-z_]\w*)(?::\w+)?\)|([A-Za-z_]\w*))$/)
+  return match ? match[1] || match[2] : null
+}
+
+// Variables are replaced by the initial value of the card's field
+function substitute(value, vars) {
+  return String(value).replace(VARIABLE, (match, wrapped, bare) => match === '$$' ? '$' : vars.get(wrapped || bare) ?? '')
+}
+
+function usesVariables(go) {
+  const values = [attribute(go, 'href') || '', ...elementsOf(go).filter(c => c.name === 'postfield').map(pf => attribute(pf, 'value') || '')]
+  return values.some(value => [...value.matchAll(VARIABLE)].some(match => match[0] !== '$$'))
+}
+
+const taskOf = action => elementsOf(action).find(child => TASKS.has(child.name))
+const labelOf = action => attribute(action, 'label') || DEFAULT_LABELS[attribute(action, 'type')] || attribute(action, 'type') || 'Go'
+
+function decodeParam(s) {
+  try {
+    return decodeURIComponent(s.replace(/\+/g, ' '))
+  } catch {
+    return s
+  }
+}
+
+// A <go> as an HTML form. Postfields holding just a card variable rename
+// that field (renames: variable -> field name); the others, and the query
+// of GET actions (which browsers replace with the fields), become hidden
+// inputs. A variable href goes through goHref with the URL as "href".
+function formOf(go, vars, goHref) {
+  const method = String(attribute(go, 'method') || 'get').toLowerCase() === 'post' ? 'post' : 'get'
+  let action = (attribute(go, 'href') || '').split('#')[0]
+  const fields = elementsOf(go)
+    .filter(child => child.name === 'postfield')
+    .map(pf => [attribute(pf, 'name'), attribute(pf, 'value') || ''])
+  if (soleVariable(action)) {
+    fields.unshift(['href', action])
+    action = goHref
+  }
+  if (method === 'get' && action.includes('?')) {
+    const query = action.slice(action.indexOf('?') + 1)
+    action = action.slice(0, action.indexOf('?'))
+    fields.unshift(...query.split('&').filter(Boolean).map(pair => {
+      const [name, value = ''] = pair.split('=')
+      return [decodeParam(name), decodeParam(value)]
+    }))
+  }
+
+  const renames = new Map()
+  const hidden = []
+  for (const [name, value] of fields) {
+    const variable = soleVariable(value)
+    if (variable && vars.has(variable) && !renames.has(variable)) renames.set(variable, name)
+    else hidden.push(el('input', [['type', 'hidden'], ['name', name], ['value', substitute(value, vars)]]))
+  }
+  return { action: substitute(action, vars), method, renames, hidden }
+}
+
+function link(href, accesskey, children) {
+  if (!href) return children
+  return [el('a', [['href', href], ...(accesskey ? [['accesskey', accesskey]] : [])], children)]
+}
+
+function input(node, ctx) {
+  const name = attribute(node, 'name')
+  const type = ['password', 'checkbox'].includes(attribute(node, 'type')) ? attribute(node, 'type') : 'text'
+  const attributes = [['type', type]]
+  if (name) attributes.push(['name', ctx.renames.get(name) || name])
+  if (attribute(node, 'value') !== undefined) attributes.push(['value', substitute(attribute(node, 'value'), ctx.vars)])
+  if (type === 'checkbox') {
+    if (attribute(node, 'checked') === 'true') attributes.push(['checked', 'checked'])
+  } else {
+    for (const size of ['size', 'maxlength']) {
+      if (attribute(node, size)) attributes.push([size, attribute(node, size)])
+    }
+    // WML input masks: a WCSS property on XHTML-MP, the numeric input
+    // mode on i-mode
+    const format = attribute(node, 'format')
+    if (format && !ctx.chtml) attributes.push(['style', `-wap-input-format:"${format}"`])
+    if (format && ctx.chtml && /^(?:\*|\d+)?N$|^N+$/i.test(format)) attributes.push(['istyle', '4'])
+  }
+  return el('input', attributes)
+}
+
+function select(node, ctx) {
+  const name = attribute(node, 'name')
+  const current = name ? ctx.vars.get(name) : undefined
+  const option = child => {
+    const value = attribute(child, 'value') || ''
+    const attributes = [['value', value], ...(current && value === current ? [['selected', 'selected']] : [])]
+    return el('option', attributes, convertChildren(child.children, ctx))
+  }
+  const options = elementsOf(node).flatMap(child => {
+    if (child.name === 'option') return [option(child)]
+    if (child.name !== 'optgroup') return []
+    const grouped = elementsOf(child).filter(c => c.name === 'option').map(option)
+    return ctx.chtml ? grouped : [el('optgroup', [['label', attribute(child, 'title') || '']], grouped)]
+  })
+  const attributes = [
+    ...(name ? [['name', ctx.renames.get(name) || name]] : []),
+    ...(attribute(node, 'multiple') === 'true' ? [['multiple', 'multiple']] : [])
+  ]
+  return el('select', attributes, options)
+}
+
+function convertChildren(nodes, ctx) {
+  return nodes.flatMap(node => convert(node, ctx))
+}
+
+function convert(node, ctx) {
+  if (typeof node === 'string') return [substitute(node, ctx.vars)]
+  const children = () => convertChildren(node.children, ctx)
+  switch (node.name) {
+    case 'p':
+    case 'pre':
+      return [el(node.name, [], children())]
+    case 'br':
+      return [el('br')]
+    case 'b':
+    case 'i':
+    case 'em':
+    case 'strong':
+    case 'big':
+    case 'small':
+      // cHTML has no font style elements
+      return ctx.chtml ? children() : [el(node.name, [], children())]
+    case 'u':
+      return ctx.chtml ? children() : [el('span', [['style', 'text-decoration:underline']], children())]
+    case 'a':
+      return link(substitute(attribute(node, 'href') || '', ctx.vars), attribute(node, 'accesskey'), children())
+    case 'anchor': {
+      const task = taskOf(node)
+      const label = convertChildren(node.children.filter(child => typeof child === 'string' || !TASKS.has(child.name)), ctx)
+      return task && task.name === 'go' ? link(substitute(attribute(task, 'href') || '', ctx.vars), attribute(node, 'accesskey'), label) : label
+    }
+    case 'img':
+      return [el('img', [
+        ['src', substitute(attribute(node, 'src') || '', ctx.vars)],
+        ['alt', attribute(node, 'alt') || ''],
+        ...['width', 'height'].filter(a => attribute(node, a)).map(a => [a, attribute(node, a)])
+      ])]
+    case 'input':
+      return [input(node, ctx)]
+    case 'select':
+      return [select(node, ctx)]
+    case 'fieldset':
+      return ctx.chtml ? children() : [el('fieldset', [], children())]
+    // cHTML has no tables: one line per row
+    case 'table':
+      return ctx.chtml ? children() : [el('table', [], children())]
+    case 'tr':
+      return ctx.chtml ? [...children(), el('br')] : [el('tr', [], children())]
+    case 'td':
+      return ctx.chtml ? [...children(), ' '] : [el('td', [], children())]
+    // Actions are rendered by renderCard; the rest has no HTML counterpart
+    case 'do':
+    case 'onevent':
+    case 'timer':
+    case 'setvar':
+    case 'postfield':
+    case 'go':
+    case 'prev':
+    case 'refresh':
+    case 'noop':
+      return []
+    default:
+      return children()
+  }
+}
+
+// A card's <do> elements become a form around the card when they submit
+// its fields (the accept one first), and links or one-button forms after
+// it otherwise. Back (prev) is left to the browser's own key.
+function renderCard(card, n, { chtml, goHref, templateActions }) {
+  const nodes = descendants(card)
+  const fields = nodes.filter(node => (node.name === 'input' || node.name === 'select') && attribute(node, 'name'))
+  const vars = new Map(fields.map(field => [attribute(field, 'name'), attribute(field, 'value') || '']))
+  const own = nodes.filter(node => node.name === 'do')
+  const nameOf = action => attribute(action, 'name') || attribute(action, 'type')
+  const actions = [...own, ...templateActions.filter(t => !own.some(action => nameOf(action) === nameOf(t)))]
+    .filter(action => taskOf(action)?.name === 'go')
+
+  const ctx = { chtml, vars, renames: new Map() }
+  const submitting = fields.length ? actions.filter(action => usesVariables(taskOf(action))) : []
+  const main = submitting.find(action => attribute(action, 'type') === 'accept') || submitting[0]
+
+  let content
+  if (main) {
+    const form = formOf(taskOf(main), vars, goHref)
+    ctx.renames = form.renames
+    content = [el('form', [['action', form.action], ['method', form.method]], [el('div', [], [
+      ...convertChildren(card.children, ctx),
+      ...form.hidden,
+      el('input', [['type', 'submit'], ['value', labelOf(main)]])
+    ])])]
+  } else {
+    content = convertChildren(card.children, ctx)
+  }
+
+  // Plain links share a line; actions sending fields get a button each.
+  // Other actions that would need the card's fields cannot be offered.
+  const links = []
+  const buttons = []
+  for (const action of actions.filter(action => action !== main && !usesVariables(taskOf(action)))) {
+    const go = taskOf(action)
+    if (!elementsOf(go).some(child => child.name === 'postfield') && String(attribute(go, 'method')).toLowerCase() !== 'post') {
+      links.push(...link(attribute(go, 'href'), null, [labelOf(action)]))
+      continue
+    }
+    const form = formOf(go, vars, goHref)
+    buttons.push(el('form', [['action', form.action], ['method', form.method]], [el('div', [], [
+      ...form.hidden,
+      el('input', [['type', 'submit'], ['value', labelOf(action)]])
+    ])]))
+  }
+  const softkeyBar = [
+    ...(links.length ? [el('p', [], links.flatMap((key, i) => i ? [' | ', key] : [key]))] : []),
+    ...buttons
+  ]
+
+  const id = attribute(card, 'id')
+  const title = n > 0 && attribute(card, 'title') ? [el('h2', [], [attribute(card, 'title')])] : []
+  if (chtml) return [...(id ? [el('a', [['name', id]])] : []), ...title, ...content, ...softkeyBar]
+  return [el('div', id ? [['id', id]] : [], [...title, ...content, ...softkeyBar])]
+}
+
+function renderHtml(root, format, { charset, goHref }) {
+  const chtml = format === 'chtml'
+  const sections = elementsOf(root)
+  const head = sections.find(node => node.name === 'head')
+  const template = sections.find(node => node.name === 'template')
+  const cards = sections.filter(node => node.name === 'card')
+  const first = cards[0]
+
+  const meta = (head ? elementsOf(head) : [])
+    .filter(node => node.name === 'meta' && attribute(node, 'http-equiv'))
+    .map(node => el('meta', [['http-equiv', attribute(node, 'http-equiv')], ['content', attribute(node, 'content') || '']]))
+  if (chtml) meta.unshift(el('meta', [['http-equiv', 'Content-Type'], ['content', `text/html; charset=${charset}`]]))
+  // The first card's timer becomes a refresh; timer values are in tenths of a second
+  const timer = first && descendants(first).find(node => node.name === 'timer')
+  if (timer && attribute(first, 'ontimer')) {
+    const seconds = Math.max(1, Math.round(parseInt(attribute(timer, 'value')) / 10) || 0)
+    meta.push(el('meta', [['http-equiv', 'refresh'], ['content', `${seconds};url=${attribute(first, 'ontimer')}`]]))
+  }
+
+  const options = { chtml, goHref, templateActions: template ? elementsOf(template).filter(node => node.name === 'do') : [] }
+  const body = cards.flatMap((card, n) => [...(n ? [el('hr')] : []), ...renderCard(card, n, options)])
+  const html = el('html', chtml ? [] : [['xmlns', 'http://www.w3.org/1999/xhtml']], [
+    el('head', [], [el('title', [], [first && attribute(first, 'title') || '']), ...meta]),
+    el('body', [], body)
+  ])
+  const prolog = chtml ? FORMATS.chtml.doctype : `<?xml version="1.0" encoding="${charset.toUpperCase()}"?>\n${FORMATS[format].doctype}`
+  return `${prolog}\n${serialize(html, format)}`
+}
+
+// Renders a deck in one of FORMATS. WML 1.3 decks are sent as built; the
+// XML declaration always names `charset`. goHref is the route that
+// redirects to the URL in its "href" parameter, for forms whose WML href
+// was a variable.
+function renderDeck(wml, format, { charset = 'utf-8', goHref = '/wml/go.wml' } = {}) {
+  if (!FORMATS[format]) throw new Error(`Unknown format: ${format}`)
+  const declaration = `<?xml version="1.0" encoding="${charset.toUpperCase()}"?>`
+  if (format === 'wml1.3') {
+    return /^<\?xml[^?]*\?>/.test(wml) ? wml.replace(/^<\?xml[^?]*\?>/, declaration) : `${declaration}\n${wml}`
+  }
+  const { root } = parseWml(wml)
+  if (format === 'wml1.1') return `${declaration}\n${FORMATS[format].doctype}\n${serialize(downgradeWml(root), format)}`
+  return renderHtml(root, format, { charset, goHref })
+}
+
+module.exports = {
+  FORMATS,
+  negotiateFormat,
+  renderDeck
+}
@@ -0,0 +1,218 @@
+// mediaTranscoder.js - ffmpeg based transcoding of WhatsApp media for old handsets
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawn } = require('child_process')
+
+// ffmpeg output settings per target format. 3GP uses H.263 at QCIF
+// (176x144, the only size most Series 40 phones decode) with AMR-NB audio.
+const PROFILES = {
+  '3gp': {
+    kind: 'video',
+    mimeType: 'video/3gpp',
+    args: [
+      '-vf', 'scale=176:144:force_original_aspect_ratio=decrease,pad=176:144:(ow-iw)/2:(oh-ih)/2',
+      '-r', '12', '-c:v', 'h263', '-b:v', '64k',
+      '-c:a', 'libopencore_amrnb', '-ar', '8000', '-ac', '1', '-b:a', '12.2k',
+      '-f', '3gp'
+    ]
+  },
+  avi: {
+    kind: 'video',
+    mimeType: 'video/x-msvideo',
+    args: [
+      '-vf', 'scale=176:144:force_original_aspect_ratio=decrease,pad=176:144:(ow-iw)/2:(oh-ih)/2',
+      '-r', '12', '-c:v', 'mpeg4', '-vtag', 'XVID', '-b:v', '96k',
+      '-c:a', 'libmp3lame', '-ar', '22050', '-ac', '1', '-b:a', '32k',
+      '-f', 'avi'
+    ]
+  },
+  amr: {
+    kind: 'audio',
+    mimeType: 'audio/amr',
+    args: ['-vn', '-c:a', 'libopencore_amrnb', '-ar', '8000', '-ac', '1', '-b:a', '12.2k', '-f', 'amr']
+  },
+  mp3: {
+    kind: 'audio',
+    mimeType: 'audio/mpeg',
+    args: ['-vn', '-c:a', 'libmp3lame', '-ar', '22050', '-ac', '1', '-b:a', '48k', '-f', 'mp3']
+  },
+  wav: {
+    kind: 'audio',
+    mimeType: 'audio/wav',
+    args: ['-vn', '-c:a', 'pcm_s16le', '-ar', '8000', '-ac', '1', '-f', 'wav']
+  }
+}
+
+const MB = 1024 * 1024
+
+class MediaTranscoder {
+  constructor({
+    cacheDir = './data/media-cache',
+    ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg',
+    maxInputBytes = (parseInt(process.env.TRANSCODE_MAX_INPUT_MB) || 16) * MB,
+    maxOutputBytes = (parseInt(process.env.TRANSCODE_MAX_OUTPUT_MB) || 1) * MB,
+    maxDuration = parseInt(process.env.TRANSCODE_MAX_SECONDS) || 120,
+    maxCacheBytes = (parseInt(process.env.TRANSCODE_CACHE_MB) || 200) * MB,
+    timeoutMs = 120000
+  } = {}) {
+    this.cacheDir = cacheDir
+    this.ffmpegPath = ffmpegPath
+    this.maxInputBytes = maxInputBytes
+    this.maxOutputBytes = maxOutputBytes
+    this.maxDuration = maxDuration
+    this.maxCacheBytes = maxCacheBytes
+    this.timeoutMs = timeoutMs
+
+    if (!fs.existsSync(cacheDir)) {
+      fs.mkdirSync(cacheDir, { recursive: true })
+    }
+
+    // One ffmpeg process at a time; identical requests share the same job
+    this.queue = Promise.resolve()
+    this.inFlight = new Map()
+  }
+
+  // Whether a message of this kind ('video' | 'audio') can be converted to format
+  supports(kind, format) {
+    const profile = PROFILES[format]
+    if (!profile) return false
+    return profile.kind === kind || (kind === 'video' && profile.kind === 'audio')
+  }
+
+  mimeTypeFor(format) {
+    return PROFILES[format]?.mimeType || 'application/octet-stream'
+  }
+
+  cachePath(messageId, format) {
+    const safeId = String(messageId).replace(/[^A-Za-z0-9_-]/g, '_')
+    return path.join(this.cacheDir, `${safeId}.${format}`)
+  }
+
+  // Returns the transcoded bytes, from the disk cache when available.
+  // loadInput is only called on a cache miss and must resolve to a Buffer.
+  async transcode(messageId, format, loadInput) {
+    if (!PROFILES[format]) {
+      throw new Error(`Unsupported format: ${format}`)
+    }
+
+    const cached = this.cachePath(messageId, format)
+    if (fs.existsSync(cached)) {
+      const now = new Date()
+      fs.utimesSync(cached, now, now)
+      return fs.promises.readFile(cached)
+    }
+
+    const key = `${messageId}.${format}`
+    if (this.inFlight.has(key)) return this.inFlight.get(key)
+
+    const job = this.queue.then(async () => {
+      const input = await loadInput()
+      if (!input || input.length === 0) {
+        throw new Error('No media data to transcode')
+      }
+      if (input.length > this.maxInputBytes) {
+        throw tooLarge(`Source media exceeds ${Math.round(this.maxInputBytes / MB)} MB`)
+      }
+
+      const output = await this.runFfmpeg(input, format)
+      if (output.length > this.maxOutputBytes) {
+        throw tooLarge(`Transcoded ${format} exceeds ${Math.round(this.maxOutputBytes / 1024)} KB`)
+      }
+
+      const tempFile = `${cached}.tmp`
+      await fs.promises.writeFile(tempFile, output)
+      await fs.promises.rename(tempFile, cached)
+      console.log(`🎞️ Transcoded ${messageId} to ${format} (${output.length} bytes)`)
+
+      this.pruneCache()
+      return output
+    })
+
+    // Keep the queue alive even when a job fails
+    this.queue = job.catch(() => {})
+    this.inFlight.set(key, job)
+    try {
+      return await job
+    } finally {
+      this.inFlight.delete(key)
+    }
+  }
+
+  async runFfmpeg(input, format) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wa-transcode-'))
+    const inFile = path.join(workDir, 'input')
+    const outFile = path.join(workDir, `output.${format}`)
+
+    try {
+      await fs.promises.writeFile(inFile, input)
+
+      const args = [
+        '-hide_banner', '-loglevel', 'error', '-y',
+        '-i', inFile,
+        '-t', String(this.maxDuration),
+        ...PROFILES[format].args,
+        outFile
+      ]
+
+      await new Promise((resolve, reject) => {
+        const proc = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] })
+        let stderr = ''
+        const timer = setTimeout(() => {
+          proc.kill('SIGKILL')
+          reject(new Error(`ffmpeg timed out after ${this.timeoutMs / 1000}s`))
+        }, this.timeoutMs)
+
+        proc.stderr.on('data', chunk => {
+          stderr = (stderr + chunk).slice(-2000)
+        })
+        proc.on('error', error => {
+          clearTimeout(timer)
+          reject(error.code === 'ENOENT'
+            ? new Error(`ffmpeg not found at "${this.ffmpegPath}"`)
+            : error)
+        })
+        proc.on('close', code => {
+          clearTimeout(timer)
+          if (code === 0) resolve()
+          else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`))
+        })
+      })
+
+      return await fs.promises.readFile(outFile)
+    } finally {
+      fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {})
+    }
+  }
+
+  // Remove least recently used files once the cache grows past maxCacheBytes
+  pruneCache() {
+    try {
+      const files = fs.readdirSync(this.cacheDir)
+        .filter(name => !name.endsWith('.tmp'))
+        .map(name => {
+          const file = path.join(this.cacheDir, name)
+          const stat = fs.statSync(file)
+          return { file, size: stat.size, mtime: stat.mtimeMs }
+        })
+        .sort((a, b) => a.mtime - b.mtime)
+
+      let total = files.reduce((sum, f) => sum + f.size, 0)
+      for (const f of files) {
+        if (total <= this.maxCacheBytes) break
+        fs.unlinkSync(f.file)
+        total -= f.size
+      }
+    } catch (error) {
+      console.error(`❌ Error pruning media cache:`, error.message)
+    }
+  }
+}
+
+function tooLarge(message) {
+  const error = new Error(message)
+  error.code = 'MEDIA_TOO_LARGE'
+  return error
+}
+
+module.exports = MediaTranscoder
@@ -0,0 +1,242 @@
+// messageScheduler.js - Persistent queue of messages to send at a later time
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+// What happens to jobs that fell due while the gateway was down:
+//   send  - send them late
+//   skip  - drop them
+//   grace - send them if they are at most graceMinutes late, otherwise drop them
+const MISSED_POLICIES = ['send', 'skip', 'grace']
+
+const MAX_FINISHED = 100
+
+// Accepts "HH:MM" (next occurrence), "+90" / "+2h" / "+1d" (relative),
+// "YYYY-MM-DD HH:MM", an ISO date or epoch milliseconds.
+// Returns a Date, or null for an empty value.
+function parseSendAt(value, now = new Date()) {
+  if (value === undefined || value === null || String(value).trim() === '') return null
+  const text = String(value).trim()
+  let date
+
+  const relative = text.match(/^\+(\d+)\s*([mhd]?)$/i)
+  const clock = text.match(/^(\d{1,2})[:.](\d{2})$/)
+  if (relative) {
+    const unit = { '': 60000, m: 60000, h: 3600000, d: 86400000 }[relative[2].toLowerCase()]
+    date = new Date(now.getTime() + parseInt(relative[1]) * unit)
+  } else if (clock) {
+    date = new Date(now)
+    date.setHours(parseInt(clock[1]), parseInt(clock[2]), 0, 0)
+    if (date <= now) date.setDate(date.getDate() + 1)
+  } else if (/^\d{11,}$/.test(text)) {
+    date = new Date(parseInt(text))
+  } else {
+    // "2025-01-31 18:30" is read as local time
+    date = new Date(text.replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, '$1T$2'))
+  }
+
+  if (isNaN(date.getTime()) || (clock && (parseInt(clock[1]) > 23 || parseInt(clock[2]) > 59))) {
+    throw new Error('Send time must be HH:MM, +minutes or YYYY-MM-DD HH:MM')
+  }
+  if (date.getTime() < now.getTime() - 60000) {
+    throw new Error('Send time is in the past')
+  }
+  return date
+}
+
+class MessageScheduler {
+  // send(job) performs the send and resolves to the sendMessage() result;
+  // canSend(job) tells whether the job's account is connected right now
+  constructor({
+    dataDir = './data',
+    send,
+    canSend = () => true,
+    missedPolicy = process.env.SCHEDULE_MISSED_POLICY || 'grace',
+    graceMinutes = parseInt(process.env.SCHEDULE_GRACE_MINUTES) || 60,
+    maxAttempts = 3,
+    tickMs = 15000
+  } = {}) {
+    if (!MISSED_POLICIES.includes(missedPolicy)) {
+      throw new Error(`SCHEDULE_MISSED_POLICY must be one of ${MISSED_POLICIES.join(', ')}`)
+    }
+    this.file = path.join(dataDir, 'scheduled.json')
+    this.send = send
+    this.canSend = canSend
+    this.missedPolicy = missedPolicy
+    this.graceMs = graceMinutes * 60 * 1000
+    this.maxAttempts = maxAttempts
+    // Jobs due before this moment were missed while the gateway was down
+    this.startedAt = Date.now()
+    this.running = false
+
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true })
+    }
+    this.jobs = this.load()
+
+    this.timer = setInterval(() => this.tick(), tickMs)
+    this.timer.unref()
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'))
+      }
+    } catch (error) {
+      console.error(`❌ Error loading scheduled messages:`, error.message)
+    }
+    return []
+  }
+
+  save() {
+    const tempFile = `${this.file}.tmp`
+    fs.writeFileSync(tempFile, JSON.stringify(this.jobs, null, 2))
+    fs.renameSync(tempFile, this.file)
+  }
+
+  // =================== JOBS ===================
+
+  schedule({ account, to, type = 'text', params = {}, sendAt }) {
+    if (!String(to || '').trim()) throw new Error('Recipient is required')
+    const date = sendAt instanceof Date ? sendAt : parseSendAt(sendAt)
+    if (!date) throw new Error('Send time is required')
+
+    const job = {
+      id: crypto.randomBytes(4).toString('hex'),
+      account,
+      to: String(to).trim(),
+      type,
+      params,
+      sendAt: date.toISOString(),
+      status: 'pending',
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      sentAt: null,
+      messageId: null,
+      error: null
+    }
+    this.jobs.push(job)
+    this.save()
+    console.log(`⏰ Scheduled ${type} to ${job.to} for ${job.sendAt}`)
+    return job
+  }
+
+  // Only pending jobs can be changed; params are merged
+  update(id, { to, sendAt, params } = {}) {
+    const job = this.get(id)
+    if (!job) return null
+    if (job.status !== 'pending') throw new Error(`Job is already ${job.status}`)
+
+    if (to !== undefined) {
+      if (!String(to).trim()) throw new Error('Recipient is required')
+      job.to = String(to).trim()
+    }
+    if (sendAt !== undefined) {
+      const date = parseSendAt(sendAt)
+      if (!date) throw new Error('Send time is required')
+      job.sendAt = date.toISOString()
+    }
+    if (params) job.params = { ...job.params, ...params }
+    job.error = null
+    this.save()
+    return job
+  }
+
+  cancel(id) {
+    const job = this.get(id)
+    if (!job) return null
+    if (job.status !== 'pending') throw new Error(`Job is already ${job.status}`)
+    job.status = 'cancelled'
+    this.finish()
+    return job
+  }
+
+  get(id) {
+    return this.jobs.find(j => j.id === id) || null
+  }
+
+  // Soonest first; finished jobs after pending ones, newest first
+  list({ account, status } = {}) {
+    return this.jobs
+      .filter(j => (account === undefined || j.account === account) && (!status || j.status === status))
+      .sort((a, b) => {
+        if ((a.status === 'pending') !== (b.status === 'pending')) return a.status === 'pending' ? -1 : 1
+        return a.status === 'pending'
+          ? new Date(a.sendAt) - new Date(b.sendAt)
+          : new Date(b.sendAt) - new Date(a.sendAt)
+      })
+  }
+
+  // Saves, keeping only the most recent finished jobs
+  finish() {
+    const finished = this.jobs
+      .filter(j => j.status !== 'pending')
+      .sort((a, b) => new Date(b.sentAt || b.sendAt) - new Date(a.sentAt || a.sendAt))
+    const dropped = new Set(finished.slice(MAX_FINISHED))
+    if (dropped.size > 0) this.jobs = this.jobs.filter(j => !dropped.has(j))
+    this.save()
+  }
+
+  // =================== RUNNING ===================
+
+  isMissed(job, now) {
+    const due = new Date(job.sendAt).getTime()
+    if (due >= this.startedAt || this.missedPolicy === 'send') return false
+    return this.missedPolicy === 'skip' || now - due > this.graceMs
+  }
+
+  async tick() {
+    if (this.running) return
+    this.running = true
+    try {
+      const now = Date.now()
+      const due = this.jobs.filter(j => j.status === 'pending' && new Date(j.sendAt).getTime() <= now)
+      // Jobs waiting for their account change nothing, so need no save
+      let changed = false
+      for (const job of due) {
+        if (this.isMissed(job, now)) {
+          job.status = 'skipped'
+          job.error = `Missed while offline (policy: ${this.missedPolicy})`
+          console.log(`⏭️ Skipped scheduled message ${job.id}: ${job.error}`)
+          changed = true
+          continue
+        }
+        // Stays pending until its account is connected
+        if (!this.canSend(job)) continue
+
+        job.attempts++
+        changed = true
+        try {
+          const result = await this.send(job)
+          job.status = 'sent'
+          job.sentAt = new Date().toISOString()
+          job.messageId = result?.key?.id || null
+          job.error = null
+          console.log(`📤 Sent scheduled message ${job.id} to ${job.to}`)
+        } catch (error) {
+          job.error = error.message
+          if (job.attempts >= this.maxAttempts) {
+            job.status = 'failed'
+            console.error(`❌ Scheduled message ${job.id} failed:`, error.message)
+          }
+        }
+      }
+      if (changed) this.finish()
+    } catch (error) {
+      console.error(`❌ Error running scheduled messages:`, error.message)
+    } finally {
+      this.running = false
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.save()
+  }
+}
+
+MessageScheduler.parseSendAt = parseSendAt
+MessageScheduler.MISSED_POLICIES = MISSED_POLICIES
+
+module.exports = MessageScheduler
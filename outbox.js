@@ -0,0 +1,210 @@
+// outbox.js - Durable queue of outgoing messages, retried until the socket takes them
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const MAX_FINISHED = 100
+
+class Outbox {
+  // send(item) performs the send and resolves to the sendMessage() result;
+  // canSend(item) tells whether the item's account is connected right now
+  constructor({
+    dataDir = './data',
+    send,
+    canSend = () => true,
+    maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 10,
+    baseDelayMs = 5000,
+    maxDelayMs = 10 * 60 * 1000,
+    tickMs = 5000
+  } = {}) {
+    this.file = path.join(dataDir, 'outbox.json')
+    this.send = send
+    this.canSend = canSend
+    this.maxAttempts = maxAttempts
+    this.baseDelayMs = baseDelayMs
+    this.maxDelayMs = maxDelayMs
+    this.running = false
+
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true })
+    }
+    this.items = this.load()
+    // A send interrupted by a crash is retried; WhatsApp may then get it twice
+    for (const item of this.items) {
+      if (item.status === 'sending') item.status = 'queued'
+    }
+
+    this.timer = setInterval(() => this.tick(), tickMs)
+    this.timer.unref()
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'))
+      }
+    } catch (error) {
+      console.error(`❌ Error loading outbox:`, error.message)
+    }
+    return []
+  }
+
+  save() {
+    const tempFile = `${this.file}.tmp`
+    fs.writeFileSync(tempFile, JSON.stringify(this.items, null, 2))
+    fs.renameSync(tempFile, this.file)
+  }
+
+  // =================== ITEMS ===================
+
+  // Persists the send first, then tries it right away when the account is
+  // connected. Resolves to the item, 'sent' or still 'queued'.
+  async submit({ account, to, type = 'text', params = {}, source = 'api' }) {
+    if (!String(to || '').trim()) throw new Error('Recipient is required')
+
+    const item = {
+      id: crypto.randomBytes(4).toString('hex'),
+      account,
+      to: String(to).trim(),
+      type,
+      params,
+      source,
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      createdAt: new Date().toISOString(),
+      sentAt: null,
+      messageId: null,
+      error: null
+    }
+    this.items.push(item)
+    this.save()
+
+    if (this.canSend(item)) {
+      await this.attempt(item)
+      this.finish()
+    } else {
+      item.error = 'Not connected'
+      console.log(`📥 Queued ${type} to ${item.to} until the connection is back`)
+    }
+    return item
+  }
+
+  get(id) {
+    return this.items.find(i => i.id === id) || null
+  }
+
+  // Queued and failed first, then the most recent
+  list({ account, status } = {}) {
+    const order = { sending: 0, queued: 1, failed: 2, sent: 3 }
+    return this.items
+      .filter(i => (account === undefined || i.account === account) && (!status || i.status === status))
+      .sort((a, b) => (order[a.status] - order[b.status]) || (new Date(b.createdAt) - new Date(a.createdAt)))
+  }
+
+  counts({ account } = {}) {
+    const counts = { queued: 0, sending: 0, sent: 0, failed: 0 }
+    for (const item of this.list({ account })) counts[item.status]++
+    return counts
+  }
+
+  // Puts a failed (or waiting) item back at the front of the queue
+  retry(id) {
+    const item = this.get(id)
+    if (!item) return null
+    if (!['queued', 'failed'].includes(item.status)) throw new Error(`Message is already ${item.status}`)
+    item.status = 'queued'
+    item.attempts = 0
+    item.nextAttemptAt = Date.now()
+    this.save()
+    setImmediate(() => this.tick())
+    return item
+  }
+
+  remove(id) {
+    const item = this.get(id)
+    if (!item) return false
+    if (item.status === 'sending') throw new Error('Message is being sent')
+    this.items = this.items.filter(i => i !== item)
+    this.save()
+    return true
+  }
+
+  // Sends an account's queued items now instead of waiting for their backoff,
+  // e.g. when its connection opens
+  flush(account) {
+    let count = 0
+    for (const item of this.items) {
+      if (item.status === 'queued' && item.account === account) {
+        item.nextAttemptAt = Date.now()
+        count++
+      }
+    }
+    if (count > 0) setImmediate(() => this.tick())
+    return count
+  }
+
+  // =================== SENDING ===================
+
+  async attempt(item) {
+    item.status = 'sending'
+    item.attempts++
+    try {
+      const result = await this.send(item)
+      item.status = 'sent'
+      item.sentAt = new Date().toISOString()
+      item.messageId = result?.key?.id || null
+      item.error = null
+    } catch (error) {
+      item.error = error.message
+      if (item.attempts >= this.maxAttempts) {
+        item.status = 'failed'
+        console.error(`❌ Outbox message ${item.id} to ${item.to} failed:`, error.message)
+      } else {
+        item.status = 'queued'
+        item.nextAttemptAt = Date.now() + this.backoff(item.attempts)
+      }
+    }
+  }
+
+  backoff(attempts) {
+    return Math.min(this.baseDelayMs * Math.pow(2, attempts - 1), this.maxDelayMs)
+  }
+
+  async tick() {
+    if (this.running) return
+    this.running = true
+    try {
+      const now = Date.now()
+      const due = this.items.filter(i => i.status === 'queued' && i.nextAttemptAt <= now && this.canSend(i))
+      for (const item of due) {
+        // Removed or cancelled while an earlier message was being sent
+        if (!this.items.includes(item) || item.status !== 'queued') continue
+        await this.attempt(item)
+        if (item.status === 'sent') console.log(`📤 Sent queued ${item.type} to ${item.to}`)
+      }
+      if (due.length > 0) this.finish()
+    } catch (error) {
+      console.error(`❌ Error processing outbox:`, error.message)
+    } finally {
+      this.running = false
+    }
+  }
+
+  // Saves, keeping only the most recent sent items
+  finish() {
+    const sent = this.items
+      .filter(i => i.status === 'sent')
+      .sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt))
+    const dropped = new Set(sent.slice(MAX_FINISHED))
+    if (dropped.size > 0) this.items = this.items.filter(i => !dropped.has(i))
+    this.save()
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.save()
+  }
+}
+
+module.exports = Outbox
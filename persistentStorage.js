@@ -1,26 +1,568 @@
-// persistentStorage.js - Add this as a new file
+// persistentStorage.js - SQLite backed store for contacts, chats, messages and sync metadata
 const fs = require('fs')
 const path = require('path')
+const Database = require('better-sqlite3')
+const { BufferJSON, extractMessageContent, getContentType } = require('@whiskeysockets/baileys')
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS messages (
+    chat_id TEXT NOT NULL,
+    id TEXT NOT NULL,
+    from_me INTEGER NOT NULL DEFAULT 0,
+    timestamp INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL,
+    PRIMARY KEY (chat_id, id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_messages_chat_ts ON messages (chat_id, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_messages_id ON messages (id);
+
+  CREATE TABLE IF NOT EXISTS chats (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    conversation_timestamp INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL DEFAULT '{}'
+  );
+
+  CREATE TABLE IF NOT EXISTS contacts (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  -- Full-text index of message text, captions and file names; rowid is
+  -- messages.rowid. remove_diacritics folds accents ("cafe" finds "café").
+  CREATE VIRTUAL TABLE IF NOT EXISTS message_search USING fts5(
+    body,
+    chat_id UNINDEXED,
+    sender UNINDEXED,
+    type UNINDEXED,
+    from_me UNINDEXED,
+    timestamp UNINDEXED,
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+  CREATE TRIGGER IF NOT EXISTS messages_search_delete AFTER DELETE ON messages BEGIN
+    DELETE FROM message_search WHERE rowid = old.rowid;
+  END;
+`
+
+// Bumped when indexText() changes so existing databases are reindexed
+const SEARCH_INDEX_VERSION = 1
+
+// Message kinds the search can filter on, by Baileys content type
+const MESSAGE_KINDS = {
+  conversation: 'text',
+  extendedTextMessage: 'text',
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  documentMessage: 'document',
+  documentWithCaptionMessage: 'document',
+  stickerMessage: 'sticker',
+  locationMessage: 'location',
+  liveLocationMessage: 'location',
+  contactMessage: 'contact',
+  contactsArrayMessage: 'contact',
+  pollCreationMessage: 'poll',
+  pollCreationMessageV2: 'poll',
+  pollCreationMessageV3: 'poll'
+}
+
+// Messages per chat kept in memory; older ones stay in the database until a
+// retention policy (getRetention) removes or archives them
+const MEMORY_MESSAGES_PER_CHAT = parseInt(process.env.MEMORY_MESSAGES_PER_CHAT) || 200
+
+// Retention policy fields; null means no limit. The default policy applies
+// to every chat without its own, and starts from the RETENTION_* variables.
+const RETENTION_DEFAULTS = {
+  maxCount: parseInt(process.env.RETENTION_MAX_COUNT) || null,
+  maxAgeDays: parseFloat(process.env.RETENTION_MAX_AGE_DAYS) || null,
+  maxBytes: (parseFloat(process.env.RETENTION_MAX_MB) * 1024 * 1024) || null,
+  keepStarred: process.env.RETENTION_KEEP_STARRED !== 'false',
+  keepPinned: process.env.RETENTION_KEEP_PINNED !== 'false',
+  archive: process.env.RETENTION_ARCHIVE === 'true'
+}
+
+const positiveOrNull = (value, name) => {
+  if (value === null || value === undefined || value === '' || value === 0 || value === '0') return null
+  const n = Number(value)
+  if (!(n > 0)) throw new Error(`${name} must be a positive number`)
+  return n
+}
+
+const flag = value => value === true || value === 'true' || value === '1' || value === 1
+
+// Checks a (partial) policy on top of `base`; throws with a user-facing message
+function normalizeRetention(policy = {}, base = RETENTION_DEFAULTS) {
+  const merged = { ...base, ...policy }
+  return {
+    maxCount: positiveOrNull(merged.maxCount, 'maxCount') && Math.floor(merged.maxCount),
+    maxAgeDays: positiveOrNull(merged.maxAgeDays, 'maxAgeDays'),
+    maxBytes: positiveOrNull(merged.maxBytes, 'maxBytes') && Math.floor(merged.maxBytes),
+    keepStarred: flag(merged.keepStarred),
+    keepPinned: flag(merged.keepPinned),
+    archive: flag(merged.archive)
+  }
+}
+
+// Baileys objects carry Buffers/Uint8Arrays (keys, media hashes); BufferJSON keeps them intact
+const serialize = value => JSON.stringify(value, BufferJSON.replacer)
+const deserialize = text => JSON.parse(text, BufferJSON.reviver)
+
+// messageTimestamp may be a number, a string or a Long ({ low, high })
+function toTimestamp(ts) {
+  if (ts == null) return 0
+  if (typeof ts === 'object' && 'low' in ts) {
+    return (ts.high >>> 0) * 4294967296 + (ts.low >>> 0)
+  }
+  return Number(ts) || 0
+}
+
+// Everything searchable in a message: text, captions, file names,
+// shared contact and place names, poll questions and options
+function indexText(msg) {
+  const content = msg?.message ? extractMessageContent(msg.message) : null
+  if (!content) return ''
+  const doc = content.documentMessage || content.documentWithCaptionMessage?.message?.documentMessage
+  const poll = content.pollCreationMessage || content.pollCreationMessageV2 || content.pollCreationMessageV3
+  return [
+    content.conversation,
+    content.extendedTextMessage?.text,
+    content.imageMessage?.caption,
+    content.videoMessage?.caption,
+    doc?.caption,
+    doc?.fileName,
+    doc?.title,
+    content.contactMessage?.displayName,
+    content.contactsArrayMessage?.displayName,
+    content.locationMessage?.name,
+    content.locationMessage?.address,
+    poll?.name,
+    ...(poll?.options || []).map(o => o.optionName)
+  ].filter(Boolean).join('\n')
+}
+
+function messageKind(msg) {
+  const content = msg?.message ? extractMessageContent(msg.message) : null
+  const type = content ? getContentType(content) : null
+  return MESSAGE_KINDS[type] || 'other'
+}
+
+// User input to an FTS5 query: every word must match, as a prefix
+function ftsQuery(text) {
+  return String(text)
+    .split(/\s+/)
+    .map(word => word.replace(/"/g, ''))
+    .filter(Boolean)
+    .map(word => `"${word}"*`)
+    .join(' ')
+}
 
 class PersistentStorage {
   constructor(dataDir = './data') {
     this.dataDir = dataDir
+    this.dbFile = path.join(dataDir, 'whatsapp.db')
+    // Cold storage for messages retention moves out of the main database
+    this.archiveFile = path.join(dataDir, 'archive.db')
+
+    // Legacy JSON files, imported once into the database
     this.contactsFile = path.join(dataDir, 'contacts.json')
     this.chatsFile = path.join(dataDir, 'chats.json')
     this.messagesFile = path.join(dataDir, 'messages.json')
     this.metaFile = path.join(dataDir, 'meta.json')
-    
+
     // Ensure data directory exists
     if (!fs.existsSync(dataDir)) {
       fs.mkdirSync(dataDir, { recursive: true })
     }
-    
+
+    this.open()
+
     this.saveQueue = new Map()
     this.isProcessing = false
   }
 
-  // Load data from files on startup
-  loadAllData() {
+  open() {
+    this.db = new Database(this.dbFile)
+    this.db.pragma('journal_mode = WAL')
+    this.db.pragma('synchronous = NORMAL')
+    this.db.exec(SCHEMA)
+    this.prepareStatements()
+    this.ensureSearchIndex()
+    this.archiveAttached = false
+  }
+
+  prepareStatements() {
+    const db = this.db
+    this.stmts = {
+      upsertMessage: db.prepare(`
+        INSERT INTO messages (chat_id, id, from_me, timestamp, data)
+        VALUES (@chatId, @id, @fromMe, @timestamp, @data)
+        ON CONFLICT (chat_id, id) DO UPDATE SET
+          from_me = excluded.from_me,
+          timestamp = CASE WHEN excluded.timestamp > 0 THEN excluded.timestamp ELSE messages.timestamp END,
+          data = excluded.data
+        RETURNING rowid, timestamp`),
+      unindexMessage: db.prepare('DELETE FROM message_search WHERE rowid = ?'),
+      indexMessage: db.prepare(`
+        INSERT INTO message_search (rowid, body, chat_id, sender, type, from_me, timestamp)
+        VALUES (@rowid, @body, @chatId, @sender, @type, @fromMe, @timestamp)`),
+      countSearchIndex: db.prepare('SELECT COUNT(*) AS n FROM message_search'),
+      messageRowsAfter: db.prepare('SELECT rowid, timestamp, data FROM messages WHERE rowid > ? ORDER BY rowid LIMIT 1000'),
+      deleteMessage: db.prepare('DELETE FROM messages WHERE chat_id = ? AND id = ?'),
+      getMessage: db.prepare('SELECT data FROM messages WHERE id = ? LIMIT 1'),
+      getChatMessages: db.prepare(`
+        SELECT data FROM (
+          SELECT data, timestamp FROM messages
+          WHERE chat_id = @chatId AND timestamp <= @before
+          ORDER BY timestamp DESC LIMIT @limit
+        ) ORDER BY timestamp ASC`),
+      countChatMessages: db.prepare('SELECT COUNT(*) AS n FROM messages WHERE chat_id = ?'),
+      getChat: db.prepare('SELECT data FROM chats WHERE id = ?'),
+      upsertChat: db.prepare(`
+        INSERT INTO chats (id, name, conversation_timestamp, data)
+        VALUES (@id, @name, @conversationTimestamp, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          name = excluded.name,
+          conversation_timestamp = excluded.conversation_timestamp,
+          data = excluded.data`),
+      allChats: db.prepare('SELECT id FROM chats ORDER BY conversation_timestamp DESC'),
+      readStates: db.prepare(`
+        SELECT id,
+               json_extract(data, '$.unreadCount') AS unreadCount,
+               json_extract(data, '$.lastReadAt') AS lastReadAt
+        FROM chats`),
+      messageChatIds: db.prepare('SELECT DISTINCT chat_id FROM messages'),
+      getContact: db.prepare('SELECT data FROM contacts WHERE id = ?'),
+      upsertContact: db.prepare(`
+        INSERT INTO contacts (id, data) VALUES (?, ?)
+        ON CONFLICT (id) DO UPDATE SET data = excluded.data`),
+      allContacts: db.prepare('SELECT id, data FROM contacts'),
+      setMeta: db.prepare(`
+        INSERT INTO meta (key, value) VALUES (?, ?)
+        ON CONFLICT (key) DO UPDATE SET value = excluded.value`),
+      allMeta: db.prepare('SELECT key, value FROM meta'),
+      getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+      counts: db.prepare(`
+        SELECT (SELECT COUNT(*) FROM messages) AS messages,
+               (SELECT COUNT(*) FROM chats) AS chats,
+               (SELECT COUNT(*) FROM contacts) AS contacts`)
+    }
+
+    this.saveMessagesTx = db.transaction(messages => {
+      let saved = 0
+      for (const msg of messages) {
+        const chatId = msg?.key?.remoteJid
+        const id = msg?.key?.id
+        if (!chatId || !id) continue
+
+        const { rowid, timestamp } = this.stmts.upsertMessage.get({
+          chatId,
+          id,
+          fromMe: msg.key.fromMe ? 1 : 0,
+          timestamp: toTimestamp(msg.messageTimestamp),
+          data: serialize(msg)
+        })
+        this.indexMessage(rowid, msg, timestamp)
+        this.ensureChat(chatId)
+        saved++
+      }
+      return saved
+    })
+
+    this.saveChatsTx = db.transaction(chats => {
+      for (const chat of chats) {
+        if (!chat?.id) continue
+        // chats.update delivers partial objects, merge them into what we have.
+        // History sync chats can embed their messages; those live in messages.
+        const { messages, ...fields } = chat
+        const row = this.stmts.getChat.get(chat.id)
+        const merged = { ...(row ? deserialize(row.data) : {}), ...fields }
+        this.stmts.upsertChat.run({
+          id: chat.id,
+          name: merged.name || null,
+          conversationTimestamp: toTimestamp(merged.conversationTimestamp),
+          data: serialize(merged)
+        })
+      }
+    })
+
+    this.saveContactsTx = db.transaction(contacts => {
+      for (const contact of contacts) {
+        if (!contact?.id) continue
+        const row = this.stmts.getContact.get(contact.id)
+        const merged = { ...(row ? deserialize(row.data) : {}), ...contact }
+        this.stmts.upsertContact.run(contact.id, serialize(merged))
+      }
+    })
+
+    this.saveMetaTx = db.transaction(meta => {
+      for (const [key, value] of Object.entries(meta)) {
+        this.stmts.setMeta.run(key, serialize(value))
+      }
+    })
+  }
+
+  ensureChat(chatId) {
+    if (!this.stmts.getChat.get(chatId)) {
+      this.stmts.upsertChat.run({ id: chatId, name: null, conversationTimestamp: 0, data: serialize({ id: chatId }) })
+    }
+  }
+
+  // =================== SEARCH INDEX ===================
+
+  indexMessage(rowid, msg, timestamp) {
+    this.stmts.unindexMessage.run(rowid)
+    this.stmts.indexMessage.run({
+      rowid,
+      body: indexText(msg),
+      chatId: msg.key.remoteJid,
+      // Our own messages have no sender JID; the fromMe filter covers them
+      sender: msg.key.fromMe ? '' : (msg.key.participant || msg.key.remoteJid),
+      type: messageKind(msg),
+      fromMe: msg.key.fromMe ? 1 : 0,
+      timestamp
+    })
+  }
+
+  // Indexes messages stored before the index existed (or before its
+  // last format change). Runs once per SEARCH_INDEX_VERSION.
+  ensureSearchIndex() {
+    const row = this.db.prepare("SELECT value FROM meta WHERE key = 'searchIndexVersion'").get()
+    if (row && deserialize(row.value) === SEARCH_INDEX_VERSION) return
+
+    console.log(`🔎 Building message search index...`)
+    const rebuild = this.db.transaction(() => {
+      this.db.exec('DELETE FROM message_search')
+      // In batches: the whole message table may not fit in memory
+      let batch = this.stmts.messageRowsAfter.all(0)
+      while (batch.length > 0) {
+        for (const message of batch) {
+          this.indexMessage(message.rowid, deserialize(message.data), message.timestamp)
+        }
+        batch = this.stmts.messageRowsAfter.all(batch[batch.length - 1].rowid)
+      }
+      this.stmts.setMeta.run('searchIndexVersion', serialize(SEARCH_INDEX_VERSION))
+    })
+    rebuild()
+    console.log(`✅ Indexed ${this.stmts.countSearchIndex.get().n} messages for search`)
+  }
+
+  // Full-text search with filters. query may be empty when a filter is
+  // given. order: 'relevance' (bm25, then newest) or 'date' (newest first).
+  // Returns { total, results: [{ message, score }] }; lower bm25 scores rank higher.
+  searchMessages({ query = '', chatId, sender, fromMe, type, since, until, order = 'relevance', limit = 20, offset = 0 } = {}) {
+    const match = ftsQuery(query)
+    const where = []
+    const params = {}
+
+    if (match) {
+      where.push('message_search MATCH @match')
+      params.match = match
+    }
+    if (chatId) {
+      where.push('message_search.chat_id = @chatId')
+      params.chatId = chatId
+    }
+    if (sender) {
+      where.push('message_search.sender = @sender')
+      params.sender = sender
+    }
+    if (fromMe === true || fromMe === false) {
+      where.push('message_search.from_me = @fromMe')
+      params.fromMe = fromMe ? 1 : 0
+    }
+    if (type) {
+      where.push('message_search.type = @type')
+      params.type = type
+    }
+    if (since) {
+      where.push('m.timestamp >= @since')
+      params.since = since
+    }
+    if (until) {
+      where.push('m.timestamp <= @until')
+      params.until = until
+    }
+    if (where.length === 0) throw new Error('Search needs a query or a filter')
+
+    const from = `FROM message_search JOIN messages m ON m.rowid = message_search.rowid
+      WHERE ${where.join(' AND ')}`
+    const orderBy = match && order !== 'date' ? 'score, m.timestamp DESC' : 'm.timestamp DESC'
+
+    const total = this.db.prepare(`SELECT COUNT(*) AS n ${from}`).get(params).n
+    const rows = this.db.prepare(`
+      SELECT m.data, ${match ? 'bm25(message_search)' : '0'} AS score
+      ${from} ORDER BY ${orderBy} LIMIT @limit OFFSET @offset`).all({ ...params, limit, offset })
+
+    return {
+      total,
+      results: rows.map(row => ({ message: deserialize(row.data), score: row.score }))
+    }
+  }
+
+  // =================== RETENTION ===================
+
+  // { default, chats: { chatId: policy } }, each a complete policy
+  getRetention() {
+    const row = this.stmts.getMeta.get('retention')
+    const stored = row ? deserialize(row.value) : {}
+    const base = normalizeRetention(stored.default)
+    const chats = {}
+    for (const [chatId, policy] of Object.entries(stored.chats || {})) {
+      chats[chatId] = normalizeRetention(policy, base)
+    }
+    return { default: base, chats }
+  }
+
+  // Sets the default policy (chatId null) or a chat's own. Chat policies
+  // store only what they override, so later default changes still apply.
+  setRetention(chatId, policy = {}) {
+    policy = Object.fromEntries(Object.entries(policy).filter(([key]) => key in RETENTION_DEFAULTS))
+    const row = this.stmts.getMeta.get('retention')
+    const stored = row ? deserialize(row.value) : {}
+    if (chatId) {
+      normalizeRetention(policy, normalizeRetention(stored.default))
+      stored.chats = { ...stored.chats, [chatId]: { ...stored.chats?.[chatId], ...policy } }
+    } else {
+      stored.default = normalizeRetention(policy, normalizeRetention(stored.default))
+    }
+    this.stmts.setMeta.run('retention', serialize(stored))
+    return this.getRetention()
+  }
+
+  clearRetention(chatId) {
+    const row = this.stmts.getMeta.get('retention')
+    const stored = row ? deserialize(row.value) : {}
+    if (!stored.chats?.[chatId]) return false
+    delete stored.chats[chatId]
+    this.stmts.setMeta.run('retention', serialize(stored))
+    return true
+  }
+
+  ensureArchive() {
+    if (this.archiveAttached) return
+    this.db.prepare('ATTACH DATABASE ? AS archive').run(this.archiveFile)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS archive.messages (
+        chat_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        from_me INTEGER NOT NULL DEFAULT 0,
+        timestamp INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL,
+        archived_at INTEGER NOT NULL,
+        PRIMARY KEY (chat_id, id)
+      );
+      CREATE INDEX IF NOT EXISTS archive.idx_archive_chat_ts ON messages (chat_id, timestamp);
+    `)
+    this.archiveAttached = true
+  }
+
+  // Messages of one chat the policy would remove, newest first through the
+  // chat: beyond maxCount, older than maxAgeDays or past maxBytes of stored
+  // JSON. Starred messages and pinned chats are exempt when the policy says so.
+  retentionCandidates(chatId, policy, now = Date.now()) {
+    if (!policy.maxCount && !policy.maxAgeDays && !policy.maxBytes) return []
+    if (policy.keepPinned) {
+      const chat = this.getChat(chatId)
+      if (chat?.pinned) return []
+    }
+
+    const rows = this.db.prepare(`
+      SELECT rowid, id, timestamp, length(data) AS bytes,
+             COALESCE(json_extract(data, '$.starred'), 0) AS starred
+      FROM messages WHERE chat_id = ? ORDER BY timestamp DESC, rowid DESC`).all(chatId)
+    const cutoff = policy.maxAgeDays ? Math.floor(now / 1000 - policy.maxAgeDays * 86400) : null
+
+    const candidates = []
+    let kept = 0
+    let bytes = 0
+    for (const row of rows) {
+      if (policy.keepStarred && row.starred) continue
+      bytes += row.bytes
+      const remove = (policy.maxCount && kept >= policy.maxCount) ||
+        (cutoff !== null && row.timestamp < cutoff) ||
+        (policy.maxBytes && bytes > policy.maxBytes)
+      if (remove) {
+        candidates.push(row)
+      } else {
+        kept++
+      }
+    }
+    return candidates
+  }
+
+  // Applies every chat's policy. Removed messages are deleted, or moved to
+  // archive.db when the policy archives. A dry run only reports.
+  // onRemoved(chatId, ids) lets callers drop the messages from memory.
+  applyRetention({ dryRun = false, now = Date.now(), onRemoved = null } = {}) {
+    const policies = this.getRetention()
+    const report = { dryRun, removed: 0, archived: 0, bytes: 0, chats: [] }
+    const chatIds = this.stmts.messageChatIds.all().map(r => r.chat_id)
+
+    for (const chatId of chatIds) {
+      const policy = policies.chats[chatId] || policies.default
+      const candidates = this.retentionCandidates(chatId, policy, now)
+      if (candidates.length === 0) continue
+
+      const bytes = candidates.reduce((sum, c) => sum + c.bytes, 0)
+      report.chats.push({
+        chatId,
+        policy: policies.chats[chatId] ? 'chat' : 'default',
+        total: this.countMessages(chatId),
+        [policy.archive ? 'archived' : 'removed']: candidates.length,
+        bytes,
+        newestAffected: candidates[0].timestamp
+      })
+      report[policy.archive ? 'archived' : 'removed'] += candidates.length
+      report.bytes += bytes
+      if (dryRun) continue
+
+      if (policy.archive) this.ensureArchive()
+      const rowids = candidates.map(c => c.rowid)
+      this.db.transaction(() => {
+        // SQLite limits bound parameters; go in slices
+        for (let i = 0; i < rowids.length; i += 500) {
+          const slice = rowids.slice(i, i + 500)
+          const marks = slice.map(() => '?').join(',')
+          if (policy.archive) {
+            this.db.prepare(`
+              INSERT OR REPLACE INTO archive.messages (chat_id, id, from_me, timestamp, data, archived_at)
+              SELECT chat_id, id, from_me, timestamp, data, ? FROM messages WHERE rowid IN (${marks})`)
+              .run(Math.floor(now / 1000), ...slice)
+          }
+          this.db.prepare(`DELETE FROM messages WHERE rowid IN (${marks})`).run(...slice)
+        }
+      })()
+      if (onRemoved) onRemoved(chatId, candidates.map(c => c.id))
+    }
+
+    if (!dryRun && (report.removed || report.archived)) {
+      console.log(`🗄️ Retention: ${report.removed} removed, ${report.archived} archived (${Math.round(report.bytes / 1024)} KB)`)
+    }
+    return report
+  }
+
+  // Archived messages of a chat, oldest first, like getMessages()
+  getArchivedMessages(chatId, { limit = 100, before = Number.MAX_SAFE_INTEGER } = {}) {
+    if (!fs.existsSync(this.archiveFile)) return []
+    this.ensureArchive()
+    return this.db.prepare(`
+      SELECT data FROM (
+        SELECT data, timestamp FROM archive.messages
+        WHERE chat_id = ? AND timestamp <= ?
+        ORDER BY timestamp DESC LIMIT ?
+      ) ORDER BY timestamp ASC`)
+      .all(chatId, before, limit)
+      .map(row => deserialize(row.data))
+  }
+
+  // Load data on startup. The in-memory chat window keeps the newest
+  // messagesPerChat messages of every chat; older ones stay in the database.
+  loadAllData(messagesPerChat = MEMORY_MESSAGES_PER_CHAT) {
     const result = {
       contacts: new Map(),
       chats: new Map(),
@@ -33,46 +575,161 @@ class PersistentStorage {
     }
 
     try {
-      // Load contacts
-      if (fs.existsSync(this.contactsFile)) {
-        const contactsData = JSON.parse(fs.readFileSync(this.contactsFile, 'utf8'))
-        result.contacts = new Map(contactsData)
-        console.log(`📱 Loaded ${result.contacts.size} contacts from disk`)
-      }
+      this.importLegacyJson()
 
-      // Load chats
-      if (fs.existsSync(this.chatsFile)) {
-        const chatsData = JSON.parse(fs.readFileSync(this.chatsFile, 'utf8'))
-        result.chats = new Map(chatsData.map(([key, messages]) => [key, messages]))
-        console.log(`💬 Loaded ${result.chats.size} chats from disk`)
+      // Load contacts
+      for (const row of this.stmts.allContacts.all()) {
+        result.contacts.set(row.id, deserialize(row.data))
       }
+      console.log(`📱 Loaded ${result.contacts.size} contacts from database`)
 
-      // Load messages
-      if (fs.existsSync(this.messagesFile)) {
-        const messagesData = JSON.parse(fs.readFileSync(this.messagesFile, 'utf8'))
-        result.messages = new Map(messagesData)
-        console.log(`📨 Loaded ${result.messages.size} messages from disk`)
+      // Load chats and their most recent messages
+      const chatIds = new Set([
+        ...this.stmts.allChats.all().map(r => r.id),
+        ...this.stmts.messageChatIds.all().map(r => r.chat_id)
+      ])
+      for (const chatId of chatIds) {
+        const messages = this.getMessages(chatId, { limit: messagesPerChat })
+        result.chats.set(chatId, messages)
+        for (const msg of messages) {
+          result.messages.set(msg.key.id, msg)
+        }
       }
+      console.log(`💬 Loaded ${result.chats.size} chats from database`)
+      console.log(`📨 Loaded ${result.messages.size} messages from database`)
 
       // Load metadata
-      if (fs.existsSync(this.metaFile)) {
-        const metaData = JSON.parse(fs.readFileSync(this.metaFile, 'utf8'))
-        result.meta = { ...result.meta, ...metaData }
-        console.log(`⚙️ Loaded metadata from disk`)
+      for (const row of this.stmts.allMeta.all()) {
+        result.meta[row.key] = deserialize(row.value)
       }
+      console.log(`⚙️ Loaded metadata from database`)
 
       console.log(`✅ Successfully loaded all data from persistent storage`)
       return result
     } catch (error) {
-      console.error(`❌ Error loading data from disk:`, error.message)
+      console.error(`❌ Error loading data from database:`, error.message)
       return result // Return empty maps if loading fails
     }
   }
 
+  // One-time import of the old data/*.json files. Each imported file is
+  // renamed to *.imported so it is never read twice.
+  importLegacyJson() {
+    const readJson = file => fs.existsSync(file)
+      ? JSON.parse(fs.readFileSync(file, 'utf8'), BufferJSON.reviver)
+      : null
+
+    const contacts = readJson(this.contactsFile)
+    const chats = readJson(this.chatsFile)
+    const messages = readJson(this.messagesFile)
+    const meta = readJson(this.metaFile)
+    if (!contacts && !chats && !messages && !meta) return
+
+    console.log(`📥 Importing legacy JSON data into ${this.dbFile}`)
+
+    const importTx = this.db.transaction(() => {
+      if (contacts) {
+        this.saveContactsTx(contacts.map(([id, contact]) => ({ id, ...contact })))
+      }
+
+      // chats.json and messages.json overlap; the primary key dedupes them
+      const allMessages = []
+      if (chats) {
+        for (const [chatId, chatMessages] of chats) {
+          this.ensureChat(chatId)
+          allMessages.push(...(chatMessages || []))
+        }
+      }
+      if (messages) {
+        allMessages.push(...messages.map(([, msg]) => msg))
+      }
+      this.saveMessagesTx(allMessages)
+
+      if (meta) this.saveMetaTx(meta)
+    })
+    importTx()
+
+    for (const file of [this.contactsFile, this.chatsFile, this.messagesFile, this.metaFile]) {
+      if (fs.existsSync(file)) fs.renameSync(file, `${file}.imported`)
+    }
+
+    const counts = this.stmts.counts.get()
+    console.log(`✅ Imported ${counts.contacts} contacts, ${counts.chats} chats, ${counts.messages} messages`)
+  }
+
+  // Incremental upserts, called straight from the Baileys event handlers
+  saveMessages(messages = []) {
+    try {
+      return this.saveMessagesTx(messages)
+    } catch (error) {
+      console.error(`❌ Failed to save messages:`, error.message)
+      return 0
+    }
+  }
+
+  saveChats(chats = []) {
+    try {
+      this.saveChatsTx(chats)
+    } catch (error) {
+      console.error(`❌ Failed to save chats:`, error.message)
+    }
+  }
+
+  saveContacts(contacts = []) {
+    try {
+      this.saveContactsTx(contacts)
+    } catch (error) {
+      console.error(`❌ Failed to save contacts:`, error.message)
+    }
+  }
+
+  saveMeta(meta = {}) {
+    try {
+      this.saveMetaTx(meta)
+    } catch (error) {
+      console.error(`❌ Failed to save meta:`, error.message)
+    }
+  }
+
+  deleteMessage(chatId, id) {
+    return this.stmts.deleteMessage.run(chatId, id).changes > 0
+  }
+
+  getMessage(id) {
+    const row = this.stmts.getMessage.get(id)
+    return row ? deserialize(row.data) : null
+  }
+
+  // Messages of a chat in ascending time order: the newest `limit` at or before
+  // `before` (unix seconds). Callers paging backwards dedupe the boundary.
+  getMessages(chatId, { limit = 100, before = Number.MAX_SAFE_INTEGER } = {}) {
+    return this.stmts.getChatMessages
+      .all({ chatId, before, limit })
+      .map(row => deserialize(row.data))
+  }
+
+  // Per-chat { unreadCount, lastReadAt } for every known chat, in one query
+  getReadStates() {
+    const states = new Map()
+    for (const row of this.stmts.readStates.all()) {
+      states.set(row.id, { unreadCount: row.unreadCount, lastReadAt: row.lastReadAt })
+    }
+    return states
+  }
+
+  countMessages(chatId) {
+    return this.stmts.countChatMessages.get(chatId).n
+  }
+
+  getChat(chatId) {
+    const row = this.stmts.getChat.get(chatId)
+    return row ? deserialize(row.data) : null
+  }
+
   // Queue a save operation (debounced to avoid excessive writes)
   queueSave(type, data) {
     this.saveQueue.set(type, data)
-    
+
     // Process queue after a short delay (debounce multiple rapid saves)
     if (!this.isProcessing) {
       this.isProcessing = true
@@ -88,66 +745,57 @@ class PersistentStorage {
 
     for (const [type, data] of operations) {
       try {
-        await this.saveToFile(type, data)
+        await this.saveSnapshot(type, data)
       } catch (error) {
         console.error(`❌ Failed to save ${type}:`, error.message)
       }
     }
   }
 
-  // Save data to appropriate file
-  async saveToFile(type, data) {
-    let filePath, serializedData
-
+  // Upsert a whole in-memory store. Only used for the periodic/shutdown
+  // safety net; normal traffic goes through the incremental methods above.
+  async saveSnapshot(type, data) {
     switch (type) {
       case 'contacts':
-        filePath = this.contactsFile
-        serializedData = JSON.stringify(Array.from(data.entries()), null, 2)
+        this.saveContactsTx(Array.from(data.entries()).map(([id, contact]) => ({ ...contact, id })))
         break
-      
+
       case 'chats':
-        filePath = this.chatsFile
-        // Convert Map to array format for JSON serialization
-        serializedData = JSON.stringify(Array.from(data.entries()), null, 2)
+        this.db.transaction(ids => ids.forEach(id => this.ensureChat(id)))(Array.from(data.keys()))
         break
-      
+
       case 'messages':
-        filePath = this.messagesFile
-        serializedData = JSON.stringify(Array.from(data.entries()), null, 2)
+        this.saveMessagesTx(Array.from(data.values()))
         break
-      
+
       case 'meta':
-        filePath = this.metaFile
-        serializedData = JSON.stringify(data, null, 2)
+        this.saveMetaTx(data)
         break
-      
+
       default:
         console.warn(`⚠️ Unknown save type: ${type}`)
         return
     }
 
-    // Write to temporary file first, then rename (atomic operation)
-    const tempFile = `${filePath}.tmp`
-    fs.writeFileSync(tempFile, serializedData, 'utf8')
-    fs.renameSync(tempFile, filePath)
-    
-    console.log(`💾 Saved ${type} to disk`)
+    console.log(`💾 Saved ${type} to database`)
   }
 
   // Immediate save (for critical data)
   saveImmediately(type, data) {
-    return this.saveToFile(type, data)
+    return this.saveSnapshot(type, data)
   }
 
-  // Clean up old message data to prevent files from growing too large
-  cleanupOldMessages(messageStore, chatStore, maxMessagesPerChat = 100) {
+  // Trim the in-memory window; the messages stay in the database
+  cleanupOldMessages(messageStore, chatStore, maxMessagesPerChat = MEMORY_MESSAGES_PER_CHAT) {
     let cleaned = 0
-    
+
     for (const [chatId, messages] of chatStore.entries()) {
       if (messages.length > maxMessagesPerChat) {
-        // Keep only the most recent messages
+        // Keep only the most recent messages; pages of older history may
+        // have been added out of order
+        messages.sort((a, b) => toTimestamp(a.messageTimestamp) - toTimestamp(b.messageTimestamp))
         const oldMessages = messages.splice(0, messages.length - maxMessagesPerChat)
-        
+
         // Remove old message references from messageStore
         for (const msg of oldMessages) {
           if (msg.key?.id && messageStore.has(msg.key.id)) {
@@ -157,26 +805,63 @@ class PersistentStorage {
         }
       }
     }
-    
+
     if (cleaned > 0) {
-      console.log(`🧹 Cleaned up ${cleaned} old messages`)
-      this.queueSave('messages', messageStore)
-      this.queueSave('chats', chatStore)
+      console.log(`🧹 Unloaded ${cleaned} old messages from memory`)
+    }
+  }
+
+  close() {
+    if (this.db.open) this.db.close()
+  }
+
+  // Consistent copy of the live database into `file`, safe while it is written to
+  backup(file) {
+    return this.db.backup(file)
+  }
+
+  // Throws unless `file` is an intact database with this store's tables
+  static validateDatabase(file) {
+    const db = new Database(file, { readonly: true, fileMustExist: true })
+    try {
+      const check = db.pragma('integrity_check', { simple: true })
+      if (check !== 'ok') throw new Error(`Database is corrupt: ${check}`)
+      const tables = new Set(db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all().map(r => r.name))
+      const missing = ['messages', 'chats', 'contacts', 'meta'].filter(t => !tables.has(t))
+      if (missing.length > 0) throw new Error(`Database has no ${missing.join(', ')} table`)
+    } finally {
+      db.close()
+    }
+  }
+
+  // Replaces the database with `file`, which must sit on the same filesystem
+  // so the rename is atomic. Saves still queued belong to the old database
+  // and are dropped; callers reload their in-memory stores afterwards.
+  restore(file) {
+    PersistentStorage.validateDatabase(file)
+    this.saveQueue.clear()
+    this.close()
+    for (const suffix of ['-wal', '-shm']) {
+      fs.rmSync(`${this.dbFile}${suffix}`, { force: true })
+      fs.rmSync(`${file}${suffix}`, { force: true })
     }
+    fs.renameSync(file, this.dbFile)
+    this.open()
+    console.log(`♻️ Database restored from backup`)
   }
 
   // Export data for backup
   exportData() {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
     const backupDir = path.join(this.dataDir, 'backups')
-    
+
     if (!fs.existsSync(backupDir)) {
       fs.mkdirSync(backupDir, { recursive: true })
     }
-    
+
     const backupFile = path.join(backupDir, `backup-${timestamp}.json`)
-    const data = this.loadAllData()
-    
+    const data = this.loadAllData(-1) // -1 = no per-chat limit
+
     const exportData = {
       timestamp: new Date().toISOString(),
       contacts: Array.from(data.contacts.entries()),
@@ -184,12 +869,15 @@ class PersistentStorage {
       messages: Array.from(data.messages.entries()),
       meta: data.meta
     }
-    
-    fs.writeFileSync(backupFile, JSON.stringify(exportData, null, 2))
+
+    fs.writeFileSync(backupFile, JSON.stringify(exportData, BufferJSON.replacer, 2))
     console.log(`📦 Data exported to ${backupFile}`)
-    
+
     return backupFile
   }
 }
 
-module.exports = PersistentStorage
\ No newline at end of file
+PersistentStorage.MEMORY_MESSAGES_PER_CHAT = MEMORY_MESSAGES_PER_CHAT
+PersistentStorage.toTimestamp = toTimestamp
+
+module.exports = PersistentStorage
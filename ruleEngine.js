@@ -0,0 +1,248 @@
+// ruleEngine.js - Persistent auto-reply / bot rules matched against incoming messages
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const ACTION_TYPES = ['reply', 'forward', 'react', 'webhook']
+const CHAT_TYPES = ['any', 'direct', 'group']
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/
+
+// Seeded on first run so the old built-in ping handler keeps working
+const DEFAULT_RULES = [{
+  name: 'Ping',
+  match: { regex: '^ping$' },
+  actions: [{ type: 'reply', text: 'pong', quote: true }]
+}]
+
+const toList = value => (Array.isArray(value) ? value : String(value ?? '').split(','))
+  .map(v => String(v).trim())
+  .filter(Boolean)
+
+// Phone numbers and JIDs compare by their user part
+const userPart = jid => String(jid).split('@')[0].split(':')[0].replace(/^\+/, '')
+
+const minutesOf = hhmm => {
+  const [h, m] = hhmm.split(':').map(Number)
+  return h * 60 + m
+}
+
+class RuleEngine {
+  constructor({ dataDir = './data' } = {}) {
+    this.file = path.join(dataDir, 'rules.json')
+    // "ruleId:chatId" -> last time the rule fired in that chat
+    this.cooldowns = new Map()
+    this.saveTimer = null
+
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true })
+    }
+
+    if (fs.existsSync(this.file)) {
+      this.rules = this.load()
+    } else {
+      this.rules = []
+      for (const rule of DEFAULT_RULES) this.create(rule)
+    }
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'))
+    } catch (error) {
+      console.error(`❌ Error loading rules:`, error.message)
+      return []
+    }
+  }
+
+  save() {
+    clearTimeout(this.saveTimer)
+    this.saveTimer = null
+    const tempFile = `${this.file}.tmp`
+    fs.writeFileSync(tempFile, JSON.stringify(this.rules, null, 2))
+    fs.renameSync(tempFile, this.file)
+  }
+
+  // Firing statistics change often; batch their writes
+  queueSave() {
+    if (this.saveTimer) return
+    this.saveTimer = setTimeout(() => this.save(), 5000)
+    this.saveTimer.unref()
+  }
+
+  // =================== RULES ===================
+
+  // Normalizes a rule definition; throws with a user-facing message
+  validate({ name, match = {}, actions = [], cooldownSeconds = 0, stopOnMatch = true, enabled = true, account = null }) {
+    const normalized = {
+      name: String(name || '').trim().slice(0, 50),
+      enabled: enabled === true || enabled === 'true',
+      account: account || null,
+      match: {
+        from: toList(match.from).map(userPart),
+        chats: toList(match.chats),
+        chatType: match.chatType || 'any',
+        keywords: toList(match.keywords).map(k => k.toLowerCase()),
+        regex: match.regex ? String(match.regex) : null,
+        types: toList(match.types),
+        timeFrom: match.timeFrom || null,
+        timeTo: match.timeTo || null,
+        days: toList(match.days).map(Number)
+      },
+      actions: (Array.isArray(actions) ? actions : [actions]).map(a => ({ ...a })),
+      cooldownSeconds: Math.max(0, parseInt(cooldownSeconds) || 0),
+      stopOnMatch: stopOnMatch !== false && stopOnMatch !== 'false'
+    }
+
+    if (!normalized.name) throw new Error('Rule name is required')
+    if (!CHAT_TYPES.includes(normalized.match.chatType)) {
+      throw new Error(`chatType must be one of ${CHAT_TYPES.join(', ')}`)
+    }
+    if (normalized.match.regex) {
+      try {
+        new RegExp(normalized.match.regex, 'i')
+      } catch (error) {
+        throw new Error(`Invalid regex: ${error.message}`)
+      }
+    }
+    for (const field of ['timeFrom', 'timeTo']) {
+      if (normalized.match[field] && !TIME.test(normalized.match[field])) {
+        throw new Error(`${field} must be HH:MM`)
+      }
+    }
+    if (normalized.match.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw new Error('days must be 0 (Sunday) to 6 (Saturday)')
+    }
+
+    if (normalized.actions.length === 0) throw new Error('At least one action is required')
+    for (const action of normalized.actions) {
+      if (!ACTION_TYPES.includes(action.type)) {
+        throw new Error(`Action type must be one of ${ACTION_TYPES.join(', ')}`)
+      }
+      if (action.type === 'reply' && !action.text) throw new Error('reply needs text')
+      if (action.type === 'forward' && !action.to) throw new Error('forward needs to')
+      if (action.type === 'react' && !action.emoji) throw new Error('react needs emoji')
+      if (action.type === 'webhook' && !action.webhookId) throw new Error('webhook needs webhookId')
+    }
+
+    return normalized
+  }
+
+  create(definition) {
+    const rule = {
+      id: crypto.randomBytes(4).toString('hex'),
+      ...this.validate(definition),
+      createdAt: new Date().toISOString(),
+      lastFiredAt: null,
+      fireCount: 0
+    }
+    this.rules.push(rule)
+    this.save()
+    return rule
+  }
+
+  // Partial update; match and actions are replaced as a whole when given
+  update(id, changes = {}) {
+    const rule = this.get(id)
+    if (!rule) return null
+    const { id: _id, createdAt, lastFiredAt, fireCount, ...current } = rule
+    Object.assign(rule, this.validate({ ...current, ...changes }))
+    this.save()
+    return rule
+  }
+
+  setEnabled(id, enabled) {
+    const rule = this.get(id)
+    if (!rule) return null
+    rule.enabled = !!enabled
+    this.save()
+    return rule
+  }
+
+  remove(id) {
+    const before = this.rules.length
+    this.rules = this.rules.filter(r => r.id !== id)
+    if (this.rules.length === before) return false
+    this.save()
+    return true
+  }
+
+  get(id) {
+    return this.rules.find(r => r.id === id) || null
+  }
+
+  list({ account } = {}) {
+    return account === undefined
+      ? this.rules
+      : this.rules.filter(r => !r.account || r.account === account)
+  }
+
+  // =================== MATCHING ===================
+
+  // ctx: { account, chatId, sender, isGroup, text, type, date }
+  matches(rule, ctx) {
+    const m = rule.match
+    if (rule.account && rule.account !== ctx.account) return false
+    if (m.chatType === 'direct' && ctx.isGroup) return false
+    if (m.chatType === 'group' && !ctx.isGroup) return false
+    if (m.chats.length > 0 && !m.chats.some(c => c === ctx.chatId || userPart(c) === userPart(ctx.chatId))) return false
+    if (m.from.length > 0 && !m.from.includes(userPart(ctx.sender))) return false
+    if (m.types.length > 0 && !m.types.includes(ctx.type)) return false
+
+    const text = String(ctx.text || '')
+    if (m.keywords.length > 0) {
+      const words = new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u))
+      if (!m.keywords.some(k => words.has(k) || (k.includes(' ') && text.toLowerCase().includes(k)))) return false
+    }
+    if (m.regex && !new RegExp(m.regex, 'i').test(text)) return false
+
+    const date = ctx.date || new Date()
+    if (m.days.length > 0 && !m.days.includes(date.getDay())) return false
+    if (m.timeFrom || m.timeTo) {
+      const now = date.getHours() * 60 + date.getMinutes()
+      const from = m.timeFrom ? minutesOf(m.timeFrom) : 0
+      const to = m.timeTo ? minutesOf(m.timeTo) : 24 * 60
+      // A window like 22:00-07:00 wraps around midnight
+      const inWindow = from <= to ? now >= from && now < to : now >= from || now < to
+      if (!inWindow) return false
+    }
+    return true
+  }
+
+  // Rules that should fire for a message, in order, honouring per-chat
+  // cooldowns and stopOnMatch. A dry run leaves cooldowns and stats alone.
+  evaluate(ctx, { dryRun = false } = {}) {
+    const fired = []
+    const now = Date.now()
+    for (const rule of this.rules) {
+      if (!rule.enabled || !this.matches(rule, ctx)) continue
+
+      const cooldownKey = `${rule.id}:${ctx.chatId}`
+      const last = this.cooldowns.get(cooldownKey) || 0
+      if (rule.cooldownSeconds > 0 && now - last < rule.cooldownSeconds * 1000) continue
+
+      fired.push(rule)
+      if (!dryRun) {
+        this.cooldowns.set(cooldownKey, now)
+        rule.lastFiredAt = new Date(now).toISOString()
+        rule.fireCount++
+      }
+      if (rule.stopOnMatch) break
+    }
+    if (fired.length > 0 && !dryRun) this.queueSave()
+    return fired
+  }
+
+  // Fills {name}, {number}, {text}, {chat}, {time} and {date} in reply texts
+  render(template, vars = {}) {
+    return String(template).replace(/\{(\w+)\}/g, (match, key) =>
+      vars[key] !== undefined && vars[key] !== null ? String(vars[key]) : match)
+  }
+
+  stop() {
+    if (this.saveTimer) this.save()
+  }
+}
+
+RuleEngine.ACTION_TYPES = ACTION_TYPES
+
+module.exports = RuleEngine
@@ -1,6 +1,7 @@
 const express = require("express")
 const { default: makeWASocket, useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion, 
-        downloadMediaMessage, getContentType, extractMessageContent, delay } = require("@whiskeysockets/baileys")
+        downloadMediaMessage, getContentType, extractMessageContent, jidNormalizedUser, delay,
+        updateMessageWithReceipt } = require("@whiskeysockets/baileys")
 const fs = require("fs")
 const path = require("path")
 const axios = require("axios")
@@ -9,15 +10,33 @@ const QRCode = require('qrcode')
 const helmet = require('helmet')
 const rateLimit = require('express-rate-limit')
 const winston = require('winston')
-const { enhancedInitialSync } = require("./loadChatUtils")
-const PersistentStorage = require("./persistentStorage")
+const { fetchOlderMessages, handleHistorySet } = require("./loadChatUtils")
+const AccountManager = require("./accountManager")
+const { MEMORY_MESSAGES_PER_CHAT, toTimestamp } = require("./persistentStorage")
+const { imageToWbmp, qrToWbmp, clampSize } = require("./wbmpEncoder")
+const MediaTranscoder = require("./mediaTranscoder")
+const AuthManager = require("./authManager")
+const WebhookManager = require("./webhookManager")
+const RuleEngine = require("./ruleEngine")
+const MessageScheduler = require("./messageScheduler")
+const Outbox = require("./outbox")
+const chatExport = require("./chatExport")
+const chatImport = require("./chatImport")
+const BackupManager = require("./backupManager")
+const { wmlToWbxml } = require("./wbxmlEncoder")
+const { compileWmlScript } = require("./wmlscriptCompiler")
+const DeviceCapabilities = require("./deviceCapabilities")
+const { splitDeck } = require("./deckSplitter")
+const { negotiateFormat, renderDeck } = require("./markupRenderer")
+const conversationView = require("./conversationView")
+const { esc, truncate } = require("./wmlText")
 
 const iconv = require('iconv-lite');
+const crypto = require('crypto');
 
 const app = express()
 const port = process.env.PORT || 3500
 const isDev = process.env.NODE_ENV !== 'production'
-let sock = null 
 // Production middleware
 app.use(helmet({
   contentSecurityPolicy: false, // Disabled for WML compatibility
@@ -47,55 +66,310 @@ const logger = winston.createLogger({
 app.use(express.urlencoded({ extended: true }))
 app.use(express.json())
 
-// Storage with better persistence
-const storage = new PersistentStorage('./data')
-const persistentData = storage.loadAllData()
+// =================== WMLC ===================
+
+// WAP 1.x browsers behind plain HTTP proxies have no gateway compiling WML
+// for them; they list application/vnd.wap.wmlc in Accept and get WBXML.
+// Installed before the session middleware so session links are added to
+// the text first.
+app.use('/wml', (req, res, next) => {
+  res.vary('Accept')
+  if (req.accepts(['text/vnd.wap.wml', 'application/vnd.wap.wmlc']) !== 'application/vnd.wap.wmlc') return next()
+
+  const send = res.send.bind(res)
+  res.send = body => {
+    const type = String(res.get('Content-Type') || '')
+    if (!/^text\/vnd\.wap\.wml/i.test(type) || body == null) return send(body)
+    const charset = /iso-8859-1/i.test(type) ? 'iso-8859-1' : 'utf-8'
+    try {
+      const text = Buffer.isBuffer(body) ? iconv.decode(body, charset) : String(body)
+      const wmlc = wmlToWbxml(text, { charset, version: res.locals.device?.wmlVersion })
+      res.setHeader('Content-Type', 'application/vnd.wap.wmlc')
+      return send(wmlc)
+    } catch (error) {
+      logger.warn('WMLC encoding failed, sending text', { path: req.path, error: error.message })
+      return send(body)
+    }
+  }
+  next()
+})
+
+// =================== AUTHENTICATION ===================
+
+const auth = new AuthManager({ dataDir: './data' })
+const PUBLIC_WML_PATHS = new Set(['/login.wml', '/login'])
+const PUBLIC_API_PATHS = new Set(['/auth/login'])
+
+// WAP browsers often drop cookies, so the session token is appended to
+// every local link of the deck before it is sent (both UTF-8 strings and
+// the ISO-8859-1 buffers some pages build themselves)
+function bindSessionToResponse(res, token) {
+  res.locals.sessionToken = token
+  const send = res.send.bind(res)
+  res.send = body => {
+    const type = String(res.get('Content-Type') || '')
+    // Skip non-WML bodies and sessions ended while handling the request
+    if (!/wml/i.test(type) || body == null || !auth.sessions.has(token)) return send(body)
+    if (Buffer.isBuffer(body)) {
+      const charset = /iso-8859-1/i.test(type) ? 'iso-8859-1' : 'utf8'
+      return send(iconv.encode(auth.addSessionToUrls(iconv.decode(body, charset), token), charset))
+    }
+    return send(auth.addSessionToUrls(String(body), token))
+  }
+}
+
+app.use('/wml', (req, res, next) => {
+  const session = auth.getSession(auth.sessionTokenFromRequest(req))
+  if (session) {
+    req.session = session
+    bindSessionToResponse(res, session.token)
+    return accounts.run(sessionAccount(session), next)
+  }
+  if (PUBLIC_WML_PATHS.has(req.path)) return accounts.run(accounts.defaultAccount(), next)
+
+  const nextUrl = req.method === 'GET' ? auth.stripSessionParam(req.originalUrl) : '/wml/home.wml'
+  sendLoginCard(res, nextUrl, 'Please log in')
+})
+
+// =================== DEVICES ===================
+
+const devices = new DeviceCapabilities({ dataDir: './data' })
+
+// What the handset can take (deck size, images, charset, screen width) for
+// sendWml and the pages that adapt to it. UAProf documents named by the
+// client are only fetched for logged-in sessions.
+app.use('/wml', async (req, res, next) => {
+  try {
+    res.locals.device = await devices.resolve(req.headers, { fetchProfile: !!req.session })
+    next()
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Decks sendDeck had to split wait here until the handset asks for the rest
+const DECK_PART_TTL_MS = 15 * 60 * 1000
+const MAX_SPLIT_DECKS = 500
+const deckParts = new Map()
+
+function storeDeckParts(id, parts, owner) {
+  const now = Date.now()
+  for (const [key, entry] of deckParts) {
+    if (entry.expires < now || deckParts.size >= MAX_SPLIT_DECKS) deckParts.delete(key)
+  }
+  deckParts.set(id, { parts, owner, expires: now + DECK_PART_TTL_MS })
+}
+
+app.get('/wml/deck.wml', (req, res) => {
+  const entry = deckParts.get(String(req.query.id || ''))
+  const part = entry && entry.owner === req.session?.token ? entry.parts[parseInt(req.query.part)] : null
+  if (!part) {
+    return sendWml(res, resultCard('Page expired', ['This page is no longer available. Open it again.'], '/wml/home.wml', false))
+  }
+  writeDeck(res, part)
+})
+
+// XHTML-MP and cHTML forms whose WML <go> href was a variable (the message
+// type menu) are sent here with the chosen page as "href"
+app.all('/wml/go.wml', (req, res) => {
+  const href = String(req.body?.href || req.query.href || '')
+  if (!/^\/wml\/\w/.test(href)) {
+    return sendWml(res, resultCard('Error', ['Unknown page'], '/wml/home.wml', false))
+  }
+  // The other fields follow in the query (GET) or the re-sent body (POST)
+  const query = new URLSearchParams(req.originalUrl.split('?')[1] || '')
+  query.delete('href')
+  const target = query.toString() ? `${href}${href.includes('?') ? '&' : '?'}${query}` : href
+  res.redirect(req.method === 'POST' ? 307 : 302, target)
+})
+
+// /api/accounts/:account/<route> runs <route> against that account;
+// unscoped /api/<route> uses the caller's session account or the default
+app.use((req, res, next) => {
+  const match = req.url.match(/^\/api\/accounts\/([^/?]+)(\/.*)$/)
+  if (!match) return next()
+
+  if (!accounts.get(decodeURIComponent(match[1]))) {
+    return res.status(404).json({ error: "Account not found" })
+  }
+  req.accountId = decodeURIComponent(match[1])
+  req.url = `/api${match[2]}`
+  next()
+})
+
+app.use('/api', (req, res, next) => {
+  if (PUBLIC_API_PATHS.has(req.path)) return accounts.run(accounts.defaultAccount(), next)
+
+  const principal = auth.authenticate(req)
+  if (!principal) {
+    return res.status(401).json({ error: "Authentication required" })
+  }
+  req.auth = principal
+  const account = accounts.get(req.accountId) || sessionAccount(principal.session)
+  accounts.run(account, next)
+})
+
+// Sensitive REST actions need the PIN again, in the body or X-Auth-Pin
+function requirePin(req, res, next) {
+  try {
+    auth.confirmPin(req.body?.pin || req.get('X-Auth-Pin'), req.ip)
+    next()
+  } catch (error) {
+    res.status(403).json({ error: error.message })
+  }
+}
+
+// =================== ACCOUNTS ===================
+
+// Every account has its own socket, auth folder, stores and storage directory
+const accounts = new AccountManager({ dataDir: './data' })
+const mediaTranscoder = new MediaTranscoder({ cacheDir: './data/media-cache' })
+
+// The socket, stores and storage of an account live on it: handlers reach
+// them through accounts.current(), the account of the request, Baileys
+// event or timer being run (see accounts.run)
+
+// Account of a WML session, falling back to the default one
+function sessionAccount(session) {
+  return accounts.get(session?.accountId) || accounts.defaultAccount()
+}
+
+// =================== WEBHOOKS ===================
+
+const webhooks = new WebhookManager({ dataDir: './data' })
+
+// Baileys WebMessageInfo.status values
+const MESSAGE_STATUS = ['error', 'pending', 'server_ack', 'delivered', 'read', 'played']
+
+// Queues a webhook event for the current account
+function emitWebhook(event, data) {
+  try {
+    webhooks.emit(event, data, { account: accounts.current().id })
+  } catch (error) {
+    logger.error(`Failed to queue webhook ${event}: ${error.message}`)
+  }
+}
+
+// Plain JSON view of a message (WAMessage carries Longs and Buffers)
+function webhookMessage(msg) {
+  const chatId = msg.key.remoteJid
+  return {
+    id: msg.key.id,
+    chatId,
+    from: msg.key.fromMe ? accounts.current().sock?.user?.id || null : msg.key.participant || chatId,
+    pushName: msg.pushName || null,
+    fromMe: !!msg.key.fromMe,
+    isGroup: chatId?.endsWith('@g.us') || false,
+    timestamp: Number(msg.messageTimestamp) || null,
+    type: msg.message ? getContentType(msg.message) || null : null,
+    text: messageText(msg) || null
+  }
+}
+
+// =================== RULES ===================
+
+const rules = new RuleEngine({ dataDir: './data' })
+
+// A rule the current account may see and change: its own or a global one
+function accountRule(id) {
+  const rule = rules.get(String(id || ''))
+  return rule && (!rule.account || rule.account === accounts.current().id) ? rule : null
+}
+
+// Matching context of an incoming message for the rule engine
+function ruleContext(msg) {
+  const chatId = msg.key.remoteJid
+  const sender = msg.key.participant || chatId
+  return {
+    account: accounts.current().id,
+    chatId,
+    sender,
+    isGroup: chatId.endsWith('@g.us'),
+    text: messageText(msg) || '',
+    type: msg.message ? getContentType(msg.message) : null,
+    date: new Date(Number(msg.messageTimestamp) * 1000 || Date.now())
+  }
+}
+
+// Runs the actions of every rule matching an incoming message
+async function applyRules(msg) {
+  const ctx = ruleContext(msg)
+  const contact = accounts.current().contactStore.get(ctx.sender)
+  const now = new Date()
+  const vars = {
+    name: contact?.name || contact?.notify || msg.pushName || jidFriendly(ctx.sender),
+    number: jidFriendly(ctx.sender),
+    chat: accounts.current().contactStore.get(ctx.chatId)?.name || jidFriendly(ctx.chatId),
+    text: ctx.text,
+    time: now.toLocaleTimeString(),
+    date: now.toLocaleDateString()
+  }
+
+  for (const rule of rules.evaluate(ctx)) {
+    for (const action of rule.actions) {
+      try {
+        await runRuleAction(action, msg, ctx, vars, rule)
+      } catch (error) {
+        logger.error(`Rule "${rule.name}" ${action.type} failed: ${error.message}`)
+      }
+    }
+  }
+}
 
-let messageStore = persistentData.messages
-let contactStore = persistentData.contacts  
-let chatStore = persistentData.chats
-let connectionState = 'disconnected'
-let isFullySynced = persistentData.meta.isFullySynced
-let syncAttempts = persistentData.meta.syncAttempts
+async function runRuleAction(action, msg, ctx, vars, rule) {
+  switch (action.type) {
+    case 'reply':
+      await accounts.current().sock.sendMessage(ctx.chatId, { text: rules.render(action.text, vars) },
+        action.quote ? { quoted: msg } : undefined)
+      break
+    case 'forward':
+      await accounts.current().sock.sendMessage(formatJid(action.to), { forward: msg })
+      break
+    case 'react':
+      await accounts.current().sock.sendMessage(ctx.chatId, { react: { text: action.emoji, key: msg.key } })
+      break
+    case 'webhook':
+      if (!webhooks.deliver(action.webhookId, 'rule.matched', { rule: { id: rule.id, name: rule.name }, message: webhookMessage(msg) },
+        { account: ctx.account })) {
+        throw new Error(`Webhook ${action.webhookId} not found`)
+      }
+      break
+  }
+}
 // WML Constants
 const WML_DTD = '<!DOCTYPE wml PUBLIC "-//WAPFORUM//DTD WML 1.3//EN" "http://www.wapforum.org/DTD/wml13.dtd">'
 const WMLSCRIPT_DTD = '<!DOCTYPE wmls PUBLIC "-//WAPFORUM//DTD WMLScript 1.3//EN" "http://www.wapforum.org/DTD/wmls13.dtd">'
 
-// WML Helper Functions
-function esc(s = '') {
-  return String(s).replace(/[&<>"']/g, c => ({ 
-    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' 
-  }[c]))
-}
-
 function saveContacts() {
-  storage.queueSave('contacts', contactStore)
+  accounts.current().storage.queueSave('contacts', accounts.current().contactStore)
 }
 
 function saveChats() {
-  storage.queueSave('chats', chatStore)
+  accounts.current().storage.queueSave('chats', accounts.current().chatStore)
 }
 
 function saveMessages() {
-  storage.queueSave('messages', messageStore)
+  accounts.current().storage.queueSave('messages', accounts.current().messageStore)
 }
 
 function saveMeta() {
+  const account = accounts.current()
   const meta = {
-    isFullySynced,
-    syncAttempts,
+    isFullySynced: account.isFullySynced,
+    syncAttempts: account.syncAttempts,
     lastSync: new Date().toISOString(),
-    contactsCount: contactStore.size,
-    chatsCount: chatStore.size,
-    messagesCount: messageStore.size
+    contactsCount: account.contactStore.size,
+    chatsCount: account.chatStore.size,
+    messagesCount: account.messageStore.size
   }
-  storage.queueSave('meta', meta)
+  account.storage.queueSave('meta', meta)
 }
 
+// Messages are upserted as they arrive, so the periodic save
+// only needs the small stores
 function saveAll() {
   saveContacts()
   saveChats() 
-  saveMessages()
   saveMeta()
 }
 
@@ -106,12 +380,88 @@ function wmlDoc(cards, scripts = '') {
 }
 
 function sendWml(res, cards, scripts = '') {
-  res.setHeader('Content-Type', 'text/vnd.wap.wml; charset=UTF-8')
+  sendDeck(res, wmlDoc(cards, scripts))
+}
+
+// Device, format and charset a response is rendered for. WML only goes
+// out in UTF-8 or ISO-8859-1, the charsets WBXML and session binding know.
+function responseFormat(res) {
+  const device = res.locals.device || devices.fallback()
+  const { format, contentType } = negotiateFormat(res.req.headers, device)
+  const html = !format.startsWith('wml')
+  const charset = html
+    ? (iconv.encodingExists(device.charset) ? device.charset : 'utf-8')
+    : (device.charset === 'iso-8859-1' ? 'iso-8859-1' : 'utf-8')
+  return { device, format, contentType, charset, html }
+}
+
+// XHTML-MP and cHTML pages get their session links here, as response
+// session binding only rewrites WML
+function renderResponse(wml, target, token) {
+  if (!target.html) return renderDeck(wml, target.format, { charset: target.charset })
+  const goHref = token ? `/wml/go.wml?${AuthManager.SESSION_PARAM}=${token}` : '/wml/go.wml'
+  return renderDeck(token ? auth.addSessionToUrls(wml, token) : wml, target.format, { charset: target.charset, goHref })
+}
+
+// Size of a deck as the handset gets it, session links included: compiled
+// for WML, as text for XHTML-MP and cHTML
+function deckSize(wml, target, token) {
+  try {
+    const rendered = renderResponse(wml, target, token)
+    if (target.html) return Buffer.byteLength(rendered)
+    const bound = token ? auth.addSessionToUrls(rendered, token) : rendered
+    return wmlToWbxml(bound, { charset: target.charset, version: target.device.wmlVersion }).length
+  } catch (error) {
+    return Buffer.byteLength(wml)
+  }
+}
+
+// Decks over the device's limit are split into smaller decks and card
+// pages; the first is sent and the rest are served by /wml/deck.wml
+function sendDeck(res, wml) {
+  const target = responseFormat(res)
+  const token = res.locals.sessionToken
+  const id = crypto.randomBytes(6).toString('hex')
+  let parts = [wml]
+  try {
+    parts = splitDeck(wml, {
+      maxBytes: target.device.maxDeckBytes,
+      measure: deck => deckSize(deck, target, token),
+      partHref: (n, cardId) => `/wml/deck.wml?id=${id}&part=${n}#${cardId}`
+    })
+  } catch (error) {
+    logger.warn('Deck splitting failed, sending it whole', { path: res.req.path, error: error.message })
+  }
+  if (parts.length > 1) storeDeckParts(id, parts, token)
+  writeDeck(res, parts[0], target)
+}
+
+// Sends a deck as WML 1.1/1.3, XHTML-MP or cHTML (see markupRenderer.js)
+function writeDeck(res, wml, target = responseFormat(res)) {
   res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate')
   res.setHeader('Pragma', 'no-cache')
   res.setHeader('Expires', '0')
   res.setHeader('Accept-Ranges', 'none')
-  res.send(wmlDoc(cards, scripts))
+
+  let body = wml
+  let contentType = target.contentType
+  let charset = target.charset
+  try {
+    body = renderResponse(wml, target, res.locals.sessionToken)
+  } catch (error) {
+    logger.warn('Deck rendering failed, sending it as WML', { path: res.req.path, format: target.format, error: error.message })
+    contentType = 'text/vnd.wap.wml'
+    charset = 'utf-8'
+  }
+
+  if (charset === 'utf-8') {
+    res.setHeader('Content-Type', `${contentType}; charset=UTF-8`)
+    return res.send(body)
+  }
+  // Characters outside Latin-1 travel as character references
+  if (charset === 'iso-8859-1') body = body.replace(/[^\u0000-\u00ff]/gu, c => `&#${c.codePointAt(0)};`)
+  res.setHeader('Content-Type', `${contentType}; charset=${charset}`)
+  res.send(iconv.encode(body, charset))
 }
 
 function card(id, title, inner, ontimer = null) {
@@ -122,11 +472,6 @@ function card(id, title, inner, ontimer = null) {
   </card>`
 }
 
-function truncate(s = '', max = 64) {
-  const str = String(s)
-  return str.length > max ? str.slice(0, max - 1) + '…' : str
-}
-
 function jidFriendly(jid = '') {
   if (!jid) return ''
   if (jid.endsWith('@s.whatsapp.net')) return jid.replace('@s.whatsapp.net', '')
@@ -214,79 +559,89 @@ function searchBox(action, placeholder = "Search...") {
   `
 }
 
-// WMLScript functions
-function wmlScript(name, functions) {
-  return `<script src="/wmlscript/${name}.wmls" type="text/vnd.wap.wmlscriptc"/>`
+// PIN re-entry for sensitive actions; pair with <postfield name="pin" value="$(pin)"/>
+function pinField(label = 'Confirm with PIN:') {
+  return `
+    <p>${esc(label)}</p>
+    <input name="pin" title="PIN" type="password" format="*N" size="8" maxlength="12"/>
+  `
 }
 
-// WMLScript files endpoint
-app.get('/wmlscript/:filename', (req, res) => {
-  const { filename } = req.params
-  let script = ''
-  
-  res.setHeader('Content-Type', 'text/vnd.wap.wmlscript')
-  res.setHeader('Cache-Control', 'max-age=3600')
-  
-  switch(filename) {
-    case 'utils.wmls':
-      script = `
-extern function refresh();
-extern function confirmAction(message);
-extern function showAlert(text);
-
-function refresh() {
+// WMLScript units. WML calls their extern functions through URLs such as
+// /wmlscript/utils.wmls#refresh()
+const WMLSCRIPT_SOURCES = {
+  'utils.wmls': `
+extern function refresh() {
   WMLBrowser.refresh();
 }
 
-function confirmAction(message) {
-  var result = Dialogs.confirm(message, "Confirm", "Yes", "No");
-  return result;
+extern function confirmAction(message, href) {
+  if (Dialogs.confirm(message, "Yes", "No")) {
+    WMLBrowser.go(href);
+  }
 }
 
-function showAlert(text) {
+extern function showAlert(text) {
   Dialogs.alert(text);
 }
-`
-      break
-    case 'wtai.wmls':
-      script = `
-extern function makeCall(number);
-extern function sendSMS(number, message);
-extern function addContact(name, number);
-
-function makeCall(number) {
-  WTAVoice.setup("wtai://wp/mc;" + number, "");
+`,
+  'wtai.wmls': `
+extern function makeCall(number) {
+  WTAPublic.makeCall(number);
 }
 
-function sendSMS(number, message) {
-  WTASMS.send("wtai://wp/ms;" + number + ";" + message, "");
+extern function sendSMS(number, message) {
+  WMLBrowser.go("sms:" + number + "?body=" + URL.escapeString(message));
 }
 
-function addContact(name, number) {
-  WTAPhoneBook.write("wtai://wp/ap;" + name + ";" + number, "");
+extern function addContact(title, number) {
+  WTAPublic.addPBEntry(number, title);
 }
 `
-      break
-    default:
-      return res.status(404).send('Script not found')
+}
+const compiledScripts = new Map()
+
+// WMLScript files endpoint: bytecode, or the source for gateways that
+// compile it themselves and ask for text/vnd.wap.wmlscript
+app.get('/wmlscript/:filename', (req, res) => {
+  const { filename } = req.params
+  // Own keys only: "constructor" and the like are no scripts
+  if (!Object.hasOwn(WMLSCRIPT_SOURCES, filename)) return res.status(404).send('Script not found')
+  const source = WMLSCRIPT_SOURCES[filename]
+
+  res.setHeader('Cache-Control', 'max-age=3600')
+  res.vary('Accept')
+  if (req.accepts(['application/vnd.wap.wmlscriptc', 'text/vnd.wap.wmlscript']) === 'text/vnd.wap.wmlscript') {
+    res.setHeader('Content-Type', 'text/vnd.wap.wmlscript')
+    return res.send(source)
   }
-  
-  res.send(script)
+
+  if (!compiledScripts.has(filename)) {
+    try {
+      compiledScripts.set(filename, compileWmlScript(source))
+    } catch (error) {
+      logger.error('WMLScript compilation failed', { filename, error: error.message })
+      return res.status(500).send('Script error')
+    }
+  }
+  res.setHeader('Content-Type', 'application/vnd.wap.wmlscriptc')
+  res.send(compiledScripts.get(filename))
 })
 
-// Enhanced Home page with WMLScript integration
+// Home page
 app.get(['/wml', '/wml/home.wml'], (req, res) => {
-  const connected = !!sock?.authState?.creds
-  const scripts = `
-    ${wmlScript('utils')}
-    ${wmlScript('wtai')}
-  `
+  const connected = !!accounts.current().sock?.authState?.creds
+  const unread = totalUnread()
+  const { queued, failed } = outbox.counts({ account: accounts.current().id })
+  const unsent = queued + failed
   
   const body = `
   
     <p><b>WhatsApp WAP Client</b></p>
-    <p>Status: ${connected ? '<b>Connected</b>' : '<em>Disconnected</em>'}  ${esc(connectionState)}</p>
-    <p>Sync: ${isFullySynced ? 'Complete' : 'Pending'}  Contacts: ${contactStore.size}  Chats: ${chatStore.size}</p>
+    <p>Status: ${connected ? '<b>Connected</b>' : '<em>Disconnected</em>'}  ${esc(accounts.current().connectionState)}</p>
+    <p>Sync: ${accounts.current().isFullySynced ? 'Complete' : 'Pending'}  Contacts: ${accounts.current().contactStore.size}  Chats: ${accounts.current().chatStore.size}</p>
+    ${unread > 0 ? `<p><a href="/wml/chats.wml?unread=1&amp;limit=10"><b>${unread} unread</b></a></p>` : ''}
+    ${unsent > 0 ? `<p><a href="/wml/outbox.wml">${unsent} unsent in outbox</a></p>` : ''}
     
     ${searchBox('/wml/search.results.wml', 'Search messages...')}
     
@@ -307,7 +662,11 @@ app.get(['/wml', '/wml/home.wml'], (req, res) => {
       <a href="/wml/send-menu.wml" accesskey="9">[9] Send Message</a><br/>
       <a href="/wml/groups.wml" accesskey="*">[*] Groups</a><br/>
       <a href="/wml/broadcast.wml">[#] Broadcast</a><br/>
+      <a href="/wml/rules.wml">[R] Auto-Replies</a><br/>
       <a href="/wml/debug.wml">[D] Debug</a><br/>
+      <a href="/wml/accounts.wml">[A] Accounts (${esc(accounts.current().name)})</a><br/>
+      <a href="/wml/security.wml">[S] Security</a><br/>
+      <a href="/wml/backups.wml">[B] Backups</a><br/>
       <a href="/wml/logout.wml" accesskey="0">[0] Logout</a><br/>
     </p>
     
@@ -319,188 +678,38 @@ app.get(['/wml', '/wml/home.wml'], (req, res) => {
     </do>
   `
   
-  sendWml(res, card('home', 'WhatsApp API', body, '/wml/home.wml'), scripts)
+  sendWml(res, card('home', 'WhatsApp API', body, '/wml/home.wml'))
 })
 
-/*
-app.get('/wml/chat.wml', async (req, res) => {
-  const raw = req.query.jid || ''
-  const jid = formatJid(raw)
-  const limit = 10 // Aumentato da 6 a 10 messaggi per pagina
-  const offset = Math.max(0, parseInt(req.query.offset || '0'))
-  const search = (req.query.search || '').trim().toLowerCase()
-
-  // Carica cronologia se mancante
-  if ((!chatStore.get(jid) || chatStore.get(jid).length === 0) && sock) {
-    try { 
-      await loadChatHistory(jid, limit * 5) // carica più messaggi per navigazione
-    } catch (e) { 
-      logger.warn(`Failed to load chat history for ${jid}: ${e.message}`) 
-    }
-  }
-
-  let allMessages = (chatStore.get(jid) || []).slice()
-  
-  // Ordinamento cronologico CRESCENTE (dal più vecchio al più recente)
-  allMessages.sort((a, b) => Number(a.messageTimestamp) - Number(b.messageTimestamp))
-
-  // Applica filtro di ricerca se presente
-  if (search) {
-    allMessages = allMessages.filter(m => (messageText(m) || '').toLowerCase().includes(search))
-  }
-
-  // Per la paginazione con ordinamento crescente, prendiamo gli ultimi messaggi
-  // ma li mostriamo nell'ordine corretto (dal più vecchio al più recente)
-  const totalMessages = allMessages.length
-  const startIndex = Math.max(0, totalMessages - limit - offset)
-  const endIndex = totalMessages - offset
-  const slice = allMessages.slice(startIndex, endIndex)
-
-  const contact = contactStore.get(jid)
-  const chatName = contact?.name || contact?.notify || contact?.verifiedName || jidFriendly(jid)
-  const number = jidFriendly(jid)
-
-  // Escape sicuro e rimuove caratteri non ASCII
-  const escWml = text => (text || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/[^\x20-\x7E]/g, '?')
-
-  let messageList
-  if (slice.length === 0) {
-    messageList = `<p>No messages found.</p>
-      <p>
-        <a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}" accesskey="2">[Clear Search]</a> |
-        <a href="/wml/chats.wml" accesskey="0">[Back to Chats]</a>
-      </p>`
-  } else {
-    messageList = slice.map((m, idx) => {
-      const who = m.key.fromMe ? 'Me' : chatName
-      const text = truncate(messageText(m), 100)
-      const ts = new Date(Number(m.messageTimestamp) * 1000).toLocaleTimeString('en-GB', {
-        hour: '2-digit', 
-        minute: '2-digit'
-      })
-      const mid = m.key.id
-      
-      return `<p><b>${idx + 1}. ${escWml(who)}</b> (${ts})<br/>
-        ${escWml(text)}<br/>
-        <a href="/wml/msg.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}" accesskey="${Math.min(idx + 1, 9)}">[Actions]</a>
-      </p>`
-    }).join('')
-  }
-
-  // Navigazione corretta per ordinamento crescente
-  const olderOffset = offset + limit
-  const olderLink = olderOffset < totalMessages
-    ? `<a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;offset=${olderOffset}&amp;search=${encodeURIComponent(search)}" accesskey="2">[2] Older</a>` : ''
-  
-  const newerOffset = Math.max(0, offset - limit)
-  const newerLink = offset > 0
-    ? `<a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;offset=${newerOffset}&amp;search=${encodeURIComponent(search)}" accesskey="3">[3] Newer</a>` : ''
-
-  // Search form sempre visibile
-  const searchForm = `
-    <p><b>Search Messages:</b></p>
-    <p>
-      <input name="searchQuery" title="Search..." value="${escWml(search)}" size="15" maxlength="50"/>
-      <do type="accept" label="Search">
-        <go href="/wml/chat.wml" method="get">
-          <postfield name="jid" value="${escWml(jid)}"/>
-          <postfield name="search" value="$(searchQuery)"/>
-          <postfield name="offset" value="0"/>
-        </go>
-      </do>
-    </p>
-    ${search ? `<p>Searching: <b>${escWml(search)}</b> | <a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}">[Clear]</a></p>` : ''}
-  `
-
-  // Indicatori di paginazione migliorati
-  const currentPage = Math.floor(offset / limit) + 1
-  const totalPages = Math.ceil(totalMessages / limit)
-  const paginationInfo = `
-    <p><b>Messages ${Math.max(1, totalMessages - endIndex + 1)}-${totalMessages - startIndex} of ${totalMessages}</b></p>
-    <p>Page ${currentPage}/${totalPages}</p>
-  `
-
-  const body = `
-    <p><b>${escWml(chatName)}</b></p>
-    <p>${escWml(number)} | Total: ${totalMessages} messages</p>
-
-    ${searchForm}
-
-    ${paginationInfo}
-
-    ${messageList}
-
-    <p><b>Navigation:</b></p>
-    <p>${olderLink} ${olderLink && newerLink ? ' | ' : ''} ${newerLink}</p>
-
-    <p><b>Quick Actions:</b></p>
-    <p>
-      <a href="/wml/send.text.wml?to=${encodeURIComponent(jid)}" accesskey="1">[1] Send Text</a> |
-      <a href="/wml/contact.wml?jid=${encodeURIComponent(jid)}" accesskey="4">[4] Contact Info</a>
-      ${number && !jid.endsWith('@g.us') ? ` | <a href="wtai://wp/mc;${number}" accesskey="9">[9] Call</a>` : ''}
-    </p>
-
-    <p>
-      <a href="/wml/chats.wml" accesskey="0">[0] Back to Chats</a> |
-      <a href="/wml/home.wml" accesskey="*">[*] Home</a>
-    </p>
-
-    <do type="accept" label="Send">
-      <go href="/wml/send.text.wml?to=${encodeURIComponent(jid)}"/>
-    </do>
-    <do type="options" label="Refresh">
-      <go href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;offset=${offset}&amp;search=${encodeURIComponent(search)}"/>
-    </do>
-  `
-
-  res.setHeader('Content-Type', 'text/vnd.wap.wml; charset=UTF-8')
-  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate')
-  res.setHeader('Pragma', 'no-cache')
-  res.setHeader('Expires', '0')
-  
-  res.send(`<?xml version="1.0"?>
-<!DOCTYPE wml PUBLIC "-//WAPFORUM//DTD WML 1.1//EN" "http://www.wapforum.org/DTD/wml_1.1.xml">
-<wml>
-  <head>
-    <meta http-equiv="Cache-Control" content="max-age=0"/>
-  </head>
-  <card id="chat" title="${escWml(chatName)}">
-    ${body}
-  </card>
-</wml>`)
-})*/
-
 // Enhanced Status page
 app.get('/wml/status.wml', (req, res) => {
-  const connected = !!sock?.authState?.creds
+  const account = accounts.current()
+  const connected = !!account.sock?.authState?.creds
   const uptime = Math.floor(process.uptime() / 60)
+  const device = res.locals.device
   
   const body = `
    
     <p><b>System Status</b></p>
     <p>Connection: ${connected ? '<b>Active</b>' : '<em>Inactive</em>'}</p>
-    <p>State: ${esc(connectionState)}</p>
-    <p>QR Available: ${currentQR ? 'Yes' : 'No'}</p>
+    <p>State: ${esc(account.connectionState)}</p>
+    <p>QR Available: ${account.currentQR ? 'Yes' : 'No'}</p>
     <p>Uptime: ${uptime} minutes</p>
+    <p>Device: ${esc(device.name)} (${device.maxDeckBytes ? `${device.maxDeckBytes}B decks` : 'no deck limit'}, ${device.source})</p>
     
    
-    <p>Sync Status: ${isFullySynced ? '<b>Complete</b>' : '<em>In Progress</em>'}</p>
-    <p>Sync Attempts: ${syncAttempts}</p>
-    <p>Contacts: ${contactStore.size}</p>
-    <p>Chats: ${chatStore.size}</p>
-    <p>Messages: ${messageStore.size}</p>
+    <p>Sync Status: ${account.isFullySynced ? '<b>Complete</b>' : '<em>In Progress</em>'}</p>
+    <p>Sync Attempts: ${account.syncAttempts}</p>
+    <p>Contacts: ${account.contactStore.size}</p>
+    <p>Chats: ${account.chatStore.size}</p>
+    <p>Messages: ${account.messageStore.size}</p>
     
     <p><b>Sync Actions:</b></p>
     <p>
       <a href="/wml/sync.full.wml" accesskey="1">[1]  Sync</a><br/>
     
     </p>
-    <br>
+    <br/>
     ${navigationBar()}
     
     <do type="accept" label="Refresh">
@@ -513,26 +722,31 @@ app.get('/wml/status.wml', (req, res) => {
 
 // Enhanced QR Code page
 app.get('/wml/qr.wml', (req, res) => {
-  const body = currentQR
+  const account = accounts.current()
+  const size = clampSize(req.query.size, res.locals.device.screenWidth)
+  const qrImg = account.currentQR ? qrToWbmp(account.currentQR, { size }) : null
+
+  const body = account.currentQR
     ? `
     
       <p><b>QR Code Available</b></p>
       <p>Scan with WhatsApp:</p>
-      <p><img src="/api/qr/image?format=wbmp" alt="QR Code" localscr="qr.wbmp"/></p>
+      <p><img src="/api/qr/image?format=wbmp&amp;size=${size}" alt="QR Code" width="${qrImg.width}" height="${qrImg.height}"/></p>
       <p><small>Auto-refreshes every 30 seconds</small></p>
+      <p>Size: <a href="/wml/qr.wml?size=96">[Small]</a> <a href="/wml/qr.wml?size=128">[Medium]</a> <a href="/wml/qr.wml?size=176">[Large]</a></p>
       
       <p><b>QR Formats:</b></p>
   <p>
   <a href="/api/qr/image?format=png">[PNG]</a> 
   <a href="/api/qr/text">[Text]</a> |
-  <a href="/api/qr/image?format=wbmp">[WBMP]</a> 
-  <a href="/api/qr/wml-wbmp">[WML+WBMP]</a>
+  <a href="/api/qr/image?format=wbmp&amp;size=${size}">[WBMP]</a> 
+  <a href="/api/qr/wml-wbmp?size=${size}">[WML+WBMP]</a>
 </p>
     `
     : `
    
       <p><b>QR Code Not Available</b></p>
-      <p>Status: ${esc(connectionState)}</p>
+      <p>Status: ${esc(account.connectionState)}</p>
       <p>Please wait or check connection...</p>
     `
 
@@ -540,16 +754,16 @@ app.get('/wml/qr.wml', (req, res) => {
     ${body}
     ${navigationBar()}
     <do type="accept" label="Refresh">
-      <go href="/wml/qr.wml"/>
+      <go href="/wml/qr.wml?size=${size}"/>
     </do>
   `
   
-  sendWml(res, card('qr', 'QR Code', body_full, '/wml/qr.wml'))
+  sendWml(res, card('qr', 'QR Code', body_full, `/wml/qr.wml?size=${size}`))
 })
 
 
 app.get("/api/qr/wml-wbmp", (req, res) => {
-    if (!currentQR) {
+    if (!accounts.current().currentQR) {
         res.set("Content-Type", "text/vnd.wap.wml");
         return res.send(`<?xml version="1.0"?>
 <!DOCTYPE wml PUBLIC "-//WAPFORUM//DTD WML 1.1//EN"
@@ -561,6 +775,9 @@ app.get("/api/qr/wml-wbmp", (req, res) => {
 </wml>`);
     }
 
+    const size = clampSize(req.query.size, res.locals.device.screenWidth)
+    const { width, height } = qrToWbmp(accounts.current().currentQR, { size })
+
     // Restituisce una WML page che richiama l'immagine WBMP
     res.set("Content-Type", "text/vnd.wap.wml");
     res.send(`<?xml version="1.0"?>
@@ -569,7 +786,7 @@ app.get("/api/qr/wml-wbmp", (req, res) => {
 <wml>
   <card id="qr" title="WhatsApp QR">
     <p>Scansiona il QR:</p>
-    <p><img src="/api/qr/image?format=wbmp" alt="QR Code"/></p>
+    <p><img src="/api/qr/image?format=wbmp&amp;size=${size}" alt="QR Code" width="${width}" height="${height}"/></p>
   </card>
 </wml>`);
 });
@@ -578,8 +795,6 @@ app.get("/api/qr/wml-wbmp", (req, res) => {
 // Enhanced Contacts with search and pagination
 
 app.get('/wml/contacts.wml', (req, res) => {
-  const userAgent = req.headers['user-agent'] || ''
-  
   // Usa req.query per GET. Se il form usa POST, i dati sarebbero in req.body.
   // La <go> con method="get" mette i dati in query string.
   const query = req.query;
@@ -587,14 +802,14 @@ app.get('/wml/contacts.wml', (req, res) => {
   const page = Math.max(1, parseInt(query.page || '1'))
   let limit = Math.max(1, Math.min(20, parseInt(query.limit || '10')))
   
-  // Limiti più restrittivi per dispositivi WAP 1.0
-  if (userAgent.includes('Nokia') || userAgent.includes('UP.Browser')) {
+  // Limiti più restrittivi per dispositivi con deck piccoli
+  if (res.locals.device.compact) {
     limit = Math.min(5, limit) // Max 5 elementi per pagina
   }
   
   const search = query.q || ''
   
-  let contacts = Array.from(contactStore.values())
+  let contacts = Array.from(accounts.current().contactStore.values())
   
   // Applica filtro di ricerca
   if (search) {
@@ -687,19 +902,8 @@ app.get('/wml/contacts.wml', (req, res) => {
   </card>
 </wml>`;
   
-  // --- MODIFICHE CHIAVE PER LA COMPATIBILITÀ ---
-  
-  // 1. Imposta gli header per WAP 1.0 con la codifica corretta (ISO-8859-1)
-  res.setHeader('Content-Type', 'text/vnd.wap.wml; charset=iso-8859-1');
-  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-  res.setHeader('Pragma', 'no-cache');
-  res.setHeader('Expires', '0');
-  
-  // 2. Codifica l'intera stringa WML in un buffer ISO-8859-1
-  const encodedBuffer = iconv.encode(wmlOutput, 'iso-8859-1');
-  
-  // 3. Invia il buffer codificato
-  res.send(encodedBuffer);
+  // Codifica, markup e dimensione del deck dipendono dal dispositivo
+  sendDeck(res, wmlOutput);
 });
 
 // Aggiungi un listener per poter eseguire il server
@@ -710,10 +914,11 @@ app.listen(PORT, () => {
 });
 // Enhanced Contact Detail page with WTAI integration
 app.get('/wml/contact.wml', async (req, res) => {
+  const account = accounts.current()
   try {
-    if (!sock) throw new Error('Not connected')
+    if (!account.sock) throw new Error('Not connected')
     const jid = formatJid(req.query.jid || '')
-    const contact = contactStore.get(jid)
+    const contact = account.contactStore.get(jid)
     const number = jidFriendly(jid)
     
     // Try to fetch additional info
@@ -721,8 +926,8 @@ app.get('/wml/contact.wml', async (req, res) => {
     let businessProfile = null
     
     try {
-      status = await sock.fetchStatus(jid)
-      businessProfile = await sock.getBusinessProfile(jid)
+      status = await account.sock.fetchStatus(jid)
+      businessProfile = await account.sock.getBusinessProfile(jid)
     } catch (e) {
       // Silently fail for these optional features
     }
@@ -745,6 +950,7 @@ app.get('/wml/contact.wml', async (req, res) => {
       <p>
         <a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;limit=15" accesskey="4">[4] Open Chat</a><br/>
         <a href="/wml/send.text.wml?to=${encodeURIComponent(jid)}" accesskey="5">[5] Send Message</a><br/>
+        <a href="/wml/send.contact.wml?share=${encodeURIComponent(jid)}" accesskey="6">[6] Share Contact</a><br/>
         <a href="/wml/block.wml?jid=${encodeURIComponent(jid)}" accesskey="7">[7] Block</a><br/>
         <a href="/wml/unblock.wml?jid=${encodeURIComponent(jid)}" accesskey="8">[8] Unblock</a><br/>
       </p>
@@ -764,793 +970,101 @@ app.get('/wml/contact.wml', async (req, res) => {
     sendWml(res, resultCard('Error', [e.message || 'Failed to load contact'], '/wml/contacts.wml'))
   }
 })
-/*
+
+// Chat conversation, laid out by conversationView for the device
 app.get('/wml/chat.wml', async (req, res) => {
-  const userAgent = req.headers['user-agent'] || ''
-  const isOldNokia = /Nokia|Series40|MAUI|UP\.Browser/i.test(userAgent)
-  
-  const raw = req.query.jid || ''
-  const jid = formatJid(raw)
-  const offset = Math.max(0, parseInt(req.query.offset || '0'))
+  const account = accounts.current()
+  const layout = conversationView.layoutFor(res.locals.device)
+  const jid = formatJid(req.query.jid || '')
+  const offset = Math.max(0, parseInt(req.query.offset || '0') || 0)
   const search = (req.query.search || '').trim().toLowerCase()
-  
-  // Very small limits for Nokia 7210
-  const limit = isOldNokia ? 3 : 10
-  
-  // Load chat history if missing
-  if ((!chatStore.get(jid) || chatStore.get(jid).length === 0) && sock) {
+  const order = req.query.order === 'asc' ? 'asc' : 'desc'
+  
+  // Paging past the oldest loaded message pulls older ones from the
+  // database, or from the phone when asked for explicitly (more=1)
+  const fromPhone = req.query.more === '1'
+  const loadedCount = (account.chatStore.get(jid) || []).length
+  let historyNote = ''
+  if (!search && offset + layout.pageSize > loadedCount) {
     try {
-      await loadChatHistory(jid, limit * 3)
+      const added = await loadChatHistory(jid, Math.max(layout.pageSize, offset + layout.pageSize - loadedCount), { fromPhone })
+      if (fromPhone && added === 0) historyNote = 'No older messages on the phone'
     } catch (e) {
       logger.warn(`Failed to load chat history for ${jid}: ${e.message}`)
+      if (fromPhone) historyNote = 'Could not reach the phone'
     }
   }
   
-  let allMessages = (chatStore.get(jid) || []).slice()
-  
-  // Sort by timestamp - MOST RECENT FIRST
-  allMessages.sort((a, b) => {
-    const tsA = Number(a.messageTimestamp) || 0
-    const tsB = Number(b.messageTimestamp) || 0
-    return tsB - tsA // Most recent first
+  const loaded = account.chatStore.get(jid) || []
+  const { items, total } = conversationView.pageOf(loaded, {
+    offset, pageSize: layout.pageSize, search, textOf: messageText
   })
   
-  // Apply search filter if present
-  if (search) {
-    allMessages = allMessages.filter(m => (messageText(m) || '').toLowerCase().includes(search))
+  // Viewing the newest page reads the chat
+  if (offset === 0 && !search && total > 0) {
+    markChatRead(jid).catch(e => logger.warn(`Failed to mark ${jid} read: ${e.message}`))
   }
   
-  const total = allMessages.length
-  const items = allMessages.slice(offset, offset + limit)
-  
-  const contact = contactStore.get(jid)
+  const contact = account.contactStore.get(jid)
   const chatName = contact?.name || contact?.notify || contact?.verifiedName || jidFriendly(jid)
-  const number = jidFriendly(jid)
   const isGroup = jid.endsWith('@g.us')
-  
-  // Simple escaping for Nokia 7210
-  const esc = text => (text || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-  
-  // Simple truncate
-  const truncate = (text, maxLength) => {
-    if (!text) return ''
-    if (text.length <= maxLength) return text
-    return text.substring(0, maxLength - 3) + '...'
-  }
-  
-  // Simple timestamp for Nokia
-  const formatTime = (timestamp) => {
-    const date = new Date(Number(timestamp) * 1000)
-    if (isNaN(date.getTime())) return ''
+  const metadata = isGroup ? await groupMetadataFor(jid) : null
+  
+  sendWml(res, conversationView.conversationCards({
+    jid,
+    chatName,
+    number: jidFriendly(jid),
+    isGroup,
+    items,
+    total,
+    offset,
+    search,
+    order,
+    layout,
+    historyNote,
+    phoneHistory: !!account.sock && !historyNote,
+    moreStored: account.storage.countMessages(jid) > loaded.length,
+    nameOf: msg => isGroup ? messageSender(msg, metadata).label : chatName,
+    textOf: messageText,
+    ticksOf: statusTicks
+  }))
+})
+
+// Details and download links of a media message
+app.get('/wml/media-info.wml', async (req, res) => {
+  const messageId = String(req.query.mid || '')
+  const jid = formatJid(req.query.jid || '')
+  const msg = storedMessage({ id: messageId, remoteJid: jid })
+  
+  const contact = accounts.current().contactStore.get(jid)
+  const chatName = contact?.name || contact?.notify || jidFriendly(jid)
+  const from = msg && jid.endsWith('@g.us') ? messageSender(msg, await groupMetadataFor(jid)).label
+    : msg?.key?.fromMe ? 'Me' : chatName
+  
+  sendWml(res, conversationView.mediaInfoCard({
+    jid,
+    messageId,
+    msg,
+    from,
+    layout: conversationView.layoutFor(res.locals.device),
+    imageFormats: res.locals.device.imageFormats
+  }))
+})
+
+// Route per scaricare media - solo quando richiesto esplicitamente
+app.get('/wml/media/:filename', async (req, res) => {
+  try {
+    const filename = req.params.filename
+    const parts = filename.split('.')
+    const messageId = parts[0]
+    const requestedFormat = parts.slice(-1)[0].toLowerCase()
+    const isOriginal = parts.includes('original')
+    const { screenWidth } = res.locals.device
     
-    const day = date.getDate().toString().padStart(2, '0')
-    const month = (date.getMonth() + 1).toString().padStart(2, '0')
-    const hours = date.getHours().toString().padStart(2, '0')
-    const mins = date.getMinutes().toString().padStart(2, '0')
+    // Find message in all chats
+    let targetMessage = null
     
-    return `${day}/${month} ${hours}:${mins}`
-  }
-  
-  let messageList = ''
-  
-  if (items.length === 0) {
-    messageList = '<p>No messages</p>'
-  } else {
-    messageList = items.map((m, idx) => {
-      const who = m.key.fromMe ? 'Me' : (chatName.length > 10 ? chatName.substring(0, 10) : chatName)
-      const time = formatTime(m.messageTimestamp)
-      const msgNumber = idx + 1
-      const mid = m.key.id
-      
-      // Handle different message types for Nokia
-      let text = ''
-      let mediaLink = ''
-      
-      if (m.message) {
-        if (m.message.imageMessage) {
-          const img = m.message.imageMessage
-          const size = Math.round((img.fileLength || 0) / 1024)
-          text = `[IMG ${size}KB]`
-          if (img.caption) text += ` ${truncate(img.caption, 30)}`
-          mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View IMG]</a>`
-          
-        } else if (m.message.videoMessage) {
-          const vid = m.message.videoMessage
-          const size = Math.round((vid.fileLength || 0) / 1024)
-          text = `[VID ${size}KB]`
-          if (vid.caption) text += ` ${truncate(vid.caption, 30)}`
-          mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View VID]</a>`
-          
-        } else if (m.message.audioMessage) {
-          const aud = m.message.audioMessage
-          const size = Math.round((aud.fileLength || 0) / 1024)
-          const duration = aud.seconds || 0
-          text = `[AUD ${size}KB ${duration}s]`
-          mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View AUD]</a>`
-          
-        } else if (m.message.documentMessage) {
-          const doc = m.message.documentMessage
-          const size = Math.round((doc.fileLength || 0) / 1024)
-          const filename = doc.fileName || 'file'
-          text = `[DOC ${size}KB] ${truncate(filename, 20)}`
-          mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View DOC]</a>`
-          
-        } else if (m.message.stickerMessage) {
-          text = '[STICKER]'
-          mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View STK]</a>`
-          
-        } else {
-          text = truncate(messageText(m) || '', 50)
-        }
-      } else {
-        text = truncate(messageText(m) || '', 50)
-      }
-      
-      return `<p>${msgNumber}. ${esc(who)} (${time})<br/>${esc(text)}${mediaLink}</p>`
-    }).join('')
-  }
-  
-  // Simple navigation for Nokia
-  const olderOffset = offset + limit
-  const olderLink = olderOffset < total ? 
-    `<p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;offset=${olderOffset}&amp;search=${encodeURIComponent(search)}" accesskey="2">2-Older</a></p>` : ''
-  
-  const newerOffset = Math.max(0, offset - limit)
-  const newerLink = offset > 0 ? 
-    `<p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;offset=${newerOffset}&amp;search=${encodeURIComponent(search)}" accesskey="3">3-Newer</a></p>` : ''
-  
-  // Simple search for Nokia
-  const searchBox = search ? 
-    `<p>Search: ${esc(search)}</p><p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}">Clear</a></p>` : 
-    `<p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;search=prompt">Search</a></p>`
-  
-  const body = `<p>${esc(chatName.length > 15 ? chatName.substring(0, 15) : chatName)}</p>
-<p>Msgs ${offset + 1}-${Math.min(offset + limit, total)}/${total}</p>
-${searchBox}
-${messageList}
-${newerLink}
-${olderLink}
-<p><a href="/wml/send.text.wml?to=${encodeURIComponent(jid)}" accesskey="1">1-Send</a></p>
-<p><a href="/wml/chats.wml" accesskey="0">0-Back</a></p>`
-  
-  // Nokia 7210 compatible WML 1.1
-  const wmlOutput = `<?xml version="1.0"?>
-<!DOCTYPE wml PUBLIC "-//WAPFORUM//DTD WML 1.1//EN" "http://www.wapforum.org/DTD/wml_1.1.xml">
-<wml>
-<head><meta http-equiv="Cache-Control" content="max-age=0"/></head>
-<card id="chat" title="Chat">
-${body}
-</card>
-</wml>`
-  
-  // Nokia 7210 headers
-  res.setHeader('Content-Type', 'text/vnd.wap.wml; charset=iso-8859-1')
-  res.setHeader('Cache-Control', 'no-cache')
-  res.setHeader('Pragma', 'no-cache')
-  
-  const encodedBuffer = iconv.encode(wmlOutput, 'iso-8859-1')
-  res.send(encodedBuffer)
-})*/
-/*
-// Route per scaricare media - compatibile Nokia 7210
-app.get('/wml/chat.wml', async (req, res) => {
-  const userAgent = req.headers['user-agent'] || ''
-  const isOldNokia = /Nokia|Series40|MAUI|UP\.Browser/i.test(userAgent)
-  
-  const raw = req.query.jid || ''
-  const jid = formatJid(raw)
-  const offset = Math.max(0, parseInt(req.query.offset || '0'))
-  const search = (req.query.search || '').trim().toLowerCase()
-  
-  // Very small limits for Nokia 7210
-  const limit = isOldNokia ? 3 : 10
-  
-  // Load chat history if missing
-  if ((!chatStore.get(jid) || chatStore.get(jid).length === 0) && sock) {
-    try {
-      await loadChatHistory(jid, limit * 3)
-    } catch (e) {
-      logger.warn(`Failed to load chat history for ${jid}: ${e.message}`)
-    }
-  }
-  
-  let allMessages = (chatStore.get(jid) || []).slice()
-  
-  // Sort by timestamp - MOST RECENT FIRST
-  allMessages.sort((a, b) => {
-    const tsA = Number(a.messageTimestamp) || 0
-    const tsB = Number(b.messageTimestamp) || 0
-    return tsB - tsA // Most recent first
-  })
-  
-  // Apply search filter if present
-  if (search) {
-    allMessages = allMessages.filter(m => (messageText(m) || '').toLowerCase().includes(search))
-  }
-  
-  const total = allMessages.length
-  const items = allMessages.slice(offset, offset + limit)
-  
-  const contact = contactStore.get(jid)
-  const chatName = contact?.name || contact?.notify || contact?.verifiedName || jidFriendly(jid)
-  const number = jidFriendly(jid)
-  const isGroup = jid.endsWith('@g.us')
-  
-  // Simple escaping for Nokia 7210
-  const esc = text => (text || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-  
-  // Simple truncate
-  const truncate = (text, maxLength) => {
-    if (!text) return ''
-    if (text.length <= maxLength) return text
-    return text.substring(0, maxLength - 3) + '...'
-  }
-  
-  // Simple timestamp for Nokia
-  const formatTime = (timestamp) => {
-    const date = new Date(Number(timestamp) * 1000)
-    if (isNaN(date.getTime())) return ''
-    
-    const day = date.getDate().toString().padStart(2, '0')
-    const month = (date.getMonth() + 1).toString().padStart(2, '0')
-    const hours = date.getHours().toString().padStart(2, '0')
-    const mins = date.getMinutes().toString().padStart(2, '0')
-    
-    return `${day}/${month} ${hours}:${mins}`
-  }
-  
-  let messageList = ''
-  
-  if (items.length === 0) {
-    messageList = '<p>No messages</p>'
-  } else {
-    messageList = items.map((m, idx) => {
-      const who = m.key.fromMe ? 'Me' : (chatName.length > 10 ? chatName.substring(0, 10) : chatName)
-      const time = formatTime(m.messageTimestamp)
-      const msgNumber = idx + 1
-      const mid = m.key.id
-      
-      // Handle different message types for Nokia
-      let text = ''
-      let mediaLink = ''
-      
-      if (m.message) {
-        if (m.message.imageMessage) {
-          const img = m.message.imageMessage
-          const size = Math.round((img.fileLength || 0) / 1024)
-          text = `[IMG ${size}KB]`
-          if (img.caption) text += ` ${truncate(img.caption, 30)}`
-          mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View IMG]</a>`
-          
-        } else if (m.message.videoMessage) {
-          const vid = m.message.videoMessage
-          const size = Math.round((vid.fileLength || 0) / 1024)
-          text = `[VID ${size}KB]`
-          if (vid.caption) text += ` ${truncate(vid.caption, 30)}`
-          mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View VID]</a>`
-          
-        } else if (m.message.audioMessage) {
-          const aud = m.message.audioMessage
-          const size = Math.round((aud.fileLength || 0) / 1024)
-          const duration = aud.seconds || 0
-          text = `[AUD ${size}KB ${duration}s]`
-          mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View AUD]</a>`
-          
-        } else if (m.message.documentMessage) {
-          const doc = m.message.documentMessage
-          const size = Math.round((doc.fileLength || 0) / 1024)
-          const filename = doc.fileName || 'file'
-          text = `[DOC ${size}KB] ${truncate(filename, 20)}`
-          mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View DOC]</a>`
-          
-        } else if (m.message.stickerMessage) {
-          text = '[STICKER]'
-          mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View STK]</a>`
-          
-        } else {
-          text = truncate(messageText(m) || '', 50)
-        }
-      } else {
-        text = truncate(messageText(m) || '', 50)
-      }
-      
-      return `<p>${msgNumber}. ${esc(who)} (${time})<br/>${esc(text)}${mediaLink}</p>`
-    }).join('')
-  }
-  
-  // Simple navigation for Nokia
-  const olderOffset = offset + limit
-  const olderLink = olderOffset < total ? 
-    `<p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;offset=${olderOffset}&amp;search=${encodeURIComponent(search)}" accesskey="2">2-Older</a></p>` : ''
-  
-  const newerOffset = Math.max(0, offset - limit)
-  const newerLink = offset > 0 ? 
-    `<p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;offset=${newerOffset}&amp;search=${encodeURIComponent(search)}" accesskey="3">3-Newer</a></p>` : ''
-  
-  // Simple search for Nokia
-  const searchBox = search ? 
-    `<p>Search: ${esc(search)}</p><p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}">Clear</a></p>` : 
-    `<p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;search=prompt">Search</a></p>`
-  
-  const body = `<p>${esc(chatName.length > 15 ? chatName.substring(0, 15) : chatName)}</p>
-<p>Msgs ${offset + 1}-${Math.min(offset + limit, total)}/${total}</p>
-${searchBox}
-${messageList}
-${newerLink}
-${olderLink}
-<p><a href="/wml/send.text.wml?to=${encodeURIComponent(jid)}" accesskey="1">1-Send</a></p>
-<p><a href="/wml/chats.wml" accesskey="0">0-Back</a></p>`
-  
-  // Nokia 7210 compatible WML 1.1
-  const wmlOutput = `<?xml version="1.0"?>
-<!DOCTYPE wml PUBLIC "-//WAPFORUM//DTD WML 1.1//EN" "http://www.wapforum.org/DTD/wml_1.1.xml">
-<wml>
-<head><meta http-equiv="Cache-Control" content="max-age=0"/></head>
-<card id="chat" title="Chat">
-${body}
-</card>
-</wml>`
-  
-  // Nokia 7210 headers
-  res.setHeader('Content-Type', 'text/vnd.wap.wml; charset=iso-8859-1')
-  res.setHeader('Cache-Control', 'no-cache')
-  res.setHeader('Pragma', 'no-cache')
-  
-  const encodedBuffer = iconv.encode(wmlOutput, 'iso-8859-1')
-  res.send(encodedBuffer)
-})*/
-
-app.get('/wml/chat.wml', async (req, res) => {
-  const userAgent = req.headers['user-agent'] || ''
-  const isOldNokia = false
-  
-  const raw = req.query.jid || ''
-  const jid = formatJid(raw)
-  const offset = Math.max(0, parseInt(req.query.offset || '0'))
-  const search = (req.query.search || '').trim().toLowerCase()
-  
-  // Adaptive limits based on device
-  const limit = isOldNokia ? 3 : 10
-  
-  // Load chat history if missing
-  if ((!chatStore.get(jid) || chatStore.get(jid).length === 0) && sock) {
-    try {
-      await loadChatHistory(jid, limit * 5)
-    } catch (e) {
-      logger.warn(`Failed to load chat history for ${jid}: ${e.message}`)
-    }
-  }
-  
-  let allMessages = (chatStore.get(jid) || []).slice()
-  
-  // Sort by timestamp - MOST RECENT FIRST (descending order)
-  allMessages.sort((a, b) => {
-    const tsA = Number(a.messageTimestamp) || 0
-    const tsB = Number(b.messageTimestamp) || 0
-    return tsB - tsA // Most recent first
-  })
-  
-  // Apply search filter if present
-  if (search) {
-    allMessages = allMessages.filter(m => (messageText(m) || '').toLowerCase().includes(search))
-  }
-  
-  const totalMessages = allMessages.length
-  const items = allMessages.slice(offset, offset + limit)
-  
-  const contact = contactStore.get(jid)
-  const chatName = contact?.name || contact?.notify || contact?.verifiedName || jidFriendly(jid)
-  const number = jidFriendly(jid)
-  const isGroup = jid.endsWith('@g.us')
-  
-  // Enhanced escaping that works for both Nokia and modern devices
-  const escWml = text => (text || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;')
-  
-  // Truncation function
-  const truncate = (text, maxLength) => {
-    if (!text) return ''
-    if (text.length <= maxLength) return text
-    return text.substring(0, maxLength - 3) + '...'
-  }
-  
-  // Enhanced timestamp formatting with date and time
-  const formatMessageTimestamp = (timestamp) => {
-    const date = new Date(Number(timestamp) * 1000)
-    if (isNaN(date.getTime())) return 'Invalid date'
-    
-    if (isOldNokia) {
-      // Simple format for Nokia: dd/mm hh:mm
-      const day = date.getDate().toString().padStart(2, '0')
-      const month = (date.getMonth() + 1).toString().padStart(2, '0')
-      const hours = date.getHours().toString().padStart(2, '0')
-      const mins = date.getMinutes().toString().padStart(2, '0')
-      return `${day}/${month} ${hours}:${mins}`
-    } else {
-      // Full format for modern devices: 30 Dec 2024 14:30
-      const timeStr = date.toLocaleTimeString('en-GB', {
-        hour: '2-digit', 
-        minute: '2-digit'
-      })
-      const dateStr = date.toLocaleDateString('en-GB', {
-        day: '2-digit',
-        month: 'short',
-        year: 'numeric'
-      })
-      return `${dateStr} ${timeStr}`
-    }
-  }
-  
-  // Message list with full media support
-  let messageList = ''
-  
-  if (items.length === 0) {
-    messageList = '<p>No messages</p>'
-  } else {
-    messageList = items.map((m, idx) => {
-      const who = m.key.fromMe ? 'Me' : (isOldNokia ? 
-        (chatName.length > 10 ? chatName.substring(0, 10) : chatName) : 
-        (isGroup ? (m.pushName || 'Unknown') : chatName)
-      )
-      const time = formatMessageTimestamp(m.messageTimestamp)
-      const msgNumber = idx + 1 // 1 = most recent
-      const mid = m.key.id
-      
-      // Handle different message types with full media support
-      let text = ''
-      let mediaLink = ''
-      
-      if (m.message) {
-        if (m.message.imageMessage) {
-          const img = m.message.imageMessage
-          const size = Math.round((img.fileLength || 0) / 1024)
-          text = isOldNokia ? `[IMG ${size}KB]` : `[IMAGE ${size}KB]`
-          if (img.caption) text += ` ${truncate(img.caption, isOldNokia ? 30 : 50)}`
-          
-          if (isOldNokia) {
-            mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View IMG]</a>`
-          } else {
-            mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View Image]</a> | <a href="/wml/media/${encodeURIComponent(mid)}.jpg">[Download]</a>`
-          }
-          
-        } else if (m.message.videoMessage) {
-          const vid = m.message.videoMessage
-          const size = Math.round((vid.fileLength || 0) / 1024)
-          const duration = vid.seconds || 0
-          text = isOldNokia ? `[VID ${size}KB]` : `[VIDEO ${size}KB, ${duration}s]`
-          if (vid.caption) text += ` ${truncate(vid.caption, isOldNokia ? 30 : 50)}`
-          
-          if (isOldNokia) {
-            mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View VID]</a>`
-          } else {
-            mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View Video]</a> | <a href="/wml/media/${encodeURIComponent(mid)}.mp4">[Download]</a>`
-          }
-          
-        } else if (m.message.audioMessage) {
-          const aud = m.message.audioMessage
-          const size = Math.round((aud.fileLength || 0) / 1024)
-          const duration = aud.seconds || 0
-          text = isOldNokia ? `[AUD ${size}KB]` : `[AUDIO ${size}KB, ${duration}s]`
-          
-          if (isOldNokia) {
-            mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View AUD]</a>`
-          } else {
-            mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View Audio]</a> | <a href="/wml/media/${encodeURIComponent(mid)}.wav">[Download]</a>`
-          }
-          
-        } else if (m.message.documentMessage) {
-          const doc = m.message.documentMessage
-          const size = Math.round((doc.fileLength || 0) / 1024)
-          const filename = doc.fileName || 'file'
-          text = isOldNokia ? 
-            `[DOC ${size}KB] ${truncate(filename, 20)}` : 
-            `[DOCUMENT ${size}KB] ${truncate(filename, 40)}`
-          
-          const ext = filename.split('.').pop() || 'bin'
-          if (isOldNokia) {
-            mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View DOC]</a>`
-          } else {
-            mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View Document]</a> | <a href="/wml/media/${encodeURIComponent(mid)}.${ext}">[Download]</a>`
-          }
-          
-        } else if (m.message.stickerMessage) {
-          const sticker = m.message.stickerMessage
-          const size = Math.round((sticker.fileLength || 0) / 1024)
-          text = isOldNokia ? '[STICKER]' : `[STICKER ${size}KB]`
-          
-          if (isOldNokia) {
-            mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View STK]</a>`
-          } else {
-            mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View Sticker]</a> | <a href="/wml/media/${encodeURIComponent(mid)}.webp">[Download]</a>`
-          }
-          
-        } else {
-          text = truncate(messageText(m) || '', isOldNokia ? 50 : 100)
-        }
-      } else {
-        text = truncate(messageText(m) || '', isOldNokia ? 50 : 100)
-      }
-      
-      // Format message entry
-      if (isOldNokia) {
-        return `<p>${msgNumber}. ${escWml(who)} (${time})<br/>${escWml(text)}${mediaLink}</p>`
-      } else {
-        const typeIndicator = m.key.fromMe ? '[OUT]' : '[IN]'
-        const isVeryRecent = idx < 3
-        const recentIndicator = isVeryRecent ? '🔥' : ''
-        
-        return `<p>${recentIndicator}<b>${msgNumber}. ${typeIndicator} ${escWml(who)}</b><br/>
-          <small><b>Time:</b> ${time}</small><br/>
-          <small><b>Message:</b> ${escWml(text)}</small>${mediaLink}<br/>
-          <a href="/wml/msg.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[Details]</a> |
-          <a href="/wml/send.text.wml?to=${encodeURIComponent(jid)}&amp;reply=${encodeURIComponent(mid)}">[Reply]</a>
-        </p>`
-      }
-    }).join('')
-  }
-  
-  // Navigation adapted to device
-  const olderOffset = offset + limit
-  const olderLink = olderOffset < totalMessages ? 
-    (isOldNokia ? 
-      `<p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;offset=${olderOffset}&amp;search=${encodeURIComponent(search)}" accesskey="2">2-Older</a></p>` :
-      `<a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;offset=${olderOffset}&amp;search=${encodeURIComponent(search)}" accesskey="2">[2] Older</a>`
-    ) : ''
-  
-  const newerOffset = Math.max(0, offset - limit)
-  const newerLink = offset > 0 ? 
-    (isOldNokia ?
-      `<p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;offset=${newerOffset}&amp;search=${encodeURIComponent(search)}" accesskey="3">3-Newer</a></p>` :
-      `<a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;offset=${newerOffset}&amp;search=${encodeURIComponent(search)}" accesskey="3">[3] Newer</a>`
-    ) : ''
-  
-  // Search form adapted to device capability
-  const searchForm = isOldNokia ? 
-    (search ? 
-      `<p>Search: ${escWml(search)}</p><p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}">Clear</a></p>` : 
-      `<p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;search=prompt">Search</a></p>`
-    ) : 
-    `<p><b>Search Messages:</b></p>
-     <p>
-       <input name="searchQuery" title="Search..." value="${escWml(search)}" size="15" maxlength="50"/>
-       <do type="accept" label="Search">
-         <go href="/wml/chat.wml" method="get">
-           <postfield name="jid" value="${escWml(jid)}"/>
-           <postfield name="search" value="$(searchQuery)"/>
-           <postfield name="offset" value="0"/>
-         </go>
-       </do>
-     </p>
-     ${search ? `<p>Searching: <b>${escWml(search)}</b> | <a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}">[Clear]</a></p>` : ''}`
-  
-  // Page info adapted to device
-  const pageInfo = isOldNokia ?
-    `<p>Msgs ${offset + 1}-${Math.min(offset + limit, totalMessages)}/${totalMessages}</p>` :
-    `<p><b>Messages ${offset + 1}-${Math.min(offset + limit, totalMessages)} of ${totalMessages}</b></p>
-     <p>Showing most recent first</p>`
-  
-  // Quick actions adapted to device
-  const quickActions = isOldNokia ?
-    `<p><a href="/wml/send.text.wml?to=${encodeURIComponent(jid)}" accesskey="1">1-Send</a></p>
-     <p><a href="/wml/chats.wml" accesskey="0">0-Back</a></p>` :
-    `<p><b>Quick Actions:</b></p>
-     <p>
-       <a href="/wml/send.text.wml?to=${encodeURIComponent(jid)}" accesskey="1">[1] Send Text</a> |
-       <a href="/wml/contact.wml?jid=${encodeURIComponent(jid)}" accesskey="4">[4] Contact Info</a>
-       ${number && !isGroup ? ` | <a href="wtai://wp/mc;${number}" accesskey="9">[9] Call</a>` : ''}
-       ${number && !isGroup ? ` | <a href="wtai://wp/ms;${number};">[SMS]</a>` : ''}
-     </p>
-     <p>
-       <a href="/wml/chats.wml" accesskey="0">[0] Back to Chats</a> |
-       <a href="/wml/home.wml" accesskey="*">[*] Home</a>
-     </p>`
-  
-  // Build final body
-  const chatTitle = isOldNokia ? 
-    (chatName.length > 15 ? chatName.substring(0, 15) : chatName) : 
-    chatName
-  
-  const body = isOldNokia ?
-    `<p>${escWml(chatTitle)}</p>
-${pageInfo}
-${searchForm}
-${messageList}
-${newerLink}
-${olderLink}
-${quickActions}` :
-    `<p><b>${escWml(chatTitle)}</b> ${isGroup ? '[GROUP]' : '[CHAT]'}</p>
-<p>${escWml(number)} | Total: ${totalMessages} messages</p>
-${searchForm}
-${pageInfo}
-${messageList}
-<p><b>Navigation:</b></p>
-<p>${olderLink} ${olderLink && newerLink ? ' | ' : ''} ${newerLink}</p>
-${quickActions}`
-  
-  // Create WML output with appropriate DOCTYPE
-  const wmlOutput = `<?xml version="1.0"?>
-<!DOCTYPE wml PUBLIC "-//WAPFORUM//DTD WML 1.1//EN" "http://www.wapforum.org/DTD/wml_1.1.xml">
-<wml>
-<head><meta http-equiv="Cache-Control" content="max-age=0"/></head>
-<card id="chat" title="Chat">
-${body}
-<do type="accept" label="Send">
-  <go href="/wml/send.text.wml?to=${encodeURIComponent(jid)}"/>
-</do>
-<do type="options" label="Refresh">
-  <go href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;offset=${offset}&amp;search=${encodeURIComponent(search)}"/>
-</do>
-</card>
-</wml>`
-  
-  // Set appropriate headers
-  res.setHeader('Content-Type', 'text/vnd.wap.wml; charset=iso-8859-1')
-  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate')
-  res.setHeader('Pragma', 'no-cache')
-  res.setHeader('Expires', '0')
-  
-  const encodedBuffer = iconv.encode(wmlOutput, 'iso-8859-1')
-  res.send(encodedBuffer)
-})
-// Route per visualizzare info media - WAP friendly come QR
-app.get('/wml/media-info.wml', async (req, res) => {
-  try {
-    const messageId = req.query.mid || ''
-    const jid = req.query.jid || ''
-    
-    // Find message in the specific chat
-    const messages = chatStore.get(jid) || []
-    const targetMessage = messages.find(m => m.key.id === messageId)
-    
-    const contact = contactStore.get(jid)
-    const chatName = contact?.name || contact?.notify || jidFriendly(jid)
-    
-    // Simple escaping
-    const esc = text => (text || '')
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-    
-    const body = targetMessage ? (() => {
-      if (targetMessage.message?.imageMessage) {
-        const img = targetMessage.message.imageMessage
-        const size = Math.round((img.fileLength || 0) / 1024)
-        const caption = img.caption ? `<p><b>Caption:</b> ${esc(img.caption)}</p>` : ''
-        
-        return `<p><b>Image Message</b></p>
-<p>From: ${esc(chatName)}</p>
-<p>Size: ${size}KB</p>
-<p>Type: ${img.mimetype || 'image/jpeg'}</p>
-${caption}
-<p><b>Download Options:</b></p>
-<p>
-<a href="/wml/media/${encodeURIComponent(messageId)}.jpg">[JPG]</a> |
-<a href="/wml/media/${encodeURIComponent(messageId)}.wbmp">[WBMP]</a>
-</p>`
-
-      } else if (targetMessage.message?.videoMessage) {
-        const vid = targetMessage.message.videoMessage
-        const size = Math.round((vid.fileLength || 0) / 1024)
-        const duration = vid.seconds || 0
-        const caption = vid.caption ? `<p><b>Caption:</b> ${esc(vid.caption)}</p>` : ''
-        
-        return `<p><b>Video Message</b></p>
-<p>From: ${esc(chatName)}</p>
-<p>Size: ${size}KB | Duration: ${duration}s</p>
-<p>Type: ${vid.mimetype || 'video/mp4'}</p>
-${caption}
-<p><b>Download Options:</b></p>
-<p>
-<a href="/wml/media/${encodeURIComponent(messageId)}.mp4">[MP4]</a> |
-<a href="/wml/media/${encodeURIComponent(messageId)}.3gp">[3GP]</a>
-</p>`
-
-      } else if (targetMessage.message?.audioMessage) {
-        const aud = targetMessage.message.audioMessage
-        const size = Math.round((aud.fileLength || 0) / 1024)
-        const duration = aud.seconds || 0
-        
-        return `<p><b>Audio Message</b></p>
-<p>From: ${esc(chatName)}</p>
-<p>Size: ${size}KB | Duration: ${duration}s</p>
-<p>Type: ${aud.mimetype || 'audio/ogg'}</p>
-<p><b>Download Options:</b></p>
-<p>
-<a href="/wml/media/${encodeURIComponent(messageId)}.ogg">[OGG]</a> |
-<a href="/wml/media/${encodeURIComponent(messageId)}.wav">[WAV]</a>
-</p>`
-
-      } else if (targetMessage.message?.documentMessage) {
-        const doc = targetMessage.message.documentMessage
-        const size = Math.round((doc.fileLength || 0) / 1024)
-        const filename = doc.fileName || 'document'
-        const ext = filename.split('.').pop() || 'bin'
-        
-        return `<p><b>Document</b></p>
-<p>From: ${esc(chatName)}</p>
-<p>Name: ${esc(filename)}</p>
-<p>Size: ${size}KB</p>
-<p>Type: ${doc.mimetype || 'unknown'}</p>
-<p><b>Download Options:</b></p>
-<p>
-<a href="/wml/media/${encodeURIComponent(messageId)}.${ext}">[Original]</a> |
-<a href="/wml/media-text/${encodeURIComponent(messageId)}">[Text View]</a>
-</p>`
-
-      } else if (targetMessage.message?.stickerMessage) {
-        const sticker = targetMessage.message.stickerMessage
-        const size = Math.round((sticker.fileLength || 0) / 1024)
-        
-        return `<p><b>Sticker</b></p>
-<p>From: ${esc(chatName)}</p>
-<p>Size: ${size}KB</p>
-<p>Type: image/webp</p>
-<p><b>Download Options:</b></p>
-<p>
-<a href="/wml/media/${encodeURIComponent(messageId)}.webp">[WEBP]</a> |
-<a href="/wml/media/${encodeURIComponent(messageId)}.wbmp">[WBMP]</a>
-</p>`
-      }
-      
-      return '<p><b>Unknown Media Type</b></p>'
-    })() : `<p><b>Media Not Found</b></p>
-<p>Message may have been deleted</p>
-<p>Please try refreshing the chat</p>`
-
-    const body_full = `${body}
-<p>
-<a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}" accesskey="0">[0] Back to Chat</a> |
-<a href="/wml/chats.wml" accesskey="9">[9] All Chats</a>
-</p>
-<do type="accept" label="Back">
-<go href="/wml/chat.wml?jid=${encodeURIComponent(jid)}"/>
-</do>
-<do type="options" label="Refresh">
-<go href="/wml/media-info.wml?mid=${encodeURIComponent(messageId)}&amp;jid=${encodeURIComponent(jid)}"/>
-</do>`
-
-    const wmlOutput = `<?xml version="1.0"?>
-<!DOCTYPE wml PUBLIC "-//WAPFORUM//DTD WML 1.1//EN" "http://www.wapforum.org/DTD/wml_1.1.xml">
-<wml>
-<head><meta http-equiv="Cache-Control" content="max-age=0"/></head>
-<card id="media" title="Media Info">
-${body_full}
-</card>
-</wml>`
-    
-    res.setHeader('Content-Type', 'text/vnd.wap.wml; charset=iso-8859-1')
-    res.setHeader('Cache-Control', 'no-cache')
-    res.setHeader('Pragma', 'no-cache')
-    
-    const encodedBuffer = iconv.encode(wmlOutput, 'iso-8859-1')
-    res.send(encodedBuffer)
-    
-  } catch (error) {
-    logger.error('Media info error:', error)
-    res.status(500).send('Error loading media info')
-  }
-})
-
-// Route per scaricare media - solo quando richiesto esplicitamente
-app.get('/wml/media/:filename', async (req, res) => {
-  try {
-    const filename = req.params.filename
-    const messageId = filename.split('.')[0]
-    
-    // Find message in all chats
-    let targetMessage = null
-    
-    for (const [jid, messages] of chatStore.entries()) {
+    for (const [jid, messages] of accounts.current().chatStore.entries()) {
       const found = messages.find(m => m.key.id === decodeURIComponent(messageId))
       if (found) {
         targetMessage = found
@@ -1558,267 +1072,38 @@ app.get('/wml/media/:filename', async (req, res) => {
       }
     }
     
-    if (!targetMessage || !sock) {
+    if (!targetMessage || (!accounts.current().sock && !targetMessage.imported?.file)) {
       res.status(404).send('Media not found')
       return
     }
     
-    // Download media
-    let mediaData = null
-    let mimeType = 'application/octet-stream'
-    let filename_out = filename
-    
-    if (targetMessage.message?.imageMessage) {
-      mediaData = await downloadMediaMessage(targetMessage, 'buffer', {}, { 
-        logger,
-        reuploadRequest: sock.updateMediaMessage 
-      })
-      mimeType = 'image/jpeg'
-      filename_out = `image_${messageId}.jpg`
-      
-    } else if (targetMessage.message?.videoMessage) {
-      mediaData = await downloadMediaMessage(targetMessage, 'buffer', {}, { 
-        logger,
-        reuploadRequest: sock.updateMediaMessage 
-      })
-      mimeType = 'video/mp4'
-      filename_out = `video_${messageId}.mp4`
-      
-    } else if (targetMessage.message?.audioMessage) {
-      mediaData = await downloadMediaMessage(targetMessage, 'buffer', {}, { 
-        logger,
-        reuploadRequest: sock.updateMediaMessage 
-      })
-      mimeType = 'audio/ogg'
-      filename_out = `audio_${messageId}.ogg`
-      
-    } else if (targetMessage.message?.documentMessage) {
-      const doc = targetMessage.message.documentMessage
-      mediaData = await downloadMediaMessage(targetMessage, 'buffer', {}, { 
-        logger,
-        reuploadRequest: sock.updateMediaMessage 
-      })
-      mimeType = doc.mimetype || 'application/octet-stream'
-      filename_out = doc.fileName || `document_${messageId}.bin`
-      
-    } else if (targetMessage.message?.stickerMessage) {
-      mediaData = await downloadMediaMessage(targetMessage, 'buffer', {}, { 
-        logger,
-        reuploadRequest: sock.updateMediaMessage 
-      })
-      mimeType = 'image/webp'
-      filename_out = `sticker_${messageId}.webp`
-    }
-    
-    if (!mediaData) {
-      res.status(404).send('Could not download')
-      return
-    }
-    
-    // Headers for download
-    res.setHeader('Content-Type', mimeType)
-    res.setHeader('Content-Disposition', `attachment; filename="${filename_out}"`)
-    res.setHeader('Content-Length', mediaData.length)
-    
-    res.send(mediaData)
-    
-  } catch (error) {
-    logger.error('Media download error:', error)
-    res.status(500).send('Download error')
-  }
-})
-
-
-// Route per visualizzare info media - WAP friendly come QR
-app.get('/wml/media-info.wml', async (req, res) => {
-  try {
-    const messageId = req.query.mid || ''
-    const jid = req.query.jid || ''
-    
-    // Find message in the specific chat
-    const messages = chatStore.get(jid) || []
-    const targetMessage = messages.find(m => m.key.id === messageId)
-    
-    const contact = contactStore.get(jid)
-    const chatName = contact?.name || contact?.notify || jidFriendly(jid)
-    
-    // Simple escaping
-    const esc = text => (text || '')
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-    
-    const body = targetMessage ? (() => {
-      if (targetMessage.message?.imageMessage) {
-        const img = targetMessage.message.imageMessage
-        const size = Math.round((img.fileLength || 0) / 1024)
-        const caption = img.caption ? `<p><b>Caption:</b> ${esc(img.caption)}</p>` : ''
-        
-        return `<p><b>Image Message</b></p>
-<p>From: ${esc(chatName)}</p>
-<p>Size: ${size}KB</p>
-<p>Type: ${img.mimetype || 'image/jpeg'}</p>
-${caption}
-<p><b>Nokia Compatible:</b></p>
-<p>
-<a href="/wml/media/${encodeURIComponent(messageId)}.jpg">[Small JPG]</a> |
-<a href="/wml/media/${encodeURIComponent(messageId)}.png">[Small PNG]</a> |
-<a href="/wml/media/${encodeURIComponent(messageId)}.wbmp">[WBMP]</a>
-</p>
-<p><b>Full Quality:</b></p>
-<p>
-<a href="/wml/media/${encodeURIComponent(messageId)}.original.jpg">[Original JPG]</a> |
-<a href="/wml/media/${encodeURIComponent(messageId)}.original.png">[Original PNG]</a>
-</p>`
-
-      } else if (targetMessage.message?.videoMessage) {
-        const vid = targetMessage.message.videoMessage
-        const size = Math.round((vid.fileLength || 0) / 1024)
-        const duration = vid.seconds || 0
-        const caption = vid.caption ? `<p><b>Caption:</b> ${esc(vid.caption)}</p>` : ''
-        
-        return `<p><b>Video Message</b></p>
-<p>From: ${esc(chatName)}</p>
-<p>Size: ${size}KB | Duration: ${duration}s</p>
-<p>Type: ${vid.mimetype || 'video/mp4'}</p>
-${caption}
-<p><b>Mobile Compatible:</b></p>
-<p>
-<a href="/wml/media/${encodeURIComponent(messageId)}.3gp">[3GP]</a> |
-<a href="/wml/media/${encodeURIComponent(messageId)}.avi">[AVI]</a>
-</p>
-<p><b>Full Quality:</b></p>
-<p>
-<a href="/wml/media/${encodeURIComponent(messageId)}.original.mp4">[Original MP4]</a> |
-<a href="/wml/media/${encodeURIComponent(messageId)}.original.webm">[WEBM]</a>
-</p>`
-
-      } else if (targetMessage.message?.audioMessage) {
-        const aud = targetMessage.message.audioMessage
-        const size = Math.round((aud.fileLength || 0) / 1024)
-        const duration = aud.seconds || 0
-        
-        return `<p><b>Audio Message</b></p>
-<p>From: ${esc(chatName)}</p>
-<p>Size: ${size}KB | Duration: ${duration}s</p>
-<p>Type: ${aud.mimetype || 'audio/ogg'}</p>
-<p><b>Compatible Formats:</b></p>
-<p>
-<a href="/wml/media/${encodeURIComponent(messageId)}.wav">[WAV]</a> |
-<a href="/wml/media/${encodeURIComponent(messageId)}.mp3">[MP3]</a>
-</p>
-<p><b>Original Format:</b></p>
-<p>
-<a href="/wml/media/${encodeURIComponent(messageId)}.original.ogg">[Original OGG]</a> |
-<a href="/wml/media/${encodeURIComponent(messageId)}.original.aac">[AAC]</a>
-</p>`
-
-      } else if (targetMessage.message?.documentMessage) {
-        const doc = targetMessage.message.documentMessage
-        const size = Math.round((doc.fileLength || 0) / 1024)
-        const filename = doc.fileName || 'document'
-        const ext = filename.split('.').pop() || 'bin'
-        
-        return `<p><b>Document</b></p>
-<p>From: ${esc(chatName)}</p>
-<p>Name: ${esc(filename)}</p>
-<p>Size: ${size}KB</p>
-<p>Type: ${doc.mimetype || 'unknown'}</p>
-<p><b>Download Options:</b></p>
-<p>
-<a href="/wml/media/${encodeURIComponent(messageId)}.${ext}">[Original]</a> |
-<a href="/wml/media-text/${encodeURIComponent(messageId)}">[Text View]</a>
-</p>`
-
-      } else if (targetMessage.message?.stickerMessage) {
-        const sticker = targetMessage.message.stickerMessage
-        const size = Math.round((sticker.fileLength || 0) / 1024)
-        
-        return `<p><b>Sticker</b></p>
-<p>From: ${esc(chatName)}</p>
-<p>Size: ${size}KB</p>
-<p>Type: image/webp</p>
-<p><b>Nokia Compatible:</b></p>
-<p>
-<a href="/wml/media/${encodeURIComponent(messageId)}.wbmp">[WBMP]</a> |
-<a href="/wml/media/${encodeURIComponent(messageId)}.jpg">[Small JPG]</a>
-</p>
-<p><b>Other Formats:</b></p>
-<p>
-<a href="/wml/media/${encodeURIComponent(messageId)}.original.webp">[Original WEBP]</a> |
-<a href="/wml/media/${encodeURIComponent(messageId)}.png">[PNG]</a>
-</p>`
-      }
-      
-      return '<p><b>Unknown Media Type</b></p>'
-    })() : `<p><b>Media Not Found</b></p>
-<p>Message may have been deleted</p>
-<p>Please try refreshing the chat</p>`
-
-    const body_full = `${body}
-<p>
-<a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}" accesskey="0">[0] Back to Chat</a> |
-<a href="/wml/chats.wml" accesskey="9">[9] All Chats</a>
-</p>
-<do type="accept" label="Back">
-<go href="/wml/chat.wml?jid=${encodeURIComponent(jid)}"/>
-</do>
-<do type="options" label="Refresh">
-<go href="/wml/media-info.wml?mid=${encodeURIComponent(messageId)}&amp;jid=${encodeURIComponent(jid)}"/>
-</do>`
-
-    const wmlOutput = `<?xml version="1.0"?>
-<!DOCTYPE wml PUBLIC "-//WAPFORUM//DTD WML 1.1//EN" "http://www.wapforum.org/DTD/wml_1.1.xml">
-<wml>
-<head><meta http-equiv="Cache-Control" content="max-age=0"/></head>
-<card id="media" title="Media Info">
-${body_full}
-</card>
-</wml>`
-    
-    res.setHeader('Content-Type', 'text/vnd.wap.wml; charset=iso-8859-1')
-    res.setHeader('Cache-Control', 'no-cache')
-    res.setHeader('Pragma', 'no-cache')
-    
-    const encodedBuffer = iconv.encode(wmlOutput, 'iso-8859-1')
-    res.send(encodedBuffer)
-    
-  } catch (error) {
-    logger.error('Media info error:', error)
-    res.status(500).send('Error loading media info')
-  }
-})
-
-// Route per scaricare media - solo quando richiesto esplicitamente
-app.get('/wml/media/:filename', async (req, res) => {
-  try {
-    const filename = req.params.filename
-    const parts = filename.split('.')
-    const messageId = parts[0]
-    const requestedFormat = parts.slice(-1)[0].toLowerCase()
-    const isOriginal = parts.includes('original')
-    
-    // Find message in all chats
-    let targetMessage = null
-    
-    for (const [jid, messages] of chatStore.entries()) {
-      const found = messages.find(m => m.key.id === decodeURIComponent(messageId))
-      if (found) {
-        targetMessage = found
-        break
+    const downloadMedia = () => downloadMessageMedia(targetMessage)
+    
+    // Video and voice notes are really transcoded (ffmpeg, cached on disk)
+    const mediaKind = targetMessage.message?.videoMessage ? 'video'
+      : targetMessage.message?.audioMessage ? 'audio' : null
+    if (mediaKind && !isOriginal && mediaTranscoder.supports(mediaKind, requestedFormat)) {
+      try {
+        const converted = await mediaTranscoder.transcode(decodeURIComponent(messageId), requestedFormat, downloadMedia)
+        
+        res.setHeader('Content-Type', mediaTranscoder.mimeTypeFor(requestedFormat))
+        res.setHeader('Content-Disposition', `attachment; filename="${mediaKind}_${messageId}.${requestedFormat}"`)
+        res.setHeader('Content-Length', converted.length)
+        res.setHeader('Cache-Control', 'public, max-age=3600')
+        res.send(converted)
+      } catch (transcodeError) {
+        logger.warn(`Transcoding ${messageId} to ${requestedFormat} failed: ${transcodeError.message}`)
+        if (transcodeError.code === 'MEDIA_TOO_LARGE') {
+          res.status(413).send(transcodeError.message)
+        } else {
+          res.status(500).send('Transcoding error')
+        }
       }
-    }
-    
-    if (!targetMessage || !sock) {
-      res.status(404).send('Media not found')
       return
     }
     
     // Download media
-    let mediaData = await downloadMediaMessage(targetMessage, 'buffer', {}, { 
-      logger,
-      reuploadRequest: sock.updateMediaMessage 
-    })
+    let mediaData = await downloadMedia()
     
     if (!mediaData) {
       res.status(404).send('Could not download')
@@ -1840,19 +1125,13 @@ app.get('/wml/media/:filename', async (req, res) => {
           filename_out = `image_${messageId}_original.jpg`
         }
       } else if (requestedFormat === 'wbmp') {
-        // Convert image to WBMP for extreme compatibility
+        // Convert image to WBMP for extreme compatibility (?w=&h=&dither=0 to tune)
         try {
-          const sharp = require('sharp')
-          
-          const wbmpData = await sharp(mediaData)
-            .resize(96, 65, { fit: 'inside' })
-            .grayscale()
-            .threshold(128)
-            .raw()
-            .toBuffer()
-          
-          const wbmpHeader = Buffer.from([0x00, 0x00, 96, 65])
-          mediaData = Buffer.concat([wbmpHeader, wbmpData])
+          mediaData = await imageToWbmp(mediaData, {
+            width: clampSize(req.query.w, res.locals.device.screenWidth),
+            height: clampSize(req.query.h, 65),
+            dither: req.query.dither !== '0'
+          })
           mimeType = 'image/vnd.wap.wbmp'
           filename_out = `image_${messageId}.wbmp`
           
@@ -1867,7 +1146,7 @@ app.get('/wml/media/:filename', async (req, res) => {
           const sharp = require('sharp')
           
           mediaData = await sharp(mediaData)
-            .resize(128, 128, { fit: 'inside', withoutEnlargement: true }) // Max 128x128
+            .resize(screenWidth, screenWidth, { fit: 'inside', withoutEnlargement: true }) // Fit the screen
             .png({ 
               compressionLevel: 9,        // Maximum compression
               colors: 16,                 // Reduce to 16 colors
@@ -1889,7 +1168,7 @@ app.get('/wml/media/:filename', async (req, res) => {
           const sharp = require('sharp')
           
           mediaData = await sharp(mediaData)
-            .resize(128, 128, { fit: 'inside', withoutEnlargement: true }) // Max 128x128  
+            .resize(screenWidth, screenWidth, { fit: 'inside', withoutEnlargement: true }) // Fit the screen
             .jpeg({ 
               quality: 40,                // Low quality = small size
               progressive: false,         // Nokia compatibility
@@ -1917,14 +1196,6 @@ app.get('/wml/media/:filename', async (req, res) => {
           mimeType = 'video/mp4'
           filename_out = `video_${messageId}_original.mp4`
         }
-      } else if (requestedFormat === '3gp') {
-        // Nokia 7210 compatible 3GP
-        mimeType = 'video/3gpp'
-        filename_out = `video_${messageId}.3gp`
-      } else if (requestedFormat === 'avi') {
-        // Alternative mobile format
-        mimeType = 'video/x-msvideo'
-        filename_out = `video_${messageId}.avi`
       } else {
         // Default MP4
         mimeType = 'video/mp4'
@@ -1941,14 +1212,6 @@ app.get('/wml/media/:filename', async (req, res) => {
           mimeType = 'audio/ogg'
           filename_out = `audio_${messageId}_original.ogg`
         }
-      } else if (requestedFormat === 'wav') {
-        // Nokia compatible WAV
-        mimeType = 'audio/wav'
-        filename_out = `audio_${messageId}.wav`
-      } else if (requestedFormat === 'mp3') {
-        // Universal MP3
-        mimeType = 'audio/mpeg'
-        filename_out = `audio_${messageId}.mp3`
       } else {
         // Default OGG
         mimeType = 'audio/ogg'
@@ -1964,17 +1227,11 @@ app.get('/wml/media/:filename', async (req, res) => {
       if (requestedFormat === 'wbmp') {
         // Convert sticker to WBMP for Nokia
         try {
-          const sharp = require('sharp')
-          
-          const wbmpData = await sharp(mediaData)
-            .resize(32, 32, { fit: 'inside' }) // Small size for stickers
-            .grayscale()
-            .threshold(128)
-            .raw()
-            .toBuffer()
-          
-          const wbmpHeader = Buffer.from([0x00, 0x00, 32, 32])
-          mediaData = Buffer.concat([wbmpHeader, wbmpData])
+          mediaData = await imageToWbmp(mediaData, {
+            width: clampSize(req.query.w, 64),
+            height: clampSize(req.query.h, 64),
+            dither: req.query.dither !== '0'
+          })
           mimeType = 'image/vnd.wap.wbmp'
           filename_out = `sticker_${messageId}.wbmp`
           
@@ -2002,183 +1259,13 @@ app.get('/wml/media/:filename', async (req, res) => {
     res.status(500).send('Download error')
   }
 })
-/*
-app.get('/wml/chat.wml', async (req, res) => {
-  const userAgent = req.headers['user-agent'] || ''
-  const isOldNokia = /Nokia|Series40|MAUI|UP\.Browser/i.test(userAgent)
-  
-  const raw = req.query.jid || ''
-  const jid = formatJid(raw)
-  const offset = Math.max(0, parseInt(req.query.offset || '0'))
-  const search = (req.query.search || '').trim().toLowerCase()
-  
-  // Very small limits for Nokia 7210
-  const limit = isOldNokia ? 3 : 10
-  
-  // Load chat history if missing
-  if ((!chatStore.get(jid) || chatStore.get(jid).length === 0) && sock) {
-    try {
-      await loadChatHistory(jid, limit * 3)
-    } catch (e) {
-      logger.warn(`Failed to load chat history for ${jid}: ${e.message}`)
-    }
-  }
-  
-  let allMessages = (chatStore.get(jid) || []).slice()
-  
-  // Sort by timestamp - MOST RECENT FIRST
-  allMessages.sort((a, b) => {
-    const tsA = Number(a.messageTimestamp) || 0
-    const tsB = Number(b.messageTimestamp) || 0
-    return tsB - tsA // Most recent first
-  })
-  
-  // Apply search filter if present
-  if (search) {
-    allMessages = allMessages.filter(m => (messageText(m) || '').toLowerCase().includes(search))
-  }
-  
-  const total = allMessages.length
-  const items = allMessages.slice(offset, offset + limit)
-  
-  const contact = contactStore.get(jid)
-  const chatName = contact?.name || contact?.notify || contact?.verifiedName || jidFriendly(jid)
-  const number = jidFriendly(jid)
-  const isGroup = jid.endsWith('@g.us')
-  
-  // Simple escaping for Nokia 7210
-  const esc = text => (text || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-  
-  // Simple truncate
-  const truncate = (text, maxLength) => {
-    if (!text) return ''
-    if (text.length <= maxLength) return text
-    return text.substring(0, maxLength - 3) + '...'
-  }
-  
-  // Simple timestamp for Nokia
-  const formatTime = (timestamp) => {
-    const date = new Date(Number(timestamp) * 1000)
-    if (isNaN(date.getTime())) return ''
-    
-    const day = date.getDate().toString().padStart(2, '0')
-    const month = (date.getMonth() + 1).toString().padStart(2, '0')
-    const hours = date.getHours().toString().padStart(2, '0')
-    const mins = date.getMinutes().toString().padStart(2, '0')
-    
-    return `${day}/${month} ${hours}:${mins}`
-  }
-  
-  let messageList = ''
-  
-  if (items.length === 0) {
-    messageList = '<p>No messages</p>'
-  } else {
-    messageList = items.map((m, idx) => {
-      const who = m.key.fromMe ? 'Me' : (chatName.length > 10 ? chatName.substring(0, 10) : chatName)
-      const time = formatTime(m.messageTimestamp)
-      const msgNumber = idx + 1
-      const mid = m.key.id
-      
-      // Handle different message types for Nokia
-      let text = ''
-      let mediaLink = ''
-      
-      if (m.message) {
-        if (m.message.imageMessage) {
-          const img = m.message.imageMessage
-          const size = Math.round((img.fileLength || 0) / 1024)
-          text = `[IMG ${size}KB]`
-          if (img.caption) text += ` ${truncate(img.caption, 30)}`
-          mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View IMG]</a>`
-          
-        } else if (m.message.videoMessage) {
-          const vid = m.message.videoMessage
-          const size = Math.round((vid.fileLength || 0) / 1024)
-          text = `[VID ${size}KB]`
-          if (vid.caption) text += ` ${truncate(vid.caption, 30)}`
-          mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View VID]</a>`
-          
-        } else if (m.message.audioMessage) {
-          const aud = m.message.audioMessage
-          const size = Math.round((aud.fileLength || 0) / 1024)
-          const duration = aud.seconds || 0
-          text = `[AUD ${size}KB ${duration}s]`
-          mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View AUD]</a>`
-          
-        } else if (m.message.documentMessage) {
-          const doc = m.message.documentMessage
-          const size = Math.round((doc.fileLength || 0) / 1024)
-          const filename = doc.fileName || 'file'
-          text = `[DOC ${size}KB] ${truncate(filename, 20)}`
-          mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View DOC]</a>`
-          
-        } else if (m.message.stickerMessage) {
-          text = '[STICKER]'
-          mediaLink = `<br/><a href="/wml/media-info.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[View STK]</a>`
-          
-        } else {
-          text = truncate(messageText(m) || '', 50)
-        }
-      } else {
-        text = truncate(messageText(m) || '', 50)
-      }
-      
-      return `<p>${msgNumber}. ${esc(who)} (${time})<br/>${esc(text)}${mediaLink}</p>`
-    }).join('')
-  }
-  
-  // Simple navigation for Nokia
-  const olderOffset = offset + limit
-  const olderLink = olderOffset < total ? 
-    `<p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;offset=${olderOffset}&amp;search=${encodeURIComponent(search)}" accesskey="2">2-Older</a></p>` : ''
-  
-  const newerOffset = Math.max(0, offset - limit)
-  const newerLink = offset > 0 ? 
-    `<p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;offset=${newerOffset}&amp;search=${encodeURIComponent(search)}" accesskey="3">3-Newer</a></p>` : ''
-  
-  // Simple search for Nokia
-  const searchBox = search ? 
-    `<p>Search: ${esc(search)}</p><p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}">Clear</a></p>` : 
-    `<p><a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;search=prompt">Search</a></p>`
-  
-  const body = `<p>${esc(chatName.length > 15 ? chatName.substring(0, 15) : chatName)}</p>
-<p>Msgs ${offset + 1}-${Math.min(offset + limit, total)}/${total}</p>
-${searchBox}
-${messageList}
-${newerLink}
-${olderLink}
-<p><a href="/wml/send.text.wml?to=${encodeURIComponent(jid)}" accesskey="1">1-Send</a></p>
-<p><a href="/wml/chats.wml" accesskey="0">0-Back</a></p>`
-  
-  // Nokia 7210 compatible WML 1.1
-  const wmlOutput = `<?xml version="1.0"?>
-<!DOCTYPE wml PUBLIC "-//WAPFORUM//DTD WML 1.1//EN" "http://www.wapforum.org/DTD/wml_1.1.xml">
-<wml>
-<head><meta http-equiv="Cache-Control" content="max-age=0"/></head>
-<card id="chat" title="Chat">
-${body}
-</card>
-</wml>`
-  
-  // Nokia 7210 headers
-  res.setHeader('Content-Type', 'text/vnd.wap.wml; charset=iso-8859-1')
-  res.setHeader('Cache-Control', 'no-cache')
-  res.setHeader('Pragma', 'no-cache')
-  
-  const encodedBuffer = iconv.encode(wmlOutput, 'iso-8859-1')
-  res.send(encodedBuffer)
-})*/
 // Enhanced Message Actions page
 app.get('/wml/msg.wml', (req, res) => {
   const mid = String(req.query.mid || '')
   const jid = formatJid(req.query.jid || '')
   
   // Find message in the specific chat (using our new system)
-  const messages = chatStore.get(jid) || []
+  const messages = accounts.current().chatStore.get(jid) || []
   const msg = messages.find(m => m.key.id === mid)
   
   if (!msg) {
@@ -2247,13 +1334,15 @@ app.get('/wml/msg.wml', (req, res) => {
     <p>${esc(text)}</p>
     <p><small>Time: ${ts}</small></p>
     <p><small>From: ${msg.key.fromMe ? 'Me' : 'Them'}</small></p>
+    ${msg.key.fromMe && messageStatus(msg) ? `<p><small>Status: ${esc(messageStatus(msg))} ${statusTicks(msg)}</small></p>` : ''}
+    ${msg.key.fromMe && msg.userReceipt?.length ? `<p><a href="/wml/msg.receipts.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}">[Receipts: ${msg.userReceipt.length}]</a></p>` : ''}
     ${mediaInfo}
     
     <p><b>Actions:</b></p>
     <p>
       <a href="/wml/msg.reply.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}" accesskey="1">[1] Reply</a><br/>
       <a href="/wml/msg.react.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}" accesskey="2">[2] React</a><br/>
-      <a href="/wml/msg.forward.wml?mid=${encodeURIComponent(mid)}" accesskey="3">[3] Forward</a><br/>
+      <a href="/wml/msg.forward.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}" accesskey="3">[3] Forward</a><br/>
       ${mediaActions}
       <a href="/wml/msg.delete.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}" accesskey="7">[7] Delete</a><br/>
       <a href="/wml/msg.read.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}" accesskey="8">[8] Mark Read</a><br/>
@@ -2271,10 +1360,419 @@ app.get('/wml/msg.wml', (req, res) => {
 
   sendWml(res, card('msg', 'Message', body))
 })
+
+// =================== MESSAGE ACTION CARDS ===================
+
+// Per-participant delivery/read receipts of one of our group messages
+app.get('/wml/msg.receipts.wml', (req, res) => {
+  const mid = String(req.query.mid || '')
+  const jid = formatJid(req.query.jid || '')
+  const msg = findMessage(mid, jid)
+  const backHref = `/wml/msg.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}`
+  if (!msg) {
+    sendWml(res, resultCard('Receipts', ['Message not found'], backHref))
+    return
+  }
+
+  const time = ts => ts ? new Date(ts * 1000).toLocaleString() : '-'
+  const receipts = messageReceipts(msg)
+  const list = receipts.length
+    ? receipts.map(r => {
+        const contact = accounts.current().contactStore.get(r.userJid)
+        const name = contact?.name || contact?.notify || jidFriendly(r.userJid)
+        return `<p><b>${esc(name)}</b> ${r.playedAt ? STATUS_TICKS.played : r.readAt ? STATUS_TICKS.read : STATUS_TICKS.delivered}<br/>
+          <small>Delivered: ${esc(time(r.deliveredAt))}</small><br/>
+          <small>Read: ${esc(time(r.readAt))}</small></p>`
+      }).join('')
+    : '<p>No receipts yet.</p>'
+
+  const read = receipts.filter(r => r.readAt || r.playedAt).length
+  const body = `
+    <p><b>Receipts</b></p>
+    <p>${esc(truncate(messageText(msg), 40))}</p>
+    <p>Read by ${read} of ${receipts.length}</p>
+    ${list}
+    <p><a href="${backHref}" accesskey="0">[0] Back</a></p>
+  `
+
+  sendWml(res, card('msg-receipts', 'Receipts', body))
+})
+
+// Reactions offered on the handset; values are keys so no emoji has to survive the WAP form
+const WML_REACTIONS = [
+  { key: 'like', emoji: '👍', label: 'Like' },
+  { key: 'love', emoji: '❤️', label: 'Love' },
+  { key: 'laugh', emoji: '😂', label: 'Laugh' },
+  { key: 'wow', emoji: '😮', label: 'Wow' },
+  { key: 'sad', emoji: '😢', label: 'Sad' },
+  { key: 'thanks', emoji: '🙏', label: 'Thanks' },
+  { key: 'remove', emoji: '', label: 'Remove reaction' }
+]
+
+function msgHref(mid, jid) {
+  return `/wml/msg.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}`
+}
+
+function msgSummary(msg) {
+  return `<p><small>${esc(messageSender(msg).label)}: ${esc(truncate(messageText(msg), 60))}</small></p>`
+}
+
+// Reply input card
+app.get('/wml/msg.reply.wml', (req, res) => {
+  const mid = String(req.query.mid || '')
+  const jid = formatJid(req.query.jid || '')
+  const msg = findMessage(mid, jid)
+
+  if (!msg) {
+    sendWml(res, resultCard('Reply', ['Message not found'], `/wml/chat.wml?jid=${encodeURIComponent(jid)}`))
+    return
+  }
+
+  const body = `
+    <p><b>Reply to Message</b></p>
+    ${msgSummary(msg)}
+
+    <p>Your reply:</p>
+    <input name="message" title="Reply" size="30" maxlength="1000"/>
+
+    <do type="accept" label="Send">
+      <go method="post" href="/wml/msg.reply">
+        <postfield name="mid" value="${esc(mid)}"/>
+        <postfield name="jid" value="${esc(jid)}"/>
+        <postfield name="message" value="$(message)"/>
+      </go>
+    </do>
+
+    <p>
+      <a href="${msgHref(mid, jid)}" accesskey="0">[0] Back</a> |
+      <a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}" accesskey="9">[9] Chat</a>
+    </p>
+  `
+
+  sendWml(res, card('msg-reply', 'Reply', body))
+})
+
+app.post('/wml/msg.reply', async (req, res) => {
+  const { mid = '', jid = '', message = '' } = req.body
+  const backHref = msgHref(mid, jid)
+  try {
+    if (!accounts.current().sock) throw new Error('Not connected')
+    if (!String(message).trim()) throw new Error('Reply text is empty')
+
+    const quoted = findMessage(mid, jid)
+    if (!quoted) throw new Error('Quoted message not found')
+
+    const result = await replyToMessage(jid, message, quoted)
+    sendWml(res, resultCard('Reply Sent', [
+      `To: ${jidFriendly(formatJid(jid))}`,
+      `Message: ${truncate(message, 50)}`,
+      `ID: ${result?.key?.id || 'Unknown'}`
+    ], `/wml/chat.wml?jid=${encodeURIComponent(formatJid(jid))}`))
+  } catch (e) {
+    sendWml(res, resultCard('Reply Failed', [e.message || 'Failed to send reply'], backHref))
+  }
+})
+
+// Reaction picker card
+app.get('/wml/msg.react.wml', (req, res) => {
+  const mid = String(req.query.mid || '')
+  const jid = formatJid(req.query.jid || '')
+  const msg = findMessage(mid, jid)
+
+  if (!msg) {
+    sendWml(res, resultCard('React', ['Message not found'], `/wml/chat.wml?jid=${encodeURIComponent(jid)}`))
+    return
+  }
+
+  const quickLinks = WML_REACTIONS.slice(0, 6).map((r, idx) =>
+    `<a href="/wml/msg.react.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}&amp;reaction=${r.key}" accesskey="${idx + 1}">[${idx + 1}] ${esc(r.label)}</a><br/>`
+  ).join('')
+
+  const selected = WML_REACTIONS.find(r => r.key === req.query.reaction)
+
+  // A quick link lands here again with ?reaction= and asks for confirmation
+  const body = selected ? `
+    <p><b>Confirm Reaction</b></p>
+    ${msgSummary(msg)}
+    <p>React with: <b>${esc(selected.label)}</b> ${esc(selected.emoji)}</p>
+
+    <do type="accept" label="React">
+      <go method="post" href="/wml/msg.react">
+        <postfield name="mid" value="${esc(mid)}"/>
+        <postfield name="jid" value="${esc(jid)}"/>
+        <postfield name="reaction" value="${esc(selected.key)}"/>
+      </go>
+    </do>
+
+    <p>
+      <a href="/wml/msg.react.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}" accesskey="0">[0] Change</a> |
+      <a href="${msgHref(mid, jid)}" accesskey="9">[9] Cancel</a>
+    </p>
+  ` : `
+    <p><b>React to Message</b></p>
+    ${msgSummary(msg)}
+
+    <p>Reaction:</p>
+    <select name="reaction" title="Reaction">
+      ${WML_REACTIONS.map(r => `<option value="${r.key}">${esc(r.label)}</option>`).join('')}
+    </select>
+
+    <do type="accept" label="React">
+      <go method="post" href="/wml/msg.react">
+        <postfield name="mid" value="${esc(mid)}"/>
+        <postfield name="jid" value="${esc(jid)}"/>
+        <postfield name="reaction" value="$(reaction)"/>
+      </go>
+    </do>
+
+    <p><b>Quick:</b></p>
+    <p>${quickLinks}</p>
+
+    <p><a href="${msgHref(mid, jid)}" accesskey="0">[0] Back</a></p>
+  `
+
+  sendWml(res, card('msg-react', 'React', body))
+})
+
+app.post('/wml/msg.react', async (req, res) => {
+  const { mid = '', jid = '', reaction = '' } = req.body
+  const backHref = msgHref(mid, jid)
+  try {
+    if (!accounts.current().sock) throw new Error('Not connected')
+
+    const selected = WML_REACTIONS.find(r => r.key === reaction)
+    if (!selected) throw new Error('Unknown reaction')
+
+    const target = findMessage(mid, jid)
+    if (!target) throw new Error('Message not found')
+
+    await reactToMessage(jid, target, selected.emoji)
+    sendWml(res, resultCard(selected.emoji ? 'Reaction Sent' : 'Reaction Removed', [
+      `Reaction: ${selected.label}`,
+      `Chat: ${jidFriendly(formatJid(jid))}`
+    ], backHref))
+  } catch (e) {
+    sendWml(res, resultCard('Reaction Failed', [e.message || 'Failed to react'], backHref))
+  }
+})
+
+// Forward input card
+app.get('/wml/msg.forward.wml', (req, res) => {
+  const mid = String(req.query.mid || '')
+  const jid = req.query.jid ? formatJid(req.query.jid) : ''
+  const msg = findMessage(mid, jid)
+
+  if (!msg) {
+    sendWml(res, resultCard('Forward', ['Message not found'], '/wml/chats.wml'))
+    return
+  }
+
+  const chatJid = jid || msg.key.remoteJid
+  const body = `
+    <p><b>Forward Message</b></p>
+    ${msgSummary(msg)}
+
+    <p>To (numbers, comma-separated):</p>
+    <input name="to" title="Recipients" size="20" maxlength="200"/>
+
+    <do type="accept" label="Next">
+      <go href="/wml/msg.forward.confirm.wml" method="get">
+        <postfield name="mid" value="${esc(mid)}"/>
+        <postfield name="jid" value="${esc(chatJid)}"/>
+        <postfield name="to" value="$(to)"/>
+      </go>
+    </do>
+
+    <p>
+      <a href="${msgHref(mid, chatJid)}" accesskey="0">[0] Back</a> |
+      <a href="/wml/contacts.wml" accesskey="9">[9] Contacts</a>
+    </p>
+  `
+
+  sendWml(res, card('msg-forward', 'Forward', body))
+})
+
+// Forward confirmation card
+app.get('/wml/msg.forward.confirm.wml', (req, res) => {
+  const mid = String(req.query.mid || '')
+  const jid = formatJid(req.query.jid || '')
+  const recipients = parseList(req.query.to).map(formatJid)
+
+  if (recipients.length === 0) {
+    sendWml(res, resultCard('Forward', ['No recipients given'], `/wml/msg.forward.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}`, false))
+    return
+  }
+
+  const names = recipients.map(r => {
+    const contact = accounts.current().contactStore.get(r)
+    return contact?.name || contact?.notify || jidFriendly(r)
+  })
+
+  const body = `
+    <p><b>Confirm Forward</b></p>
+    <p>Send to ${recipients.length} recipient${recipients.length > 1 ? 's' : ''}:</p>
+    ${names.map(n => `<p>- ${esc(n)}</p>`).join('')}
+
+    <do type="accept" label="Forward">
+      <go method="post" href="/wml/msg.forward">
+        <postfield name="mid" value="${esc(mid)}"/>
+        <postfield name="jid" value="${esc(jid)}"/>
+        <postfield name="to" value="${esc(recipients.join(','))}"/>
+      </go>
+    </do>
+
+    <p>
+      <a href="/wml/msg.forward.wml?mid=${encodeURIComponent(mid)}&amp;jid=${encodeURIComponent(jid)}" accesskey="0">[0] Change</a> |
+      <a href="${msgHref(mid, jid)}" accesskey="9">[9] Cancel</a>
+    </p>
+  `
+
+  sendWml(res, card('msg-forward-confirm', 'Forward', body))
+})
+
+app.post('/wml/msg.forward', async (req, res) => {
+  const { mid = '', jid = '', to = '' } = req.body
+  const backHref = msgHref(mid, jid)
+  try {
+    if (!accounts.current().sock) throw new Error('Not connected')
+
+    const target = findMessage(mid, jid)
+    if (!target) throw new Error('Message not found')
+
+    const recipients = parseList(to)
+    if (recipients.length === 0) throw new Error('No recipients given')
+
+    const results = await forwardMessage(target, recipients)
+    const sent = results.filter(r => r.status === 'sent').length
+    sendWml(res, resultCard('Forward Complete', [
+      `Sent: ${sent}/${results.length}`,
+      ...results.map(r => `${jidFriendly(r.recipient)}: ${r.status === 'sent' ? 'OK' : r.error}`)
+    ], backHref))
+  } catch (e) {
+    sendWml(res, resultCard('Forward Failed', [e.message || 'Failed to forward'], backHref))
+  }
+})
+
+// Delete confirmation card
+app.get('/wml/msg.delete.wml', (req, res) => {
+  const mid = String(req.query.mid || '')
+  const jid = formatJid(req.query.jid || '')
+  const msg = findMessage(mid, jid)
+
+  if (!msg) {
+    sendWml(res, resultCard('Delete', ['Message not found'], `/wml/chat.wml?jid=${encodeURIComponent(jid)}`))
+    return
+  }
+
+  const body = `
+    <p><b>Delete Message</b></p>
+    ${msgSummary(msg)}
+    <p>This deletes the message for everyone.</p>
+    ${msg.key.fromMe ? '' : '<p><em>Only group admins can delete messages sent by others.</em></p>'}
+
+    <p><b>Are you sure?</b></p>
+    ${pinField()}
+    <p>
+      <a href="${msgHref(mid, jid)}" accesskey="0">[0] Cancel</a>
+    </p>
+
+    <do type="accept" label="Delete">
+      <go method="post" href="/wml/msg.delete">
+        <postfield name="mid" value="${esc(mid)}"/>
+        <postfield name="jid" value="${esc(jid)}"/>
+        <postfield name="pin" value="$(pin)"/>
+      </go>
+    </do>
+    <do type="options" label="Cancel">
+      <go href="${msgHref(mid, jid)}"/>
+    </do>
+  `
+
+  sendWml(res, card('msg-delete', 'Delete', body))
+})
+
+app.post('/wml/msg.delete', async (req, res) => {
+  const { mid = '', jid = '' } = req.body
+  const chatHref = `/wml/chat.wml?jid=${encodeURIComponent(formatJid(jid))}`
+  try {
+    auth.confirmPin(req.body.pin, req.ip)
+    if (!accounts.current().sock) throw new Error('Not connected')
+
+    const target = findMessage(mid, jid)
+    if (!target) throw new Error('Message not found')
+
+    await deleteMessage(jid, target)
+    sendWml(res, resultCard('Message Deleted', [
+      'Delete request sent',
+      `Chat: ${jidFriendly(formatJid(jid))}`
+    ], chatHref))
+  } catch (e) {
+    sendWml(res, resultCard('Delete Failed', [e.message || 'Failed to delete'], msgHref(mid, jid)))
+  }
+})
+
+// Mark read confirmation card
+app.get('/wml/msg.read.wml', (req, res) => {
+  const mid = String(req.query.mid || '')
+  const jid = formatJid(req.query.jid || '')
+  const msg = findMessage(mid, jid)
+
+  if (!msg) {
+    sendWml(res, resultCard('Mark Read', ['Message not found'], `/wml/chat.wml?jid=${encodeURIComponent(jid)}`))
+    return
+  }
+
+  const body = `
+    <p><b>Mark as Read</b></p>
+    ${msgSummary(msg)}
+
+    <p>Mark:</p>
+    <select name="scope" title="Scope">
+      <option value="message">This message</option>
+      <option value="chat">Whole chat</option>
+    </select>
+
+    <do type="accept" label="Mark">
+      <go method="post" href="/wml/msg.read">
+        <postfield name="mid" value="${esc(mid)}"/>
+        <postfield name="jid" value="${esc(jid)}"/>
+        <postfield name="scope" value="$(scope)"/>
+      </go>
+    </do>
+
+    <p><a href="${msgHref(mid, jid)}" accesskey="0">[0] Back</a></p>
+  `
+
+  sendWml(res, card('msg-read', 'Mark Read', body))
+})
+
+app.post('/wml/msg.read', async (req, res) => {
+  const { mid = '', jid = '', scope = 'message' } = req.body
+  const backHref = msgHref(mid, jid)
+  try {
+    if (!accounts.current().sock) throw new Error('Not connected')
+
+    let marked
+    if (scope === 'chat') {
+      ({ marked } = await markChatRead(formatJid(jid), { sendReceipts: true }))
+    } else {
+      const messages = [findMessage(mid, jid)].filter(Boolean)
+      if (messages.length === 0) throw new Error('No messages to mark')
+      marked = await markMessagesRead(messages)
+    }
+    sendWml(res, resultCard('Marked as Read', [
+      `Messages: ${marked}`,
+      `Chat: ${jidFriendly(formatJid(jid))}`
+    ], backHref))
+  } catch (e) {
+    sendWml(res, resultCard('Mark Read Failed', [e.message || 'Failed to mark read'], backHref))
+  }
+})
+
 // Enhanced Send Menu with quick access
 app.get('/wml/send-menu.wml', (req, res) => {
   const to = esc(req.query.to || '')
-  const contact = to ? contactStore.get(formatJid(to)) : null
+  const contact = to ? accounts.current().contactStore.get(formatJid(to)) : null
   const contactName = contact?.name || contact?.notify || jidFriendly(to) || ''
 
   const body = `
@@ -2307,7 +1805,9 @@ app.get('/wml/send-menu.wml', (req, res) => {
     <p>
       <a href="/wml/send.text.wml?to=${encodeURIComponent(to)}" accesskey="1">[1] Text</a> |
       <a href="/wml/send.image.wml?to=${encodeURIComponent(to)}" accesskey="2">[2] Image</a> |
-      <a href="/wml/send.location.wml?to=${encodeURIComponent(to)}" accesskey="3">[3] Location</a>
+      <a href="/wml/send.location.wml?to=${encodeURIComponent(to)}" accesskey="3">[3] Location</a><br/>
+      <a href="/wml/scheduled.wml" accesskey="4">[4] Scheduled (${scheduler.list({ account: accounts.current().id, status: 'pending' }).length})</a><br/>
+      <a href="/wml/outbox.wml" accesskey="5">[5] Outbox (${outbox.counts({ account: accounts.current().id }).queued})</a>
     </p>
     
     ${navigationBar()}
@@ -2352,10 +1852,13 @@ app.get('/wml/send.text.wml', (req, res) => {
     </do>
     `}
     
+    ${sendAtField()}
+    
     <do type="accept" label="Send">
       <go method="post" href="/wml/send.text">
         <postfield name="to" value="$(to)"/>
         <postfield name="message" value="$(message)"/>
+        ${SEND_AT_POSTFIELD}
       </go>
     </do>
     
@@ -2368,17 +1871,267 @@ app.get('/wml/send.text.wml', (req, res) => {
   sendWml(res, card('send-text', 'Send Text', body))
 })
 
-// Enhanced Groups management
-app.get('/wml/groups.wml', async (req, res) => {
-  try {
-    if (!sock) throw new Error('Not connected')
-    
-    const groups = await sock.groupFetchAllParticipating()
-    const groupList = Object.values(groups).sort((a,b) => 
-      (b?.subject || '').localeCompare(a?.subject || '')
-    )
+// =================== COMPOSE CARDS FOR OTHER MESSAGE TYPES ===================
 
-    const list = groupList.map((g, idx) => {
+function recipientField(to) {
+  return `<p>To: <input name="to" title="Recipient" value="${esc(to)}" size="15"/></p>`
+}
+
+// Optional "send at" time; empty sends right away. Scheduling asks for the
+// PIN, as /api/schedule does.
+function sendAtField() {
+  return `
+    <p>Send at (empty = now, HH:MM or +min):</p>
+    <input name="sendAt" title="Send at" size="16" maxlength="16" emptyok="true"/>
+    <p>PIN (only to schedule):</p>
+    <input name="pin" title="PIN" type="password" format="*N" size="8" maxlength="12" emptyok="true"/>
+  `
+}
+
+const SEND_AT_POSTFIELD = `<postfield name="sendAt" value="$(sendAt)"/>
+        <postfield name="pin" value="$(pin)"/>`
+
+function composeLinks(to) {
+  return `
+    <p>
+      <a href="/wml/send-menu.wml?to=${encodeURIComponent(to)}" accesskey="0">[0] Back</a> |
+      <a href="/wml/contacts.wml" accesskey="9">[9] Contacts</a>
+    </p>
+  `
+}
+
+// Image, video and sticker cards only differ in the URL field and caption support
+function mediaUrlCard(type, title, urlField, withCaption, to) {
+  return card(`send-${type}`, title, `
+    <p><b>${esc(title)}</b></p>
+    ${recipientField(to)}
+
+    <p>Media URL:</p>
+    <input name="url" title="http://..." value="http://" size="30" maxlength="500"/>
+    ${withCaption ? `
+    <p>Caption:</p>
+    <input name="caption" title="Caption" size="30" maxlength="500" emptyok="true"/>
+    ` : ''}
+    ${sendAtField()}
+
+    <do type="accept" label="Send">
+      <go method="post" href="/wml/send.${type}">
+        <postfield name="to" value="$(to)"/>
+        <postfield name="${urlField}" value="$(url)"/>
+        ${withCaption ? '<postfield name="caption" value="$(caption)"/>' : ''}
+        ${SEND_AT_POSTFIELD}
+      </go>
+    </do>
+
+    ${composeLinks(to)}
+  `)
+}
+
+app.get('/wml/send.image.wml', (req, res) => {
+  sendWml(res, mediaUrlCard('image', 'Send Image', 'imageUrl', true, req.query.to || ''))
+})
+
+app.get('/wml/send.video.wml', (req, res) => {
+  sendWml(res, mediaUrlCard('video', 'Send Video', 'videoUrl', true, req.query.to || ''))
+})
+
+app.get('/wml/send.sticker.wml', (req, res) => {
+  sendWml(res, mediaUrlCard('sticker', 'Send Sticker', 'imageUrl', false, req.query.to || ''))
+})
+
+app.get('/wml/send.audio.wml', (req, res) => {
+  const to = req.query.to || ''
+
+  const body = `
+    <p><b>Send Audio</b></p>
+    ${recipientField(to)}
+
+    <p>Audio URL:</p>
+    <input name="url" title="http://..." value="http://" size="30" maxlength="500"/>
+
+    <p>Send as:</p>
+    <select name="ptt" title="Mode">
+      <option value="false">Audio file</option>
+      <option value="true">Voice note</option>
+    </select>
+
+    ${sendAtField()}
+
+    <do type="accept" label="Send">
+      <go method="post" href="/wml/send.audio">
+        <postfield name="to" value="$(to)"/>
+        <postfield name="audioUrl" value="$(url)"/>
+        <postfield name="ptt" value="$(ptt)"/>
+        ${SEND_AT_POSTFIELD}
+      </go>
+    </do>
+
+    ${composeLinks(to)}
+  `
+
+  sendWml(res, card('send-audio', 'Send Audio', body))
+})
+
+app.get('/wml/send.document.wml', (req, res) => {
+  const to = req.query.to || ''
+
+  const body = `
+    <p><b>Send Document</b></p>
+    ${recipientField(to)}
+
+    <p>Document URL:</p>
+    <input name="url" title="http://..." value="http://" size="30" maxlength="500"/>
+
+    <p>File name (optional):</p>
+    <input name="fileName" title="File name" size="20" maxlength="100" emptyok="true"/>
+
+    ${sendAtField()}
+
+    <do type="accept" label="Send">
+      <go method="post" href="/wml/send.document">
+        <postfield name="to" value="$(to)"/>
+        <postfield name="documentUrl" value="$(url)"/>
+        <postfield name="fileName" value="$(fileName)"/>
+        ${SEND_AT_POSTFIELD}
+      </go>
+    </do>
+
+    ${composeLinks(to)}
+  `
+
+  sendWml(res, card('send-document', 'Send Document', body))
+})
+
+app.get('/wml/send.location.wml', (req, res) => {
+  const to = req.query.to || ''
+
+  const body = `
+    <p><b>Send Location</b></p>
+    ${recipientField(to)}
+
+    <p>Latitude (e.g. 45.4642):</p>
+    <input name="lat" title="Latitude" size="12" maxlength="12"/>
+
+    <p>Longitude (e.g. 9.1900):</p>
+    <input name="lng" title="Longitude" size="12" maxlength="12"/>
+
+    <p>Place name (optional):</p>
+    <input name="name" title="Name" size="20" maxlength="100" emptyok="true"/>
+
+    ${sendAtField()}
+
+    <do type="accept" label="Send">
+      <go method="post" href="/wml/send.location">
+        <postfield name="to" value="$(to)"/>
+        <postfield name="latitude" value="$(lat)"/>
+        <postfield name="longitude" value="$(lng)"/>
+        <postfield name="name" value="$(name)"/>
+        ${SEND_AT_POSTFIELD}
+      </go>
+    </do>
+
+    <p><small>Use - for south/west, e.g. -33.86</small></p>
+    ${composeLinks(to)}
+  `
+
+  sendWml(res, card('send-location', 'Send Location', body))
+})
+
+// vCard builder; ?share=<jid> prefills the fields from the contact store
+app.get('/wml/send.contact.wml', (req, res) => {
+  const to = req.query.to || ''
+  const shareJid = req.query.share ? formatJid(req.query.share) : ''
+  const shared = shareJid ? accounts.current().contactStore.get(shareJid) : null
+  const shareName = shared?.name || shared?.notify || shared?.verifiedName || ''
+  const shareNumber = shareJid && !shareJid.endsWith('@g.us') ? jidFriendly(shareJid) : ''
+
+  const body = `
+    <p><b>Send Contact Card</b></p>
+    ${recipientField(to)}
+
+    <p>Name:</p>
+    <input name="cname" title="Name" value="${esc(shareName)}" size="20" maxlength="100"/>
+
+    <p>Phone (with country code):</p>
+    <input name="cnumber" title="Phone" value="${esc(shareNumber)}" format="*N" size="15" maxlength="20"/>
+
+    <p>Company (optional):</p>
+    <input name="corg" title="Company" size="20" maxlength="100" emptyok="true"/>
+
+    <p>Email (optional):</p>
+    <input name="cemail" title="Email" size="20" maxlength="100" emptyok="true"/>
+
+    ${sendAtField()}
+
+    <do type="accept" label="Send">
+      <go method="post" href="/wml/send.contact">
+        <postfield name="to" value="$(to)"/>
+        <postfield name="name" value="$(cname)"/>
+        <postfield name="number" value="$(cnumber)"/>
+        <postfield name="org" value="$(corg)"/>
+        <postfield name="email" value="$(cemail)"/>
+        ${SEND_AT_POSTFIELD}
+      </go>
+    </do>
+
+    ${composeLinks(to)}
+  `
+
+  sendWml(res, card('send-contact', 'Send Contact', body))
+})
+
+const WML_POLL_OPTIONS = 6
+
+app.get('/wml/send.poll.wml', (req, res) => {
+  const to = req.query.to || ''
+  const optionInputs = Array.from({ length: WML_POLL_OPTIONS }, (_, i) => `
+    <p>Option ${i + 1}${i < 2 ? '' : ' (optional)'}:</p>
+    <input name="opt${i + 1}" title="Option ${i + 1}" size="20" maxlength="100"${i < 2 ? '' : ' emptyok="true"'}/>`
+  ).join('')
+
+  const body = `
+    <p><b>Send Poll</b></p>
+    ${recipientField(to)}
+
+    <p>Question:</p>
+    <input name="question" title="Question" size="30" maxlength="255"/>
+    ${optionInputs}
+
+    <p>Answers allowed:</p>
+    <select name="selectable" title="Answers">
+      <option value="1">One answer</option>
+      <option value="0">Multiple answers</option>
+    </select>
+
+    ${sendAtField()}
+
+    <do type="accept" label="Send">
+      <go method="post" href="/wml/send.poll">
+        <postfield name="to" value="$(to)"/>
+        <postfield name="name" value="$(question)"/>
+        ${Array.from({ length: WML_POLL_OPTIONS }, (_, i) => `<postfield name="opt${i + 1}" value="$(opt${i + 1})"/>`).join('\n        ')}
+        <postfield name="selectableCount" value="$(selectable)"/>
+        ${SEND_AT_POSTFIELD}
+      </go>
+    </do>
+
+    ${composeLinks(to)}
+  `
+
+  sendWml(res, card('send-poll', 'Send Poll', body))
+})
+
+// Enhanced Groups management
+app.get('/wml/groups.wml', async (req, res) => {
+  try {
+    if (!accounts.current().sock) throw new Error('Not connected')
+    
+    const groups = await accounts.current().sock.groupFetchAllParticipating()
+    const groupList = Object.values(groups).sort((a,b) => 
+      (b?.subject || '').localeCompare(a?.subject || '')
+    )
+
+    const list = groupList.map((g, idx) => {
       const memberCount = g?.participants?.length || 0
       return `<p><b>${idx + 1}.</b> ${esc(g.subject || 'Unnamed Group')}<br/>
         <small>${memberCount} members | ${esc(g.id.slice(-8))}...</small><br/>
@@ -2413,2593 +2166,5516 @@ app.get('/wml/groups.wml', async (req, res) => {
   }
 })
 
-// Enhanced Search functionality
-app.get('/wml/search.results.wml', (req, res) => {
-  const q = String(req.query.q || '').trim()
-  const searchType = req.query.type || 'messages'
-  const limit = Math.max(1, Math.min(50, parseInt(req.query.limit || '20')))
-  
-  if (!q || q.length < 2) {
-    sendWml(res, resultCard('Search Error', ['Query must be at least 2 characters'], '/wml/home.wml'))
-    return
-  }
-  
-  let results = []
-  const searchLower = q.toLowerCase()
-  
-  if (searchType === 'messages') {
-    // Search through all messages
-    for (const [chatId, messages] of chatStore.entries()) {
-      for (const msg of messages) {
-        const content = extractMessageContent(msg.message)
-        const text = content?.conversation || 
-                    content?.extendedTextMessage?.text || 
-                    content?.imageMessage?.caption ||
-                    content?.videoMessage?.caption || ''
-        
-        if (text.toLowerCase().includes(searchLower)) {
-          const contact = contactStore.get(chatId)
-          const chatName = contact?.name || contact?.notify || jidFriendly(chatId)
-          const timestamp = new Date(Number(msg.messageTimestamp) * 1000).toLocaleString('en-GB', {
-            month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
-          })
-          
-          results.push({
-            type: 'message',
-            chatId,
-            chatName,
-            messageId: msg.key.id,
-            text: truncate(text, 80),
-            timestamp,
-            fromMe: msg.key.fromMe
-          })
-          
-          if (results.length >= limit) break
-        }
+// =================== GROUP DETAIL & ADMIN CARDS ===================
+
+const GROUP_MEMBERS_PER_PAGE = 8
+
+const GROUP_SETTINGS = {
+  announcement: 'Only admins send',
+  not_announcement: 'All members send',
+  locked: 'Only admins edit info',
+  unlocked: 'All members edit info'
+}
+
+const PARTICIPANT_ACTIONS = {
+  add: 'Add',
+  remove: 'Remove',
+  promote: 'Make admin',
+  demote: 'Remove admin'
+}
+
+function groupHref(gid, page = 1) {
+  return `/wml/group.view.wml?gid=${encodeURIComponent(gid)}${page > 1 ? `&amp;page=${page}` : ''}`
+}
+
+function displayNameFor(jid = '') {
+  const contact = accounts.current().contactStore.get(jid)
+  return contact?.name || contact?.notify || contact?.verifiedName || jidFriendly(jid)
+}
+
+function isMeAdmin(metadata) {
+  const me = accounts.current().sock?.user?.id ? jidNormalizedUser(accounts.current().sock.user.id) : ''
+  const self = (metadata?.participants || []).find(p => p.id === me)
+  return !!self?.admin
+}
+
+// Group page: subject, description, members with admin flags, invite link
+app.get('/wml/group.view.wml', async (req, res) => {
+  const account = accounts.current()
+  try {
+    if (!account.sock) throw new Error('Not connected')
+    const gid = ensureGroupJid(req.query.gid || '')
+    const page = Math.max(1, parseInt(req.query.page || '1'))
+
+    const metadata = await account.sock.groupMetadata(gid)
+    const participants = (metadata.participants || []).slice().sort((a, b) =>
+      (b.admin ? 1 : 0) - (a.admin ? 1 : 0) || displayNameFor(a.id).localeCompare(displayNameFor(b.id))
+    )
+    const amAdmin = isMeAdmin(metadata)
+
+    let inviteLine = '<p>Invite: <em>admins only</em></p>'
+    if (amAdmin) {
+      try {
+        const code = await account.sock.groupInviteCode(gid)
+        inviteLine = `<p>Invite: <small>https://chat.whatsapp.com/${esc(code)}</small></p>`
+      } catch (e) {
+        inviteLine = '<p>Invite: <em>unavailable</em></p>'
       }
-      if (results.length >= limit) break
     }
-  } else if (searchType === 'contacts') {
-    // Search contacts
-    const contacts = Array.from(contactStore.values()).filter(c => {
-      const name = (c.name || c.notify || c.verifiedName || '').toLowerCase()
-      const number = c.id.replace('@s.whatsapp.net', '')
-      return name.includes(searchLower) || number.includes(searchLower)
-    }).slice(0, limit)
-    
-    results = contacts.map(c => ({
-      type: 'contact',
-      name: c.name || c.notify || c.verifiedName || 'Unknown',
-      number: jidFriendly(c.id),
-      jid: c.id
-    }))
-  }
-  
-  const resultList = results.map((r, idx) => {
-    if (r.type === 'message') {
-      return `<p><b>${idx + 1}.</b> ${esc(r.text)}<br/>
-        <small>From: ${esc(r.chatName)} | ${r.timestamp} | ${r.fromMe ? 'Me' : 'Them'}</small><br/>
-        <a href="/wml/chat.wml?jid=${encodeURIComponent(r.chatId)}&amp;limit=15">[Open Chat]</a> |
-        <a href="/wml/msg.wml?mid=${encodeURIComponent(r.messageId)}&amp;jid=${encodeURIComponent(r.chatId)}">[Message]</a>
-      </p>`
-    } else if (r.type === 'contact') {
-      return `<p><b>${idx + 1}.</b> ${esc(r.name)}<br/>
-        <small>${esc(r.number)}</small><br/>
-        <a href="/wml/contact.wml?jid=${encodeURIComponent(r.jid)}">[View]</a> |
-        <a href="/wml/chat.wml?jid=${encodeURIComponent(r.jid)}&amp;limit=15">[Chat]</a>
+
+    const start = (page - 1) * GROUP_MEMBERS_PER_PAGE
+    const members = participants.slice(start, start + GROUP_MEMBERS_PER_PAGE).map((p, idx) => {
+      const flag = p.admin === 'superadmin' ? ' [OWNER]' : p.admin ? ' [ADMIN]' : ''
+      return `<p>${start + idx + 1}. ${esc(truncate(displayNameFor(p.id), 20))}${flag}<br/>
+        <small>${esc(jidFriendly(p.id))}</small>
+        ${amAdmin ? `<br/><a href="/wml/group.member.wml?gid=${encodeURIComponent(gid)}&amp;pjid=${encodeURIComponent(p.id)}">[Manage]</a>` : ''}
       </p>`
-    }
-    return ''
-  }).join('') || '<p>No results found.</p>'
+    }).join('') || '<p>No participants.</p>'
+
+    const prevPage = page > 1 ? `<a href="${groupHref(gid, page - 1)}">[Prev]</a>` : ''
+    const nextPage = start + GROUP_MEMBERS_PER_PAGE < participants.length ? `<a href="${groupHref(gid, page + 1)}">[Next]</a>` : ''
+    const created = metadata.creation
+      ? new Date(metadata.creation * 1000).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })
+      : 'Unknown'
+
+    const adminActions = amAdmin ? `
+      <p><b>Admin:</b></p>
+      <p>
+        <a href="/wml/group.add.wml?gid=${encodeURIComponent(gid)}" accesskey="3">[3] Add Members</a><br/>
+        <a href="/wml/group.subject.wml?gid=${encodeURIComponent(gid)}" accesskey="4">[4] Edit Subject</a><br/>
+        <a href="/wml/group.description.wml?gid=${encodeURIComponent(gid)}" accesskey="5">[5] Edit Description</a><br/>
+        <a href="/wml/group.settings.wml?gid=${encodeURIComponent(gid)}" accesskey="6">[6] Settings</a><br/>
+        <a href="/wml/group.revoke.wml?gid=${encodeURIComponent(gid)}" accesskey="7">[7] Revoke Invite</a><br/>
+      </p>` : ''
+
+    const body = `
+      <p><b>${esc(metadata.subject || 'Unnamed Group')}</b></p>
+      ${metadata.desc ? `<p><small>${esc(truncate(String(metadata.desc), 160))}</small></p>` : ''}
+      <p>Members: ${participants.length} | Created: ${esc(created)}</p>
+      <p>Send: ${metadata.announce ? 'admins only' : 'all'} | Edit: ${metadata.restrict ? 'admins only' : 'all'}</p>
+      ${inviteLine}
+
+      <p><b>Actions:</b></p>
+      <p>
+        <a href="/wml/chat.wml?jid=${encodeURIComponent(gid)}&amp;limit=15" accesskey="1">[1] Open Chat</a><br/>
+        <a href="/wml/send.text.wml?to=${encodeURIComponent(gid)}" accesskey="2">[2] Send Message</a><br/>
+      </p>
+      ${adminActions}
+
+      <p><b>Participants (${page}/${Math.ceil(participants.length / GROUP_MEMBERS_PER_PAGE) || 1}):</b></p>
+      ${members}
+      <p>${prevPage} ${prevPage && nextPage ? '|' : ''} ${nextPage}</p>
+
+      <p>
+        <a href="/wml/group.leave.wml?gid=${encodeURIComponent(gid)}" accesskey="8">[8] Leave Group</a><br/>
+        <a href="/wml/groups.wml" accesskey="0">[0] Back to Groups</a>
+      </p>
+
+      <do type="accept" label="Chat">
+        <go href="/wml/chat.wml?jid=${encodeURIComponent(gid)}&amp;limit=15"/>
+      </do>
+      <do type="options" label="Refresh">
+        <go href="${groupHref(gid, page)}"/>
+      </do>
+    `
+
+    sendWml(res, card('group', 'Group', body))
+  } catch (e) {
+    sendWml(res, resultCard('Error', [e.message || 'Failed to load group'], '/wml/groups.wml'))
+  }
+})
+
+// Per-member admin actions
+app.get('/wml/group.member.wml', (req, res) => {
+  const gid = ensureGroupJid(req.query.gid || '')
+  const pjid = formatJid(req.query.pjid || '')
+  const actionLink = (action, key) =>
+    `<a href="/wml/group.participants.confirm.wml?gid=${encodeURIComponent(gid)}&amp;action=${action}&amp;participants=${encodeURIComponent(pjid)}" accesskey="${key}">[${key}] ${PARTICIPANT_ACTIONS[action]}</a><br/>`
 
   const body = `
-    <p><b>Search Results</b></p>
-    <p>Query: <b>${esc(q)}</b></p>
-    <p>Type: ${esc(searchType)} | Found: ${results.length}</p>
-    
-    ${resultList}
-    
-    <p><b>Search Again:</b></p>
+    <p><b>${esc(displayNameFor(pjid))}</b></p>
+    <p><small>${esc(jidFriendly(pjid))}</small></p>
+
     <p>
-      <a href="/wml/search.wml?q=${encodeURIComponent(q)}" accesskey="1">[1] New Search</a> |
-      <a href="/wml/home.wml" accesskey="0">[0] Home</a>
+      ${actionLink('promote', 1)}
+      ${actionLink('demote', 2)}
+      ${actionLink('remove', 3)}
+      <a href="/wml/chat.wml?jid=${encodeURIComponent(pjid)}&amp;limit=15" accesskey="4">[4] Private Chat</a><br/>
     </p>
-    
-    <do type="accept" label="Home">
-      <go href="/wml/home.wml"/>
-    </do>
+
+    <p><a href="${groupHref(gid)}" accesskey="0">[0] Back to Group</a></p>
   `
-  
-  sendWml(res, card('search-results', 'Search Results', body))
+
+  sendWml(res, card('group-member', 'Member', body))
 })
 
-// Enhanced Search form
-app.get('/wml/search.wml', (req, res) => {
-  const prevQuery = esc(req.query.q || '')
-  
+// Add members input card
+app.get('/wml/group.add.wml', (req, res) => {
+  const gid = ensureGroupJid(req.query.gid || '')
+
   const body = `
-    <p><b>Search WhatsApp</b></p>
-    
-    <p>Search for:</p>
-    <input name="q" title="Search query" value="${prevQuery}" size="20" maxlength="100"/>
-    
-    <p>Search in:</p>
-    <select name="type" title="Search Type">
-      <option value="messages">Messages</option>
-      <option value="contacts">Contacts</option>
-    </select>
-    
-    <p>Limit:</p>
-    <select name="limit" title="Max Results">
-      <option value="10">10 results</option>
-      <option value="20">20 results</option>
-      <option value="50">50 results</option>
-    </select>
-    
-    <do type="accept" label="Search">
-      <go href="/wml/search.results.wml" method="get">
-        <postfield name="q" value="$(q)"/>
-        <postfield name="type" value="$(type)"/>
-        <postfield name="limit" value="$(limit)"/>
+    <p><b>Add Members</b></p>
+    <p>Numbers (comma-separated):</p>
+    <input name="numbers" title="Numbers" size="20" maxlength="300"/>
+
+    <do type="accept" label="Next">
+      <go href="/wml/group.participants.confirm.wml" method="get">
+        <postfield name="gid" value="${esc(gid)}"/>
+        <postfield name="action" value="add"/>
+        <postfield name="participants" value="$(numbers)"/>
       </go>
     </do>
-    
-    <p><b>Quick Searches:</b></p>
-    <p>
-      <a href="/wml/search.results.wml?q=today&amp;type=messages" accesskey="1">[1] "today"</a><br/>
-      <a href="/wml/search.results.wml?q=important&amp;type=messages" accesskey="2">[2] "important"</a><br/>
-      <a href="/wml/search.results.wml?q=meeting&amp;type=messages" accesskey="3">[3] "meeting"</a><br/>
-    </p>
-    
-    ${navigationBar()}
+
+    <p><a href="${groupHref(gid)}" accesskey="0">[0] Back to Group</a></p>
   `
-  
-  sendWml(res, card('search', 'Search', body))
+
+  sendWml(res, card('group-add', 'Add Members', body))
 })
 
-// Auto-refresh for dynamic content
-app.get('/wml/live-status.wml', (req, res) => {
-  const refreshInterval = req.query.interval || '30'
-  
+// Confirmation for add/remove/promote/demote
+app.get('/wml/group.participants.confirm.wml', (req, res) => {
+  const gid = ensureGroupJid(req.query.gid || '')
+  const action = String(req.query.action || '')
+  const participants = parseList(req.query.participants).map(formatJid)
+
+  if (!PARTICIPANT_ACTIONS[action] || participants.length === 0) {
+    sendWml(res, resultCard('Members', ['Nothing to update'], groupHref(gid), false))
+    return
+  }
+
   const body = `
-   
-    <p><b>Live Status Monitor</b></p>
-    <p>Updates every ${refreshInterval} seconds</p>
-    
-    <p><b>Connection:</b> ${connectionState}</p>
-    <p><b>Messages:</b> ${messageStore.size}</p>
-    <p><b>Contacts:</b> ${contactStore.size}</p>
-    <p><b>Chats:</b> ${chatStore.size}</p>
-    <p><b>Time:</b> ${new Date().toLocaleTimeString()}</p>
-    
-    <p>
-      <a href="/wml/live-status.wml?interval=10" accesskey="1">[1] 10s refresh</a><br/>
-      <a href="/wml/live-status.wml?interval=30" accesskey="2">[2] 30s refresh</a><br/>
-      <a href="/wml/live-status.wml?interval=60" accesskey="3">[3] 60s refresh</a><br/>
-    </p>
-    
-    <p><a href="/wml/home.wml" accesskey="0">[0] Home</a></p>
-    
-    <do type="accept" label="Stop">
-      <go href="/wml/status.wml"/>
+    <p><b>${esc(PARTICIPANT_ACTIONS[action])}</b></p>
+    ${participants.map(p => `<p>- ${esc(displayNameFor(p))}</p>`).join('')}
+
+    <p><b>Confirm?</b></p>
+    <do type="accept" label="Confirm">
+      <go method="post" href="/wml/group.participants">
+        <postfield name="gid" value="${esc(gid)}"/>
+        <postfield name="action" value="${esc(action)}"/>
+        <postfield name="participants" value="${esc(participants.join(','))}"/>
+      </go>
     </do>
+
+    <p><a href="${groupHref(gid)}" accesskey="0">[0] Cancel</a></p>
   `
-  
-  sendWml(res, card('live-status', 'Live Status', body, `/wml/live-status.wml?interval=${refreshInterval}`))
-})
 
-// Add all the existing endpoints from your original code here...
-// [Previous POST handlers for send.text, send.image, etc.]
+  sendWml(res, card('group-confirm', 'Confirm', body))
+})
 
-// Keep all existing POST handlers and API endpoints
-app.post('/wml/send.text', async (req, res) => {
+app.post('/wml/group.participants', async (req, res) => {
+  const gid = ensureGroupJid(req.body.gid || '')
   try {
-    if (!sock) throw new Error('Not connected')
-    const { to, message } = req.body
-    const result = await sock.sendMessage(formatJid(to), { text: message })
-    sendWml(res, resultCard('Message Sent', [
-      `To: ${jidFriendly(to)}`,
-      `Message: ${truncate(message, 50)}`,
-      `ID: ${result?.key?.id || 'Unknown'}`
-    ], '/wml/send-menu.wml'))
+    if (!accounts.current().sock) throw new Error('Not connected')
+    const { action } = req.body
+    if (!PARTICIPANT_ACTIONS[action]) throw new Error('Unknown action')
+
+    const participantJids = parseList(req.body.participants).map(formatJid)
+    if (participantJids.length === 0) throw new Error('No participants given')
+
+    const result = await accounts.current().sock.groupParticipantsUpdate(gid, participantJids, action)
+    sendWml(res, resultCard('Members Updated', [
+      `Action: ${PARTICIPANT_ACTIONS[action]}`,
+      ...(result || []).map(r => `${jidFriendly(r.jid)}: ${String(r.status) === '200' ? 'OK' : `error ${r.status}`}`)
+    ], groupHref(gid)))
   } catch (e) {
-    sendWml(res, resultCard('Send Failed', [e.message || 'Failed to send'], '/wml/send.text.wml'))
+    sendWml(res, resultCard('Update Failed', [e.message || 'Failed to update members'], groupHref(gid)))
   }
 })
 
-// Enhanced sync functions
-async function loadChatHistory(jid, limit = 20000) {
-  if (!sock) return
+app.get('/wml/group.subject.wml', async (req, res) => {
+  const gid = ensureGroupJid(req.query.gid || '')
+  let subject = ''
   try {
-    // In production, implement proper message fetching
-    logger.info(`Loading chat history for ${jid}, limit: ${limit}`)
-  } catch (error) {
-    logger.error(`Failed to load chat history: ${error.message}`)
+    subject = accounts.current().sock ? (await accounts.current().sock.groupMetadata(gid)).subject || '' : ''
+  } catch (e) {
+    // Leave the field empty if metadata is unavailable
   }
-}
 
-async function performInitialSync() {
-  try {
-    if (!sock || connectionState !== 'open') {
-      logger.warn("Cannot sync: not connected")
-      return
-    }
+  const body = `
+    <p><b>Edit Subject</b></p>
+    <input name="subject" title="Subject" value="${esc(subject)}" size="20" maxlength="100"/>
 
-    logger.info(`Starting enhanced initial sync (attempt ${syncAttempts + 1})`)
-    syncAttempts++
+    <do type="accept" label="Save">
+      <go method="post" href="/wml/group.subject">
+        <postfield name="gid" value="${esc(gid)}"/>
+        <postfield name="subject" value="$(subject)"/>
+      </go>
+    </do>
 
-    let successCount = 0
+    <p><a href="${groupHref(gid)}" accesskey="0">[0] Back to Group</a></p>
+  `
 
-    // Sync contacts
-    try {
-      logger.info("Checking contacts...")
-      if (contactStore.size === 0) {
-        logger.info("Waiting for contacts via events...")
-        await delay(3000)
-      }
-      logger.info(`Contacts in store: ${contactStore.size}`)
-      successCount++
-    } catch (err) {
-      logger.error("Contact sync failed:", err.message)
-    }
+  sendWml(res, card('group-subject', 'Subject', body))
+})
 
-    // Sync chats
-    try {
-      logger.info("Fetching chats...")
-      const groups = await sock.groupFetchAllParticipating()
-      logger.info(`Retrieved ${Object.keys(groups).length} groups`)
+app.post('/wml/group.subject', async (req, res) => {
+  const gid = ensureGroupJid(req.body.gid || '')
+  try {
+    if (!accounts.current().sock) throw new Error('Not connected')
+    const subject = String(req.body.subject || '').trim()
+    if (!subject) throw new Error('Subject cannot be empty')
 
-      for (const chatId of Object.keys(groups)) {
-        if (!chatStore.has(chatId)) {
-          chatStore.set(chatId, [])
-        }
-      }
+    await accounts.current().sock.groupUpdateSubject(gid, subject)
+    sendWml(res, resultCard('Subject Updated', [`Subject: ${subject}`], groupHref(gid)))
+  } catch (e) {
+    sendWml(res, resultCard('Update Failed', [e.message || 'Failed to update subject'], groupHref(gid)))
+  }
+})
 
-      if (chatStore.size === 0) {
-        logger.info("Waiting for chats via events...")
-        await delay(3000)
-      }
+app.get('/wml/group.description.wml', async (req, res) => {
+  const gid = ensureGroupJid(req.query.gid || '')
+  let description = ''
+  try {
+    description = accounts.current().sock ? String((await accounts.current().sock.groupMetadata(gid)).desc || '') : ''
+  } catch (e) {
+    // Leave the field empty if metadata is unavailable
+  }
 
-      logger.info(`Chats in store: ${chatStore.size}`)
-      successCount++
-    } catch (err) {
-      logger.error("Chat sync failed:", err.message)
-    }
+  const body = `
+    <p><b>Edit Description</b></p>
+    <input name="description" title="Description" value="${esc(description)}" size="30" maxlength="512" emptyok="true"/>
+    <p><small>Leave empty to clear.</small></p>
+
+    <do type="accept" label="Save">
+      <go method="post" href="/wml/group.description">
+        <postfield name="gid" value="${esc(gid)}"/>
+        <postfield name="description" value="$(description)"/>
+      </go>
+    </do>
 
-    // Check sync completion
-    const counts = {
-      contacts: contactStore.size,
-      chats: chatStore.size,
-      messages: messageStore.size
-    }
-    
-    logger.info("Sync results:", counts)
+    <p><a href="${groupHref(gid)}" accesskey="0">[0] Back to Group</a></p>
+  `
 
-    if (counts.contacts > 0 && counts.chats > 0) {
-      isFullySynced = true
-      logger.info("Initial sync completed successfully!")
-    } else if (syncAttempts < 9999999) {
-      const delayMs = syncAttempts * 5000
-      logger.info(`Sync incomplete, retrying in ${delayMs/1000}s...`)
-      setTimeout(performInitialSync, delayMs)
-    } else {
-      logger.warn("Sync attempts exhausted. Data may still load gradually.")
-    }
-  } catch (err) {
-    logger.error("Initial sync failed:", err)
-    if (syncAttempts < 999999) {
-      setTimeout(performInitialSync, 5000)
-    }
-  }
-}
+  sendWml(res, card('group-description', 'Description', body))
+})
 
+app.post('/wml/group.description', async (req, res) => {
+  const gid = ensureGroupJid(req.body.gid || '')
+  try {
+    if (!accounts.current().sock) throw new Error('Not connected')
+    const description = String(req.body.description || '').trim()
 
+    await accounts.current().sock.groupUpdateDescription(gid, description || undefined)
+    sendWml(res, resultCard('Description Updated', [
+      description ? `Description: ${truncate(description, 60)}` : 'Description cleared'
+    ], groupHref(gid)))
+  } catch (e) {
+    sendWml(res, resultCard('Update Failed', [e.message || 'Failed to update description'], groupHref(gid)))
+  }
+})
 
+app.get('/wml/group.settings.wml', (req, res) => {
+  const gid = ensureGroupJid(req.query.gid || '')
 
-// Production-ready connection with better error handling
-async function connectWithBetterSync() {
-  try {
-    const { state, saveCreds } = await useMultiFileAuthState('./auth_info_baileys')
-    const { version } = await fetchLatestBaileysVersion()
+  const body = `
+    <p><b>Group Settings</b></p>
+    <select name="setting" title="Setting">
+      ${Object.entries(GROUP_SETTINGS).map(([value, label]) => `<option value="${value}">${esc(label)}</option>`).join('')}
+    </select>
 
-    sock = makeWASocket({
-      version,
-      auth: state,
-      printQRInTerminal: false,
-      syncFullHistory: true,
-      markOnlineOnConnect: false,
-      emitOwnEvents: true,
-      getMessage: async (key) => messageStore.get(key.id) || null,
-      shouldIgnoreJid: jid => false,
-      shouldSyncHistoryMessage: msg => true,
-      browser: ["WhatsApp WML Gateway", "Chrome", "1.0.0"],
-      connectTimeoutMs: 60000,
-      defaultQueryTimeoutMs: 60000,
-      keepAliveIntervalMs: 10000,
-      retryRequestDelayMs: 1000
-    })
+    <do type="accept" label="Apply">
+      <go method="post" href="/wml/group.settings">
+        <postfield name="gid" value="${esc(gid)}"/>
+        <postfield name="setting" value="$(setting)"/>
+      </go>
+    </do>
 
-    sock.ev.on("creds.update", saveCreds)
+    <p><a href="${groupHref(gid)}" accesskey="0">[0] Back to Group</a></p>
+  `
 
-    sock.ev.on("connection.update", async ({ connection, lastDisconnect, qr }) => {
-      connectionState = connection
+  sendWml(res, card('group-settings', 'Settings', body))
+})
 
-      if (qr) {
-        currentQR = qr
-        logger.info("QR Code generated")
-        if (isDev) {
-          qrcode.generate(qr, { small: true })
-        }
-      }
+app.post('/wml/group.settings', async (req, res) => {
+  const gid = ensureGroupJid(req.body.gid || '')
+  try {
+    if (!accounts.current().sock) throw new Error('Not connected')
+    const { setting } = req.body
+    if (!GROUP_SETTINGS[setting]) throw new Error('Unknown setting')
 
-      if (connection === "close") {
-        const shouldReconnect = lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut
-        logger.info(`Connection closed. Should reconnect: ${shouldReconnect}`)
-        
-        if (shouldReconnect) {
-          const delay = Math.min(5000 * Math.pow(2, syncAttempts), 30000) // Exponential backoff
-          setTimeout(connectWithBetterSync, delay)
-        } else {
-          // Clear stores on logout
-          contactStore.clear()
-          chatStore.clear()
-          messageStore.clear()
-          isFullySynced = false
-          syncAttempts = 0
-        }
-      } else if (connection === "open") {
-        logger.info("WhatsApp connected successfully!")
-        currentQR = null
-        isFullySynced = false
-        syncAttempts = 0
-        
-        // Start sync process
-        setTimeout(enhancedInitialSync, 5000)
-      }
-    })
+    await accounts.current().sock.groupSettingUpdate(gid, setting)
+    sendWml(res, resultCard('Settings Updated', [GROUP_SETTINGS[setting]], groupHref(gid)))
+  } catch (e) {
+    sendWml(res, resultCard('Update Failed', [e.message || 'Failed to update settings'], groupHref(gid)))
+  }
+})
 
-    // Enhanced event handlers
-    sock.ev.on("messaging-history.set", ({ chats, contacts, messages, isLatest }) => {
-      logger.info(`History batch - Chats: ${chats.length}, Contacts: ${contacts.length}, Messages: ${messages.length}`)
+app.get('/wml/group.revoke.wml', (req, res) => {
+  const gid = ensureGroupJid(req.query.gid || '')
 
-      for (const chat of chats) {
-        if (!chatStore.has(chat.id)) {
-          chatStore.set(chat.id, [])
-        }
-      }
+  const body = `
+    <p><b>Revoke Invite Link</b></p>
+    <p>The current link stops working and a new one is created.</p>
+    <p><b>Are you sure?</b></p>
 
-      for (const contact of contacts) {
-        contactStore.set(contact.id, contact)
-      }
+    <do type="accept" label="Revoke">
+      <go method="post" href="/wml/group.revoke">
+        <postfield name="gid" value="${esc(gid)}"/>
+      </go>
+    </do>
 
-      for (const msg of messages) {
-        if (msg.key?.id) {
-          messageStore.set(msg.key.id, msg)
-          const chatId = msg.key.remoteJid
-          if (!chatStore.has(chatId)) {
-            chatStore.set(chatId, [])
-          }
-          const chatMessages = chatStore.get(chatId)
-          chatMessages.push(msg)
-          
-         
-        }
-      }
+    <p><a href="${groupHref(gid)}" accesskey="0">[0] Cancel</a></p>
+  `
 
-      if (isLatest) {
-        logger.info("Bulk history sync complete")
-        isFullySynced = true
-         saveAll()
-      }
-    })
+  sendWml(res, card('group-revoke', 'Revoke Invite', body))
+})
 
-    // Real-time message handling
-    sock.ev.on("messages.upsert", async ({ messages }) => {
-      let newMessagesCount = 0 // A
-      for (const msg of messages) {
-          newMessagesCount++ // ADD TH
-        if (msg.key?.id) {
-          messageStore.set(msg.key.id, msg)
-          const chatId = msg.key.remoteJid
-          
-          if (!chatStore.has(chatId)) {
-            chatStore.set(chatId, [])
-          }
-          
-          const chatMessages = chatStore.get(chatId)
-          chatMessages.push(msg)
-          
-          // Keep chat history manageable
-          if (chatMessages.length > 200) {
-            chatMessages.shift()
-          }
-        }
+app.post('/wml/group.revoke', async (req, res) => {
+  const gid = ensureGroupJid(req.body.gid || '')
+  try {
+    if (!accounts.current().sock) throw new Error('Not connected')
 
-        // Auto-respond to ping
-        if (!msg.key.fromMe && msg.message?.conversation === "ping") {
-          try {
-            await sock.sendMessage(msg.key.remoteJid, { text: "pong" }, { quoted: msg })
-          } catch (error) {
-            logger.error("Failed to send pong:", error)
-          }
-        }
-      }
-       // ADD THESE LINES:
-  if (newMessagesCount > 0) {
-    saveMessages()
-    saveChats()
+    const newCode = await accounts.current().sock.groupRevokeInvite(gid)
+    sendWml(res, resultCard('Invite Revoked', [
+      'New link:',
+      `https://chat.whatsapp.com/${newCode}`
+    ], groupHref(gid), false))
+  } catch (e) {
+    sendWml(res, resultCard('Revoke Failed', [e.message || 'Failed to revoke invite'], groupHref(gid)))
   }
-    })
+})
 
-    // Contact and chat updates
-    sock.ev.on("contacts.set", ({ contacts }) => {
-      logger.info(`Contacts set: ${contacts.length}`)
-      for (const c of contacts) {
-        contactStore.set(c.id, c)
-      }
-        saveContacts() // ADD THIS LINE
-    })
+app.get('/wml/group.leave.wml', (req, res) => {
+  const gid = ensureGroupJid(req.query.gid || '')
 
-    sock.ev.on("contacts.update", (contacts) => {
-      for (const c of contacts) {
-        if (c.id) contactStore.set(c.id, c)
-      }
-    })
+  const body = `
+    <p><b>Leave Group</b></p>
+    <p>${esc(accounts.current().chatStore.has(gid) ? displayNameFor(gid) : jidFriendly(gid))}</p>
+    <p>You will stop receiving messages from this group.</p>
+    <p><b>Are you sure?</b></p>
+    ${pinField()}
 
-    sock.ev.on("chats.set", ({ chats }) => {
-      logger.info(`Chats set: ${chats.length}`)
-      for (const c of chats) {
-        if (!chatStore.has(c.id)) {
-          chatStore.set(c.id, [])
-        }
-      }
-    })
+    <do type="accept" label="Leave">
+      <go method="post" href="/wml/group.leave">
+        <postfield name="gid" value="${esc(gid)}"/>
+        <postfield name="pin" value="$(pin)"/>
+      </go>
+    </do>
 
-    sock.ev.on("chats.update", (chats) => {
-      for (const c of chats) {
-        if (!chatStore.has(c.id)) {
-          chatStore.set(c.id, [])
-        }
-      }
-    })
+    <p><a href="${groupHref(gid)}" accesskey="0">[0] Cancel</a></p>
+  `
 
-  } catch (error) {
-    logger.error("Connection error:", error)
-    setTimeout(connectWithBetterSync, 10000)
+  sendWml(res, card('group-leave', 'Leave Group', body))
+})
+
+app.post('/wml/group.leave', async (req, res) => {
+  const gid = ensureGroupJid(req.body.gid || '')
+  try {
+    auth.confirmPin(req.body.pin, req.ip)
+    if (!accounts.current().sock) throw new Error('Not connected')
+
+    await accounts.current().sock.groupLeave(gid)
+    sendWml(res, resultCard('Left Group', [`Group: ${jidFriendly(gid)}`], '/wml/groups.wml'))
+  } catch (e) {
+    sendWml(res, resultCard('Leave Failed', [e.message || 'Failed to leave group'], groupHref(gid)))
   }
-}
+})
 
-connectWithBetterSync()
+app.get('/wml/group.create.wml', (req, res) => {
+  const body = `
+    <p><b>Create Group</b></p>
+    <p>Group name:</p>
+    <input name="name" title="Name" size="20" maxlength="100"/>
 
-// Keep all existing API endpoints from the original code...
-// [Include all /api/ routes here]
+    <p>Members (numbers, comma-separated):</p>
+    <input name="participants" title="Numbers" size="20" maxlength="300"/>
 
-// Graceful shutdown
-const gracefulShutdown = async (signal) => {
-  logger.info(`Received ${signal}. Shutting down gracefully...`)
-  try {
+    <do type="accept" label="Create">
+      <go method="post" href="/wml/group.create">
+        <postfield name="name" value="$(name)"/>
+        <postfield name="participants" value="$(participants)"/>
+      </go>
+    </do>
 
+    <p>
+      <a href="/wml/groups.wml" accesskey="0">[0] Back to Groups</a> |
+      <a href="/wml/contacts.wml" accesskey="9">[9] Contacts</a>
+    </p>
+  `
 
-       // ADD THESE LINES:
-    logger.info('Saving all data before shutdown...')
-    await storage.saveImmediately('contacts', contactStore)
-    await storage.saveImmediately('chats', chatStore)
-    await storage.saveImmediately('messages', messageStore)
-    await storage.saveImmediately('meta', {
-      isFullySynced,
-      syncAttempts,
-      lastSync: new Date().toISOString()
-    })
-    logger.info('Data saved successfully')
+  sendWml(res, card('group-create', 'New Group', body))
+})
 
-     if (typeof sock !== 'undefined' && sock) {
-      logger.info('Closing WhatsApp connection...')
-      await sock.end()
-      logger.info('WhatsApp connection closed')
-    } else {
-      logger.info('No WhatsApp connection to close')
+app.post('/wml/group.create', async (req, res) => {
+  const account = accounts.current()
+  try {
+    if (!account.sock) throw new Error('Not connected')
+    const name = String(req.body.name || '').trim()
+    const participantJids = parseList(req.body.participants).map(formatJid)
+    if (!name) throw new Error('Group name is required')
+    if (participantJids.length === 0) throw new Error('Add at least one member')
+
+    const group = await account.sock.groupCreate(name, participantJids)
+    if (!account.chatStore.has(group.id)) {
+      account.chatStore.set(group.id, [])
     }
-    
-    contactStore.clear()
-    chatStore.clear()
-    messageStore.clear()
-    
-    logger.info('Graceful shutdown completed')
-    process.exit(0)
-  } catch (error) {
-    logger.error('Error during shutdown:', error)
-    process.exit(1)
+    sendWml(res, resultCard('Group Created', [
+      `Name: ${name}`,
+      `Members: ${participantJids.length}`
+    ], groupHref(group.id)))
+  } catch (e) {
+    sendWml(res, resultCard('Create Failed', [e.message || 'Failed to create group'], '/wml/group.create.wml'))
   }
-}
-
-// Signal handlers
-process.on('SIGINT', () => gracefulShutdown('SIGINT'))
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'))
-process.on('SIGUSR2', () => gracefulShutdown('SIGUSR2'))
-
-process.on('uncaughtException', (error) => {
-  logger.error('Uncaught Exception:', error)
-  gracefulShutdown('uncaughtException')
 })
 
-process.on('unhandledRejection', (reason, promise) => {
-  logger.error('Unhandled Rejection at:', promise, 'reason:', reason)
+app.get('/wml/groups.search.wml', async (req, res) => {
+  try {
+    if (!accounts.current().sock) throw new Error('Not connected')
+    const q = String(req.query.q || '').trim()
+    const searchLower = q.toLowerCase()
+
+    const groups = await accounts.current().sock.groupFetchAllParticipating()
+    const matches = Object.values(groups).filter(g =>
+      !searchLower ||
+      (g.subject || '').toLowerCase().includes(searchLower) ||
+      String(g.desc || '').toLowerCase().includes(searchLower)
+    ).sort((a, b) => (a.subject || '').localeCompare(b.subject || ''))
+
+    const list = matches.slice(0, 20).map((g, idx) => `<p><b>${idx + 1}.</b> ${esc(g.subject || 'Unnamed Group')}<br/>
+        <small>${g.participants?.length || 0} members</small><br/>
+        <a href="${groupHref(g.id)}">[Open]</a> |
+        <a href="/wml/chat.wml?jid=${encodeURIComponent(g.id)}&amp;limit=15">[Chat]</a>
+      </p>`).join('') || '<p>No matching groups.</p>'
 
-  //gracefulShutdown('unhandledRejection')
+    const body = `
+      <p><b>Group Search</b></p>
+      <p>Query: <b>${esc(q)}</b> | Found: ${matches.length}</p>
+      ${searchBox('/wml/groups.search.wml', 'Search groups...')}
+      ${list}
+      <p><a href="/wml/groups.wml" accesskey="0">[0] Back to Groups</a></p>
+    `
+
+    sendWml(res, card('groups-search', 'Group Search', body))
+  } catch (e) {
+    sendWml(res, resultCard('Error', [e.message || 'Failed to search groups'], '/wml/groups.wml'))
+  }
 })
 
-// Start server
-const server = app.listen(port, () => {
-  logger.info(`WhatsApp WML Gateway started on port ${port}`)
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`)
-  logger.info('WML endpoints available at /wml/')
-  logger.info('API endpoints available at /api/')
+// Enhanced Search functionality
+const SEARCH_KINDS = ['text', 'image', 'video', 'audio', 'document', 'sticker', 'location', 'contact', 'poll']
+const SEARCH_PAGE_SIZE = 10
+
+// "YYYY-MM-DD" (local midnight) or unix seconds to unix seconds
+function searchDate(value, endOfDay = false) {
+  if (value === undefined || value === null || String(value).trim() === '') return null
+  const text = String(value).trim()
+  if (/^\d+$/.test(text)) return parseInt(text)
+  const date = new Date(`${text}T${endOfDay ? '23:59:59' : '00:00:00'}`)
+  if (isNaN(date.getTime())) throw new Error(`Invalid date: ${text}`)
+  return Math.floor(date.getTime() / 1000)
+}
 
-  setInterval(() => {
-  storage.cleanupOldMessages(messageStore, chatStore, 100)
-}, 60 * 60 * 1000) // every hour
+// Search options shared by the WML card and the API, from query/body fields:
+// q, jid, sender, fromMe (1/0), type, days or since/until, order (relevance|date)
+function messageSearchOptions(params = {}) {
+  const fromMe = params.fromMe === true || params.fromMe === '1' || params.fromMe === 'true'
+    ? true
+    : params.fromMe === false || params.fromMe === '0' || params.fromMe === 'false' ? false : undefined
+  if (params.type && !SEARCH_KINDS.includes(params.type)) {
+    throw new Error(`type must be one of ${SEARCH_KINDS.join(', ')}`)
+  }
+  const days = parseInt(params.days) || 0
+  return {
+    query: String(params.q ?? params.query ?? '').trim(),
+    chatId: params.jid ? formatJid(params.jid) : undefined,
+    sender: params.sender ? formatJid(params.sender) : undefined,
+    fromMe,
+    type: params.type || undefined,
+    since: days > 0 ? Math.floor(Date.now() / 1000) - days * 86400 : searchDate(params.since),
+    until: searchDate(params.until, true),
+    order: params.order === 'date' ? 'date' : 'relevance'
+  }
+}
 
-setInterval(() => {
-  saveAll()
-  logger.info("Periodic save completed")
-}, 10 * 60 * 1000)
-})
+app.get('/wml/search.results.wml', (req, res) => {
+  const account = accounts.current()
+  const q = String(req.query.q || '').trim()
+  const searchType = req.query.type || 'messages'
+  const page = Math.max(1, parseInt(req.query.page || '1'))
 
-server.on('error', (error) => {
-  if (error.code === 'EADDRINUSE') {
-    logger.error(`Port ${port} is already in use`)
-    process.exit(1)
-  } else {
-    logger.error('Server error:', error)
-    process.exit(1)
+  if (searchType === 'contacts') {
+    if (q.length < 2) {
+      sendWml(res, resultCard('Search Error', ['Query must be at least 2 characters'], '/wml/search.wml'))
+      return
+    }
+    const searchLower = q.toLowerCase()
+    const contacts = Array.from(account.contactStore.values()).filter(c => {
+      const name = (c.name || c.notify || c.verifiedName || '').toLowerCase()
+      const number = c.id.replace('@s.whatsapp.net', '')
+      return name.includes(searchLower) || number.includes(searchLower)
+    }).slice(0, 50)
+
+    const list = contacts.map((c, idx) => `<p><b>${idx + 1}.</b> ${esc(c.name || c.notify || c.verifiedName || 'Unknown')}<br/>
+        <small>${esc(jidFriendly(c.id))}</small><br/>
+        <a href="/wml/contact.wml?jid=${encodeURIComponent(c.id)}">[View]</a> |
+        <a href="/wml/chat.wml?jid=${encodeURIComponent(c.id)}&amp;limit=15">[Chat]</a>
+      </p>`).join('') || '<p>No results found.</p>'
+
+    sendWml(res, card('search-results', 'Search Results', `
+      <p><b>Contacts matching</b> ${esc(q)} (${contacts.length})</p>
+      ${list}
+      <p>
+        <a href="/wml/search.wml?q=${encodeURIComponent(q)}" accesskey="1">[1] New Search</a> |
+        <a href="/wml/home.wml" accesskey="0">[0] Home</a>
+      </p>
+    `))
+    return
   }
-})
 
-// Initialize connection
+  let options, found
+  try {
+    // The message kind filter arrives as "kind"; "type" picks messages/contacts
+    options = messageSearchOptions({ ...req.query, type: req.query.kind })
+    if (options.query.length < 2 && !options.type && !options.chatId && !options.sender && options.fromMe === undefined && !options.since && !options.until) {
+      throw new Error('Query must be at least 2 characters')
+    }
+    found = account.storage.searchMessages({ ...options, limit: SEARCH_PAGE_SIZE, offset: (page - 1) * SEARCH_PAGE_SIZE })
+  } catch (e) {
+    sendWml(res, resultCard('Search Error', [e.message || 'Search failed'], `/wml/search.wml?q=${encodeURIComponent(q)}`))
+    return
+  }
 
-app.get("/api/status", (req, res) => {
-    const isConnected = !!sock?.authState?.creds
-    
-    res.json({
-        connected: isConnected,
-        status: connectionState,
-        user: sock?.user || null,
-        qrAvailable: !!currentQR,
-        syncStatus: {
-            isFullySynced,
-            syncAttempts,
-            contactsCount: contactStore.size,
-            chatsCount: chatStore.size,
-            messagesCount: messageStore.size
-        },
-        uptime: process.uptime(),
-        recommendations: getRecommendations(isConnected)
+  const resultList = found.results.map(({ message: msg }, idx) => {
+    const chatId = msg.key.remoteJid
+    const contact = account.contactStore.get(chatId)
+    const chatName = contact?.name || contact?.notify || jidFriendly(chatId)
+    const timestamp = new Date(Number(msg.messageTimestamp) * 1000).toLocaleString('en-GB', {
+      month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
     })
+    return `<p><b>${(page - 1) * SEARCH_PAGE_SIZE + idx + 1}.</b> ${esc(truncate(messageText(msg), 80))}<br/>
+        <small>${esc(chatName)} | ${timestamp} | ${esc(messageSender(msg).label)}</small><br/>
+        <a href="/wml/chat.wml?jid=${encodeURIComponent(chatId)}&amp;limit=15">[Open Chat]</a> |
+        <a href="/wml/msg.wml?mid=${encodeURIComponent(msg.key.id)}&amp;jid=${encodeURIComponent(chatId)}">[Message]</a>
+      </p>`
+  }).join('') || '<p>No results found.</p>'
+
+  // Same query on another page; the page number goes last
+  const keep = ['q', 'jid', 'sender', 'fromMe', 'kind', 'days', 'since', 'until', 'order']
+    .filter(k => req.query[k])
+    .map(k => `${k}=${encodeURIComponent(req.query[k])}`)
+    .join('&amp;')
+  const pageHref = n => `/wml/search.results.wml?${keep}&amp;page=${n}`
+  const pages = Math.max(1, Math.ceil(found.total / SEARCH_PAGE_SIZE))
+  const filters = [
+    options.chatId && `chat ${jidFriendly(options.chatId)}`,
+    options.sender && `from ${jidFriendly(options.sender)}`,
+    options.fromMe === true && 'sent by me',
+    options.fromMe === false && 'received',
+    options.type,
+    req.query.days && `last ${parseInt(req.query.days)} days`,
+    options.order === 'date' && 'newest first'
+  ].filter(Boolean)
+
+  const body = `
+    <p><b>Search Results</b></p>
+    <p>Query: <b>${esc(options.query || '(any)')}</b>${filters.length ? `<br/><small>${esc(filters.join(', '))}</small>` : ''}</p>
+    <p>Found: ${found.total} | Page ${page}/${pages}</p>
+    
+    ${resultList}
+    
+    <p>
+      ${page > 1 ? `<a href="${pageHref(page - 1)}" accesskey="4">[4] Prev</a> ` : ''}
+      ${page < pages ? `<a href="${pageHref(page + 1)}" accesskey="6">[6] Next</a>` : ''}
+    </p>
+    
+    <p><b>Search Again:</b></p>
+    <p>
+      <a href="/wml/search.wml?q=${encodeURIComponent(q)}" accesskey="1">[1] New Search</a> |
+      <a href="/wml/home.wml" accesskey="0">[0] Home</a>
+    </p>
+    
+    <do type="accept" label="Home">
+      <go href="/wml/home.wml"/>
+    </do>
+  `
+  
+  sendWml(res, card('search-results', 'Search Results', body))
 })
 
-app.get("/api/status-detailed", async (req, res) => {
-    try {
-        const isConnected = !!sock?.authState?.creds
-        let syncStatus = {
-            contacts: contactStore.size,
-            chats: chatStore.size,
-            messages: messageStore.size,
-            isFullySynced,
-            syncAttempts
-        }
-        
-        res.json({
-            connected: isConnected,
-            status: connectionState,
-            user: sock?.user || null,
-            qrAvailable: !!currentQR,
-            syncStatus,
-            stores: {
-                contactStore: {
-                    size: contactStore.size,
-                    sample: Array.from(contactStore.entries()).slice(0, 3).map(([key, value]) => ({
-                        key,
-                        name: value.name || value.notify || 'Unknown',
-                        hasName: !!value.name
-                    }))
-                },
-                chatStore: {
-                    size: chatStore.size,
-                    sample: Array.from(chatStore.keys()).slice(0, 5)
-                }
-            },
-            recommendations: getRecommendations(isConnected)
-        })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+// Enhanced Search form
+app.get('/wml/search.wml', (req, res) => {
+  const prevQuery = esc(req.query.q || '')
+  const jid = req.query.jid ? formatJid(req.query.jid) : ''
+  
+  const body = `
+    <p><b>Search WhatsApp</b></p>
+    ${jid ? `<p>In chat: ${esc(jidFriendly(jid))}</p>` : ''}
+    
+    <p>Search for:</p>
+    <input name="q" title="Search query" value="${prevQuery}" size="20" maxlength="100" emptyok="true"/>
+    
+    <p>Search in:</p>
+    <select name="type" title="Search Type">
+      <option value="messages">Messages</option>
+      <option value="contacts">Contacts</option>
+    </select>
+    
+    <p>Kind:</p>
+    <select name="kind" title="Kind">
+      <option value="">Any</option>
+      ${SEARCH_KINDS.map(k => `<option value="${k}">${k.charAt(0).toUpperCase() + k.slice(1)}</option>`).join('')}
+    </select>
+    
+    <p>Sent by:</p>
+    <select name="fromMe" title="Sent by">
+      <option value="">Anyone</option>
+      <option value="1">Me</option>
+      <option value="0">Others</option>
+    </select>
+    
+    <p>Period:</p>
+    <select name="days" title="Period">
+      <option value="">Any time</option>
+      <option value="1">Last day</option>
+      <option value="7">Last week</option>
+      <option value="30">Last month</option>
+      <option value="365">Last year</option>
+    </select>
+    
+    <p>Order:</p>
+    <select name="order" title="Order">
+      <option value="relevance">Best match</option>
+      <option value="date">Newest first</option>
+    </select>
+    
+    <do type="accept" label="Search">
+      <go href="/wml/search.results.wml" method="get">
+        <postfield name="q" value="$(q)"/>
+        <postfield name="type" value="$(type)"/>
+        <postfield name="kind" value="$(kind)"/>
+        <postfield name="fromMe" value="$(fromMe)"/>
+        <postfield name="days" value="$(days)"/>
+        <postfield name="order" value="$(order)"/>
+        ${jid ? `<postfield name="jid" value="${esc(jid)}"/>` : ''}
+      </go>
+    </do>
+    
+    <p><b>Quick Searches:</b></p>
+    <p>
+      <a href="/wml/search.results.wml?kind=document&amp;order=date" accesskey="1">[1] Documents</a><br/>
+      <a href="/wml/search.results.wml?kind=image&amp;days=7&amp;order=date" accesskey="2">[2] Photos this week</a><br/>
+      <a href="/wml/search.results.wml?fromMe=1&amp;days=1&amp;order=date" accesskey="3">[3] Sent today</a><br/>
+    </p>
+    
+    ${navigationBar()}
+  `
+  
+  sendWml(res, card('search', 'Search', body))
 })
 
-function getRecommendations(isConnected) {
-    if (!isConnected) {
-        return ["Please connect to WhatsApp first", "Check QR code if available"]
-    }
+// Auto-refresh for dynamic content
+app.get('/wml/live-status.wml', (req, res) => {
+  const account = accounts.current()
+  const refreshInterval = req.query.interval || '30'
+  
+  const body = `
+   
+    <p><b>Live Status Monitor</b></p>
+    <p>Updates every ${refreshInterval} seconds</p>
     
-    if (!isFullySynced && contactStore.size === 0 && chatStore.size === 0) {
-        return [
-            "Try calling POST /api/full-sync to force data loading",
-            "Wait a few more seconds for WhatsApp to sync",
-            "Send a test message to trigger data loading"
-        ]
-    }
+    <p><b>Connection:</b> ${account.connectionState}</p>
+    <p><b>Messages:</b> ${account.messageStore.size}</p>
+    <p><b>Contacts:</b> ${account.contactStore.size}</p>
+    <p><b>Chats:</b> ${account.chatStore.size}</p>
+    <p><b>Time:</b> ${new Date().toLocaleTimeString()}</p>
     
-    if (contactStore.size === 0) {
-        return ["Call POST /api/force-sync-contacts to load contacts"]
-    }
+    <p>
+      <a href="/wml/live-status.wml?interval=10" accesskey="1">[1] 10s refresh</a><br/>
+      <a href="/wml/live-status.wml?interval=30" accesskey="2">[2] 30s refresh</a><br/>
+      <a href="/wml/live-status.wml?interval=60" accesskey="3">[3] 60s refresh</a><br/>
+    </p>
     
-    if (chatStore.size === 0) {
-        return ["Call POST /api/force-sync-chats to load chats"]
-    }
+    <p><a href="/wml/home.wml" accesskey="0">[0] Home</a></p>
     
-    return ["All systems operational"]
-}
+    <do type="accept" label="Stop">
+      <go href="/wml/status.wml"/>
+    </do>
+  `
+  
+  sendWml(res, card('live-status', 'Live Status', body, `/wml/live-status.wml?interval=${refreshInterval}`))
+})
 
-// Force sync endpoints
-app.post("/api/full-sync", async (req, res) => {
-    try {
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        console.log("🔄 Starting full manual sync...")
-        const results = {
-            contacts: 0,
-            chats: 0,
-            recentChats: 0,
-            errors: []
-        }
-        
-        // Sync contacts
-        try {
-            console.log("📞 Attempting contact sync...")
-            
-            // In Baileys, contacts are populated automatically via events
-            // We can't manually fetch them, so we wait for the events
-            if (contactStore.size === 0) {
-                console.log("📞 Waiting for contacts to sync via events...")
-                await delay(3000) // Wait for events to populate
-            }
-            
-            results.contacts = contactStore.size
-            console.log(`📞 Contacts available: ${contactStore.size}`)
-        } catch (error) {
-            results.errors.push(`Contacts sync info: ${error.message}`)
-        }
-        
-        // Sync chats
-        try {
-            const chats = await sock.groupFetchAllParticipating()
-            Object.keys(chats).forEach(chatId => {
-                if (!chatStore.has(chatId)) {
-                    chatStore.set(chatId, [])
-                }
-            })
-            results.chats = Object.keys(chats).length
-            console.log(`💬 Manually synced ${Object.keys(chats).length} chats`)
-        } catch (error) {
-            results.errors.push(`Chats sync failed: ${error.message}`)
-        }
-        
-        // Sync recent chats
-        try {
-            console.log("💬 Checking for additional chats...")
-            
-            // In Baileys, we don't have fetchChats, but we have what we got from groupFetchAllParticipating
-            // Let's wait a bit more for any chat events
-            await delay(2000)
-            
-            results.recentChats = chatStore.size - results.chats
-            console.log(`💬 Additional chats found: ${results.recentChats}`)
-        } catch (error) {
-            results.errors.push(`Additional chats check failed: ${error.message}`)
-        }
-        
-        // Update sync status
-        if (contactStore.size > 0 || chatStore.size > 0) {
-            isFullySynced = true
-        }
-        
-        res.json({
-            status: "completed",
-            results,
-            currentStore: {
-                contacts: contactStore.size,
-                chats: chatStore.size,
-                messages: messageStore.size
-            },
-            isFullySynced
-        })
-        
-    } catch (error) {
-        console.error("❌ Full sync failed:", error)
-        res.status(500).json({ error: error.message })
+// Add all the existing endpoints from your original code here...
+// [Previous POST handlers for send.text, send.image, etc.]
+
+// Keep all existing POST handlers and API endpoints
+// Builds the payload for a compose card submission, sends it and renders the result.
+// With a send-at time and the PIN the message is scheduled instead.
+async function sendFromWml(res, type, to, params, summary, retryHref, req) {
+  try {
+    if (!String(to || '').trim()) throw new Error('Recipient is required')
+
+    const sendAt = String(req.body.sendAt || '')
+    if (sendAt.trim()) {
+      auth.confirmPin(req.body.pin, req.ip)
+      await validateSendParams(type, params)
+      const job = scheduler.schedule({ account: accounts.current().id, to, type, params, sendAt })
+      sendWml(res, resultCard('Message Scheduled', [
+        `To: ${jidFriendly(formatJid(to))}`,
+        ...summary,
+        `At: ${formatLocalTime(job.sendAt)}`
+      ], '/wml/scheduled.wml'))
+      return
     }
-})
 
-app.post("/api/force-sync-contacts", async (req, res) => {
-    try {
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        console.log("🔄 Checking contact sync status...")
-        
-        // In Baileys, contacts are synced via events, not direct API calls
-        // We can only report what we have and potentially trigger a refresh
-        const initialCount = contactStore.size
-        
-        // Wait a bit to see if more contacts come in
-        console.log("📞 Waiting for contact events...")
-        await delay(3000)
-        
-        const finalCount = contactStore.size
-        const newContacts = finalCount - initialCount
-        
-        console.log(`✅ Contact sync check completed. Total: ${finalCount}, New: ${newContacts}`)
-        
-        res.json({
-            status: "success",
-            message: "Contacts are synced via WhatsApp events",
-            initialCount,
-            finalCount,
-            newContacts,
-            totalInStore: contactStore.size
-        })
-    } catch (error) {
-        console.error("❌ Contact sync check failed:", error)
-        res.status(500).json({ error: error.message })
+    const item = await queueSend(type, to, params, 'wml')
+    if (item.status !== 'sent') {
+      sendWml(res, resultCard('Message Queued', [
+        `To: ${jidFriendly(formatJid(to))}`,
+        ...summary,
+        `Not sent yet: ${item.error || 'waiting'}`,
+        'It will be retried automatically'
+      ], '/wml/outbox.wml'))
+      return
     }
+    sendWml(res, resultCard('Message Sent', [
+      `To: ${jidFriendly(formatJid(to))}`,
+      ...summary,
+      `ID: ${item.messageId || 'Unknown'}`
+    ], '/wml/send-menu.wml'))
+  } catch (e) {
+    sendWml(res, resultCard('Send Failed', [e.message || 'Failed to send'], `${retryHref}?to=${encodeURIComponent(to || '')}`))
+  }
+}
+
+app.post('/wml/send.text', async (req, res) => {
+  const { to, message } = req.body
+  await sendFromWml(res, 'text', to, { message }, [`Message: ${truncate(message, 50)}`], '/wml/send.text.wml', req)
 })
 
-app.post("/api/force-sync-chats", async (req, res) => {
-    try {
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        console.log("🔄 Forcing chat sync...")
-        
-        const initialChatCount = chatStore.size
-        
-        // Get participating groups (this works)
-        const chats = await sock.groupFetchAllParticipating()
-        
-        Object.keys(chats).forEach(chatId => {
-            if (!chatStore.has(chatId)) {
-                chatStore.set(chatId, [])
-            }
-        })
-        
-        // Wait for any additional chat events
-        console.log("💬 Waiting for additional chat events...")
-        await delay(3000)
-        
-        const finalChatCount = chatStore.size
-        const newChats = finalChatCount - initialChatCount
-        
-        console.log(`✅ Chat sync completed. Groups: ${Object.keys(chats).length}, Total: ${finalChatCount}`)
-        
-        res.json({
-            status: "success",
-            groupChats: Object.keys(chats).length,
-            initialTotal: initialChatCount,
-            finalTotal: finalChatCount,
-            newChats: newChats,
-            totalInStore: chatStore.size
-        })
-    } catch (error) {
-        console.error("❌ Force sync chats failed:", error)
-        res.status(500).json({ error: error.message })
-    }
+app.post('/wml/send.image', async (req, res) => {
+  const { to, imageUrl, caption } = req.body
+  await sendFromWml(res, 'image', to, { imageUrl, caption }, [
+    'Type: Image',
+    ...(caption ? [`Caption: ${truncate(caption, 40)}`] : [])
+  ], '/wml/send.image.wml', req)
 })
 
-app.get("/api/debug-stores", (req, res) => {
-    res.json({
-        connectionState,
-        isFullySynced,
-        syncAttempts,
-        contactStore: {
-            size: contactStore.size,
-            sample: Array.from(contactStore.entries()).slice(0, 5).map(([key, value]) => ({
-                key,
-                name: value.name || value.notify || 'Unknown',
-                hasName: !!value.name,
-                notify: value.notify,
-                verifiedName: value.verifiedName
-            }))
-        },
-        chatStore: {
-            size: chatStore.size,
-            chats: Array.from(chatStore.keys()).slice(0, 10)
-        },
-        messageStore: {
-            size: messageStore.size,
-            sample: Array.from(messageStore.keys()).slice(0, 5)
-        }
-    })
+app.post('/wml/send.video', async (req, res) => {
+  const { to, videoUrl, caption } = req.body
+  await sendFromWml(res, 'video', to, { videoUrl, caption }, [
+    'Type: Video',
+    ...(caption ? [`Caption: ${truncate(caption, 40)}`] : [])
+  ], '/wml/send.video.wml', req)
 })
 
-// =================== QR CODE ENDPOINTS ===================
+app.post('/wml/send.audio', async (req, res) => {
+  const { to, audioUrl, ptt } = req.body
+  await sendFromWml(res, 'audio', to, { audioUrl, ptt }, [
+    `Type: ${ptt === 'true' ? 'Voice note' : 'Audio'}`
+  ], '/wml/send.audio.wml', req)
+})
 
-app.get("/api/qr", (req, res) => {
-    if (currentQR) {
-        res.send(`
-            <html><body style="text-align:center;padding:50px;font-family:Arial;">
-                <h2>📱 WhatsApp QR Code</h2>
-                <div style="background:white;padding:20px;border-radius:10px;display:inline-block;">
-                    <img src="data:image/png;base64,${Buffer.from(currentQR).toString('base64')}" style="border:10px solid #25D366;border-radius:10px;"/>
-                </div>
-                <p>Scan with WhatsApp app</p>
-                <p><small>Auto-refresh in 10 seconds</small></p>
-                <script>setTimeout(() => location.reload(), 10000);</script>
-            </body></html>
-        `)
-    } else {
-        res.json({ 
-            message: "QR not available", 
-            connected: !!sock?.authState?.creds,
-            status: connectionState 
-        })
-    }
+app.post('/wml/send.document', async (req, res) => {
+  const { to, documentUrl, fileName } = req.body
+  await sendFromWml(res, 'document', to, { documentUrl, fileName }, [
+    'Type: Document',
+    ...(fileName ? [`File: ${truncate(fileName, 40)}`] : [])
+  ], '/wml/send.document.wml', req)
 })
 
-app.get("/api/qr/image", async (req, res) => {
-    const { format = 'png' } = req.query
-    
-    if (!currentQR) {
-        return res.status(404).json({ 
-            error: "QR code not available",
-            connected: !!sock?.authState?.creds,
-            status: connectionState 
-        })
-    }
-    
-    try {
-        if (format.toLowerCase() === 'wbmp') {
-            // Generate QR as WBMP format using qrcode library
-            try {
-                const qrBuffer = await QRCode.toBuffer(currentQR, {
-                    type: 'png',
-                    width: 256,
-                    margin: 2,
-                    color: {
-                        dark: '#000000',
-                        light: '#FFFFFF'
-                    }
-                })
-                
-                // Convert PNG to simple WBMP-like format
-                // WBMP is a monochrome format, so we'll return the QR as minimal binary
-                res.setHeader('Content-Type', 'image/vnd.wap.wbmp')
-                res.setHeader('Content-Disposition', 'inline; filename="qr-code.wbmp"')
-                res.setHeader('Cache-Control', 'no-cache')
-                
-                // Return the buffer (simplified WBMP representation)
-                res.send(qrBuffer)
-            } catch (qrError) {
-                // Fallback: return raw QR string as WBMP
-                res.setHeader('Content-Type', 'image/vnd.wap.wbmp')
-                res.setHeader('Content-Disposition', 'inline; filename="qr-code.wbmp"')
-                const qrBuffer = Buffer.from(currentQR, 'utf8')
-                res.send(qrBuffer)
-            }
-        } else if (format.toLowerCase() === 'base64') {
-            // Return as base64 JSON response
-            res.json({
-                qrCode: currentQR,
-                format: 'base64',
-                timestamp: Date.now(),
-                dataUrl: `data:text/plain;base64,${Buffer.from(currentQR).toString('base64')}`
-            })
-        } else if (format.toLowerCase() === 'png') {
-            // Generate proper PNG QR code
-            try {
-                const qrBuffer = await QRCode.toBuffer(currentQR, {
-                    type: 'png',
-                    width: 256,
-                    margin: 2,
-                    color: {
-                        dark: '#000000',
-                        light: '#FFFFFF'
-                    }
-                })
-                
-                res.setHeader('Content-Type', 'image/png')
-                res.setHeader('Content-Disposition', 'inline; filename="qr-code.png"')
-                res.setHeader('Cache-Control', 'no-cache')
-                res.send(qrBuffer)
-            } catch (qrError) {
-                // Fallback to base64 if available
-                res.setHeader('Content-Type', 'image/png')
-                res.send(Buffer.from(currentQR, 'base64'))
-            }
-        } else if (format.toLowerCase() === 'svg') {
-            // Generate SVG QR code
-            try {
-                const qrSvg = await QRCode.toString(currentQR, {
-                    type: 'svg',
-                    width: 256,
-                    margin: 2,
-                    color: {
-                        dark: '#000000',
-                        light: '#FFFFFF'
-                    }
-                })
-                
-                res.setHeader('Content-Type', 'image/svg+xml')
-                res.setHeader('Content-Disposition', 'inline; filename="qr-code.svg"')
-                res.setHeader('Cache-Control', 'no-cache')
-                res.send(qrSvg)
-            } catch (qrError) {
-                res.status(500).json({ error: "Failed to generate SVG QR code" })
-            }
-        } else {
-            res.status(400).json({ 
-                error: "Unsupported format", 
-                supportedFormats: ['png', 'svg', 'base64', 'wbmp'],
-                examples: [
-                    'GET /api/qr/image?format=png',
-                    'GET /api/qr/image?format=svg', 
-                    'GET /api/qr/image?format=wbmp',
-                    'GET /api/qr/image?format=base64'
-                ]
-            })
-        }
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+app.post('/wml/send.sticker', async (req, res) => {
+  const { to, imageUrl } = req.body
+  await sendFromWml(res, 'sticker', to, { imageUrl }, ['Type: Sticker'], '/wml/send.sticker.wml', req)
 })
 
-app.get("/api/qr/text", (req, res) => {
-    if (!currentQR) {
-        res.set("Content-Type", "text/vnd.wap.wml");
-        return res.send(`<?xml version="1.0"?>
-<!DOCTYPE wml PUBLIC "-//WAPFORUM//DTD WML 1.1//EN"
-  "http://www.wapforum.org/DTD/wml_1.1.xml">
-<wml>
-  <card id="noqr" title="QR Not Available">
-    <p>QR code not available</p>
-  </card>
-</wml>`);
-    }
+app.post('/wml/send.location', async (req, res) => {
+  const { to, latitude, longitude, name } = req.body
+  await sendFromWml(res, 'location', to, { latitude, longitude, name }, [
+    `Location: ${latitude}, ${longitude}`,
+    ...(name ? [`Place: ${truncate(name, 40)}`] : [])
+  ], '/wml/send.location.wml', req)
+})
 
-    res.set("Content-Type", "text/vnd.wap.wml");
-    res.send(`<?xml version="1.0"?>
-<!DOCTYPE wml PUBLIC "-//WAPFORUM//DTD WML 1.1//EN"
-  "http://www.wapforum.org/DTD/wml_1.1.xml">
-<wml>
-  <card id="qr" title="WhatsApp QR">
-    <p>Your QR string:</p>
-    <p>${currentQR}</p>
-  </card>
-</wml>`);
-});
+app.post('/wml/send.contact', async (req, res) => {
+  const { to, name, number, org, email } = req.body
+  await sendFromWml(res, 'contact', to, { contacts: [{ name: name || number, number, org, email }] }, [
+    `Contact: ${truncate(name || number || '', 40)}`
+  ], '/wml/send.contact.wml', req)
+})
 
+app.post('/wml/send.poll', async (req, res) => {
+  const { to, name, selectableCount } = req.body
+  const values = Array.from({ length: WML_POLL_OPTIONS }, (_, i) => req.body[`opt${i + 1}`])
+  await sendFromWml(res, 'poll', to, { name, values, selectableCount }, [
+    `Poll: ${truncate(name || '', 40)}`,
+    `Options: ${values.filter(v => String(v || '').trim()).length}`
+  ], '/wml/send.poll.wml', req)
+})
 
-app.post("/api/logout", async (req, res) => {
-    try {
-        if (sock) await sock.logout()
-        if (fs.existsSync('./auth_info_baileys')) {
-            fs.rmSync('./auth_info_baileys', { recursive: true })
-        }
-        
-        // Clear stores
-        contactStore.clear()
-        chatStore.clear()
-        messageStore.clear()
-        isFullySynced = false
-        syncAttempts = 0
+// =================== CHAT EXPORT ===================
+
+const EXPORT_MAX_MEDIA_BYTES = (parseInt(process.env.EXPORT_MAX_MEDIA_MB) || 50) * 1024 * 1024
+const WML_EXPORT_LIMITS = [50, 200, 1000]
+
+// Stored history plus anything still waiting to be written, oldest first.
+// limit keeps the newest messages only; 0 exports the whole chat.
+function exportMessages(jid, limit = 0) {
+  const byId = new Map()
+  for (const msg of accounts.current().storage.getMessages(jid, { limit: limit > 0 ? limit : -1 })) byId.set(msg.key.id, msg)
+  for (const msg of accounts.current().chatStore.get(jid) || []) byId.set(msg.key.id, msg)
+  const messages = Array.from(byId.values())
+    .filter(chatExport.isExportable)
+    .sort((a, b) => Number(a.messageTimestamp) - Number(b.messageTimestamp))
+  return limit > 0 ? messages.slice(-limit) : messages
+}
 
-       
-        
-        res.json({ status: "Logged out and data cleared" })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
-})
+function exportSenderName(msg) {
+  if (msg.key.fromMe) return accounts.current().sock?.user?.name || 'You'
+  const jid = msg.key.participant || msg.key.remoteJid
+  const contact = accounts.current().contactStore.get(jid)
+  return contact?.name || contact?.notify || msg.pushName || `+${jidFriendly(jid)}`
+}
 
-app.get("/api/me", async (req, res) => {
+// Downloads attachments one at a time within EXPORT_MAX_MEDIA_MB; files that
+// would not fit are skipped (before downloading when their size is known) and
+// written as "<Media omitted>", smaller ones further on may still make it
+async function downloadExportMedia(messages) {
+  const media = new Map()
+  let total = 0
+  for (const msg of messages) {
+    if (!chatExport.isMedia(msg)) continue
+    if (!msg.imported?.file && accounts.current().connectionState !== 'open') continue
+    if (total + chatExport.mediaSize(msg) > EXPORT_MAX_MEDIA_BYTES) continue
     try {
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const profilePic = await sock.profilePictureUrl(sock.user.id).catch(() => null)
-        const status = await sock.fetchStatus(sock.user.id).catch(() => null)
-        
-        res.json({
-            user: sock.user,
-            profilePicture: profilePic,
-            status: status?.status,
-            syncStatus: {
-                isFullySynced,
-                contactsCount: contactStore.size,
-                chatsCount: chatStore.size
-            }
-        })
+      const data = await downloadMessageMedia(msg)
+      if (total + data.length > EXPORT_MAX_MEDIA_BYTES) continue
+      total += data.length
+      media.set(msg.key.id, data)
     } catch (error) {
-        res.status(500).json({ error: error.message })
+      logger.warn(`Export: could not download ${msg.key.id}: ${error.message}`)
     }
+  }
+  return media
+}
+
+// Export options for a small phone: plain text, newest messages only
+app.get('/wml/chat.export.wml', (req, res) => {
+  const jid = formatJid(req.query.jid || '')
+  if (!jid) {
+    sendWml(res, resultCard('Export', ['Chat is required'], '/wml/chats.wml'))
+    return
+  }
+  const total = accounts.current().storage.countMessages(jid)
+  const links = WML_EXPORT_LIMITS
+    .filter((limit, i) => i === 0 || total > WML_EXPORT_LIMITS[i - 1])
+    .map((limit, i) => `<a href="/wml/chat.export.txt?jid=${encodeURIComponent(jid)}&amp;limit=${limit}" accesskey="${i + 1}">[${i + 1}] Last ${limit}</a><br/>`)
+    .join('')
+
+  sendWml(res, card('chat-export', 'Export Chat', `
+    <p><b>Export:</b> ${esc(truncate(displayNameFor(jid), 30))}</p>
+    <p>${total} messages stored</p>
+    <p>Plain text, media omitted:<br/>
+      ${links}
+    </p>
+    <p><small>Full history, HTML and ZIP with media: /api/chat/${esc(jid)}/export</small></p>
+    <p>
+      <a href="/wml/chat.wml?jid=${encodeURIComponent(jid)}&amp;limit=15" accesskey="0">[0] Back</a> |
+      <a href="/wml/home.wml" accesskey="9">[9] Home</a>
+    </p>
+  `))
 })
 
-app.post("/api/update-profile-name", async (req, res) => {
-    try {
-        const { name } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        await sock.updateProfileName(name)
-        res.json({ status: "Profile name updated" })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+// Streams the transcript line by line in ISO-8859-1 for WAP handsets
+app.get('/wml/chat.export.txt', (req, res) => {
+  const jid = formatJid(req.query.jid || '')
+  const limit = Math.max(1, Math.min(WML_EXPORT_LIMITS[WML_EXPORT_LIMITS.length - 1], parseInt(req.query.limit) || WML_EXPORT_LIMITS[0]))
+  const messages = exportMessages(jid, limit)
+  if (!jid || messages.length === 0) {
+    res.status(404).type('text/plain').send('No messages to export')
+    return
+  }
+
+  res.setHeader('Content-Type', 'text/plain; charset=iso-8859-1')
+  res.setHeader('Cache-Control', 'no-cache')
+  res.write(iconv.encode(`${displayNameFor(jid)} - last ${messages.length} messages\n\n`, 'iso-8859-1'))
+  for (const msg of messages) {
+    res.write(iconv.encode(chatExport.exportLine(msg, { nameOf: exportSenderName }) + '\n', 'iso-8859-1'))
+  }
+  res.end()
 })
 
-app.post("/api/update-profile-status", async (req, res) => {
-    try {
-        const { status } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
+// =================== CHAT IMPORT ===================
+
+const IMPORT_MAX_BYTES = `${parseInt(process.env.IMPORT_MAX_MB) || 200}mb`
+// What a zipped export may unpack to, media included
+const IMPORT_MAX_UNPACKED_BYTES = (parseInt(process.env.IMPORT_MAX_UNPACKED_MB) || 1024) * 1024 * 1024
+const IMPORT_DATE_ORDERS = ['auto', 'dmy', 'mdy', 'ymd']
+
+// Attachments that came with an imported export live on disk next to the
+// account's database; everything else is fetched from WhatsApp
+function importedMediaDir() {
+  return path.join(accounts.current().storage.dataDir, 'imported-media')
+}
+
+async function downloadMessageMedia(msg) {
+  if (msg.imported?.file) {
+    return fs.promises.readFile(path.join(importedMediaDir(), path.basename(msg.imported.file)))
+  }
+  if (!accounts.current().sock) throw new Error('Not connected')
+  return downloadMediaMessage(msg, 'buffer', {}, {
+    logger,
+    reuploadRequest: accounts.current().sock.updateMediaMessage
+  })
+}
+
+function contactsByName() {
+  const byName = new Map()
+  for (const contact of accounts.current().contactStore.values()) {
+    for (const name of [contact.name, contact.notify, contact.verifiedName]) {
+      if (name && !byName.has(name.toLowerCase())) byName.set(name.toLowerCase(), contact.id)
+    }
+  }
+  return byName
+}
+
+// "+39 333 123 4567" -> "393331234567@s.whatsapp.net"
+function numberJid(name = '') {
+  return /^\+?[\d\s().-]{7,}$/.test(name) ? `${name.replace(/\D/g, '')}@s.whatsapp.net` : null
+}
+
+// Maps export sender names to { fromMe, jid }. The exporter writes our own
+// profile name; in a direct chat whoever is not the other person is us.
+function importSenderResolver(jid, senders, me) {
+  const byName = contactsByName()
+  const isGroup = jid.endsWith('@g.us')
+  const own = String(me || accounts.current().sock?.user?.name || '').toLowerCase()
+  let ownName = senders.find(name => name.toLowerCase() === own) || null
+  if (!ownName && !isGroup && senders.length === 2) {
+    const others = senders.filter(name => byName.get(name.toLowerCase()) !== jid && numberJid(name) !== jid)
+    if (others.length === 1) ownName = others[0]
+  }
+
+  return name => {
+    if (!name) return null
+    if (name === ownName) return { fromMe: true, jid: null }
+    return { fromMe: false, jid: isGroup ? numberJid(name) || byName.get(name.toLowerCase()) || null : jid }
+  }
+}
+
+// Spots exported messages the history sync already brought in; exports
+// only have minute precision
+function importDuplicateKey(fromMe, timestamp, text) {
+  return `${fromMe ? 1 : 0}|${Math.floor(Number(timestamp) / 60)}|${String(text).trim()}`
+}
+
+// Parses an export and merges it into the chat. Returns the import summary;
+// a dry run only parses and counts.
+function importChat(buffer, { jid, filename, me, dateOrder = 'auto', dryRun = false }) {
+  const account = accounts.current()
+  const { title, text, files } = chatImport.readExport(buffer, filename, { maxBytes: IMPORT_MAX_UNPACKED_BYTES })
+  if (!jid && title) jid = contactsByName().get(title.toLowerCase()) || numberJid(title)
+  if (!jid) throw new Error('Could not tell which chat this is; pass jid')
+  jid = formatJid(jid)
+
+  const { entries, dateOrder: order } = chatImport.parseExport(text, { dateOrder })
+  const senders = Array.from(new Set(entries.filter(e => !e.system).map(e => e.sender)))
+  const senderOf = importSenderResolver(jid, senders, me)
+  const converted = chatImport.toMessages(entries, {
+    jid,
+    senderOf,
+    files,
+    source: path.basename(filename || 'import')
+  })
+
+  const live = new Set()
+  for (const msg of account.storage.getMessages(jid, { limit: -1 })) {
+    const c = extractMessageContent(msg.message)
+    const body = c?.conversation || c?.extendedTextMessage?.text
+    if (!msg.imported && body) live.add(importDuplicateKey(msg.key.fromMe, msg.messageTimestamp, body))
+  }
+
+  const fresh = []
+  let alreadyImported = 0
+  let duplicates = 0
+  for (const item of converted) {
+    const msg = item.message
+    if (account.messageStore.has(msg.key.id) || account.storage.getMessage(msg.key.id)) {
+      alreadyImported++
+    } else if (msg.message.conversation && live.has(importDuplicateKey(msg.key.fromMe, msg.messageTimestamp, msg.message.conversation))) {
+      duplicates++
+    } else {
+      fresh.push(item)
+    }
+  }
+
+  const summary = {
+    jid,
+    title,
+    dateOrder: order,
+    senders: senders.map(name => ({ name, ...senderOf(name) })),
+    entries: entries.length,
+    system: entries.filter(e => e.system).length,
+    imported: fresh.length,
+    alreadyImported,
+    duplicates,
+    media: fresh.filter(item => item.file).length,
+    mediaMissing: fresh.filter(item => !item.file && /^<.* omitted>/.test(item.message.message.conversation || '')).length,
+    dryRun
+  }
+  if (dryRun || fresh.length === 0) return summary
+
+  if (fresh.some(item => item.file)) fs.mkdirSync(importedMediaDir(), { recursive: true })
+  for (const { file } of fresh) {
+    if (file) fs.writeFileSync(path.join(importedMediaDir(), file.name), file.data)
+  }
+  account.storage.saveMessages(fresh.map(item => item.message))
+
+  if (!account.chatStore.has(jid)) account.chatStore.set(jid, [])
+  const chatMessages = account.chatStore.get(jid)
+  for (const { message } of fresh) account.messageStore.set(message.key.id, message)
+  addChatMessages(chatMessages, fresh.map(item => item.message))
+  // The older history stays in the database, like for live chats
+  for (const old of chatMessages.splice(0, Math.max(0, chatMessages.length - MEMORY_MESSAGES_PER_CHAT))) {
+    account.messageStore.delete(old.key.id)
+  }
+  saveChats()
+
+  logger.info(`Imported ${fresh.length} messages into ${jid} from ${filename || 'upload'}`)
+  return summary
+}
+
+// =================== OUTBOX CARDS ===================
+
+const OUTBOX_STATUS_LABELS = { queued: 'Waiting', sending: 'Sending', sent: 'Sent', failed: 'Failed' }
+
+app.get('/wml/outbox.wml', (req, res) => {
+  const account = accounts.current().id
+  const counts = outbox.counts({ account })
+  const items = outbox.list({ account }).slice(0, 15)
+
+  const list = items.length
+    ? items.map(item => `<p><b>${OUTBOX_STATUS_LABELS[item.status]}</b> to ${esc(jidFriendly(formatJid(item.to)))}<br/>
+      ${esc(sendSummary(item))}<br/>
+      ${item.status === 'sent'
+        ? esc(formatLocalTime(item.sentAt))
+        : `Tries: ${item.attempts}${item.error ? ` - ${esc(truncate(item.error, 40))}` : ''}`}
+      ${['queued', 'failed'].includes(item.status) ? `<br/>
+      <a href="/wml/outbox.retry.wml?id=${encodeURIComponent(item.id)}">[Retry now]</a>
+      <a href="/wml/outbox.remove.wml?id=${encodeURIComponent(item.id)}">[Delete]</a>` : ''}</p>`).join('')
+    : '<p>The outbox is empty.</p>'
+
+  const body = `
+    <p><b>Outbox</b></p>
+    <p>Waiting: ${counts.queued + counts.sending}  Failed: ${counts.failed}  Sent: ${counts.sent}</p>
+    <p>Connection: ${esc(accounts.current().connectionState || 'disconnected')}</p>
+    ${list}
+
+    <p>
+      <a href="/wml/send-menu.wml" accesskey="0">[0] Back</a>
+    </p>
+
+    <do type="accept" label="Refresh">
+      <go href="/wml/outbox.wml"/>
+    </do>
+  `
+
+  sendWml(res, card('outbox', 'Outbox', body))
+})
+
+app.get('/wml/outbox.retry.wml', (req, res) => {
+  const item = outboxItem(req.query.id)
+  if (!item) {
+    sendWml(res, resultCard('Retry', ['Outbox message not found'], '/wml/outbox.wml'))
+    return
+  }
+
+  const body = `
+    <p><b>Retry Now?</b></p>
+    <p>To ${esc(jidFriendly(formatJid(item.to)))}<br/>
+    ${esc(sendSummary(item))}</p>
+
+    <do type="accept" label="Retry">
+      <go method="post" href="/wml/outbox.retry">
+        <postfield name="id" value="${esc(item.id)}"/>
+      </go>
+    </do>
+
+    <p><a href="/wml/outbox.wml" accesskey="0">[0] Back</a></p>
+  `
+
+  sendWml(res, card('outbox-retry', 'Retry', body))
+})
+
+app.post('/wml/outbox.retry', (req, res) => {
+  try {
+    const item = outboxItem(req.body.id)
+    if (!item) throw new Error('Outbox message not found')
+    outbox.retry(item.id)
+    sendWml(res, resultCard('Retrying', [
+      `To: ${jidFriendly(formatJid(item.to))}`,
+      accounts.current().connectionState === 'open' ? 'Sending now' : 'Will send once connected'
+    ], '/wml/outbox.wml'))
+  } catch (e) {
+    sendWml(res, resultCard('Retry Failed', [e.message || 'Failed to retry'], '/wml/outbox.wml'))
+  }
+})
+
+app.get('/wml/outbox.remove.wml', (req, res) => {
+  const item = outboxItem(req.query.id)
+  if (!item) {
+    sendWml(res, resultCard('Delete', ['Outbox message not found'], '/wml/outbox.wml'))
+    return
+  }
+
+  const body = `
+    <p><b>Delete Unsent Message?</b></p>
+    <p>To ${esc(jidFriendly(formatJid(item.to)))}<br/>
+    ${esc(sendSummary(item))}</p>
+
+    <do type="accept" label="Delete">
+      <go method="post" href="/wml/outbox.remove">
+        <postfield name="id" value="${esc(item.id)}"/>
+      </go>
+    </do>
+
+    <p><a href="/wml/outbox.wml" accesskey="0">[0] Keep it</a></p>
+  `
+
+  sendWml(res, card('outbox-remove', 'Delete', body))
+})
+
+app.post('/wml/outbox.remove', (req, res) => {
+  try {
+    const item = outboxItem(req.body.id)
+    if (!item) throw new Error('Outbox message not found')
+    outbox.remove(item.id)
+    sendWml(res, resultCard('Deleted', [`To: ${jidFriendly(formatJid(item.to))}`], '/wml/outbox.wml'))
+  } catch (e) {
+    sendWml(res, resultCard('Delete Failed', [e.message || 'Failed to delete'], '/wml/outbox.wml'))
+  }
+})
+
+// =================== SCHEDULED MESSAGE CARDS ===================
+
+// Short description of what a scheduled job or outbox item sends
+function sendSummary(job) {
+  const p = job.params || {}
+  switch (job.type) {
+    case 'text': return truncate(p.message || '', 40)
+    case 'location': return `Location ${p.latitude}, ${p.longitude}`
+    case 'contact': return `Contact ${p.contacts?.[0]?.name || ''}`
+    case 'poll': return `Poll: ${truncate(p.name || '', 30)}`
+    default: return `${job.type}${p.caption ? `: ${truncate(p.caption, 30)}` : ''}`
+  }
+}
+
+app.get('/wml/scheduled.wml', (req, res) => {
+  const jobs = scheduler.list({ account: accounts.current().id })
+  const pending = jobs.filter(j => j.status === 'pending')
+  const finished = jobs.filter(j => j.status !== 'pending').slice(0, 5)
+
+  const pendingList = pending.length
+    ? pending.map(job => `<p><b>${esc(formatLocalTime(job.sendAt))}</b> to ${esc(jidFriendly(formatJid(job.to)))}<br/>
+      ${esc(sendSummary(job))}${job.error ? `<br/><em>Retrying: ${esc(truncate(job.error, 40))}</em>` : ''}<br/>
+      <a href="/wml/scheduled.edit.wml?id=${encodeURIComponent(job.id)}">[Edit]</a>
+      <a href="/wml/scheduled.cancel.wml?id=${encodeURIComponent(job.id)}">[Cancel]</a></p>`).join('')
+    : '<p>Nothing scheduled.</p>'
+
+  const finishedList = finished.map(job => `<p>${esc(job.status)}: ${esc(formatLocalTime(job.sentAt || job.sendAt))} to ${esc(jidFriendly(formatJid(job.to)))}<br/>
+    ${esc(sendSummary(job))}${job.error ? ` (${esc(truncate(job.error, 40))})` : ''}</p>`).join('')
+
+  const body = `
+    <p><b>Scheduled</b> (${pending.length})</p>
+    ${pendingList}
+    ${finishedList ? `<p><b>Recent:</b></p>${finishedList}` : ''}
+
+    <p>
+      <a href="/wml/send.text.wml" accesskey="1">[1] Schedule Text</a><br/>
+      <a href="/wml/send-menu.wml" accesskey="0">[0] Back</a>
+    </p>
+
+    <do type="accept" label="Refresh">
+      <go href="/wml/scheduled.wml"/>
+    </do>
+  `
+
+  sendWml(res, card('scheduled', 'Scheduled', body))
+})
+
+app.get('/wml/scheduled.edit.wml', (req, res) => {
+  const job = scheduledJob(req.query.id)
+  if (!job || job.status !== 'pending') {
+    sendWml(res, resultCard('Edit Scheduled', ['Scheduled message not found'], '/wml/scheduled.wml'))
+    return
+  }
+
+  const body = `
+    <p><b>Edit Scheduled ${esc(job.type)}</b></p>
+    ${recipientField(job.to)}
+    ${job.type === 'text' ? `
+    <p>Message:</p>
+    <input name="message" title="Message" value="${esc(job.params.message || '')}" size="30" maxlength="1000"/>
+    ` : `<p>${esc(sendSummary(job))}</p>`}
+    <p>Send at (HH:MM, +min or YYYY-MM-DD HH:MM):</p>
+    <input name="sendAt" title="Send at" value="${esc(formatLocalTime(job.sendAt))}" size="16" maxlength="16"/>
+    ${pinField()}
+
+    <do type="accept" label="Save">
+      <go method="post" href="/wml/scheduled.edit">
+        <postfield name="id" value="${esc(job.id)}"/>
+        <postfield name="to" value="$(to)"/>
+        ${job.type === 'text' ? '<postfield name="message" value="$(message)"/>' : ''}
+        <postfield name="sendAt" value="$(sendAt)"/>
+        <postfield name="pin" value="$(pin)"/>
+      </go>
+    </do>
+
+    <p><a href="/wml/scheduled.wml" accesskey="0">[0] Back</a></p>
+  `
+
+  sendWml(res, card('scheduled-edit', 'Edit Scheduled', body))
+})
+
+app.post('/wml/scheduled.edit', async (req, res) => {
+  const { id = '', to, message, sendAt } = req.body
+  try {
+    auth.confirmPin(req.body.pin, req.ip)
+    const job = scheduledJob(id)
+    if (!job) throw new Error('Scheduled message not found')
+
+    const params = job.type === 'text' && message !== undefined ? { message } : undefined
+    if (params) await validateSendParams('text', params)
+    scheduler.update(job.id, { to, sendAt, params })
+
+    sendWml(res, resultCard('Schedule Updated', [
+      `To: ${jidFriendly(formatJid(job.to))}`,
+      `At: ${formatLocalTime(job.sendAt)}`
+    ], '/wml/scheduled.wml'))
+  } catch (e) {
+    sendWml(res, resultCard('Update Failed', [e.message || 'Failed to update'], `/wml/scheduled.edit.wml?id=${encodeURIComponent(id)}`, false))
+  }
+})
+
+app.get('/wml/scheduled.cancel.wml', (req, res) => {
+  const job = scheduledJob(req.query.id)
+  if (!job || job.status !== 'pending') {
+    sendWml(res, resultCard('Cancel Scheduled', ['Scheduled message not found'], '/wml/scheduled.wml'))
+    return
+  }
+
+  const body = `
+    <p><b>Cancel Scheduled Message?</b></p>
+    <p>${esc(formatLocalTime(job.sendAt))} to ${esc(jidFriendly(formatJid(job.to)))}<br/>
+    ${esc(sendSummary(job))}</p>
+    ${pinField()}
+
+    <do type="accept" label="Yes">
+      <go method="post" href="/wml/scheduled.cancel">
+        <postfield name="id" value="${esc(job.id)}"/>
+        <postfield name="pin" value="$(pin)"/>
+      </go>
+    </do>
+
+    <p><a href="/wml/scheduled.wml" accesskey="0">[0] Keep it</a></p>
+  `
+
+  sendWml(res, card('scheduled-cancel', 'Cancel Scheduled', body))
+})
+
+app.post('/wml/scheduled.cancel', (req, res) => {
+  try {
+    auth.confirmPin(req.body.pin, req.ip)
+    const job = scheduledJob(req.body.id)
+    if (!job) throw new Error('Scheduled message not found')
+    scheduler.cancel(job.id)
+    sendWml(res, resultCard('Schedule Cancelled', [`To: ${jidFriendly(formatJid(job.to))}`], '/wml/scheduled.wml'))
+  } catch (e) {
+    sendWml(res, resultCard('Cancel Failed', [e.message || 'Failed to cancel'], '/wml/scheduled.wml'))
+  }
+})
+
+// Enhanced sync functions
+
+// Chat windows are kept oldest first: trimming from the front must drop the
+// oldest messages, and history pages arrive older than what is loaded
+function addChatMessages(chatMessages, messages) {
+  for (const msg of messages) chatMessages.push(msg)
+  chatMessages.sort((a, b) => toTimestamp(a.messageTimestamp) - toTimestamp(b.messageTimestamp))
+}
+
+// Pages up to `limit` messages older than the oldest loaded one into memory:
+// first from the local database, then (fromPhone) from the phone through
+// on-demand history sync. Returns how many messages were added.
+async function loadChatHistory(jid, limit = 20, { fromPhone = false } = {}) {
+  const account = accounts.current()
+  if (!account.chatStore.has(jid)) account.chatStore.set(jid, [])
+  const chatMessages = account.chatStore.get(jid)
+  const oldestLoaded = () => chatMessages.reduce((oldest, m) =>
+    !oldest || toTimestamp(m.messageTimestamp) < toTimestamp(oldest.messageTimestamp) ? m : oldest, null)
+
+  const oldest = oldestLoaded()
+  const fromDb = account.storage.getMessages(jid, {
+    limit: limit + 5, // a few extra to step over messages sharing the boundary second
+    before: oldest ? toTimestamp(oldest.messageTimestamp) : Number.MAX_SAFE_INTEGER
+  })
+  const older = []
+  for (const msg of fromDb.reverse()) {
+    if (older.length >= limit) break
+    if (!msg.key?.id || account.messageStore.has(msg.key.id)) continue
+    account.messageStore.set(msg.key.id, msg)
+    older.push(msg)
+  }
+  addChatMessages(chatMessages, older)
+  let added = older.length
+
+  if (added < limit && fromPhone && account.sock && account.connectionState === 'open' && oldestLoaded()) {
+    logger.info(`Requesting older messages for ${jid} from the phone`)
+    // messaging-history.set stores the batch before handing it back here
+    const batch = await fetchOlderMessages(account.sock, oldestLoaded(), { count: limit - added })
+    added += batch.length
+  }
+
+  return added
+}
+
+async function performInitialSync() {
+  const account = accounts.current()
+  try {
+    if (!account.sock || account.connectionState !== 'open') {
+      logger.warn("Cannot sync: not connected")
+      return
+    }
+
+    logger.info(`Starting enhanced initial sync (attempt ${account.syncAttempts + 1})`)
+    account.syncAttempts++
+
+    let successCount = 0
+
+    // Sync contacts
+    try {
+      logger.info("Checking contacts...")
+      if (account.contactStore.size === 0) {
+        logger.info("Waiting for contacts via events...")
+        await delay(3000)
+      }
+      logger.info(`Contacts in store: ${account.contactStore.size}`)
+      successCount++
+    } catch (err) {
+      logger.error("Contact sync failed:", err.message)
+    }
+
+    // Sync chats
+    try {
+      logger.info("Fetching chats...")
+      const groups = await account.sock.groupFetchAllParticipating()
+      logger.info(`Retrieved ${Object.keys(groups).length} groups`)
+
+      for (const chatId of Object.keys(groups)) {
+        if (!account.chatStore.has(chatId)) {
+          account.chatStore.set(chatId, [])
+        }
+      }
+
+      if (account.chatStore.size === 0) {
+        logger.info("Waiting for chats via events...")
+        await delay(3000)
+      }
+
+      logger.info(`Chats in store: ${account.chatStore.size}`)
+      successCount++
+    } catch (err) {
+      logger.error("Chat sync failed:", err.message)
+    }
+
+    // Check sync completion
+    const counts = {
+      contacts: account.contactStore.size,
+      chats: account.chatStore.size,
+      messages: account.messageStore.size
+    }
+    
+    logger.info("Sync results:", counts)
+
+    if (counts.contacts > 0 && counts.chats > 0) {
+      account.isFullySynced = true
+      logger.info("Initial sync completed successfully!")
+    } else if (account.syncAttempts < 9999999) {
+      const delayMs = account.syncAttempts * 5000
+      logger.info(`Sync incomplete, retrying in ${delayMs/1000}s...`)
+      setTimeout(performInitialSync, delayMs)
+    } else {
+      logger.warn("Sync attempts exhausted. Data may still load gradually.")
+    }
+  } catch (err) {
+    logger.error("Initial sync failed:", err)
+    if (account.syncAttempts < 999999) {
+      setTimeout(performInitialSync, 5000)
+    }
+  }
+}
+
+
+
+
+// Production-ready connection with better error handling
+// Runs for the current account (see accounts.run)
+async function connectWithBetterSync() {
+  const account = accounts.current()
+  // A pending reconnect may fire after the account was removed
+  if (accounts.get(account.id) !== account) return
+  try {
+    const { state, saveCreds } = await useMultiFileAuthState(account.authDir)
+    const { version } = await fetchLatestBaileysVersion()
+
+    account.sock = makeWASocket({
+      version,
+      auth: state,
+      printQRInTerminal: false,
+      syncFullHistory: true,
+      markOnlineOnConnect: false,
+      emitOwnEvents: true,
+      getMessage: async (key) => account.messageStore.get(key.id) || null,
+      shouldIgnoreJid: jid => false,
+      shouldSyncHistoryMessage: msg => true,
+      browser: ["WhatsApp WML Gateway", "Chrome", "1.0.0"],
+      connectTimeoutMs: 60000,
+      defaultQueryTimeoutMs: 60000,
+      keepAliveIntervalMs: 10000,
+      retryRequestDelayMs: 1000
+    })
+
+    // Baileys callbacks run outside any request, so bind them to this account
+    const on = (event, handler) => account.sock.ev.on(event, (...args) => accounts.run(account, () => handler(...args)))
+
+    on("creds.update", saveCreds)
+
+    on("connection.update", async ({ connection, lastDisconnect, qr }) => {
+      account.connectionState = connection
+
+      if (connection) {
+        emitWebhook('connection.update', {
+          connection,
+          statusCode: lastDisconnect?.error?.output?.statusCode || null,
+          user: account.sock?.user?.id || null
+        })
+      }
+
+      if (qr) {
+        account.currentQR = qr
+        emitWebhook('qr', { qr })
+        logger.info(`QR Code generated for account ${account.id}`)
+        if (isDev) {
+          qrcode.generate(qr, { small: true })
+        }
+      }
+
+      if (connection === "close") {
+        const shouldReconnect = lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut
+        logger.info(`Connection closed. Should reconnect: ${shouldReconnect}`)
+        
+        if (shouldReconnect) {
+          const delay = Math.min(5000 * Math.pow(2, account.syncAttempts), 30000) // Exponential backoff
+          setTimeout(connectWithBetterSync, delay)
+        } else {
+          // Clear stores on logout
+          account.contactStore.clear()
+          account.chatStore.clear()
+          account.messageStore.clear()
+          account.isFullySynced = false
+          account.syncAttempts = 0
+        }
+      } else if (connection === "open") {
+        logger.info(`WhatsApp connected successfully! (account ${account.id})`)
+        outbox.flush(account.id)
+        account.currentQR = null
+        account.isFullySynced = false
+        account.syncAttempts = 0
+        
+        // Start sync process
+        setTimeout(performInitialSync, 5000)
+      }
+    })
+
+    // Enhanced event handlers
+    on("messaging-history.set", ({ chats, contacts, messages, isLatest, syncType }) => {
+      logger.info(`History batch - Chats: ${chats.length}, Contacts: ${contacts.length}, Messages: ${messages.length}`)
+
+      for (const chat of chats) {
+        if (!account.chatStore.has(chat.id)) {
+          account.chatStore.set(chat.id, [])
+        }
+      }
+      account.storage.saveChats(chats)
+
+      for (const contact of contacts) {
+        account.contactStore.set(contact.id, contact)
+      }
+      account.storage.saveContacts(contacts)
+
+      const added = new Map()
+      for (const msg of messages) {
+        if (msg.key?.id) {
+          const isNew = !account.messageStore.has(msg.key.id)
+          account.messageStore.set(msg.key.id, msg)
+          const chatId = msg.key.remoteJid
+          if (!added.has(chatId)) added.set(chatId, [])
+          // On-demand batches can repeat messages we already hold
+          if (isNew) added.get(chatId).push(msg)
+        }
+      }
+      for (const [chatId, chatMessages] of added) {
+        if (!account.chatStore.has(chatId)) account.chatStore.set(chatId, [])
+        addChatMessages(account.chatStore.get(chatId), chatMessages)
+      }
+      account.storage.saveMessages(messages)
+      handleHistorySet(account.sock, { messages, syncType })
+
+      if (isLatest) {
+        logger.info("Bulk history sync complete")
+        account.isFullySynced = true
+         saveAll()
+      }
+    })
+
+    // Real-time message handling
+    on("messages.upsert", async ({ messages, type }) => {
+      let newMessagesCount = 0 // A
+      for (const msg of messages) {
+          newMessagesCount++ // ADD TH
+        if (msg.key?.id) {
+          account.messageStore.set(msg.key.id, msg)
+          const chatId = msg.key.remoteJid
+          
+          if (!account.chatStore.has(chatId)) {
+            account.chatStore.set(chatId, [])
+          }
+          
+          const chatMessages = account.chatStore.get(chatId)
+          addChatMessages(chatMessages, [msg])
+          
+          // Keep chat history manageable: the oldest go, they stay in the database
+          while (chatMessages.length > MEMORY_MESSAGES_PER_CHAT) {
+            account.messageStore.delete(chatMessages.shift().key.id)
+          }
+        }
+
+        // Only live messages, not ones appended from history
+        if (type === 'notify' && !msg.key.fromMe && msg.message) {
+          emitWebhook('message.received', webhookMessage(msg))
+        }
+
+        // Auto-replies and other bot rules, never for our own messages
+        if (type === 'notify' && !msg.key.fromMe && msg.message && msg.key.remoteJid !== 'status@broadcast') {
+          await applyRules(msg)
+        }
+      }
+  if (newMessagesCount > 0) {
+    account.storage.saveMessages(messages)
+  }
+    })
+
+    on("messages.update", (updates) => {
+      for (const { key, update } of updates) {
+        if (typeof update?.starred === 'boolean') applyMessageStar(key, update.starred)
+        if (typeof update?.status !== 'number') continue
+        applyMessageStatus(key, update.status)
+        emitWebhook('message.status', {
+          id: key.id,
+          chatId: key.remoteJid,
+          fromMe: !!key.fromMe,
+          status: MESSAGE_STATUS[update.status] || String(update.status)
+        })
+      }
+    })
+
+    on("message-receipt.update", (updates) => {
+      for (const { key, receipt } of updates) {
+        applyMessageReceipt(key, receipt)
+      }
+    })
+
+    on("group-participants.update", ({ id, author, participants, action }) => {
+      account.groupMetadata.delete(id)
+      emitWebhook('group.participants', {
+        groupId: id,
+        author: author || null,
+        action,
+        participants: participants.map(p => typeof p === 'string' ? p : p.id)
+      })
+    })
+
+    on("groups.update", (updates) => {
+      for (const { id } of updates) account.groupMetadata.delete(id)
+    })
+
+    // Contact and chat updates
+    on("contacts.set", ({ contacts }) => {
+      logger.info(`Contacts set: ${contacts.length}`)
+      for (const c of contacts) {
+        account.contactStore.set(c.id, c)
+      }
+      account.storage.saveContacts(contacts)
+    })
+
+    on("contacts.update", (contacts) => {
+      for (const c of contacts) {
+        if (c.id) account.contactStore.set(c.id, c)
+      }
+      account.storage.saveContacts(contacts)
+    })
+
+    on("chats.set", ({ chats }) => {
+      logger.info(`Chats set: ${chats.length}`)
+      for (const c of chats) {
+        if (!account.chatStore.has(c.id)) {
+          account.chatStore.set(c.id, [])
+        }
+      }
+      account.storage.saveChats(chats)
+    })
+
+    on("chats.upsert", (chats) => {
+      for (const c of chats) {
+        if (!account.chatStore.has(c.id)) {
+          account.chatStore.set(c.id, [])
+        }
+      }
+      account.storage.saveChats(chats)
+    })
+
+    on("chats.update", (chats) => {
+      for (const c of chats) {
+        if (!account.chatStore.has(c.id)) {
+          account.chatStore.set(c.id, [])
+        }
+      }
+      applyChatUpdates(chats)
+    })
+
+  } catch (error) {
+    logger.error("Connection error:", error)
+    setTimeout(connectWithBetterSync, 10000)
+  }
+}
+
+accounts.forEach(() => connectWithBetterSync())
+
+// Keep all existing API endpoints from the original code...
+// [Include all /api/ routes here]
+
+// Graceful shutdown
+const gracefulShutdown = async (signal) => {
+  logger.info(`Received ${signal}. Shutting down gracefully...`)
+  try {
+    webhooks.stop()
+    rules.stop()
+    scheduler.stop()
+    outbox.stop()
+    backups.stop()
+
+
+    for (const account of accounts.list()) {
+      logger.info(`Saving all data for account ${account.id} before shutdown...`)
+      await account.storage.saveImmediately('contacts', account.contactStore)
+      await account.storage.saveImmediately('chats', account.chatStore)
+      await account.storage.saveImmediately('meta', {
+        isFullySynced: account.isFullySynced,
+        syncAttempts: account.syncAttempts,
+        lastSync: new Date().toISOString()
+      })
+      account.storage.close()
+      logger.info('Data saved successfully')
+
+      if (account.sock) {
+        logger.info('Closing WhatsApp connection...')
+        await account.sock.end()
+        logger.info('WhatsApp connection closed')
+      } else {
+        logger.info('No WhatsApp connection to close')
+      }
+
+      account.contactStore.clear()
+      account.chatStore.clear()
+      account.messageStore.clear()
+    }
+    
+    logger.info('Graceful shutdown completed')
+    process.exit(0)
+  } catch (error) {
+    logger.error('Error during shutdown:', error)
+    process.exit(1)
+  }
+}
+
+// Signal handlers
+process.on('SIGINT', () => gracefulShutdown('SIGINT'))
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'))
+process.on('SIGUSR2', () => gracefulShutdown('SIGUSR2'))
+
+process.on('uncaughtException', (error) => {
+  logger.error('Uncaught Exception:', error)
+  gracefulShutdown('uncaughtException')
+})
+
+process.on('unhandledRejection', (reason, promise) => {
+  logger.error('Unhandled Rejection at:', promise, 'reason:', reason)
+
+  //gracefulShutdown('unhandledRejection')
+})
+
+// Start server
+const server = app.listen(port, () => {
+  logger.info(`WhatsApp WML Gateway started on port ${port}`)
+  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`)
+  logger.info('WML endpoints available at /wml/')
+  logger.info('API endpoints available at /api/')
+
+  setInterval(() => {
+  accounts.forEach(() => enforceRetention())
+}, 60 * 60 * 1000) // every hour
+
+setInterval(() => {
+  accounts.forEach(() => saveAll())
+  logger.info("Periodic save completed")
+}, 10 * 60 * 1000)
+})
+
+server.on('error', (error) => {
+  if (error.code === 'EADDRINUSE') {
+    logger.error(`Port ${port} is already in use`)
+    process.exit(1)
+  } else {
+    logger.error('Server error:', error)
+    process.exit(1)
+  }
+})
+
+// Initialize connection
+
+app.get("/api/status", (req, res) => {
+    const account = accounts.current()
+    const isConnected = !!account.sock?.authState?.creds
+    
+    res.json({
+        connected: isConnected,
+        status: account.connectionState,
+        user: account.sock?.user || null,
+        qrAvailable: !!account.currentQR,
+        syncStatus: {
+            isFullySynced: account.isFullySynced,
+            syncAttempts: account.syncAttempts,
+            contactsCount: account.contactStore.size,
+            chatsCount: account.chatStore.size,
+            messagesCount: account.messageStore.size
+        },
+        uptime: process.uptime(),
+        recommendations: getRecommendations(isConnected)
+    })
+})
+
+app.get("/api/status-detailed", async (req, res) => {
+    const account = accounts.current()
+    try {
+        const isConnected = !!account.sock?.authState?.creds
+        let syncStatus = {
+            contacts: account.contactStore.size,
+            chats: account.chatStore.size,
+            messages: account.messageStore.size,
+            isFullySynced: account.isFullySynced,
+            syncAttempts: account.syncAttempts
+        }
+        
+        res.json({
+            connected: isConnected,
+            status: account.connectionState,
+            user: account.sock?.user || null,
+            qrAvailable: !!account.currentQR,
+            syncStatus,
+            stores: {
+                contactStore: {
+                    size: account.contactStore.size,
+                    sample: Array.from(account.contactStore.entries()).slice(0, 3).map(([key, value]) => ({
+                        key,
+                        name: value.name || value.notify || 'Unknown',
+                        hasName: !!value.name
+                    }))
+                },
+                chatStore: {
+                    size: account.chatStore.size,
+                    sample: Array.from(account.chatStore.keys()).slice(0, 5)
+                }
+            },
+            recommendations: getRecommendations(isConnected)
+        })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+function getRecommendations(isConnected) {
+    const account = accounts.current()
+    if (!isConnected) {
+        return ["Please connect to WhatsApp first", "Check QR code if available"]
+    }
+    
+    if (!account.isFullySynced && account.contactStore.size === 0 && account.chatStore.size === 0) {
+        return [
+            "Try calling POST /api/full-sync to force data loading",
+            "Wait a few more seconds for WhatsApp to sync",
+            "Send a test message to trigger data loading"
+        ]
+    }
+    
+    if (account.contactStore.size === 0) {
+        return ["Call POST /api/force-sync-contacts to load contacts"]
+    }
+    
+    if (account.chatStore.size === 0) {
+        return ["Call POST /api/force-sync-chats to load chats"]
+    }
+    
+    return ["All systems operational"]
+}
+
+// Force sync endpoints
+app.post("/api/full-sync", async (req, res) => {
+    const account = accounts.current()
+    try {
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        console.log("🔄 Starting full manual sync...")
+        const results = {
+            contacts: 0,
+            chats: 0,
+            recentChats: 0,
+            errors: []
+        }
+        
+        // Sync contacts
+        try {
+            console.log("📞 Attempting contact sync...")
+            
+            // In Baileys, contacts are populated automatically via events
+            // We can't manually fetch them, so we wait for the events
+            if (account.contactStore.size === 0) {
+                console.log("📞 Waiting for contacts to sync via events...")
+                await delay(3000) // Wait for events to populate
+            }
+            
+            results.contacts = account.contactStore.size
+            console.log(`📞 Contacts available: ${account.contactStore.size}`)
+        } catch (error) {
+            results.errors.push(`Contacts sync info: ${error.message}`)
+        }
+        
+        // Sync chats
+        try {
+            const chats = await account.sock.groupFetchAllParticipating()
+            Object.keys(chats).forEach(chatId => {
+                if (!account.chatStore.has(chatId)) {
+                    account.chatStore.set(chatId, [])
+                }
+            })
+            results.chats = Object.keys(chats).length
+            console.log(`💬 Manually synced ${Object.keys(chats).length} chats`)
+        } catch (error) {
+            results.errors.push(`Chats sync failed: ${error.message}`)
+        }
+        
+        // Sync recent chats
+        try {
+            console.log("💬 Checking for additional chats...")
+            
+            // In Baileys, we don't have fetchChats, but we have what we got from groupFetchAllParticipating
+            // Let's wait a bit more for any chat events
+            await delay(2000)
+            
+            results.recentChats = account.chatStore.size - results.chats
+            console.log(`💬 Additional chats found: ${results.recentChats}`)
+        } catch (error) {
+            results.errors.push(`Additional chats check failed: ${error.message}`)
+        }
+        
+        // Update sync status
+        if (account.contactStore.size > 0 || account.chatStore.size > 0) {
+            account.isFullySynced = true
+        }
+        
+        res.json({
+            status: "completed",
+            results,
+            currentStore: {
+                contacts: account.contactStore.size,
+                chats: account.chatStore.size,
+                messages: account.messageStore.size
+            },
+            isFullySynced: account.isFullySynced
+        })
+        
+    } catch (error) {
+        console.error("❌ Full sync failed:", error)
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.post("/api/force-sync-contacts", async (req, res) => {
+    const account = accounts.current()
+    try {
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        console.log("🔄 Checking contact sync status...")
+        
+        // In Baileys, contacts are synced via events, not direct API calls
+        // We can only report what we have and potentially trigger a refresh
+        const initialCount = account.contactStore.size
+        
+        // Wait a bit to see if more contacts come in
+        console.log("📞 Waiting for contact events...")
+        await delay(3000)
+        
+        const finalCount = account.contactStore.size
+        const newContacts = finalCount - initialCount
+        
+        console.log(`✅ Contact sync check completed. Total: ${finalCount}, New: ${newContacts}`)
+        
+        res.json({
+            status: "success",
+            message: "Contacts are synced via WhatsApp events",
+            initialCount,
+            finalCount,
+            newContacts,
+            totalInStore: account.contactStore.size
+        })
+    } catch (error) {
+        console.error("❌ Contact sync check failed:", error)
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.post("/api/force-sync-chats", async (req, res) => {
+    const account = accounts.current()
+    try {
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        console.log("🔄 Forcing chat sync...")
+        
+        const initialChatCount = account.chatStore.size
+        
+        // Get participating groups (this works)
+        const chats = await account.sock.groupFetchAllParticipating()
+        
+        Object.keys(chats).forEach(chatId => {
+            if (!account.chatStore.has(chatId)) {
+                account.chatStore.set(chatId, [])
+            }
+        })
+        
+        // Wait for any additional chat events
+        console.log("💬 Waiting for additional chat events...")
+        await delay(3000)
+        
+        const finalChatCount = account.chatStore.size
+        const newChats = finalChatCount - initialChatCount
+        
+        console.log(`✅ Chat sync completed. Groups: ${Object.keys(chats).length}, Total: ${finalChatCount}`)
+        
+        res.json({
+            status: "success",
+            groupChats: Object.keys(chats).length,
+            initialTotal: initialChatCount,
+            finalTotal: finalChatCount,
+            newChats: newChats,
+            totalInStore: account.chatStore.size
+        })
+    } catch (error) {
+        console.error("❌ Force sync chats failed:", error)
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.get("/api/debug-stores", (req, res) => {
+    const account = accounts.current()
+    res.json({
+        connectionState: account.connectionState,
+        isFullySynced: account.isFullySynced,
+        syncAttempts: account.syncAttempts,
+        contactStore: {
+            size: account.contactStore.size,
+            sample: Array.from(account.contactStore.entries()).slice(0, 5).map(([key, value]) => ({
+                key,
+                name: value.name || value.notify || 'Unknown',
+                hasName: !!value.name,
+                notify: value.notify,
+                verifiedName: value.verifiedName
+            }))
+        },
+        chatStore: {
+            size: account.chatStore.size,
+            chats: Array.from(account.chatStore.keys()).slice(0, 10)
+        },
+        messageStore: {
+            size: account.messageStore.size,
+            sample: Array.from(account.messageStore.keys()).slice(0, 5)
+        }
+    })
+})
+
+// =================== QR CODE ENDPOINTS ===================
+
+app.get("/api/qr", (req, res) => {
+    const account = accounts.current()
+    if (account.currentQR) {
+        res.send(`
+            <html><body style="text-align:center;padding:50px;font-family:Arial;">
+                <h2>📱 WhatsApp QR Code</h2>
+                <div style="background:white;padding:20px;border-radius:10px;display:inline-block;">
+                    <img src="data:image/png;base64,${Buffer.from(account.currentQR).toString('base64')}" style="border:10px solid #25D366;border-radius:10px;"/>
+                </div>
+                <p>Scan with WhatsApp app</p>
+                <p><small>Auto-refresh in 10 seconds</small></p>
+                <script>setTimeout(() => location.reload(), 10000);</script>
+            </body></html>
+        `)
+    } else {
+        res.json({ 
+            message: "QR not available", 
+            connected: !!account.sock?.authState?.creds,
+            status: account.connectionState 
+        })
+    }
+})
+
+app.get("/api/qr/image", async (req, res) => {
+    const account = accounts.current()
+    const { format = 'png' } = req.query
+    
+    if (!account.currentQR) {
+        return res.status(404).json({ 
+            error: "QR code not available",
+            connected: !!account.sock?.authState?.creds,
+            status: account.connectionState 
+        })
+    }
+    
+    try {
+        if (format.toLowerCase() === 'wbmp') {
+            // Real WBMP type 0 built from the QR module matrix
+            const { wbmp } = qrToWbmp(account.currentQR, {
+                size: clampSize(req.query.size, 128),
+                margin: Math.max(0, Math.min(8, parseInt(req.query.margin ?? '2') || 0))
+            })
+
+            res.setHeader('Content-Type', 'image/vnd.wap.wbmp')
+            res.setHeader('Content-Disposition', 'inline; filename="qr-code.wbmp"')
+            res.setHeader('Cache-Control', 'no-cache')
+            res.send(wbmp)
+        } else if (format.toLowerCase() === 'base64') {
+            // Return as base64 JSON response
+            res.json({
+                qrCode: account.currentQR,
+                format: 'base64',
+                timestamp: Date.now(),
+                dataUrl: `data:text/plain;base64,${Buffer.from(account.currentQR).toString('base64')}`
+            })
+        } else if (format.toLowerCase() === 'png') {
+            // Generate proper PNG QR code
+            try {
+                const qrBuffer = await QRCode.toBuffer(account.currentQR, {
+                    type: 'png',
+                    width: 256,
+                    margin: 2,
+                    color: {
+                        dark: '#000000',
+                        light: '#FFFFFF'
+                    }
+                })
+                
+                res.setHeader('Content-Type', 'image/png')
+                res.setHeader('Content-Disposition', 'inline; filename="qr-code.png"')
+                res.setHeader('Cache-Control', 'no-cache')
+                res.send(qrBuffer)
+            } catch (qrError) {
+                // Fallback to base64 if available
+                res.setHeader('Content-Type', 'image/png')
+                res.send(Buffer.from(account.currentQR, 'base64'))
+            }
+        } else if (format.toLowerCase() === 'svg') {
+            // Generate SVG QR code
+            try {
+                const qrSvg = await QRCode.toString(account.currentQR, {
+                    type: 'svg',
+                    width: 256,
+                    margin: 2,
+                    color: {
+                        dark: '#000000',
+                        light: '#FFFFFF'
+                    }
+                })
+                
+                res.setHeader('Content-Type', 'image/svg+xml')
+                res.setHeader('Content-Disposition', 'inline; filename="qr-code.svg"')
+                res.setHeader('Cache-Control', 'no-cache')
+                res.send(qrSvg)
+            } catch (qrError) {
+                res.status(500).json({ error: "Failed to generate SVG QR code" })
+            }
+        } else {
+            res.status(400).json({ 
+                error: "Unsupported format", 
+                supportedFormats: ['png', 'svg', 'base64', 'wbmp'],
+                examples: [
+                    'GET /api/qr/image?format=png',
+                    'GET /api/qr/image?format=svg', 
+                    'GET /api/qr/image?format=wbmp',
+                    'GET /api/qr/image?format=base64'
+                ]
+            })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.get("/api/qr/text", (req, res) => {
+    if (!accounts.current().currentQR) {
+        res.set("Content-Type", "text/vnd.wap.wml");
+        return res.send(`<?xml version="1.0"?>
+<!DOCTYPE wml PUBLIC "-//WAPFORUM//DTD WML 1.1//EN"
+  "http://www.wapforum.org/DTD/wml_1.1.xml">
+<wml>
+  <card id="noqr" title="QR Not Available">
+    <p>QR code not available</p>
+  </card>
+</wml>`);
+    }
+
+    res.set("Content-Type", "text/vnd.wap.wml");
+    res.send(`<?xml version="1.0"?>
+<!DOCTYPE wml PUBLIC "-//WAPFORUM//DTD WML 1.1//EN"
+  "http://www.wapforum.org/DTD/wml_1.1.xml">
+<wml>
+  <card id="qr" title="WhatsApp QR">
+    <p>Your QR string:</p>
+    <p>${accounts.current().currentQR}</p>
+  </card>
+</wml>`);
+});
+
+
+// =================== AUTH API ===================
+
+app.post("/api/auth/login", (req, res) => {
+    try {
+        const session = auth.login(req.body?.pin, {
+            client: req.ip,
+            userAgent: req.headers['user-agent'] || '',
+            type: 'api'
+        })
+        res.json({ token: session.token, tokenType: "Bearer", expiresAt: new Date(session.expiresAt).toISOString() })
+    } catch (error) {
+        res.status(401).json({ error: error.message })
+    }
+})
+
+app.post("/api/auth/logout", (req, res) => {
+    if (req.auth.type !== 'session') {
+        return res.status(400).json({ error: "Not a session token" })
+    }
+    auth.destroySession(req.auth.session.token)
+    res.json({ status: "ok" })
+})
+
+app.get("/api/auth/sessions", (req, res) => {
+    res.json({ sessions: auth.listSessions() })
+})
+
+app.get("/api/auth/keys", (req, res) => {
+    res.json({ keys: auth.listApiKeys() })
+})
+
+app.post("/api/auth/keys", requirePin, (req, res) => {
+    try {
+        const created = auth.createApiKey(req.body?.name || 'API key')
+        res.status(201).json(created)
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.delete("/api/auth/keys/:id", requirePin, (req, res) => {
+    if (!auth.revokeApiKey(req.params.id)) {
+        return res.status(404).json({ error: "Key not found" })
+    }
+    res.json({ status: "ok" })
+})
+
+app.post("/api/auth/pin", requirePin, (req, res) => {
+    try {
+        auth.setPin(req.body?.newPin)
+        res.json({ status: "ok" })
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+// =================== ACCOUNTS API ===================
+
+app.get("/api/accounts", (req, res) => {
+    res.json({ current: accounts.current().id, accounts: accounts.list() })
+})
+
+app.post("/api/accounts", requirePin, (req, res) => {
+    try {
+        const account = accounts.create({ id: req.body?.id, name: req.body?.name })
+        accounts.run(account, () => connectWithBetterSync())
+        res.status(201).json(account)
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.delete("/api/accounts/:account", requirePin, async (req, res) => {
+    try {
+        await removeAccount(req.params.account)
+        res.json({ status: "ok" })
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.post("/api/logout", requirePin, async (req, res) => {
+    const account = accounts.current()
+    try {
+        if (account.sock) await account.sock.logout()
+        const { authDir } = accounts.current()
+        if (fs.existsSync(authDir)) {
+            fs.rmSync(authDir, { recursive: true })
+        }
+        
+        // Clear stores
+        account.contactStore.clear()
+        account.chatStore.clear()
+        account.messageStore.clear()
+        account.isFullySynced = false
+        account.syncAttempts = 0
+
+       
+        
+        res.json({ status: "Logged out and data cleared" })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.get("/api/me", async (req, res) => {
+    const account = accounts.current()
+    try {
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        const profilePic = await account.sock.profilePictureUrl(account.sock.user.id).catch(() => null)
+        const status = await account.sock.fetchStatus(account.sock.user.id).catch(() => null)
+        
+        res.json({
+            user: account.sock.user,
+            profilePicture: profilePic,
+            status: status?.status,
+            syncStatus: {
+                isFullySynced: account.isFullySynced,
+                contactsCount: account.contactStore.size,
+                chatsCount: account.chatStore.size
+            }
+        })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.post("/api/update-profile-name", async (req, res) => {
+    try {
+        const { name } = req.body
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
+        
+        await accounts.current().sock.updateProfileName(name)
+        res.json({ status: "Profile name updated" })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.post("/api/update-profile-status", async (req, res) => {
+    try {
+        const { status } = req.body
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
+        
+        await accounts.current().sock.updateProfileStatus(status)
+        res.json({ status: "Profile status updated" })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.post("/api/update-profile-picture", async (req, res) => {
+    const account = accounts.current()
+    try {
+        const { imageUrl } = req.body
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        const response = await axios.get(imageUrl, { responseType: 'arraybuffer' })
+        await account.sock.updateProfilePicture(account.sock.user.id, response.data)
+        res.json({ status: "Profile picture updated" })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.post("/api/presence", async (req, res) => {
+    const account = accounts.current()
+    try {
+        const { jid, presence = 'available' } = req.body
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        if (jid) {
+            await account.sock.sendPresenceUpdate(presence, formatJid(jid))
+        } else {
+            await account.sock.sendPresenceUpdate(presence)
+        }
+        res.json({ status: `Presence set to ${presence}` })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+// =================== BACKUPS API ===================
+
+const backups = new BackupManager({
+    backupDir: './data/backups',
+    accounts: () => accounts.list()
+})
+
+// A backup of the current account, or null
+function accountBackup(id) {
+    const backup = backups.get(String(id || ''))
+    return backup && backup.account === accounts.current().id ? backup : null
+}
+
+// Restores a backup into the current account: the socket is dropped without
+// reconnecting, the database and session are swapped, the stores reloaded
+// and the account reconnected with the restored session
+async function restoreBackup(id, passphrase) {
+    const account = accounts.current()
+    // Decrypt and check first so a bad passphrase leaves the account connected
+    const backup = backups.read(id, { passphrase: passphrase || undefined })
+
+    const oldSock = account.sock
+    if (oldSock) {
+        account.sock = null
+        oldSock.ev.removeAllListeners()
+        oldSock.end(undefined)
+    }
+    account.connectionState = 'close'
+
+    try {
+        return await backups.restore(account, backup)
+    } finally {
+        const data = account.storage.loadAllData(MEMORY_MESSAGES_PER_CHAT)
+        account.messageStore = data.messages
+        account.contactStore = data.contacts
+        account.chatStore = data.chats
+        account.isFullySynced = data.meta.isFullySynced
+        account.syncAttempts = data.meta.syncAttempts
+        accounts.run(account, () => connectWithBetterSync())
+    }
+}
+
+app.get("/api/backups", (req, res) => {
+    const account = accounts.current().id
+    res.json({
+        account,
+        backups: backups.list({ account }),
+        schedule: {
+            intervalHours: backups.intervalHours,
+            keepDaily: backups.keepDaily,
+            keepWeekly: backups.keepWeekly,
+            encrypted: !!backups.passphrase
+        }
+    })
+})
+
+// Body: { passphrase } to encrypt this backup (defaults to BACKUP_PASSPHRASE)
+app.post("/api/backups", requirePin, async (req, res) => {
+    try {
+        const backup = await backups.create(accounts.current(), {
+            passphrase: req.body?.passphrase || undefined
+        })
+        res.status(201).json(backup)
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.get("/api/backups/:id", (req, res) => {
+    const backup = accountBackup(req.params.id)
+    if (!backup) return res.status(404).json({ error: "Backup not found" })
+    res.json(backup)
+})
+
+// Holds the session keys, so it needs the PIN (X-Auth-Pin header)
+app.get("/api/backups/:id/download", requirePin, (req, res) => {
+    const backup = accountBackup(req.params.id)
+    if (!backup) return res.status(404).json({ error: "Backup not found" })
+    res.download(backups.file(backup.id), backup.id)
+})
+
+// Body: { passphrase } for encrypted backups
+app.post("/api/backups/:id/restore", requirePin, async (req, res) => {
+    try {
+        const backup = accountBackup(req.params.id)
+        if (!backup) return res.status(404).json({ error: "Backup not found" })
+        const manifest = await restoreBackup(backup.id, req.body?.passphrase)
+        res.json({ status: "ok", restored: manifest })
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.delete("/api/backups/:id", requirePin, (req, res) => {
+    const backup = accountBackup(req.params.id)
+    if (!backup) return res.status(404).json({ error: "Backup not found" })
+    backups.remove(backup.id)
+    res.json({ status: "ok" })
+})
+
+// =================== WEBHOOKS API ===================
+
+// Webhooks registered through /api/accounts/:account/webhooks only
+// receive that account's events; unscoped ones receive every account's.
+// An account sees and changes its own webhooks and the unscoped ones.
+function accountWebhook(id) {
+    const webhook = webhooks.get(String(id || ''))
+    return webhook && (!webhook.account || webhook.account === accounts.current().id) ? webhook : null
+}
+
+app.get("/api/webhooks", (req, res) => {
+    res.json({ events: WebhookManager.EVENTS, webhooks: webhooks.list({ account: accounts.current().id }) })
+})
+
+app.post("/api/webhooks", requirePin, (req, res) => {
+    try {
+        // The scope comes from the URL, never from the body
+        const account = req.accountId || null
+        const created = webhooks.create({
+            url: req.body?.url,
+            events: req.body?.events,
+            secret: req.body?.secret,
+            description: req.body?.description,
+            account
+        })
+        res.status(201).json(created)
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.get("/api/webhooks/deliveries", (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+    res.json(webhooks.deliveries(limit, { account: accounts.current().id }))
+})
+
+app.get("/api/webhooks/:id", (req, res) => {
+    const webhook = accountWebhook(req.params.id)
+    if (!webhook) return res.status(404).json({ error: "Webhook not found" })
+    res.json(webhook)
+})
+
+app.patch("/api/webhooks/:id", requirePin, (req, res) => {
+    try {
+        const webhook = accountWebhook(req.params.id) && webhooks.update(req.params.id, req.body || {})
+        if (!webhook) return res.status(404).json({ error: "Webhook not found" })
+        res.json(webhook)
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.delete("/api/webhooks/:id", requirePin, (req, res) => {
+    if (!accountWebhook(req.params.id) || !webhooks.remove(req.params.id)) {
+        return res.status(404).json({ error: "Webhook not found" })
+    }
+    res.json({ status: "ok" })
+})
+
+app.post("/api/webhooks/:id/test", (req, res) => {
+    const delivery = accountWebhook(req.params.id) && webhooks.test(req.params.id)
+    if (!delivery) return res.status(404).json({ error: "Webhook not found" })
+    res.status(202).json({ status: "queued", delivery })
+})
+
+// =================== RULES API ===================
+
+// Rules created through /api/accounts/:account/rules only apply to that account;
+// an account sees and changes its own rules and the global ones
+app.get("/api/rules", (req, res) => {
+    res.json({ actions: RuleEngine.ACTION_TYPES, rules: rules.list({ account: accounts.current().id }) })
+})
+
+app.post("/api/rules", requirePin, (req, res) => {
+    try {
+        // The scope comes from the URL, never from the body
+        const { pin, account, ...definition } = req.body || {}
+        const rule = rules.create({ ...definition, account: req.accountId || null })
+        res.status(201).json(rule)
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+// Dry run: which rules would fire for { text, from, chat, type }
+app.post("/api/rules/test", (req, res) => {
+    const { text = '', from, chat, type = 'conversation' } = req.body || {}
+    const chatId = formatJid(chat || from || '')
+    const matched = rules.evaluate({
+        account: accounts.current().id,
+        chatId,
+        sender: from ? formatJid(from) : chatId,
+        isGroup: chatId.endsWith('@g.us'),
+        text,
+        type,
+        date: new Date()
+    }, { dryRun: true })
+    res.json({ matched: matched.map(r => ({ id: r.id, name: r.name, actions: r.actions })) })
+})
+
+app.get("/api/rules/:id", (req, res) => {
+    const rule = accountRule(req.params.id)
+    if (!rule) return res.status(404).json({ error: "Rule not found" })
+    res.json(rule)
+})
+
+app.patch("/api/rules/:id", requirePin, (req, res) => {
+    try {
+        // A rule stays with the account it was created for
+        const { pin, account, ...changes } = req.body || {}
+        if (!accountRule(req.params.id)) return res.status(404).json({ error: "Rule not found" })
+        res.json(rules.update(req.params.id, changes))
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.delete("/api/rules/:id", requirePin, (req, res) => {
+    if (!accountRule(req.params.id) || !rules.remove(req.params.id)) {
+        return res.status(404).json({ error: "Rule not found" })
+    }
+    res.json({ status: "ok" })
+})
+
+// =================== ENHANCED CONTACTS ENDPOINTS ===================
+
+app.get("/api/contacts/all", async (req, res) => {
+    const account = accounts.current()
+    try {
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        // Auto-sync if no contacts and not synced yet
+        if (account.contactStore.size === 0 && !account.isFullySynced) {
+            console.log("📞 No contacts found, waiting for sync events...")
+            // In Baileys, contacts come via events, so we just wait
+            await delay(2000)
+            console.log(`📞 Contacts after wait: ${account.contactStore.size}`)
+        }
+        
+        const { page = 1, limit = 100, enriched = false } = req.query
+        const contacts = Array.from(account.contactStore.values())
+        
+        // Pagination
+        const startIndex = (parseInt(page) - 1) * parseInt(limit)
+        const endIndex = startIndex + parseInt(limit)
+        const paginatedContacts = contacts.slice(startIndex, endIndex)
+        
+        if (enriched === 'true') {
+            const enrichedContacts = []
+            
+            for (const contact of paginatedContacts) {
+                try {
+                    const profilePic = await account.sock.profilePictureUrl(contact.id, 'image').catch(() => null)
+                    const status = await account.sock.fetchStatus(contact.id).catch(() => null)
+                    const businessProfile = await account.sock.getBusinessProfile(contact.id).catch(() => null)
+                    
+                    enrichedContacts.push({
+                        id: contact.id,
+                        name: contact.name || contact.notify || contact.verifiedName,
+                        profilePicture: profilePic,
+                        status: status?.status,
+                        lastSeen: status?.setAt,
+                        isMyContact: contact.name ? true : false,
+                        isBusiness: !!businessProfile,
+                        businessProfile: businessProfile,
+                        notify: contact.notify,
+                        verifiedName: contact.verifiedName
+                    })
+                    
+                    await delay(150)
+                } catch (error) {
+                    enrichedContacts.push({
+                        id: contact.id,
+                        name: contact.name || contact.notify || contact.verifiedName,
+                        error: error.message
+                    })
+                }
+            }
+            
+            res.json({
+                contacts: enrichedContacts,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: contacts.length,
+                    totalPages: Math.ceil(contacts.length / parseInt(limit)),
+                    hasNext: endIndex < contacts.length,
+                    hasPrev: parseInt(page) > 1
+                },
+                syncInfo: { isFullySynced: account.isFullySynced, syncAttempts: account.syncAttempts }
+            })
+        } else {
+            const basicContacts = paginatedContacts.map(contact => ({
+                id: contact.id,
+                name: contact.name || contact.notify || contact.verifiedName,
+                notify: contact.notify,
+                verifiedName: contact.verifiedName,
+                isMyContact: contact.name ? true : false
+            }))
+            
+            res.json({
+                contacts: basicContacts,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: contacts.length,
+                    totalPages: Math.ceil(contacts.length / parseInt(limit)),
+                    hasNext: endIndex < contacts.length,
+                    hasPrev: parseInt(page) > 1
+                },
+                syncInfo: { isFullySynced: account.isFullySynced, syncAttempts: account.syncAttempts }
+            })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.get("/api/contacts/count", (req, res) => {
+    const account = accounts.current()
+    try {
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        res.json({
+            totalContacts: account.contactStore.size,
+            withNames: Array.from(account.contactStore.values()).filter(c => c.name).length,
+            businessContacts: Array.from(account.contactStore.values()).filter(c => c.verifiedName).length,
+            syncInfo: { isFullySynced: account.isFullySynced, syncAttempts: account.syncAttempts }
+        })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.post("/api/contacts/search", async (req, res) => {
+    const account = accounts.current()
+    try {
+        const { query, limit = 50 } = req.body
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        if (!query || query.length < 2) {
+            return res.status(400).json({ error: "Query must be at least 2 characters" })
+        }
+        
+        const searchQuery = query.toLowerCase()
+        const contacts = Array.from(account.contactStore.values())
+        
+        const results = contacts.filter(contact => {
+            const name = (contact.name || contact.notify || contact.verifiedName || '').toLowerCase()
+            const number = contact.id.replace('@s.whatsapp.net', '')
+            
+            return name.includes(searchQuery) || number.includes(searchQuery)
+        }).slice(0, parseInt(limit))
+        
+        res.json({
+            query: query,
+            results: results.map(contact => ({
+                id: contact.id,
+                name: contact.name || contact.notify || contact.verifiedName,
+                notify: contact.notify,
+                verifiedName: contact.verifiedName,
+                number: contact.id.replace('@s.whatsapp.net', ''),
+                isMyContact: contact.name ? true : false
+            })),
+            total: results.length,
+            syncInfo: { isFullySynced: account.isFullySynced, syncAttempts: account.syncAttempts }
+        })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+// =================== ENHANCED CHAT ENDPOINTS ===================
+
+app.get("/api/chats/with-numbers", async (req, res) => {
+    const account = accounts.current()
+    try {
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        // Auto-sync if no chats and not synced yet
+        if (account.chatStore.size === 0 && !account.isFullySynced) {
+            console.log("💬 No chats found, attempting auto-sync...")
+            try {
+                const chats = await account.sock.groupFetchAllParticipating()
+                
+                Object.keys(chats).forEach(chatId => {
+                    if (!account.chatStore.has(chatId)) {
+                        account.chatStore.set(chatId, [])
+                    }
+                })
+                
+                console.log(`💬 Auto-synced ${Object.keys(chats).length} group chats`)
+                
+                // Wait for additional chat events
+                await delay(2000)
+                console.log(`💬 Total chats after wait: ${account.chatStore.size}`)
+            } catch (syncError) {
+                console.log("⚠️ Auto-sync failed:", syncError.message)
+            }
+        }
+        
+        const chats = Array.from(account.chatStore.keys()).map(chatId => {
+            const messages = account.chatStore.get(chatId) || []
+            const lastMessage = messages[messages.length - 1]
+            const contact = account.contactStore.get(chatId)
+            
+            const phoneNumber = chatId.replace('@s.whatsapp.net', '').replace('@g.us', '')
+            const isGroup = chatId.endsWith('@g.us')
+            
+            return {
+                id: chatId,
+                phoneNumber: isGroup ? null : phoneNumber,
+                groupId: isGroup ? phoneNumber : null,
+                isGroup: isGroup,
+                contact: {
+                    name: contact?.name || contact?.notify || contact?.verifiedName,
+                    isMyContact: contact?.name ? true : false
+                },
+                messageCount: messages.length,
+                lastMessage: lastMessage ? {
+                    id: lastMessage.key.id,
+                    message: extractMessageContent(lastMessage.message),
+                    timestamp: lastMessage.messageTimestamp,
+                    fromMe: lastMessage.key.fromMe
+                } : null
+            }
+        })
+        
+        chats.sort((a, b) => {
+            const aTime = a.lastMessage?.timestamp || 0
+            const bTime = b.lastMessage?.timestamp || 0
+            return bTime - aTime
+        })
+        
+        res.json({ 
+            chats,
+            total: chats.length,
+            directChats: chats.filter(c => !c.isGroup).length,
+            groupChats: chats.filter(c => c.isGroup).length,
+            syncInfo: { isFullySynced: account.isFullySynced, syncAttempts: account.syncAttempts }
+        })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.get("/api/chat/by-number/:number", async (req, res) => {
+    const account = accounts.current()
+    try {
+        const { number } = req.params
+        const { limit = 50, offset = 0 } = req.query
+        
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        const jid = formatJid(number)
+        const messages = account.chatStore.get(jid) || []
+        
+        const contact = account.contactStore.get(jid)
+        const profilePic = await account.sock.profilePictureUrl(jid).catch(() => null)
+        const status = await account.sock.fetchStatus(jid).catch(() => null)
+        
+        // Pagination
+        const startIndex = Math.max(0, messages.length - parseInt(limit) - parseInt(offset))
+        const endIndex = messages.length - parseInt(offset)
+        const paginatedMessages = messages.slice(startIndex, endIndex)
+        
+        const formattedMessages = paginatedMessages.map(msg => ({
+            id: msg.key.id,
+            fromMe: msg.key.fromMe,
+            timestamp: msg.messageTimestamp,
+            message: extractMessageContent(msg.message),
+            messageType: getContentType(msg.message),
+            quoted: msg.message?.extendedTextMessage?.contextInfo?.quotedMessage ? true : false,
+            status: msg.key.fromMe ? messageStatus(msg) : null,
+            ...(msg.key.fromMe && msg.userReceipt?.length ? { receipts: messageReceipts(msg) } : {})
+        }))
+        
+        res.json({
+            number: number,
+            jid: jid,
+            contact: {
+                name: contact?.name || contact?.notify || contact?.verifiedName,
+                profilePicture: profilePic,
+                status: status?.status,
+                lastSeen: status?.setAt,
+                isMyContact: contact?.name ? true : false
+            },
+            chat: {
+                messages: formattedMessages,
+                total: messages.length,
+                showing: formattedMessages.length,
+                hasMore: startIndex > 0,
+                isGroup: jid.endsWith('@g.us')
+            },
+            syncInfo: { isFullySynced: account.isFullySynced, syncAttempts: account.syncAttempts }
+        })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.get("/api/chat/exists/:number", (req, res) => {
+    const account = accounts.current()
+    try {
+        const { number } = req.params
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        const jid = formatJid(number)
+        const messages = account.chatStore.get(jid) || []
+        const contact = account.contactStore.get(jid)
+        
+        res.json({
+            number: number,
+            jid: jid,
+            exists: messages.length > 0,
+            messageCount: messages.length,
+            hasContact: !!contact,
+            contactName: contact?.name || contact?.notify || contact?.verifiedName,
+            lastActivity: messages.length > 0 ? messages[messages.length - 1].messageTimestamp : null,
+            syncInfo: { isFullySynced: account.isFullySynced, syncAttempts: account.syncAttempts }
+        })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.get("/api/chat/stats/:number", async (req, res) => {
+    const account = accounts.current()
+    try {
+        const { number } = req.params
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        const jid = formatJid(number)
+        const messages = account.chatStore.get(jid) || []
+        const contact = account.contactStore.get(jid)
+        
+        if (messages.length === 0) {
+            return res.json({
+                number: number,
+                jid: jid,
+                exists: false,
+                message: "No chat history found",
+                syncInfo: { isFullySynced: account.isFullySynced, syncAttempts: account.syncAttempts }
+            })
+        }
+        
+        // Calculate statistics
+        const myMessages = messages.filter(msg => msg.key.fromMe)
+        const theirMessages = messages.filter(msg => !msg.key.fromMe)
+        const mediaMessages = messages.filter(msg => {
+            const type = getContentType(msg.message)
+            return ['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage'].includes(type)
+        })
+        
+        const firstMessage = messages[0]
+        const lastMessage = messages[messages.length - 1]
+        
+        // Message types breakdown
+        const messageTypes = {}
+        messages.forEach(msg => {
+            const type = getContentType(msg.message) || 'unknown'
+            messageTypes[type] = (messageTypes[type] || 0) + 1
+        })
+        
+        res.json({
+            number: number,
+            jid: jid,
+            contact: {
+                name: contact?.name || contact?.notify || contact?.verifiedName,
+                isMyContact: contact?.name ? true : false
+            },
+            statistics: {
+                totalMessages: messages.length,
+                myMessages: myMessages.length,
+                theirMessages: theirMessages.length,
+                mediaMessages: mediaMessages.length,
+                messageTypes: messageTypes,
+                firstMessage: {
+                    timestamp: firstMessage.messageTimestamp,
+                    fromMe: firstMessage.key.fromMe
+                },
+                lastMessage: {
+                    timestamp: lastMessage.messageTimestamp,
+                    fromMe: lastMessage.key.fromMe
+                },
+                chatDuration: lastMessage.messageTimestamp - firstMessage.messageTimestamp
+            },
+            syncInfo: { isFullySynced: account.isFullySynced, syncAttempts: account.syncAttempts }
+        })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+// ?format=txt (WhatsApp layout), html (standalone transcript) or zip (txt
+// plus media, ?media=0 to skip downloads); ?limit=N keeps the newest N
+app.get("/api/chat/:jid/export", async (req, res) => {
+    try {
+        const jid = formatJid(req.params.jid)
+        const format = String(req.query.format || 'txt').toLowerCase()
+        if (!chatExport.FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of ${chatExport.FORMATS.join(', ')}` })
+        }
+        
+        const messages = exportMessages(jid, parseInt(req.query.limit) || 0)
+        if (messages.length === 0) return res.status(404).json({ error: "No messages in this chat" })
+        
+        const title = displayNameFor(jid)
+        const filename = `WhatsApp Chat with ${title}.${format}`
+        
+        if (format === 'txt') {
+            res.attachment(filename)
+            res.type('text/plain; charset=utf-8')
+            return res.send(chatExport.toTxt(messages, { nameOf: exportSenderName }))
+        }
+        if (format === 'html') {
+            res.attachment(filename)
+            res.type('text/html; charset=utf-8')
+            return res.send(chatExport.toHtml(messages, { title, nameOf: exportSenderName }))
+        }
+        
+        const media = req.query.media !== '0' ? await downloadExportMedia(messages) : new Map()
+        res.attachment(filename)
+        res.type('application/zip')
+        res.send(chatExport.toZip(messages, { title, nameOf: exportSenderName, media }))
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+// Body: the exported .zip or .txt as is (Content-Type application/zip,
+// application/octet-stream or text/plain), or JSON { text }.
+// Query: jid (optional when the file name names a known contact), filename,
+// me (our name in the export), dateOrder (auto|dmy|mdy|ymd), dryRun=1
+app.post("/api/import", express.raw({ type: ['application/zip', 'application/octet-stream', 'text/plain'], limit: IMPORT_MAX_BYTES }), (req, res) => {
+    try {
+        const params = { ...req.query, ...(Buffer.isBuffer(req.body) ? {} : req.body) }
+        const buffer = Buffer.isBuffer(req.body) ? req.body : Buffer.from(String(params.text || ''), 'utf8')
+        if (buffer.length === 0) return res.status(400).json({ error: "Export file is required" })
+        
+        const dateOrder = params.dateOrder || 'auto'
+        if (!IMPORT_DATE_ORDERS.includes(dateOrder)) {
+            return res.status(400).json({ error: `dateOrder must be one of ${IMPORT_DATE_ORDERS.join(', ')}` })
+        }
+        
+        const summary = importChat(buffer, {
+            jid: params.jid,
+            filename: params.filename || req.get('X-Filename') || '',
+            me: params.me,
+            dateOrder,
+            dryRun: params.dryRun === true || params.dryRun === '1' || params.dryRun === 'true'
+        })
+        res.json(summary)
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.post("/api/chats/bulk-by-numbers", async (req, res) => {
+    const account = accounts.current()
+    try {
+        const { numbers, includeMessages = false, messageLimit = 10 } = req.body
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        if (!Array.isArray(numbers)) {
+            return res.status(400).json({ error: "Numbers must be an array" })
+        }
+        
+        const results = []
+        
+        for (const number of numbers) {
+            try {
+                const jid = formatJid(number)
+                const messages = account.chatStore.get(jid) || []
+                const contact = account.contactStore.get(jid)
+                
+                const result = {
+                    number: number,
+                    jid: jid,
+                    exists: messages.length > 0,
+                    messageCount: messages.length,
+                    contact: {
+                        name: contact?.name || contact?.notify || contact?.verifiedName,
+                        isMyContact: contact?.name ? true : false
+                    }
+                }
+                
+                if (includeMessages && messages.length > 0) {
+                    const recentMessages = messages.slice(-parseInt(messageLimit))
+                    result.recentMessages = recentMessages.map(msg => ({
+                        id: msg.key.id,
+                        fromMe: msg.key.fromMe,
+                        timestamp: msg.messageTimestamp,
+                        message: extractMessageContent(msg.message),
+                        messageType: getContentType(msg.message)
+                    }))
+                }
+                
+                results.push(result)
+            } catch (error) {
+                results.push({
+                    number: number,
+                    error: error.message
+                })
+            }
+        }
+        
+        res.json({
+            results,
+            total: results.length,
+            withChats: results.filter(r => r.exists).length,
+            withoutChats: results.filter(r => !r.exists && !r.error).length,
+            errors: results.filter(r => r.error).length,
+            syncInfo: { isFullySynced: account.isFullySynced, syncAttempts: account.syncAttempts }
+        })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+// =================== OTHER ENDPOINTS ===================
+
+app.get("/api/contacts", async (req, res) => {
+    const account = accounts.current()
+    try {
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        const contacts = Array.from(account.contactStore.values())
+        
+        const enrichedContacts = []
+        for (const contact of contacts.slice(0, 50)) {
+            try {
+                const profilePic = await account.sock.profilePictureUrl(contact.id, 'image').catch(() => null)
+                const status = await account.sock.fetchStatus(contact.id).catch(() => null)
+                
+                enrichedContacts.push({
+                    id: contact.id,
+                    name: contact.name || contact.notify || contact.verifiedName,
+                    profilePicture: profilePic,
+                    status: status?.status,
+                    isMyContact: contact.name ? true : false,
+                    lastSeen: status?.setAt
+                })
+                
+                await delay(100)
+            } catch (error) {
+                enrichedContacts.push({
+                    id: contact.id,
+                    name: contact.name || contact.notify || contact.verifiedName,
+                    error: error.message
+                })
+            }
+        }
+        
+        res.json({ 
+            contacts: enrichedContacts,
+            total: account.contactStore.size,
+            showing: enrichedContacts.length,
+            syncInfo: { isFullySynced: account.isFullySynced, syncAttempts: account.syncAttempts }
+        })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.get("/api/chats", async (req, res) => {
+    const account = accounts.current()
+    try {
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        const readStates = account.storage.getReadStates()
+        const chats = Array.from(account.chatStore.keys()).map(chatId => {
+            const messages = account.chatStore.get(chatId) || []
+            const lastMessage = messages[messages.length - 1]
+            
+            return {
+                id: chatId,
+                isGroup: chatId.endsWith('@g.us'),
+                messageCount: messages.length,
+                unreadCount: unreadCountFor(chatId, readStates),
+                lastReadAt: readStates.get(chatId)?.lastReadAt || null,
+                lastMessage: lastMessage ? {
+                    id: lastMessage.key.id,
+                    message: extractMessageContent(lastMessage.message),
+                    timestamp: lastMessage.messageTimestamp,
+                    fromMe: lastMessage.key.fromMe
+                } : null
+            }
+        })
+        
+        chats.sort((a, b) => {
+            const aTime = a.lastMessage?.timestamp || 0
+            const bTime = b.lastMessage?.timestamp || 0
+            return bTime - aTime
+        })
+        
+        res.json({ 
+            chats,
+            total: chats.length,
+            totalUnread: chats.reduce((sum, c) => sum + c.unreadCount, 0),
+            syncInfo: { isFullySynced: account.isFullySynced, syncAttempts: account.syncAttempts }
+        })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+// Resets the unread counter; receipts are sent unless sendReceipts is false
+app.post("/api/chats/:jid/read", async (req, res) => {
+    try {
+        const jid = formatJid(req.params.jid)
+        if (!accounts.current().chatStore.has(jid)) return res.status(404).json({ error: "Chat not found" })
         
-        await sock.updateProfileStatus(status)
-        res.json({ status: "Profile status updated" })
+        const sendReceipts = req.body?.sendReceipts !== false && req.body?.sendReceipts !== 'false'
+        const result = await markChatRead(jid, { sendReceipts: sendReceipts && !!accounts.current().sock })
+        res.json({ success: true, jid, ...result, unreadCount: 0 })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.get("/api/messages/:jid", async (req, res) => {
+    const account = accounts.current()
+    try {
+        const { jid } = req.params
+        const { limit = 50, offset = 0 } = req.query
+        
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        const formattedJid = formatJid(jid)
+        const messages = account.chatStore.get(formattedJid) || []
+        
+        const startIndex = Math.max(0, messages.length - parseInt(limit) - parseInt(offset))
+        const endIndex = messages.length - parseInt(offset)
+        const paginatedMessages = messages.slice(startIndex, endIndex)
+        const metadata = formattedJid.endsWith('@g.us') ? await groupMetadataFor(formattedJid) : null
+        
+        const formattedMessages = paginatedMessages.map(msg => ({
+            id: msg.key.id,
+            fromMe: msg.key.fromMe,
+            ...senderFields(msg, metadata),
+            timestamp: msg.messageTimestamp,
+            message: extractMessageContent(msg.message),
+            messageType: getContentType(msg.message),
+            quoted: msg.message?.extendedTextMessage?.contextInfo?.quotedMessage ? true : false,
+            status: msg.key.fromMe ? messageStatus(msg) : null,
+            ...(msg.key.fromMe && msg.userReceipt?.length ? { receipts: messageReceipts(msg) } : {})
+        }))
+        
+        res.json({
+            jid: formattedJid,
+            messages: formattedMessages,
+            total: messages.length,
+            showing: formattedMessages.length,
+            hasMore: startIndex > 0,
+            syncInfo: { isFullySynced: account.isFullySynced, syncAttempts: account.syncAttempts }
+        })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+// Delivery status and, for group messages, per-participant receipts
+app.get("/api/messages/:jid/:messageId/status", (req, res) => {
+    const msg = storedMessage({ id: req.params.messageId, remoteJid: formatJid(req.params.jid) })
+    if (!msg) return res.status(404).json({ error: "Message not found" })
+    res.json({
+        id: msg.key.id,
+        fromMe: !!msg.key.fromMe,
+        status: messageStatus(msg),
+        receipts: messageReceipts(msg)
+    })
+})
+
+// Body: { query, jid, sender, fromMe, type, days | since/until, order, limit, offset }
+app.post("/api/search-messages", async (req, res) => {
+    const account = accounts.current()
+    try {
+        const options = messageSearchOptions(req.body || {})
+        const limit = Math.max(1, Math.min(200, parseInt(req.body?.limit) || 50))
+        const offset = Math.max(0, parseInt(req.body?.offset) || 0)
+        if (options.query.length < 2 && !options.type && !options.chatId && !options.sender &&
+            options.fromMe === undefined && !options.since && !options.until) {
+            return res.status(400).json({ error: "Query must be at least 2 characters" })
+        }
+        
+        const { total, results } = account.storage.searchMessages({ ...options, limit, offset })
+        
+        res.json({
+            query: options.query,
+            results: results.map(({ message: msg, score }) => ({
+                chatId: msg.key.remoteJid,
+                messageId: msg.key.id,
+                fromMe: msg.key.fromMe,
+                ...senderFields(msg),
+                timestamp: msg.messageTimestamp,
+                message: messageText(msg),
+                messageType: getContentType(msg.message),
+                score
+            })),
+            total,
+            limit,
+            offset,
+            hasMore: offset + results.length < total,
+            syncInfo: { isFullySynced: account.isFullySynced, syncAttempts: account.syncAttempts }
+        })
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.get("/api/contact/:jid", async (req, res) => {
+    const account = accounts.current()
+    try {
+        const { jid } = req.params
+        if (!account.sock) return res.status(500).json({ error: "Not connected" })
+        
+        const formattedJid = formatJid(jid)
+        const profilePic = await account.sock.profilePictureUrl(formattedJid).catch(() => null)
+        const status = await account.sock.fetchStatus(formattedJid).catch(() => null)
+        const businessProfile = await account.sock.getBusinessProfile(formattedJid).catch(() => null)
+        
+        res.json({
+            jid: formattedJid,
+            profilePicture: profilePic,
+            status: status?.status,
+            businessProfile,
+            syncInfo: { isFullySynced: account.isFullySynced, syncAttempts: account.syncAttempts }
+        })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.post("/api/block/:jid", async (req, res) => {
+    try {
+        const { jid } = req.params
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
+        
+        await accounts.current().sock.updateBlockStatus(formatJid(jid), 'block')
+        res.json({ status: "Contact blocked" })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.post("/api/unblock/:jid", async (req, res) => {
+    try {
+        const { jid } = req.params
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
+        
+        await accounts.current().sock.updateBlockStatus(formatJid(jid), 'unblock')
+        res.json({ status: "Contact unblocked" })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.post("/api/check-numbers", async (req, res) => {
+    try {
+        const { numbers } = req.body
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
+        
+        const results = []
+        for (const number of numbers) {
+            const jid = formatJid(number)
+            const exists = await accounts.current().sock.onWhatsApp(jid)
+            results.push({
+                number,
+                jid,
+                exists: exists.length > 0,
+                details: exists[0] || null
+            })
+            await delay(500)
+        }
+        
+        res.json({ results })
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-app.post("/api/update-profile-picture", async (req, res) => {
+// =================== SEND MESSAGE ENDPOINTS ===================
+
+// Payload builders shared by the /api/send-* endpoints and the WML compose cards.
+// Each takes the request fields of its endpoint and resolves to a sendMessage() payload.
+async function fetchMediaBuffer(url) {
+    if (!url || !/^https?:\/\//i.test(String(url).trim())) {
+        throw new Error("A http(s) media URL is required")
+    }
+    const response = await axios.get(String(url).trim(), { responseType: "arraybuffer" })
+    return response.data
+}
+
+const DOCUMENT_MIME_TYPES = {
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    zip: 'application/zip',
+    jar: 'application/java-archive',
+    jad: 'text/vnd.sun.j2me.app-descriptor',
+    sis: 'application/vnd.symbian.install'
+}
+
+function buildVCard({ name = '', number = '', org = '', email = '' }) {
+    const digits = String(number).replace(/[^\d]/g, '')
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${name}`
+    ]
+    if (org) lines.push(`ORG:${org};`)
+    lines.push(digits ? `TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}` : `TEL;type=CELL:${number}`)
+    if (email) lines.push(`EMAIL:${email}`)
+    lines.push('END:VCARD')
+    return lines.join('\n')
+}
+
+// Decimal degrees as typed on a handset: "-33.86", also with a decimal comma
+function parseCoordinate(value) {
+    const s = String(value ?? '').trim().replace(',', '.')
+    return /^[-+]?\d{1,3}(\.\d+)?$/.test(s) ? Number(s) : NaN
+}
+
+const sendPayloadBuilders = {
+    text: async ({ message }) => {
+        if (!message) throw new Error("Message text is required")
+        return { text: message }
+    },
+    image: async ({ imageUrl, caption }) => ({ 
+        image: await fetchMediaBuffer(imageUrl), 
+        caption 
+    }),
+    video: async ({ videoUrl, caption }) => ({ 
+        video: await fetchMediaBuffer(videoUrl), 
+        caption 
+    }),
+    audio: async ({ audioUrl, ptt = false }) => ({ 
+        audio: await fetchMediaBuffer(audioUrl), 
+        ptt: ptt === true || ptt === 'true' || ptt === '1',
+        mimetype: 'audio/mp4'
+    }),
+    document: async ({ documentUrl, fileName, mimetype }) => {
+        const name = fileName || decodeURIComponent(String(documentUrl || '').split(/[?#]/)[0].split('/').pop() || '') || 'document'
+        const ext = name.includes('.') ? name.split('.').pop().toLowerCase() : ''
+        return {
+            document: await fetchMediaBuffer(documentUrl),
+            fileName: name,
+            mimetype: mimetype || DOCUMENT_MIME_TYPES[ext] || 'application/octet-stream'
+        }
+    },
+    sticker: async ({ imageUrl }) => ({ sticker: await fetchMediaBuffer(imageUrl) }),
+    location: async ({ latitude, longitude, name }) => {
+        const lat = parseCoordinate(latitude)
+        const lng = parseCoordinate(longitude)
+        if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            throw new Error("Invalid coordinates")
+        }
+        return { 
+            location: { 
+                degreesLatitude: lat, 
+                degreesLongitude: lng,
+                name
+            } 
+        }
+    },
+    contact: async ({ contacts }) => {
+        const contactList = (Array.isArray(contacts) ? contacts : [contacts]).filter(c => c && c.number)
+        if (contactList.length === 0) throw new Error("At least one contact with a number is required")
+        
+        return { 
+            contacts: { 
+                displayName: `${contactList.length} contact${contactList.length > 1 ? 's' : ''}`,
+                contacts: contactList.map(contact => ({
+                    displayName: contact.name,
+                    vcard: buildVCard(contact)
+                }))
+            } 
+        }
+    },
+    poll: async ({ name, values, selectableCount = 1 }) => {
+        const options = (values || []).map(v => String(v).trim()).filter(Boolean)
+        if (!name) throw new Error("Poll question is required")
+        if (options.length < 2) throw new Error("A poll needs at least 2 options")
+        
+        return {
+            poll: {
+                name,
+                values: options,
+                selectableCount: Math.min(parseInt(selectableCount) || 0, options.length)
+            }
+        }
+    }
+}
+
+async function buildSendPayload(type, params = {}) {
+    const builder = sendPayloadBuilders[type]
+    if (!builder) throw new Error(`Unsupported message type: ${type}`)
+    return builder(params)
+}
+
+const MEDIA_URL_FIELDS = { image: 'imageUrl', video: 'videoUrl', audio: 'audioUrl', document: 'documentUrl', sticker: 'imageUrl' }
+
+// Checks send fields without downloading media, so bad input is
+// reported when a message is queued rather than when it is sent
+async function validateSendParams(type, params = {}) {
+    if (!sendPayloadBuilders[type]) throw new Error(`Unsupported message type: ${type}`)
+    const urlField = MEDIA_URL_FIELDS[type]
+    if (!urlField) return buildSendPayload(type, params)
+    if (!/^https?:\/\//i.test(String(params[urlField] || '').trim())) {
+        throw new Error("A http(s) media URL is required")
+    }
+}
+
+app.post("/api/send-text", async (req, res) => {
+    try {
+        const { to, message } = req.body
+        const item = await queueSend('text', to, { message }, 'api')
+        sendQueuedResult(res, item)
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.post("/api/send-image", async (req, res) => {
+    try {
+        const { to, imageUrl, caption } = req.body
+        const item = await queueSend('image', to, { imageUrl, caption }, 'api')
+        sendQueuedResult(res, item)
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.post("/api/send-video", async (req, res) => {
+    try {
+        const { to, videoUrl, caption } = req.body
+        const item = await queueSend('video', to, { videoUrl, caption }, 'api')
+        sendQueuedResult(res, item)
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.post("/api/send-audio", async (req, res) => {
+    try {
+        const { to, audioUrl, ptt = false } = req.body
+        const item = await queueSend('audio', to, { audioUrl, ptt }, 'api')
+        sendQueuedResult(res, item)
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.post("/api/send-document", async (req, res) => {
+    try {
+        const { to, documentUrl, fileName, mimetype } = req.body
+        const item = await queueSend('document', to, { documentUrl, fileName, mimetype }, 'api')
+        sendQueuedResult(res, item)
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.post("/api/send-sticker", async (req, res) => {
+    try {
+        const { to, imageUrl } = req.body
+        const item = await queueSend('sticker', to, { imageUrl }, 'api')
+        sendQueuedResult(res, item)
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.post("/api/send-location", async (req, res) => {
+    try {
+        const { to, latitude, longitude, name } = req.body
+        const item = await queueSend('location', to, { latitude, longitude, name }, 'api')
+        sendQueuedResult(res, item)
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.post("/api/send-contact", async (req, res) => {
+    try {
+        const { to, contacts } = req.body
+        const item = await queueSend('contact', to, { contacts }, 'api')
+        sendQueuedResult(res, item)
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.post("/api/send-poll", async (req, res) => {
+    try {
+        const { to, name, values, selectableCount = 1 } = req.body
+        const item = await queueSend('poll', to, { name, values, selectableCount }, 'api')
+        sendQueuedResult(res, item)
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+// =================== OUTBOX ===================
+
+// Compose sends are stored before they are attempted, so text typed on a
+// keypad survives a dropped connection or a restart
+const outbox = new Outbox({
+    dataDir: './data',
+    canSend: item => {
+        const account = accounts.get(item.account)
+        return !account || (account.connectionState === 'open' && !!account.sock)
+    },
+    send: item => {
+        const account = accounts.get(item.account)
+        if (!account) throw new Error('Account not found')
+        return accounts.run(account, async () =>
+            account.sock.sendMessage(formatJid(item.to), await buildSendPayload(item.type, item.params)))
+    }
+})
+
+// Validates and hands a send to the outbox for the current account
+// Numbers and chat JIDs the outbox can send to
+const RECIPIENT_JID = /^\d[\d-]*@(s\.whatsapp\.net|g\.us|lid|newsletter)$/
+
+// Send failures leave the item queued, so whatever this throws is bad input
+async function queueSend(type, to, params, source) {
+    if (!String(to || '').trim()) throw new Error("Recipient is required")
+    if (!RECIPIENT_JID.test(formatJid(to))) throw new Error(`Invalid recipient: ${to}`)
+    await validateSendParams(type, params)
+    return outbox.submit({ account: accounts.current().id, to, type, params, source })
+}
+
+// 200 with the message ID once sent, 202 while it waits in the outbox
+function sendQueuedResult(res, item) {
+    if (item.status === 'sent') {
+        return res.json({ status: "ok", messageId: item.messageId, outboxId: item.id })
+    }
+    res.status(202).json({ status: "queued", outboxId: item.id, error: item.error })
+}
+
+// An outbox item of the current account, or null
+function outboxItem(id) {
+    const item = outbox.get(String(id || ''))
+    return item && item.account === accounts.current().id ? item : null
+}
+
+app.get("/api/outbox", (req, res) => {
+    const account = accounts.current().id
+    res.json({ counts: outbox.counts({ account }), items: outbox.list({ account, status: req.query.status }) })
+})
+
+app.get("/api/outbox/:id", (req, res) => {
+    const item = outboxItem(req.params.id)
+    if (!item) return res.status(404).json({ error: "Outbox message not found" })
+    res.json(item)
+})
+
+app.post("/api/outbox/:id/retry", (req, res) => {
+    try {
+        const item = outboxItem(req.params.id)
+        if (!item) return res.status(404).json({ error: "Outbox message not found" })
+        res.json(outbox.retry(item.id))
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.delete("/api/outbox/:id", (req, res) => {
+    try {
+        const item = outboxItem(req.params.id)
+        if (!item) return res.status(404).json({ error: "Outbox message not found" })
+        outbox.remove(item.id)
+        res.json({ status: "ok" })
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+// =================== SCHEDULED MESSAGES ===================
+
+const scheduler = new MessageScheduler({
+    dataDir: './data',
+    // A removed account's jobs go through send() and fail there
+    canSend: job => {
+        const account = accounts.get(job.account)
+        return !account || (account.connectionState === 'open' && !!account.sock)
+    },
+    send: job => {
+        const account = accounts.get(job.account)
+        if (!account) throw new Error('Account not found')
+        return accounts.run(account, async () =>
+            account.sock.sendMessage(formatJid(job.to), await buildSendPayload(job.type, job.params)))
+    }
+})
+
+// "YYYY-MM-DD HH:MM" in server time, the format the send-at field accepts
+function formatLocalTime(iso) {
+    const d = new Date(iso)
+    const pad = n => String(n).padStart(2, '0')
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`
+}
+
+// A job of the current account, or null
+function scheduledJob(id) {
+    const job = scheduler.get(String(id || ''))
+    return job && job.account === accounts.current().id ? job : null
+}
+
+app.get("/api/schedule", (req, res) => {
+    res.json({
+        missedPolicy: scheduler.missedPolicy,
+        jobs: scheduler.list({ account: accounts.current().id, status: req.query.status })
+    })
+})
+
+// Body: { to, sendAt, type = "text", ...the fields of /api/send-<type> }
+app.post("/api/schedule", requirePin, async (req, res) => {
+    try {
+        const { to, sendAt, type = 'text', pin, ...params } = req.body || {}
+        await validateSendParams(type, params)
+        const job = scheduler.schedule({ account: accounts.current().id, to, type, params, sendAt })
+        res.status(201).json(job)
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.get("/api/schedule/:id", (req, res) => {
+    const job = scheduledJob(req.params.id)
+    if (!job) return res.status(404).json({ error: "Scheduled message not found" })
+    res.json(job)
+})
+
+app.patch("/api/schedule/:id", requirePin, async (req, res) => {
     try {
-        const { imageUrl } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const response = await axios.get(imageUrl, { responseType: 'arraybuffer' })
-        await sock.updateProfilePicture(sock.user.id, response.data)
-        res.json({ status: "Profile picture updated" })
+        const job = scheduledJob(req.params.id)
+        if (!job) return res.status(404).json({ error: "Scheduled message not found" })
+
+        const { to, sendAt, type, pin, ...params } = req.body || {}
+        if (type && type !== job.type) throw new Error("The message type cannot be changed")
+        if (Object.keys(params).length > 0) await validateSendParams(job.type, { ...job.params, ...params })
+        res.json(scheduler.update(job.id, { to, sendAt, params: Object.keys(params).length > 0 ? params : undefined }))
     } catch (error) {
-        res.status(500).json({ error: error.message })
+        res.status(400).json({ error: error.message })
     }
 })
 
-app.post("/api/presence", async (req, res) => {
+app.delete("/api/schedule/:id", requirePin, (req, res) => {
     try {
-        const { jid, presence = 'available' } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        if (jid) {
-            await sock.sendPresenceUpdate(presence, formatJid(jid))
-        } else {
-            await sock.sendPresenceUpdate(presence)
-        }
-        res.json({ status: `Presence set to ${presence}` })
+        const job = scheduledJob(req.params.id)
+        if (!job) return res.status(404).json({ error: "Scheduled message not found" })
+        res.json(scheduler.cancel(job.id))
     } catch (error) {
-        res.status(500).json({ error: error.message })
+        res.status(400).json({ error: error.message })
     }
 })
 
-// =================== ENHANCED CONTACTS ENDPOINTS ===================
+// =================== MESSAGE ACTION HELPERS ===================
+// Shared by the /api/* message endpoints and the /wml/msg.* cards
+
+// With a jid, only a message of that chat: ids come from URLs and must not
+// reach into another chat
+function findMessage(messageId, jid = '') {
+    if (!messageId) return null
+    const chatId = jid ? formatJid(jid) : ''
+    const stored = accounts.current().messageStore.get(messageId)
+    if (stored && (!chatId || stored.key?.remoteJid === chatId)) return stored
+    const messages = chatId ? (accounts.current().chatStore.get(chatId) || []) : []
+    return messages.find(m => m.key?.id === messageId) || null
+}
 
-app.get("/api/contacts/all", async (req, res) => {
-    try {
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        // Auto-sync if no contacts and not synced yet
-        if (contactStore.size === 0 && !isFullySynced) {
-            console.log("📞 No contacts found, waiting for sync events...")
-            // In Baileys, contacts come via events, so we just wait
-            await delay(2000)
-            console.log(`📞 Contacts after wait: ${contactStore.size}`)
+async function replyToMessage(to, message, quotedMessage) {
+    return accounts.current().sock.sendMessage(formatJid(to), { text: message }, { quoted: quotedMessage })
+}
+
+async function reactToMessage(to, targetMessage, emoji) {
+    return accounts.current().sock.sendMessage(formatJid(to), { 
+        react: { 
+            text: emoji, 
+            key: targetMessage.key 
+        } 
+    })
+}
+
+async function forwardMessage(targetMessage, recipients, pause = 1000) {
+    const results = []
+    
+    for (const recipient of recipients) {
+        const jid = formatJid(recipient)
+        try {
+            // relayMessage resolves to the new message id
+            const messageId = await accounts.current().sock.relayMessage(jid, targetMessage.message, {})
+            results.push({ recipient: jid, status: 'sent', messageId })
+        } catch (error) {
+            results.push({ recipient: jid, status: 'failed', error: error.message })
         }
-        
-        const { page = 1, limit = 100, enriched = false } = req.query
-        const contacts = Array.from(contactStore.values())
-        
-        // Pagination
-        const startIndex = (parseInt(page) - 1) * parseInt(limit)
-        const endIndex = startIndex + parseInt(limit)
-        const paginatedContacts = contacts.slice(startIndex, endIndex)
-        
-        if (enriched === 'true') {
-            const enrichedContacts = []
-            
-            for (const contact of paginatedContacts) {
-                try {
-                    const profilePic = await sock.profilePictureUrl(contact.id, 'image').catch(() => null)
-                    const status = await sock.fetchStatus(contact.id).catch(() => null)
-                    const businessProfile = await sock.getBusinessProfile(contact.id).catch(() => null)
-                    
-                    enrichedContacts.push({
-                        id: contact.id,
-                        name: contact.name || contact.notify || contact.verifiedName,
-                        profilePicture: profilePic,
-                        status: status?.status,
-                        lastSeen: status?.setAt,
-                        isMyContact: contact.name ? true : false,
-                        isBusiness: !!businessProfile,
-                        businessProfile: businessProfile,
-                        notify: contact.notify,
-                        verifiedName: contact.verifiedName
-                    })
-                    
-                    await delay(150)
-                } catch (error) {
-                    enrichedContacts.push({
-                        id: contact.id,
-                        name: contact.name || contact.notify || contact.verifiedName,
-                        error: error.message
-                    })
-                }
+        await delay(pause)
+    }
+    
+    return results
+}
+
+async function deleteMessage(to, targetMessage) {
+    return accounts.current().sock.sendMessage(formatJid(to), { delete: targetMessage.key })
+}
+
+async function markMessagesRead(messages) {
+    const keys = messages.map(msg => msg?.key).filter(Boolean)
+    if (keys.length === 0) return 0
+    
+    await accounts.current().sock.readMessages(keys)
+    return keys.length
+}
+
+// =================== RETENTION ===================
+
+// Starring is what keepStarred exempts, so keep the stored copy current
+function applyMessageStar(key, starred) {
+    const msg = storedMessage(key)
+    if (!msg) return null
+    msg.starred = starred
+    accounts.current().storage.saveMessages([msg])
+    return msg
+}
+
+// Applies the current account's retention policies and unloads what they
+// removed. A dry run returns the same report without changing anything.
+function runRetention({ dryRun = false } = {}) {
+    const account = accounts.current()
+    return account.storage.applyRetention({
+        dryRun,
+        onRemoved: (chatId, ids) => {
+            const removed = new Set(ids)
+            const chatMessages = account.chatStore.get(chatId) || []
+            for (let i = chatMessages.length - 1; i >= 0; i--) {
+                if (removed.has(chatMessages[i].key.id)) chatMessages.splice(i, 1)
             }
-            
-            res.json({
-                contacts: enrichedContacts,
-                pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    total: contacts.length,
-                    totalPages: Math.ceil(contacts.length / parseInt(limit)),
-                    hasNext: endIndex < contacts.length,
-                    hasPrev: parseInt(page) > 1
-                },
-                syncInfo: { isFullySynced, syncAttempts }
-            })
-        } else {
-            const basicContacts = paginatedContacts.map(contact => ({
-                id: contact.id,
-                name: contact.name || contact.notify || contact.verifiedName,
-                notify: contact.notify,
-                verifiedName: contact.verifiedName,
-                isMyContact: contact.name ? true : false
-            }))
-            
-            res.json({
-                contacts: basicContacts,
-                pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    total: contacts.length,
-                    totalPages: Math.ceil(contacts.length / parseInt(limit)),
-                    hasNext: endIndex < contacts.length,
-                    hasPrev: parseInt(page) > 1
-                },
-                syncInfo: { isFullySynced, syncAttempts }
-            })
+            for (const id of ids) account.messageStore.delete(id)
         }
+    })
+}
+
+// Trims memory to its window, then applies retention; runs hourly
+function enforceRetention() {
+    const account = accounts.current()
+    account.storage.cleanupOldMessages(account.messageStore, account.chatStore, MEMORY_MESSAGES_PER_CHAT)
+    try {
+        runRetention()
+    } catch (error) {
+        logger.error('Retention failed:', error)
+    }
+}
+
+app.get("/api/retention", (req, res) => {
+    res.json({ ...accounts.current().storage.getRetention(), memoryMessagesPerChat: MEMORY_MESSAGES_PER_CHAT })
+})
+
+// Body: { maxCount, maxAgeDays, maxBytes, keepStarred, keepPinned, archive };
+// fields left out keep their value, null or 0 removes a limit
+app.put("/api/retention", requirePin, (req, res) => {
+    try {
+        res.json(accounts.current().storage.setRetention(null, req.body || {}))
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.put("/api/retention/chats/:jid", requirePin, (req, res) => {
+    try {
+        const retention = accounts.current().storage.setRetention(formatJid(req.params.jid), req.body || {})
+        res.json({ chatId: formatJid(req.params.jid), policy: retention.chats[formatJid(req.params.jid)] })
+    } catch (error) {
+        res.status(400).json({ error: error.message })
+    }
+})
+
+app.delete("/api/retention/chats/:jid", requirePin, (req, res) => {
+    if (!accounts.current().storage.clearRetention(formatJid(req.params.jid))) {
+        return res.status(404).json({ error: "Chat has no retention policy of its own" })
+    }
+    res.json({ status: "ok" })
+})
+
+// Dry run: what the policies would remove or archive right now
+app.get("/api/retention/report", (req, res) => {
+    try {
+        res.json(runRetention({ dryRun: true }))
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-app.get("/api/contacts/count", (req, res) => {
+app.post("/api/retention/apply", requirePin, (req, res) => {
     try {
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        res.json({
-            totalContacts: contactStore.size,
-            withNames: Array.from(contactStore.values()).filter(c => c.name).length,
-            businessContacts: Array.from(contactStore.values()).filter(c => c.verifiedName).length,
-            syncInfo: { isFullySynced, syncAttempts }
-        })
+        res.json(runRetention())
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-app.post("/api/contacts/search", async (req, res) => {
+// Messages moved to cold storage, oldest first; ?before=<unix seconds> pages back
+app.get("/api/retention/archive/:jid", (req, res) => {
     try {
-        const { query, limit = 50 } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        if (!query || query.length < 2) {
-            return res.status(400).json({ error: "Query must be at least 2 characters" })
-        }
-        
-        const searchQuery = query.toLowerCase()
-        const contacts = Array.from(contactStore.values())
-        
-        const results = contacts.filter(contact => {
-            const name = (contact.name || contact.notify || contact.verifiedName || '').toLowerCase()
-            const number = contact.id.replace('@s.whatsapp.net', '')
-            
-            return name.includes(searchQuery) || number.includes(searchQuery)
-        }).slice(0, parseInt(limit))
-        
+        const limit = Math.max(1, Math.min(500, parseInt(req.query.limit) || 50))
+        const messages = accounts.current().storage.getArchivedMessages(formatJid(req.params.jid), {
+            limit,
+            before: parseInt(req.query.before) || Number.MAX_SAFE_INTEGER
+        })
         res.json({
-            query: query,
-            results: results.map(contact => ({
-                id: contact.id,
-                name: contact.name || contact.notify || contact.verifiedName,
-                notify: contact.notify,
-                verifiedName: contact.verifiedName,
-                number: contact.id.replace('@s.whatsapp.net', ''),
-                isMyContact: contact.name ? true : false
-            })),
-            total: results.length,
-            syncInfo: { isFullySynced, syncAttempts }
+            chatId: formatJid(req.params.jid),
+            messages: messages.map(msg => ({
+                id: msg.key.id,
+                fromMe: msg.key.fromMe,
+                timestamp: msg.messageTimestamp,
+                message: messageText(msg),
+                messageType: getContentType(msg.message)
+            }))
         })
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-// =================== ENHANCED CHAT ENDPOINTS ===================
+// =================== MESSAGE STATUS ===================
 
-app.get("/api/chats/with-numbers", async (req, res) => {
+// Compact WAP markers for the delivery state of our own messages
+const STATUS_TICKS = { error: '[!]', pending: '[.]', server_ack: '[v]', delivered: '[vv]', read: '[R]', played: '[P]' }
+
+function messageStatus(msg) {
+    return typeof msg?.status === 'number' ? MESSAGE_STATUS[msg.status] || null : null
+}
+
+function statusTicks(msg) {
+    if (!msg?.key?.fromMe) return ''
+    return STATUS_TICKS[messageStatus(msg)] || ''
+}
+
+// Loaded copy of a message, or the stored one for messages paged out of memory
+function storedMessage(key) {
+    if (!key?.id) return null
+    const msg = findMessage(key.id, key.remoteJid) || accounts.current().storage.getMessage(key.id)
+    return msg && (!key.remoteJid || msg.key?.remoteJid === key.remoteJid) ? msg : null
+}
+
+// Statuses only move forward (a late "delivered" must not undo "read"),
+// except for errors
+function applyMessageStatus(key, status) {
+    const msg = storedMessage(key)
+    if (!msg) return null
+    if (status !== 0 && status <= (msg.status || 0)) return msg
+    msg.status = status
+    accounts.current().storage.saveMessages([msg])
+    return msg
+}
+
+// Group messages get one receipt per participant (userReceipt on the message)
+function applyMessageReceipt(key, receipt) {
+    const msg = storedMessage(key)
+    if (!msg) return null
+    updateMessageWithReceipt(msg, receipt)
+    accounts.current().storage.saveMessages([msg])
+    return msg
+}
+
+function messageReceipts(msg) {
+    return (msg?.userReceipt || []).map(r => ({
+        userJid: r.userJid,
+        deliveredAt: Number(r.receiptTimestamp) || null,
+        readAt: Number(r.readTimestamp) || null,
+        playedAt: Number(r.playedTimestamp) || null
+    }))
+}
+
+// =================== MESSAGE SENDERS ===================
+
+// Group metadata maps participant ids (LIDs included) to phone numbers and
+// names. Fetched on demand and kept per account (account.groupMetadata) for
+// a while; membership changes drop it.
+const GROUP_METADATA_TTL_MS = 10 * 60 * 1000
+
+async function groupMetadataFor(gid) {
+    const account = accounts.current()
+    const cached = account.groupMetadata.get(gid)
+    if (cached && cached.expires > Date.now()) return cached.metadata
+    if (!account.sock || !gid.endsWith('@g.us')) return cached?.metadata || null
     try {
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        // Auto-sync if no chats and not synced yet
-        if (chatStore.size === 0 && !isFullySynced) {
-            console.log("💬 No chats found, attempting auto-sync...")
-            try {
-                const chats = await sock.groupFetchAllParticipating()
-                
-                Object.keys(chats).forEach(chatId => {
-                    if (!chatStore.has(chatId)) {
-                        chatStore.set(chatId, [])
-                    }
-                })
-                
-                console.log(`💬 Auto-synced ${Object.keys(chats).length} group chats`)
-                
-                // Wait for additional chat events
-                await delay(2000)
-                console.log(`💬 Total chats after wait: ${chatStore.size}`)
-            } catch (syncError) {
-                console.log("⚠️ Auto-sync failed:", syncError.message)
-            }
-        }
-        
-        const chats = Array.from(chatStore.keys()).map(chatId => {
-            const messages = chatStore.get(chatId) || []
-            const lastMessage = messages[messages.length - 1]
-            const contact = contactStore.get(chatId)
-            
-            const phoneNumber = chatId.replace('@s.whatsapp.net', '').replace('@g.us', '')
-            const isGroup = chatId.endsWith('@g.us')
-            
-            return {
-                id: chatId,
-                phoneNumber: isGroup ? null : phoneNumber,
-                groupId: isGroup ? phoneNumber : null,
-                isGroup: isGroup,
-                contact: {
-                    name: contact?.name || contact?.notify || contact?.verifiedName,
-                    isMyContact: contact?.name ? true : false
-                },
-                messageCount: messages.length,
-                lastMessage: lastMessage ? {
-                    id: lastMessage.key.id,
-                    message: extractMessageContent(lastMessage.message),
-                    timestamp: lastMessage.messageTimestamp,
-                    fromMe: lastMessage.key.fromMe
-                } : null
-            }
-        })
+        const metadata = await account.sock.groupMetadata(gid)
+        account.groupMetadata.set(gid, { metadata, expires: Date.now() + GROUP_METADATA_TTL_MS })
+        return metadata
+    } catch (error) {
+        logger.warn(`Failed to fetch metadata of ${gid}: ${error.message}`)
+        return cached?.metadata || null
+    }
+}
+
+// Metadata already fetched, for lists spanning many groups
+function cachedGroupMetadata(gid) {
+    return accounts.current().groupMetadata.get(gid)?.metadata || null
+}
+
+// Author of a message: { jid, number, name, pushName, label }. In groups
+// the participant is resolved through the group metadata (LID to phone
+// number), then named from the address book, the push name or the
+// metadata. Names not saved in the address book get the last digits of
+// the number, as two members may share a push name; unknown numbers show
+// the number itself, unresolved LIDs their last digits.
+function messageSender(msg, metadata = cachedGroupMetadata(msg?.key?.remoteJid || '')) {
+    const account = accounts.current()
+    const chatId = msg?.key?.remoteJid || ''
+    if (msg?.key?.fromMe) {
+        const jid = account.sock?.user?.id ? jidNormalizedUser(account.sock.user.id) : null
+        return { jid, number: jid ? jidFriendly(jid) : null, name: 'Me', pushName: null, label: 'Me' }
+    }
+
+    let jid = chatId.endsWith('@g.us') ? msg?.key?.participant || chatId : chatId
+    const participant = (metadata?.participants || []).find(p => p.id === jid || p.lid === jid)
+    const phoneJid = [participant?.phoneNumber, participant?.jid, participant?.id].find(id => id?.endsWith('@s.whatsapp.net'))
+    if (phoneJid) jid = phoneJid
+
+    const contact = account.contactStore.get(jid) || account.contactStore.get(msg?.key?.participant || '')
+    const pushName = msg?.pushName || null
+    const saved = contact?.name || null
+    const other = contact?.notify || contact?.verifiedName || pushName || participant?.notify || participant?.name || null
+    const number = jid.endsWith('@s.whatsapp.net') ? jidFriendly(jid) : null
+
+    let label
+    if (saved) label = saved
+    else if (other) label = number ? `${other} ~${number.slice(-4)}` : other
+    else label = number ? `+${number}` : `Unknown ~${jid.split('@')[0].slice(-4)}`
+
+    return { jid, number, name: saved || other, pushName, label }
+}
+
+// Sender of a message as the API reports it; null sender for our own
+function senderFields(msg, metadata) {
+    const sender = messageSender(msg, metadata)
+    return {
+        sender: msg.key.fromMe ? null : sender.jid,
+        senderNumber: msg.key.fromMe ? null : sender.number,
+        senderName: sender.label,
+        pushName: sender.pushName
+    }
+}
+
+// =================== READ STATE ===================
+
+// Opening a chat sends read receipts unless SEND_READ_RECEIPTS=false
+const SEND_READ_RECEIPTS = process.env.SEND_READ_RECEIPTS !== 'false'
+
+// Incoming messages after the local read marker, oldest first
+function unreadMessages(jid, state = {}) {
+    return (accounts.current().chatStore.get(jid) || [])
+        .filter(m => !m.key.fromMe && Number(m.messageTimestamp) > (state.lastReadAt || 0))
+        .sort((a, b) => Number(a.messageTimestamp) - Number(b.messageTimestamp))
+}
+
+// WhatsApp's own counter (chats.set / chats.update) when we have one,
+// otherwise the incoming messages after our read marker
+function unreadCountFor(jid, states = accounts.current().storage.getReadStates()) {
+    const state = states.get(jid) || {}
+    if (typeof state.unreadCount === 'number') {
+        return state.unreadCount < 0 ? 1 : state.unreadCount // -1 = marked unread on the phone
+    }
+    return state.lastReadAt ? unreadMessages(jid, state).length : 0
+}
+
+function totalUnread() {
+    const states = accounts.current().storage.getReadStates()
+    let total = 0
+    for (const jid of accounts.current().chatStore.keys()) total += unreadCountFor(jid, states)
+    return total
+}
+
+// chats.update reports new messages as a positive unreadCount increment;
+// 0 and -1 (marked unread) are absolute, as in Baileys' in-memory store
+function applyChatUpdates(updates) {
+    const states = accounts.current().storage.getReadStates()
+    accounts.current().storage.saveChats(updates.map(update => {
+        if (typeof update.unreadCount !== 'number' || update.unreadCount <= 0) return update
+        const current = Math.max(0, states.get(update.id)?.unreadCount || 0)
+        return { ...update, unreadCount: current + update.unreadCount }
+    }))
+}
+
+// Resets the chat's counter and moves the read marker to its newest message,
+// sending read receipts for what was unread when asked to
+async function markChatRead(jid, { sendReceipts = SEND_READ_RECEIPTS } = {}) {
+    const account = accounts.current()
+    const state = account.storage.getReadStates().get(jid) || {}
+    const messages = account.chatStore.get(jid) || []
+    const toRead = typeof state.unreadCount === 'number' && state.unreadCount > 0
+        ? unreadMessages(jid).slice(-state.unreadCount)
+        : unreadMessages(jid, state).slice(-100)
+    const newest = messages.reduce((max, m) => Math.max(max, Number(m.messageTimestamp) || 0), state.lastReadAt || 0)
+
+    account.storage.saveChats([{ id: jid, unreadCount: 0, lastReadAt: newest }])
+
+    const receipts = sendReceipts && account.sock && toRead.length > 0 ? await markMessagesRead(toRead) : 0
+    return { marked: toRead.length, receipts }
+}
+
+app.post("/api/send-reaction", async (req, res) => {
+    try {
+        const { to, messageId, emoji } = req.body
+        if (!to || !messageId) return res.status(400).json({ error: "to and messageId are required" })
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        chats.sort((a, b) => {
-            const aTime = a.lastMessage?.timestamp || 0
-            const bTime = b.lastMessage?.timestamp || 0
-            return bTime - aTime
-        })
+        const targetMessage = findMessage(messageId, to)
+        if (!targetMessage) {
+            return res.status(404).json({ error: "Message not found" })
+        }
         
-        res.json({ 
-            chats,
-            total: chats.length,
-            directChats: chats.filter(c => !c.isGroup).length,
-            groupChats: chats.filter(c => c.isGroup).length,
-            syncInfo: { isFullySynced, syncAttempts }
-        })
+        const result = await reactToMessage(to, targetMessage, emoji)
+        res.json({ status: "ok", messageId: result.key.id })
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-app.get("/api/chat/by-number/:number", async (req, res) => {
+app.post("/api/send-reply", async (req, res) => {
     try {
-        const { number } = req.params
-        const { limit = 50, offset = 0 } = req.query
-        
-        if (!sock) return res.status(500).json({ error: "Not connected" })
+        const { to, message, quotedMessageId } = req.body
+        if (!to || !quotedMessageId) return res.status(400).json({ error: "to and quotedMessageId are required" })
+        if (!String(message || '').trim()) return res.status(400).json({ error: "Message is required" })
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        const jid = formatJid(number)
-        const messages = chatStore.get(jid) || []
+        const quotedMessage = findMessage(quotedMessageId, to)
+        if (!quotedMessage) {
+            return res.status(404).json({ error: "Quoted message not found" })
+        }
         
-        const contact = contactStore.get(jid)
-        const profilePic = await sock.profilePictureUrl(jid).catch(() => null)
-        const status = await sock.fetchStatus(jid).catch(() => null)
+        const result = await replyToMessage(to, message, quotedMessage)
+        res.json({ status: "ok", messageId: result.key.id })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.post("/api/forward-message", async (req, res) => {
+    try {
+        const { messageId, to } = req.body
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        // Pagination
-        const startIndex = Math.max(0, messages.length - parseInt(limit) - parseInt(offset))
-        const endIndex = messages.length - parseInt(offset)
-        const paginatedMessages = messages.slice(startIndex, endIndex)
+        const targetMessage = findMessage(messageId)
+        if (!targetMessage) {
+            return res.status(404).json({ error: "Message not found" })
+        }
         
-        const formattedMessages = paginatedMessages.map(msg => ({
-            id: msg.key.id,
-            fromMe: msg.key.fromMe,
-            timestamp: msg.messageTimestamp,
-            message: extractMessageContent(msg.message),
-            messageType: getContentType(msg.message),
-            quoted: msg.message?.extendedTextMessage?.contextInfo?.quotedMessage ? true : false
-        }))
+        const recipients = Array.isArray(to) ? to : [to]
+        const results = await forwardMessage(targetMessage, recipients)
         
-        res.json({
-            number: number,
-            jid: jid,
-            contact: {
-                name: contact?.name || contact?.notify || contact?.verifiedName,
-                profilePicture: profilePic,
-                status: status?.status,
-                lastSeen: status?.setAt,
-                isMyContact: contact?.name ? true : false
-            },
-            chat: {
-                messages: formattedMessages,
-                total: messages.length,
-                showing: formattedMessages.length,
-                hasMore: startIndex > 0,
-                isGroup: jid.endsWith('@g.us')
-            },
-            syncInfo: { isFullySynced, syncAttempts }
-        })
+        res.json({ status: "ok", results })
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-app.get("/api/chat/exists/:number", (req, res) => {
+app.delete("/api/delete-message", requirePin, async (req, res) => {
     try {
-        const { number } = req.params
-        if (!sock) return res.status(500).json({ error: "Not connected" })
+        const { messageId, to } = req.body
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        const jid = formatJid(number)
-        const messages = chatStore.get(jid) || []
-        const contact = contactStore.get(jid)
+        const targetMessage = findMessage(messageId, to)
+        if (!targetMessage) {
+            return res.status(404).json({ error: "Message not found" })
+        }
         
-        res.json({
-            number: number,
-            jid: jid,
-            exists: messages.length > 0,
-            messageCount: messages.length,
-            hasContact: !!contact,
-            contactName: contact?.name || contact?.notify || contact?.verifiedName,
-            lastActivity: messages.length > 0 ? messages[messages.length - 1].messageTimestamp : null,
-            syncInfo: { isFullySynced, syncAttempts }
-        })
+        await deleteMessage(to, targetMessage)
+        res.json({ status: "ok" })
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-app.get("/api/chat/stats/:number", async (req, res) => {
+app.post("/api/read-messages", async (req, res) => {
     try {
-        const { number } = req.params
-        if (!sock) return res.status(500).json({ error: "Not connected" })
+        const { messageIds } = req.body
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        const jid = formatJid(number)
-        const messages = chatStore.get(jid) || []
-        const contact = contactStore.get(jid)
+        const messages = messageIds.map(id => findMessage(id))
+        const markedAsRead = await markMessagesRead(messages)
         
-        if (messages.length === 0) {
-            return res.json({
-                number: number,
-                jid: jid,
-                exists: false,
-                message: "No chat history found",
-                syncInfo: { isFullySynced, syncAttempts }
-            })
+        if (markedAsRead === 0) {
+            return res.status(404).json({ error: "No valid messages found" })
         }
         
-        // Calculate statistics
-        const myMessages = messages.filter(msg => msg.key.fromMe)
-        const theirMessages = messages.filter(msg => !msg.key.fromMe)
-        const mediaMessages = messages.filter(msg => {
-            const type = getContentType(msg.message)
-            return ['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage'].includes(type)
-        })
+        res.json({ status: "ok", markedAsRead })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+// =================== GROUP MANAGEMENT ===================
+
+app.post("/api/group-create", async (req, res) => {
+    try {
+        const { name, participants } = req.body
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        const firstMessage = messages[0]
-        const lastMessage = messages[messages.length - 1]
+        const participantJids = participants.map(jid => formatJid(jid))
+        const group = await accounts.current().sock.groupCreate(name, participantJids)
         
-        // Message types breakdown
-        const messageTypes = {}
-        messages.forEach(msg => {
-            const type = getContentType(msg.message) || 'unknown'
-            messageTypes[type] = (messageTypes[type] || 0) + 1
-        })
+        res.json({ status: "ok", groupId: group.id })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.get("/api/groups", async (req, res) => {
+    try {
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        res.json({
-            number: number,
-            jid: jid,
-            contact: {
-                name: contact?.name || contact?.notify || contact?.verifiedName,
-                isMyContact: contact?.name ? true : false
-            },
-            statistics: {
-                totalMessages: messages.length,
-                myMessages: myMessages.length,
-                theirMessages: theirMessages.length,
-                mediaMessages: mediaMessages.length,
-                messageTypes: messageTypes,
-                firstMessage: {
-                    timestamp: firstMessage.messageTimestamp,
-                    fromMe: firstMessage.key.fromMe
-                },
-                lastMessage: {
-                    timestamp: lastMessage.messageTimestamp,
-                    fromMe: lastMessage.key.fromMe
-                },
-                chatDuration: lastMessage.messageTimestamp - firstMessage.messageTimestamp
-            },
-            syncInfo: { isFullySynced, syncAttempts }
-        })
+        const groups = await accounts.current().sock.groupFetchAllParticipating()
+        res.json({ groups: Object.values(groups) })
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-app.post("/api/chats/bulk-by-numbers", async (req, res) => {
+app.get("/api/group/:groupId/metadata", async (req, res) => {
     try {
-        const { numbers, includeMessages = false, messageLimit = 10 } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        if (!Array.isArray(numbers)) {
-            return res.status(400).json({ error: "Numbers must be an array" })
-        }
+        const { groupId } = req.params
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        const results = []
+        const metadata = await accounts.current().sock.groupMetadata(groupId)
+        res.json({ group: metadata })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.post("/api/group/:groupId/participants", async (req, res) => {
+    try {
+        const { groupId } = req.params
+        const { participants, action } = req.body
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        for (const number of numbers) {
-            try {
-                const jid = formatJid(number)
-                const messages = chatStore.get(jid) || []
-                const contact = contactStore.get(jid)
-                
-                const result = {
-                    number: number,
-                    jid: jid,
-                    exists: messages.length > 0,
-                    messageCount: messages.length,
-                    contact: {
-                        name: contact?.name || contact?.notify || contact?.verifiedName,
-                        isMyContact: contact?.name ? true : false
-                    }
-                }
-                
-                if (includeMessages && messages.length > 0) {
-                    const recentMessages = messages.slice(-parseInt(messageLimit))
-                    result.recentMessages = recentMessages.map(msg => ({
-                        id: msg.key.id,
-                        fromMe: msg.key.fromMe,
-                        timestamp: msg.messageTimestamp,
-                        message: extractMessageContent(msg.message),
-                        messageType: getContentType(msg.message)
-                    }))
-                }
-                
-                results.push(result)
-            } catch (error) {
-                results.push({
-                    number: number,
-                    error: error.message
-                })
-            }
-        }
+        const participantJids = participants.map(jid => formatJid(jid))
+        const result = await accounts.current().sock.groupParticipantsUpdate(groupId, participantJids, action)
         
-        res.json({
-            results,
-            total: results.length,
-            withChats: results.filter(r => r.exists).length,
-            withoutChats: results.filter(r => !r.exists && !r.error).length,
-            errors: results.filter(r => r.error).length,
-            syncInfo: { isFullySynced, syncAttempts }
-        })
+        res.json({ status: "ok", result })
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-// =================== OTHER ENDPOINTS ===================
-
-app.get("/api/contacts", async (req, res) => {
+app.post("/api/group/:groupId/subject", async (req, res) => {
     try {
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const contacts = Array.from(contactStore.values())
+        const { groupId } = req.params
+        const { subject } = req.body
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        const enrichedContacts = []
-        for (const contact of contacts.slice(0, 50)) {
-            try {
-                const profilePic = await sock.profilePictureUrl(contact.id, 'image').catch(() => null)
-                const status = await sock.fetchStatus(contact.id).catch(() => null)
-                
-                enrichedContacts.push({
-                    id: contact.id,
-                    name: contact.name || contact.notify || contact.verifiedName,
-                    profilePicture: profilePic,
-                    status: status?.status,
-                    isMyContact: contact.name ? true : false,
-                    lastSeen: status?.setAt
-                })
-                
-                await delay(100)
-            } catch (error) {
-                enrichedContacts.push({
-                    id: contact.id,
-                    name: contact.name || contact.notify || contact.verifiedName,
-                    error: error.message
-                })
-            }
-        }
+        await accounts.current().sock.groupUpdateSubject(groupId, subject)
+        res.json({ status: "ok" })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.post("/api/group/:groupId/description", async (req, res) => {
+    try {
+        const { groupId } = req.params
+        const { description } = req.body
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        res.json({ 
-            contacts: enrichedContacts,
-            total: contactStore.size,
-            showing: enrichedContacts.length,
-            syncInfo: { isFullySynced, syncAttempts }
-        })
+        await accounts.current().sock.groupUpdateDescription(groupId, description)
+        res.json({ status: "ok" })
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-app.get("/api/chats", async (req, res) => {
+app.post("/api/group/:groupId/settings", async (req, res) => {
     try {
-        if (!sock) return res.status(500).json({ error: "Not connected" })
+        const { groupId } = req.params
+        const { setting, value } = req.body
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        const chats = Array.from(chatStore.keys()).map(chatId => {
-            const messages = chatStore.get(chatId) || []
-            const lastMessage = messages[messages.length - 1]
-            
-            return {
-                id: chatId,
-                isGroup: chatId.endsWith('@g.us'),
-                messageCount: messages.length,
-                lastMessage: lastMessage ? {
-                    id: lastMessage.key.id,
-                    message: extractMessageContent(lastMessage.message),
-                    timestamp: lastMessage.messageTimestamp,
-                    fromMe: lastMessage.key.fromMe
-                } : null
-            }
-        })
+        await accounts.current().sock.groupSettingUpdate(groupId, setting, value)
+        res.json({ status: "ok" })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.get("/api/group/:groupId/invite-code", async (req, res) => {
+    try {
+        const { groupId } = req.params
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        chats.sort((a, b) => {
-            const aTime = a.lastMessage?.timestamp || 0
-            const bTime = b.lastMessage?.timestamp || 0
-            return bTime - aTime
+        const code = await accounts.current().sock.groupInviteCode(groupId)
+        res.json({ 
+            inviteCode: code, 
+            inviteUrl: `https://chat.whatsapp.com/${code}`
         })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.post("/api/group/:groupId/revoke-invite", async (req, res) => {
+    try {
+        const { groupId } = req.params
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
+        const newCode = await accounts.current().sock.groupRevokeInvite(groupId)
         res.json({ 
-            chats,
-            total: chats.length,
-            syncInfo: { isFullySynced, syncAttempts }
+            status: "ok", 
+            newInviteCode: newCode,
+            newInviteUrl: `https://chat.whatsapp.com/${newCode}`
         })
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-app.get("/api/messages/:jid", async (req, res) => {
+app.post("/api/group/:groupId/leave", requirePin, async (req, res) => {
     try {
-        const { jid } = req.params
-        const { limit = 50, offset = 0 } = req.query
-        
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const formattedJid = formatJid(jid)
-        const messages = chatStore.get(formattedJid) || []
-        
-        const startIndex = Math.max(0, messages.length - parseInt(limit) - parseInt(offset))
-        const endIndex = messages.length - parseInt(offset)
-        const paginatedMessages = messages.slice(startIndex, endIndex)
-        
-        const formattedMessages = paginatedMessages.map(msg => ({
-            id: msg.key.id,
-            fromMe: msg.key.fromMe,
-            timestamp: msg.messageTimestamp,
-            message: extractMessageContent(msg.message),
-            messageType: getContentType(msg.message),
-            quoted: msg.message?.extendedTextMessage?.contextInfo?.quotedMessage ? true : false
-        }))
+        const { groupId } = req.params
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        res.json({
-            jid: formattedJid,
-            messages: formattedMessages,
-            total: messages.length,
-            showing: formattedMessages.length,
-            hasMore: startIndex > 0,
-            syncInfo: { isFullySynced, syncAttempts }
-        })
+        await accounts.current().sock.groupLeave(groupId)
+        res.json({ status: "ok" })
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-app.post("/api/search-messages", async (req, res) => {
+// =================== MEDIA & UTILITIES ===================
+
+app.post("/api/download-media", async (req, res) => {
     try {
-        const { query, jid, limit = 50 } = req.body
+        const { messageId } = req.body
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        if (!query || query.length < 2) {
-            return res.status(400).json({ error: "Query must be at least 2 characters" })
+        const message = accounts.current().messageStore.get(messageId)
+        if (!message) {
+            return res.status(404).json({ error: "Message not found" })
         }
         
-        const results = []
-        const searchQuery = query.toLowerCase()
+        const contentType = getContentType(message.message)
+        if (!['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage'].includes(contentType)) {
+            return res.status(400).json({ error: "No downloadable media" })
+        }
         
-        const chatsToSearch = jid ? [formatJid(jid)] : Array.from(chatStore.keys())
+        const mediaData = await downloadMediaMessage(message, 'buffer', {})
+        if (!mediaData) {
+            return res.status(400).json({ error: "Failed to download media" })
+        }
         
-        for (const chatId of chatsToSearch) {
-            const messages = chatStore.get(chatId) || []
-            
-            for (const msg of messages) {
-                const content = extractMessageContent(msg.message)
-                const messageText = content?.conversation || 
-                                  content?.extendedTextMessage?.text || 
-                                  content?.imageMessage?.caption ||
-                                  content?.videoMessage?.caption || ''
-                
-                if (messageText.toLowerCase().includes(searchQuery)) {
-                    results.push({
-                        chatId,
-                        messageId: msg.key.id,
-                        fromMe: msg.key.fromMe,
-                        timestamp: msg.messageTimestamp,
-                        message: messageText,
-                        messageType: getContentType(msg.message)
-                    })
-                    
-                    if (results.length >= limit) break
-                }
-            }
-            
-            if (results.length >= limit) break
+        const fileName = `media_${messageId}_${Date.now()}`
+        const filePath = path.join(__dirname, "downloads", fileName)
+        
+        if (!fs.existsSync(path.dirname(filePath))) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true })
         }
         
-        results.sort((a, b) => b.timestamp - a.timestamp)
+        fs.writeFileSync(filePath, mediaData)
         
-        res.json({
-            query: query,
-            results,
-            total: results.length,
-            syncInfo: { isFullySynced, syncAttempts }
+        res.json({ 
+            status: "ok", 
+            fileName,
+            filePath,
+            contentType,
+            size: mediaData.length
         })
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-app.get("/api/contact/:jid", async (req, res) => {
+app.get("/api/privacy", async (req, res) => {
     try {
-        const { jid } = req.params
-        if (!sock) return res.status(500).json({ error: "Not connected" })
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        const formattedJid = formatJid(jid)
-        const profilePic = await sock.profilePictureUrl(formattedJid).catch(() => null)
-        const status = await sock.fetchStatus(formattedJid).catch(() => null)
-        const businessProfile = await sock.getBusinessProfile(formattedJid).catch(() => null)
-        
-        res.json({
-            jid: formattedJid,
-            profilePicture: profilePic,
-            status: status?.status,
-            businessProfile,
-            syncInfo: { isFullySynced, syncAttempts }
-        })
+        const privacy = await accounts.current().sock.fetchPrivacySettings()
+        res.json({ privacySettings: privacy })
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-app.post("/api/block/:jid", async (req, res) => {
+app.post("/api/privacy", async (req, res) => {
     try {
-        const { jid } = req.params
-        if (!sock) return res.status(500).json({ error: "Not connected" })
+        const { setting, value } = req.body
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        await sock.updateBlockStatus(formatJid(jid), 'block')
-        res.json({ status: "Contact blocked" })
+        await accounts.current().sock.updatePrivacySettings({ [setting]: value })
+        res.json({ status: "ok" })
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-app.post("/api/unblock/:jid", async (req, res) => {
+app.post("/api/send-status", async (req, res) => {
     try {
-        const { jid } = req.params
-        if (!sock) return res.status(500).json({ error: "Not connected" })
+        const { type, content } = req.body
+        if (!['text', 'image', 'video'].includes(type)) {
+            return res.status(400).json({ error: "type must be one of text, image, video" })
+        }
+        if (!String(content || '').trim()) return res.status(400).json({ error: "Content is required" })
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
-        await sock.updateBlockStatus(formatJid(jid), 'unblock')
-        res.json({ status: "Contact unblocked" })
+        let statusMessage = {}
+        
+        if (type === 'text') {
+            statusMessage = { text: content }
+        } else if (type === 'image') {
+            const response = await axios.get(content, { responseType: "arraybuffer" })
+            statusMessage = { image: response.data }
+        } else if (type === 'video') {
+            const response = await axios.get(content, { responseType: "arraybuffer" })
+            statusMessage = { video: response.data }
+        }
+        
+        const result = await accounts.current().sock.sendMessage('status@broadcast', statusMessage)
+        res.json({ status: "ok", messageId: result.key.id })
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-app.post("/api/check-numbers", async (req, res) => {
+app.post("/api/send-broadcast", requirePin, async (req, res) => {
     try {
-        const { numbers } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
+        const { message, recipients, delay: msgDelay = 2000 } = req.body
+        if (!Array.isArray(recipients) || recipients.length === 0) {
+            return res.status(400).json({ error: "Recipients must be a non-empty array" })
+        }
+        if (!String(message || '').trim()) return res.status(400).json({ error: "Message is required" })
+        if (!accounts.current().sock) return res.status(500).json({ error: "Not connected" })
         
         const results = []
-        for (const number of numbers) {
-            const jid = formatJid(number)
-            const exists = await sock.onWhatsApp(jid)
-            results.push({
-                number,
-                jid,
-                exists: exists.length > 0,
-                details: exists[0] || null
-            })
-            await delay(500)
+        
+        for (let i = 0; i < recipients.length; i++) {
+            try {
+                const result = await accounts.current().sock.sendMessage(formatJid(recipients[i]), { text: message })
+                results.push({ 
+                    recipient: formatJid(recipients[i]), 
+                    status: 'sent', 
+                    messageId: result.key.id 
+                })
+                
+                if (i < recipients.length - 1) {
+                    await delay(parseInt(msgDelay))
+                }
+            } catch (error) {
+                results.push({ 
+                    recipient: formatJid(recipients[i]), 
+                    status: 'failed', 
+                    error: error.message 
+                })
+            }
         }
         
-        res.json({ results })
+        res.json({ status: "ok", results })
     } catch (error) {
         res.status(500).json({ error: error.message })
     }
 })
 
-// =================== SEND MESSAGE ENDPOINTS ===================
 
-app.post("/api/send-text", async (req, res) => {
-    try {
-        const { to, message } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const result = await sock.sendMessage(formatJid(to), { text: message })
-        res.json({ status: "ok", messageId: result.key.id })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
-})
 
-app.post("/api/send-image", async (req, res) => {
+app.get('/wml/me.wml', async (req, res) => {
+  const account = accounts.current()
+  try {
+    if (!account.sock) {
+      sendWml(res, resultCard('Error', ['Not connected to WhatsApp'], '/wml/home.wml'))
+      return
+    }
+    
+    const user = account.sock.user
+    let profilePic = null
+    let status = null
+    
     try {
-        const { to, imageUrl, caption } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const response = await axios.get(imageUrl, { responseType: "arraybuffer" })
-        const result = await sock.sendMessage(formatJid(to), { 
-            image: response.data, 
-            caption 
-        })
-        res.json({ status: "ok", messageId: result.key.id })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
+      profilePic = await account.sock.profilePictureUrl(user.id).catch(() => null)
+      status = await account.sock.fetchStatus(user.id).catch(() => null)
+    } catch (e) {
+      // Silent fail for optional features
     }
+    
+    const body = `
+     
+      <p><b>My Profile</b></p>
+      <p>Name: <b>${esc(user?.name || user?.notify || 'Unknown')}</b></p>
+      <p>Number: ${esc(user?.id?.replace('@s.whatsapp.net', '') || 'Unknown')}</p>
+      <p>JID: <small>${esc(user?.id || 'Unknown')}</small></p>
+      ${status ? `<p>Status: <em>${esc(status.status || 'No status')}</em></p>` : ''}
+      
+      <p><b>Profile Actions:</b></p>
+      <p>
+        <a href="/wml/profile.edit-name.wml" accesskey="1">[1] Edit Name</a><br/>
+        <a href="/wml/profile.edit-status.wml" accesskey="2">[2] Edit Status</a><br/>
+        <a href="/wml/profile.picture.wml" accesskey="3">[3] Profile Picture</a><br/>
+      </p>
+      
+      <p><b>Account Info:</b></p>
+      <p>Connected: ${esc(account.connectionState)}</p>
+      <p>Sync Status: ${account.isFullySynced ? 'Complete' : 'In Progress'}</p>
+      <p>Data: ${account.contactStore.size} contacts, ${account.chatStore.size} chats</p>
+      
+      ${navigationBar()}
+      
+      <do type="accept" label="Edit">
+        <go href="/wml/profile.edit-name.wml"/>
+      </do>
+    `
+    
+    sendWml(res, card('me', 'My Profile', body))
+  } catch (e) {
+    sendWml(res, resultCard('Error', [e.message || 'Failed to load profile'], '/wml/home.wml'))
+  }
 })
 
-app.post("/api/send-video", async (req, res) => {
-    try {
-        const { to, videoUrl, caption } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const response = await axios.get(videoUrl, { responseType: "arraybuffer" })
-        const result = await sock.sendMessage(formatJid(to), { 
-            video: response.data, 
-            caption 
-        })
-        res.json({ status: "ok", messageId: result.key.id })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+// Presence page - was referenced but not implemented
+app.get('/wml/presence.wml', (req, res) => {
+  if (!accounts.current().sock) {
+    sendWml(res, resultCard('Error', ['Not connected to WhatsApp'], '/wml/home.wml'))
+    return
+  }
+  
+  const body = `
+    <p><b>Update Presence</b></p>
+    <p>Set your availability status:</p>
+    
+    <p><b>Global Presence:</b></p>
+    <p>
+      <a href="/wml/presence.set.wml?type=available" accesskey="1">[1] Available</a><br/>
+      <a href="/wml/presence.set.wml?type=unavailable" accesskey="2">[2] Unavailable</a><br/>
+      <a href="/wml/presence.set.wml?type=composing" accesskey="3">[3] Typing</a><br/>
+      <a href="/wml/presence.set.wml?type=recording" accesskey="4">[4] Recording</a><br/>
+      <a href="/wml/presence.set.wml?type=paused" accesskey="5">[5] Paused</a><br/>
+    </p>
+    
+    <p><b>Chat-Specific:</b></p>
+    <p>Contact/Group JID:</p>
+    <input name="jid" title="JID" size="20"/>
+    
+    <p>Presence type:</p>
+    <select name="presence" title="Presence">
+      <option value="available">Available</option>
+      <option value="unavailable">Unavailable</option>
+      <option value="composing">Typing</option>
+      <option value="recording">Recording</option>
+      <option value="paused">Paused</option>
+    </select>
+    
+    <do type="accept" label="Set">
+      <go method="post" href="/wml/presence.set">
+        <postfield name="jid" value="$(jid)"/>
+        <postfield name="presence" value="$(presence)"/>
+      </go>
+    </do>
+    
+    ${navigationBar()}
+  `
+  
+  sendWml(res, card('presence', 'Presence', body))
 })
 
-app.post("/api/send-audio", async (req, res) => {
-    try {
-        const { to, audioUrl, ptt = false } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const response = await axios.get(audioUrl, { responseType: "arraybuffer" })
-        const result = await sock.sendMessage(formatJid(to), { 
-            audio: response.data, 
-            ptt,
-            mimetype: 'audio/mp4'
-        })
-        res.json({ status: "ok", messageId: result.key.id })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
+// Privacy page - was referenced but not implemented
+app.get('/wml/privacy.wml', async (req, res) => {
+  try {
+    if (!accounts.current().sock) {
+      sendWml(res, resultCard('Error', ['Not connected to WhatsApp'], '/wml/home.wml'))
+      return
     }
-})
-
-app.post("/api/send-document", async (req, res) => {
+    
+    let privacySettings = null
     try {
-        const { to, documentUrl, fileName, mimetype } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const response = await axios.get(documentUrl, { responseType: "arraybuffer" })
-        const result = await sock.sendMessage(formatJid(to), { 
-            document: response.data,
-            fileName: fileName || 'document',
-            mimetype: mimetype || 'application/octet-stream'
-        })
-        res.json({ status: "ok", messageId: result.key.id })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
+      privacySettings = await accounts.current().sock.fetchPrivacySettings()
+    } catch (e) {
+      // Silent fail
     }
+    
+    const body = `
+    
+      <p><b>Privacy Settings</b></p>
+      
+      ${privacySettings ? `
+      <p><b>Current Settings:</b></p>
+      <p>Last Seen: ${esc(privacySettings.lastSeen || 'Unknown')}</p>
+      <p>Profile Photo: ${esc(privacySettings.profilePicture || 'Unknown')}</p>
+      <p>Status: ${esc(privacySettings.status || 'Unknown')}</p>
+      <p>Read Receipts: ${esc(privacySettings.readReceipts || 'Unknown')}</p>
+      ` : '<p><em>Privacy settings unavailable</em></p>'}
+      
+      <p><b>Privacy Actions:</b></p>
+      <p>
+        <a href="/wml/privacy.lastseen.wml" accesskey="1">[1] Last Seen</a><br/>
+        <a href="/wml/privacy.profile.wml" accesskey="2">[2] Profile Photo</a><br/>
+        <a href="/wml/privacy.status.wml" accesskey="3">[3] Status Privacy</a><br/>
+        <a href="/wml/privacy.receipts.wml" accesskey="4">[4] Read Receipts</a><br/>
+        <a href="/wml/privacy.groups.wml" accesskey="5">[5] Groups</a><br/>
+      </p>
+      
+      <p><b>Blocked Contacts:</b></p>
+      <p>
+        <a href="/wml/blocked.list.wml" accesskey="7">[7] View Blocked</a><br/>
+        <a href="/wml/block.contact.wml" accesskey="8">[8] Block Contact</a><br/>
+      </p>
+      
+      ${navigationBar()}
+      
+      <do type="accept" label="Refresh">
+        <go href="/wml/privacy.wml"/>
+      </do>
+    `
+    
+    sendWml(res, card('privacy', 'Privacy', body))
+  } catch (e) {
+    sendWml(res, resultCard('Error', [e.message || 'Failed to load privacy settings'], '/wml/home.wml'))
+  }
 })
 
-app.post("/api/send-sticker", async (req, res) => {
-    try {
-        const { to, imageUrl } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const response = await axios.get(imageUrl, { responseType: "arraybuffer" })
-        const result = await sock.sendMessage(formatJid(to), { sticker: response.data })
-        res.json({ status: "ok", messageId: result.key.id })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
-})
+// =================== POST HANDLERS FOR QUICK ACTIONS ===================
 
-app.post("/api/send-location", async (req, res) => {
-    try {
-        const { to, latitude, longitude, name } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const result = await sock.sendMessage(formatJid(to), { 
-            location: { 
-                degreesLatitude: parseFloat(latitude), 
-                degreesLongitude: parseFloat(longitude),
-                name
-            } 
-        })
-        res.json({ status: "ok", messageId: result.key.id })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
+// Presence setting handler
+app.post('/wml/presence.set', async (req, res) => {
+  const account = accounts.current()
+  try {
+    const { jid, presence = 'available' } = req.body
+    const type = req.query.type || presence
+    
+    if (!account.sock) {
+      sendWml(res, resultCard('Error', ['Not connected to WhatsApp'], '/wml/presence.wml'))
+      return
     }
-})
-
-app.post("/api/send-contact", async (req, res) => {
-    try {
-        const { to, contacts } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const contactList = Array.isArray(contacts) ? contacts : [contacts]
-        const vCards = contactList.map(contact => ({
-            displayName: contact.name,
-            vcard: `BEGIN:VCARD\nVERSION:3.0\nFN:${contact.name}\nTEL;type=CELL:${contact.number}\nEND:VCARD`
-        }))
-        
-        const result = await sock.sendMessage(formatJid(to), { 
-            contacts: { 
-                displayName: `${contactList.length} contact${contactList.length > 1 ? 's' : ''}`,
-                contacts: vCards
-            } 
-        })
-        res.json({ status: "ok", messageId: result.key.id })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
+    
+    if (jid && jid.trim()) {
+      await account.sock.sendPresenceUpdate(type, formatJid(jid.trim()))
+      sendWml(res, resultCard('Presence Updated', [
+        `Set ${type} for ${esc(jid.trim())}`,
+        'Presence updated successfully'
+      ], '/wml/presence.wml', true))
+    } else {
+      await account.sock.sendPresenceUpdate(type)
+      sendWml(res, resultCard('Presence Updated', [
+        `Global presence set to ${type}`,
+        'Presence updated successfully'
+      ], '/wml/presence.wml', true))
     }
+  } catch (e) {
+    sendWml(res, resultCard('Presence Failed', [e.message || 'Failed to update presence'], '/wml/presence.wml'))
+  }
 })
 
-app.post("/api/send-poll", async (req, res) => {
-    try {
-        const { to, name, values, selectableCount = 1 } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const result = await sock.sendMessage(formatJid(to), {
-            poll: {
-                name,
-                values,
-                selectableCount: Math.min(selectableCount, values.length)
-            }
-        })
-        res.json({ status: "ok", messageId: result.key.id })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
+// Quick presence setting via GET for simple links
+app.get('/wml/presence.set.wml', async (req, res) => {
+  const account = accounts.current()
+  try {
+    const { type = 'available', jid } = req.query
+    
+    if (!account.sock) {
+      sendWml(res, resultCard('Error', ['Not connected to WhatsApp'], '/wml/presence.wml'))
+      return
+    }
+    
+    if (jid && jid.trim()) {
+      await account.sock.sendPresenceUpdate(type, formatJid(jid.trim()))
+      sendWml(res, resultCard('Presence Updated', [
+        `Set ${type} for ${esc(jid.trim())}`,
+        'Presence updated successfully'
+      ], '/wml/presence.wml', true))
+    } else {
+      await account.sock.sendPresenceUpdate(type)
+      sendWml(res, resultCard('Global Presence Updated', [
+        `Presence set to: ${type}`,
+        'All contacts will see this status'
+      ], '/wml/presence.wml', true))
     }
+  } catch (e) {
+    sendWml(res, resultCard('Presence Failed', [e.message || 'Failed to update presence'], '/wml/presence.wml'))
+  }
 })
 
-app.post("/api/send-reaction", async (req, res) => {
-    try {
-        const { to, messageId, emoji } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const targetMessage = messageStore.get(messageId)
-        if (!targetMessage) {
-            return res.status(404).json({ error: "Message not found" })
-        }
-        
-        const result = await sock.sendMessage(formatJid(to), { 
-            react: { 
-                text: emoji, 
-                key: targetMessage.key 
-            } 
-        })
-        res.json({ status: "ok", messageId: result.key.id })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+// =================== MISSING UTILITY ENDPOINTS ===================
+
+// Broadcast page - was referenced but missing
+app.get('/wml/broadcast.wml', (req, res) => {
+  const body = `
+    <p><b>Broadcast Message</b></p>
+    <p>Send message to multiple contacts</p>
+    
+    <p>Recipients (comma-separated):</p>
+    <input name="recipients" title="Phone numbers" size="25" maxlength="500"/>
+    
+    <p>Message:</p>
+    <input name="message" title="Your message" size="30" maxlength="1000"/>
+    
+    <p>Delay between sends (ms):</p>
+    <select name="delay" title="Delay">
+      <option value="1000">1 second</option>
+      <option value="2000">2 seconds</option>
+      <option value="5000">5 seconds</option>
+      <option value="10000">10 seconds</option>
+    </select>
+    ${pinField()}
+    
+    <do type="accept" label="Send">
+      <go method="post" href="/wml/broadcast.send">
+        <postfield name="recipients" value="$(recipients)"/>
+        <postfield name="message" value="$(message)"/>
+        <postfield name="delay" value="$(delay)"/>
+        <postfield name="pin" value="$(pin)"/>
+      </go>
+    </do>
+    
+    <p>
+      <a href="/wml/contacts.wml" accesskey="1">[1] Select from Contacts</a> |
+      <a href="/wml/home.wml" accesskey="0">[0] Home</a>
+    </p>
+  `
+  
+  sendWml(res, card('broadcast', 'Broadcast', body))
 })
 
-app.post("/api/send-reply", async (req, res) => {
-    try {
-        const { to, message, quotedMessageId } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const quotedMessage = messageStore.get(quotedMessageId)
-        if (!quotedMessage) {
-            return res.status(404).json({ error: "Quoted message not found" })
-        }
-        
-        const result = await sock.sendMessage(formatJid(to), { text: message }, { quoted: quotedMessage })
-        res.json({ status: "ok", messageId: result.key.id })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
+app.post('/wml/broadcast.send', async (req, res) => {
+  const recipients = parseList(req.body.recipients).map(formatJid)
+  const message = String(req.body.message || '').trim()
+  const pause = Math.max(1000, parseInt(req.body.delay) || 2000)
+  try {
+    auth.confirmPin(req.body.pin, req.ip)
+    if (!accounts.current().sock) throw new Error('Not connected')
+    if (!recipients.length) throw new Error('No recipients')
+    if (!message) throw new Error('Message is empty')
+
+    let sent = 0
+    for (let i = 0; i < recipients.length; i++) {
+      try {
+        await accounts.current().sock.sendMessage(recipients[i], { text: message })
+        sent++
+      } catch (error) {
+        logger.warn(`Broadcast to ${recipients[i]} failed: ${error.message}`)
+      }
+      if (i < recipients.length - 1) await delay(pause)
     }
-})
 
-app.post("/api/forward-message", async (req, res) => {
-    try {
-        const { messageId, to } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const targetMessage = messageStore.get(messageId)
-        if (!targetMessage) {
-            return res.status(404).json({ error: "Message not found" })
-        }
-        
-        const recipients = Array.isArray(to) ? to : [to]
-        const results = []
-        
-        for (const recipient of recipients) {
-            try {
-                const result = await sock.relayMessage(formatJid(recipient), targetMessage.message, {})
-                results.push({ recipient: formatJid(recipient), status: 'sent', messageId: result.key.id })
-            } catch (error) {
-                results.push({ recipient: formatJid(recipient), status: 'failed', error: error.message })
-            }
-            await delay(1000)
-        }
-        
-        res.json({ status: "ok", results })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+    sendWml(res, resultCard('Broadcast Sent', [
+      `Sent: ${sent}/${recipients.length}`,
+      `Message: ${truncate(message, 40)}`
+    ], '/wml/home.wml', false))
+  } catch (e) {
+    sendWml(res, resultCard('Broadcast Failed', [e.message || 'Failed to send'], '/wml/broadcast.wml', false))
+  }
 })
 
-app.delete("/api/delete-message", async (req, res) => {
-    try {
-        const { messageId, to } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const targetMessage = messageStore.get(messageId)
-        if (!targetMessage) {
-            return res.status(404).json({ error: "Message not found" })
-        }
-        
-        await sock.sendMessage(formatJid(to), { delete: targetMessage.key })
-        res.json({ status: "ok" })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
-})
+// Debug page - was referenced but missing  
+app.get('/wml/debug.wml', (req, res) => {
+  const account = accounts.current()
+  const memUsage = process.memoryUsage()
+  const uptime = Math.floor(process.uptime())
+  
+  const body = `
 
-app.post("/api/read-messages", async (req, res) => {
-    try {
-        const { messageIds } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const keys = messageIds.map(id => {
-            const msg = messageStore.get(id)
-            return msg ? msg.key : null
-        }).filter(Boolean)
-        
-        if (keys.length === 0) {
-            return res.status(404).json({ error: "No valid messages found" })
-        }
-        
-        await sock.readMessages(keys)
-        res.json({ status: "ok", markedAsRead: keys.length })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+    <p><b>Debug Information</b></p>
+    
+    <p><b>Connection:</b></p>
+    <p>State: ${esc(account.connectionState)}</p>
+    <p>Socket: ${account.sock ? 'Active' : 'Null'}</p>
+    <p>User: ${account.sock?.user?.id ? esc(account.sock.user.id) : 'None'}</p>
+    <p>QR: ${account.currentQR ? 'Available' : 'None'}</p>
+    
+    <p><b>Data Stores:</b></p>
+    <p>Contacts: ${account.contactStore.size}</p>
+    <p>Chats: ${account.chatStore.size}</p>
+    <p>Messages: ${account.messageStore.size}</p>
+    <p>Sync Status: ${account.isFullySynced ? 'Complete' : 'Pending'}</p>
+    <p>Sync Attempts: ${account.syncAttempts}</p>
+    
+    <p><b>System:</b></p>
+    <p>Uptime: ${uptime}s</p>
+    <p>Memory: ${Math.round(memUsage.rss / 1024 / 1024)}MB</p>
+    <p>Node: ${process.version}</p>
+    <p>Env: ${process.env.NODE_ENV || 'dev'}</p>
+    
+    <p><b>Debug Actions:</b></p>
+    <p>
+      <a href="/wml/debug.stores.wml" accesskey="1">[1] Store Details</a><br/>
+      <a href="/wml/debug.logs.wml" accesskey="2">[2] Recent Logs</a><br/>
+      <a href="/wml/debug.test.wml" accesskey="3">[3] Connection Test</a><br/>
+      <a href="/wml/debug.webhooks.wml" accesskey="4">[4] Webhook Deliveries</a><br/>
+    </p>
+    
+    ${navigationBar()}
+    
+    <do type="accept" label="Refresh">
+      <go href="/wml/debug.wml"/>
+    </do>
+  `
+  
+  sendWml(res, card('debug', 'Debug', body, '/wml/debug.wml'))
 })
 
-// =================== GROUP MANAGEMENT ===================
+// Webhook registrations and the most recent delivery attempts
+app.get('/wml/debug.webhooks.wml', (req, res) => {
+  const account = accounts.current().id
+  const { pending, log } = webhooks.deliveries(15, { account })
+  const hooks = webhooks.list({ account })
 
-app.post("/api/group-create", async (req, res) => {
-    try {
-        const { name, participants } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const participantJids = participants.map(jid => formatJid(jid))
-        const group = await sock.groupCreate(name, participantJids)
-        
-        res.json({ status: "ok", groupId: group.id })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
-})
+  const registered = hooks.length
+    ? hooks.map(w => `<p>${w.enabled ? '' : '(off) '}${esc(truncate(w.url, 40))}<br/>
+      ${esc(w.events.join(', '))}${w.account ? ` [${esc(w.account)}]` : ''}<br/>
+      Last: ${w.lastStatus ? esc(String(w.lastStatus)) : 'none'}  Queued: ${w.pending}</p>`).join('')
+    : '<p>No webhooks registered. Use POST /api/webhooks.</p>'
 
-app.get("/api/groups", async (req, res) => {
-    try {
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const groups = await sock.groupFetchAllParticipating()
-        res.json({ groups: Object.values(groups) })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+  const deliveries = log.length
+    ? log.map(d => `<p>${esc(new Date(d.at).toLocaleTimeString())} ${esc(d.event)}<br/>
+      ${esc(d.result)} #${d.attempt}${d.status ? ` (${d.status})` : ''}${d.error ? `: ${esc(truncate(d.error, 40))}` : ''}</p>`).join('')
+    : '<p>No deliveries yet.</p>'
+
+  const body = `
+    <p><b>Webhooks</b> (${hooks.length})</p>
+    ${registered}
+
+    <p><b>Deliveries</b> - ${pending} queued</p>
+    ${deliveries}
+
+    <p><a href="/wml/debug.wml" accesskey="0">[0] Back</a></p>
+
+    <do type="accept" label="Refresh">
+      <go href="/wml/debug.webhooks.wml"/>
+    </do>
+  `
+
+  sendWml(res, card('debug-webhooks', 'Webhooks', body))
 })
 
-app.get("/api/group/:groupId/metadata", async (req, res) => {
-    try {
-        const { groupId } = req.params
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const metadata = await sock.groupMetadata(groupId)
-        res.json({ group: metadata })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+// Logout confirmation page; old GET links to logout.confirm.wml land here too
+app.get(['/wml/logout.wml', '/wml/logout.confirm.wml'], (req, res) => {
+  const body = `
+    <p><b>Logout Confirmation</b></p>
+    <p>This will:</p>
+    <p>• Disconnect from WhatsApp</p>
+    <p>• Clear all session data</p>
+    <p>• Remove authentication</p>
+    <p>• Clear local contacts/chats</p>
+    
+    <p><b>Are you sure?</b></p>
+    ${pinField()}
+    <p>
+      <a href="/wml/home.wml" accesskey="0">[0] Cancel</a><br/>
+    </p>
+    
+    <do type="accept" label="Logout">
+      <go method="post" href="/wml/logout.confirm.wml">
+        <postfield name="pin" value="$(pin)"/>
+      </go>
+    </do>
+    <do type="options" label="Cancel">
+      <go href="/wml/home.wml"/>
+    </do>
+  `
+  
+  sendWml(res, card('logout', 'Logout', body))
 })
 
-app.post("/api/group/:groupId/participants", async (req, res) => {
-    try {
-        const { groupId } = req.params
-        const { participants, action } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const participantJids = participants.map(jid => formatJid(jid))
-        const result = await sock.groupParticipantsUpdate(groupId, participantJids, action)
-        
-        res.json({ status: "ok", result })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
+// Logout execution (POST with PIN)
+app.post('/wml/logout.confirm.wml', async (req, res) => {
+  const account = accounts.current()
+  try {
+    auth.confirmPin(req.body.pin, req.ip)
+    if (account.sock) {
+      await account.sock.logout()
+    }
+    
+    // Clear auth files
+    const { authDir } = accounts.current()
+    if (fs.existsSync(authDir)) {
+      fs.rmSync(authDir, { recursive: true })
     }
+    
+    // Clear stores
+    account.contactStore.clear()
+    account.chatStore.clear()
+    account.messageStore.clear()
+    account.isFullySynced = false
+    account.syncAttempts = 0
+    account.currentQR = null
+    account.connectionState = 'disconnected'
+    
+    sendWml(res, resultCard('Logged Out', [
+      'Successfully logged out',
+      'All data cleared',
+      'You can scan QR to reconnect'
+    ], '/wml/home.wml', true))
+  } catch (e) {
+    sendWml(res, resultCard('Logout Error', [e.message || 'Logout failed'], '/wml/logout.wml', false))
+  }
 })
 
-app.post("/api/group/:groupId/subject", async (req, res) => {
-    try {
-        const { groupId } = req.params
-        const { subject } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        await sock.groupUpdateSubject(groupId, subject)
-        res.json({ status: "ok" })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+// =================== LOGIN & SECURITY CARDS ===================
+
+function safeNextUrl(url) {
+  const next = auth.stripSessionParam(url || '')
+  return next.startsWith('/wml/') && !next.startsWith('/wml/login') ? next : '/wml/home.wml'
+}
+
+function sendLoginCard(res, nextUrl = '/wml/home.wml', message = '') {
+  const body = `
+    <p><b>WhatsApp WAP Client</b></p>
+    ${message ? `<p><em>${esc(message)}</em></p>` : ''}
+    <p>PIN:</p>
+    <input name="pin" title="PIN" type="password" format="*N" size="8" maxlength="12"/>
+
+    <do type="accept" label="Login">
+      <go method="post" href="/wml/login">
+        <postfield name="pin" value="$(pin)"/>
+        <postfield name="next" value="${esc(safeNextUrl(nextUrl))}"/>
+      </go>
+    </do>
+  `
+
+  sendWml(res, card('login', 'Login', body))
+}
+
+app.get('/wml/login.wml', (req, res) => {
+  sendLoginCard(res, req.query.next)
 })
 
-app.post("/api/group/:groupId/description", async (req, res) => {
-    try {
-        const { groupId } = req.params
-        const { description } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        await sock.groupUpdateDescription(groupId, description)
-        res.json({ status: "ok" })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+app.post('/wml/login', (req, res) => {
+  const nextUrl = safeNextUrl(req.body.next)
+  try {
+    const session = auth.login(req.body.pin, {
+      client: req.ip,
+      userAgent: req.headers['user-agent'] || '',
+      type: 'wml'
+    })
+    logger.info(`WML login from ${req.ip}`)
+
+    res.setHeader('Set-Cookie', auth.sessionCookie(session.token))
+    bindSessionToResponse(res, session.token)
+    sendWml(res, resultCard('Logged In', [
+      `Session expires after ${Math.round(auth.sessionTtl / 60000)} min idle`
+    ], esc(nextUrl)))
+  } catch (e) {
+    logger.warn(`WML login failed from ${req.ip}: ${e.message}`)
+    sendLoginCard(res, nextUrl, e.message)
+  }
 })
 
-app.post("/api/group/:groupId/settings", async (req, res) => {
-    try {
-        const { groupId } = req.params
-        const { setting, value } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        await sock.groupSettingUpdate(groupId, setting, value)
-        res.json({ status: "ok" })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+app.get('/wml/signout.wml', (req, res) => {
+  auth.destroySession(req.session.token)
+  res.setHeader('Set-Cookie', auth.clearedCookie())
+  sendLoginCard(res, '/wml/home.wml', 'Signed out')
 })
 
-app.get("/api/group/:groupId/invite-code", async (req, res) => {
-    try {
-        const { groupId } = req.params
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const code = await sock.groupInviteCode(groupId)
-        res.json({ 
-            inviteCode: code, 
-            inviteUrl: `https://chat.whatsapp.com/${code}`
-        })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+app.get('/wml/security.wml', (req, res) => {
+  const minutesLeft = Math.max(0, Math.round((req.session.expiresAt - Date.now()) / 60000))
+  const keys = auth.listApiKeys()
+
+  const body = `
+    <p><b>Security</b></p>
+    <p>Session: ${minutesLeft} min left</p>
+    <p>Active sessions: ${auth.listSessions().length}</p>
+    <p>API keys: ${keys.length}</p>
+
+    <p>
+      <a href="/wml/security.pin.wml" accesskey="1">[1] Change PIN</a><br/>
+      <a href="/wml/security.keys.wml" accesskey="2">[2] API Keys</a><br/>
+      <a href="/wml/signout.wml" accesskey="3">[3] Sign Out</a><br/>
+    </p>
+
+    ${navigationBar()}
+  `
+
+  sendWml(res, card('security', 'Security', body))
 })
 
-app.post("/api/group/:groupId/revoke-invite", async (req, res) => {
-    try {
-        const { groupId } = req.params
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const newCode = await sock.groupRevokeInvite(groupId)
-        res.json({ 
-            status: "ok", 
-            newInviteCode: newCode,
-            newInviteUrl: `https://chat.whatsapp.com/${newCode}`
-        })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+app.get('/wml/security.pin.wml', (req, res) => {
+  const body = `
+    <p><b>Change PIN</b></p>
+    ${pinField('Current PIN:')}
+    <p>New PIN (4-12 digits):</p>
+    <input name="newpin" title="New PIN" type="password" format="*N" size="8" maxlength="12"/>
+    <p>Repeat new PIN:</p>
+    <input name="newpin2" title="Repeat" type="password" format="*N" size="8" maxlength="12"/>
+
+    <do type="accept" label="Save">
+      <go method="post" href="/wml/security.pin">
+        <postfield name="pin" value="$(pin)"/>
+        <postfield name="newpin" value="$(newpin)"/>
+        <postfield name="newpin2" value="$(newpin2)"/>
+      </go>
+    </do>
+
+    <p><a href="/wml/security.wml" accesskey="0">[0] Cancel</a></p>
+  `
+
+  sendWml(res, card('security-pin', 'Change PIN', body))
 })
 
-app.post("/api/group/:groupId/leave", async (req, res) => {
-    try {
-        const { groupId } = req.params
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        await sock.groupLeave(groupId)
-        res.json({ status: "ok" })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+app.post('/wml/security.pin', (req, res) => {
+  const { newpin = '', newpin2 = '' } = req.body
+  try {
+    auth.confirmPin(req.body.pin, req.ip)
+    if (newpin !== newpin2) throw new Error('New PINs do not match')
+    auth.setPin(newpin)
+    logger.info(`PIN changed from ${req.ip}`)
+    sendWml(res, resultCard('PIN Changed', ['Use the new PIN next time you log in'], '/wml/security.wml'))
+  } catch (e) {
+    sendWml(res, resultCard('PIN Not Changed', [e.message || 'Failed to change PIN'], '/wml/security.pin.wml', false))
+  }
 })
 
-// =================== MEDIA & UTILITIES ===================
+app.get('/wml/security.keys.wml', (req, res) => {
+  const keys = auth.listApiKeys()
+  const list = keys.length
+    ? keys.map(k => `<p>${esc(k.name)} (${esc(k.prefix)}…)<br/>
+      Used: ${k.lastUsedAt ? esc(new Date(k.lastUsedAt).toLocaleDateString()) : 'never'}<br/>
+      <a href="/wml/security.keys.revoke.wml?id=${encodeURIComponent(k.id)}">[Revoke]</a></p>`).join('')
+    : '<p>No API keys yet.</p>'
 
-app.post("/api/download-media", async (req, res) => {
-    try {
-        const { messageId } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const message = messageStore.get(messageId)
-        if (!message) {
-            return res.status(404).json({ error: "Message not found" })
-        }
-        
-        const contentType = getContentType(message.message)
-        if (!['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage'].includes(contentType)) {
-            return res.status(400).json({ error: "No downloadable media" })
-        }
-        
-        const mediaData = await downloadMediaMessage(message, 'buffer', {})
-        if (!mediaData) {
-            return res.status(400).json({ error: "Failed to download media" })
-        }
-        
-        const fileName = `media_${messageId}_${Date.now()}`
-        const filePath = path.join(__dirname, "downloads", fileName)
-        
-        if (!fs.existsSync(path.dirname(filePath))) {
-            fs.mkdirSync(path.dirname(filePath), { recursive: true })
-        }
-        
-        fs.writeFileSync(filePath, mediaData)
-        
-        res.json({ 
-            status: "ok", 
-            fileName,
-            filePath,
-            contentType,
-            size: mediaData.length
-        })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+  const body = `
+    <p><b>API Keys</b></p>
+    ${list}
+
+    <p><b>New key</b></p>
+    <p>Name:</p>
+    <input name="name" title="Name" size="20" maxlength="50"/>
+    ${pinField()}
+
+    <do type="accept" label="Create">
+      <go method="post" href="/wml/security.keys.create">
+        <postfield name="name" value="$(name)"/>
+        <postfield name="pin" value="$(pin)"/>
+      </go>
+    </do>
+
+    <p><a href="/wml/security.wml" accesskey="0">[0] Back</a></p>
+  `
+
+  sendWml(res, card('security-keys', 'API Keys', body))
 })
 
-app.get("/api/privacy", async (req, res) => {
-    try {
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const privacy = await sock.fetchPrivacySettings()
-        res.json({ privacySettings: privacy })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+app.post('/wml/security.keys.create', (req, res) => {
+  try {
+    auth.confirmPin(req.body.pin, req.ip)
+    const created = auth.createApiKey(String(req.body.name || '').trim() || 'API key')
+    logger.info(`API key ${created.id} created from ${req.ip}`)
+
+    // No auto-refresh: the key is only shown once
+    sendWml(res, resultCard('API Key Created', [
+      `Name: ${created.name}`,
+      `Key: ${created.key}`,
+      'Copy it now, it will not be shown again'
+    ], '/wml/security.keys.wml', false))
+  } catch (e) {
+    sendWml(res, resultCard('Key Not Created', [e.message || 'Failed to create key'], '/wml/security.keys.wml', false))
+  }
 })
 
-app.post("/api/privacy", async (req, res) => {
-    try {
-        const { setting, value } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        await sock.updatePrivacySettings({ [setting]: value })
-        res.json({ status: "ok" })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+app.get('/wml/security.keys.revoke.wml', (req, res) => {
+  const id = String(req.query.id || '')
+  const key = auth.listApiKeys().find(k => k.id === id)
+
+  if (!key) {
+    sendWml(res, resultCard('Revoke Key', ['Key not found'], '/wml/security.keys.wml'))
+    return
+  }
+
+  const body = `
+    <p><b>Revoke API Key</b></p>
+    <p>${esc(key.name)} (${esc(key.prefix)}…)</p>
+    <p>Clients using it will stop working.</p>
+    ${pinField()}
+
+    <do type="accept" label="Revoke">
+      <go method="post" href="/wml/security.keys.revoke">
+        <postfield name="id" value="${esc(id)}"/>
+        <postfield name="pin" value="$(pin)"/>
+      </go>
+    </do>
+
+    <p><a href="/wml/security.keys.wml" accesskey="0">[0] Cancel</a></p>
+  `
+
+  sendWml(res, card('security-revoke', 'Revoke Key', body))
 })
 
-app.post("/api/send-status", async (req, res) => {
-    try {
-        const { type, content } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        let statusMessage = {}
-        
-        if (type === 'text') {
-            statusMessage = { text: content }
-        } else if (type === 'image') {
-            const response = await axios.get(content, { responseType: "arraybuffer" })
-            statusMessage = { image: response.data }
-        } else if (type === 'video') {
-            const response = await axios.get(content, { responseType: "arraybuffer" })
-            statusMessage = { video: response.data }
-        }
-        
-        const result = await sock.sendMessage('status@broadcast', statusMessage)
-        res.json({ status: "ok", messageId: result.key.id })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+app.post('/wml/security.keys.revoke', (req, res) => {
+  try {
+    auth.confirmPin(req.body.pin, req.ip)
+    if (!auth.revokeApiKey(String(req.body.id || ''))) throw new Error('Key not found')
+    sendWml(res, resultCard('Key Revoked', ['The API key no longer works'], '/wml/security.keys.wml'))
+  } catch (e) {
+    sendWml(res, resultCard('Revoke Failed', [e.message || 'Failed to revoke key'], '/wml/security.keys.wml', false))
+  }
 })
 
-app.post("/api/send-broadcast", async (req, res) => {
-    try {
-        const { message, recipients, delay: msgDelay = 2000 } = req.body
-        if (!sock) return res.status(500).json({ error: "Not connected" })
-        
-        const results = []
-        
-        for (let i = 0; i < recipients.length; i++) {
-            try {
-                const result = await sock.sendMessage(formatJid(recipients[i]), { text: message })
-                results.push({ 
-                    recipient: formatJid(recipients[i]), 
-                    status: 'sent', 
-                    messageId: result.key.id 
-                })
-                
-                if (i < recipients.length - 1) {
-                    await delay(parseInt(msgDelay))
-                }
-            } catch (error) {
-                results.push({ 
-                    recipient: formatJid(recipients[i]), 
-                    status: 'failed', 
-                    error: error.message 
-                })
-            }
-        }
-        
-        res.json({ status: "ok", results })
-    } catch (error) {
-        res.status(500).json({ error: error.message })
-    }
+// =================== ACCOUNT CARDS ===================
+
+function accountStateLabel(account) {
+  if (account.connectionState === 'open') return 'Online'
+  if (account.currentQR) return 'Needs QR'
+  return account.connectionState || 'disconnected'
+}
+
+app.get('/wml/accounts.wml', (req, res) => {
+  const active = accounts.current()
+  const list = accounts.list().map((account, i) => {
+    const marker = account.id === active.id ? '* ' : ''
+    return `<p>${marker}<a href="/wml/accounts.switch.wml?id=${encodeURIComponent(account.id)}"${i < 9 ? ` accesskey="${i + 1}"` : ''}>${i < 9 ? `[${i + 1}] ` : ''}${esc(account.name)}</a><br/>
+      ${esc(account.id)} - ${esc(accountStateLabel(account))}</p>`
+  }).join('')
+
+  const body = `
+    <p><b>Accounts</b></p>
+    <p>Active: ${esc(active.name)}</p>
+    ${list}
+
+    <p>
+      <a href="/wml/accounts.add.wml" accesskey="*">[*] Add Account</a><br/>
+      ${active.id !== AccountManager.DEFAULT_ACCOUNT ? `<a href="/wml/accounts.remove.wml?id=${encodeURIComponent(active.id)}">[#] Remove ${esc(active.name)}</a><br/>` : ''}
+      <a href="/wml/home.wml" accesskey="0">[0] Home</a>
+    </p>
+  `
+
+  sendWml(res, card('accounts', 'Accounts', body))
+})
+
+app.get('/wml/accounts.switch.wml', (req, res) => {
+  const account = accounts.get(String(req.query.id || ''))
+  if (!account) {
+    sendWml(res, resultCard('Switch Account', ['Account not found'], '/wml/accounts.wml'))
+    return
+  }
+
+  req.session.accountId = account.id
+  const next = account.connectionState === 'open' ? '/wml/home.wml' : '/wml/qr.wml'
+  sendWml(res, resultCard('Account Switched', [
+    `Now using: ${account.name}`,
+    `Status: ${accountStateLabel(account)}`
+  ], next))
 })
 
+app.get('/wml/accounts.add.wml', (req, res) => {
+  const body = `
+    <p><b>Add Account</b></p>
+    <p>ID (letters, digits, - _):</p>
+    <input name="id" title="ID" size="16" maxlength="32"/>
+    <p>Name:</p>
+    <input name="name" title="Name" size="20" maxlength="50"/>
+    ${pinField()}
+
+    <do type="accept" label="Add">
+      <go method="post" href="/wml/accounts.add">
+        <postfield name="id" value="$(id)"/>
+        <postfield name="name" value="$(name)"/>
+        <postfield name="pin" value="$(pin)"/>
+      </go>
+    </do>
 
+    <p><a href="/wml/accounts.wml" accesskey="0">[0] Cancel</a></p>
+  `
 
-app.get('/wml/me.wml', async (req, res) => {
+  sendWml(res, card('accounts-add', 'Add Account', body))
+})
+
+app.post('/wml/accounts.add', (req, res) => {
   try {
-    if (!sock) {
-      sendWml(res, resultCard('Error', ['Not connected to WhatsApp'], '/wml/home.wml'))
-      return
-    }
-    
-    const user = sock.user
-    let profilePic = null
-    let status = null
-    
-    try {
-      profilePic = await sock.profilePictureUrl(user.id).catch(() => null)
-      status = await sock.fetchStatus(user.id).catch(() => null)
-    } catch (e) {
-      // Silent fail for optional features
-    }
-    
-    const body = `
-     
-      <p><b>My Profile</b></p>
-      <p>Name: <b>${esc(user?.name || user?.notify || 'Unknown')}</b></p>
-      <p>Number: ${esc(user?.id?.replace('@s.whatsapp.net', '') || 'Unknown')}</p>
-      <p>JID: <small>${esc(user?.id || 'Unknown')}</small></p>
-      ${status ? `<p>Status: <em>${esc(status.status || 'No status')}</em></p>` : ''}
-      
-      <p><b>Profile Actions:</b></p>
-      <p>
-        <a href="/wml/profile.edit-name.wml" accesskey="1">[1] Edit Name</a><br/>
-        <a href="/wml/profile.edit-status.wml" accesskey="2">[2] Edit Status</a><br/>
-        <a href="/wml/profile.picture.wml" accesskey="3">[3] Profile Picture</a><br/>
-      </p>
-      
-      <p><b>Account Info:</b></p>
-      <p>Connected: ${esc(connectionState)}</p>
-      <p>Sync Status: ${isFullySynced ? 'Complete' : 'In Progress'}</p>
-      <p>Data: ${contactStore.size} contacts, ${chatStore.size} chats</p>
-      
-      ${navigationBar()}
-      
-      <do type="accept" label="Edit">
-        <go href="/wml/profile.edit-name.wml"/>
-      </do>
-    `
-    
-    sendWml(res, card('me', 'My Profile', body))
+    auth.confirmPin(req.body.pin, req.ip)
+    const account = accounts.create({ id: req.body.id, name: req.body.name })
+    accounts.run(account, () => connectWithBetterSync())
+    req.session.accountId = account.id
+
+    sendWml(res, resultCard('Account Added', [
+      `Account: ${account.name}`,
+      'Scan the QR code with the phone of this number'
+    ], '/wml/qr.wml'))
   } catch (e) {
-    sendWml(res, resultCard('Error', [e.message || 'Failed to load profile'], '/wml/home.wml'))
+    sendWml(res, resultCard('Add Failed', [e.message || 'Failed to add account'], '/wml/accounts.add.wml', false))
   }
 })
 
-// Presence page - was referenced but not implemented
-app.get('/wml/presence.wml', (req, res) => {
-  if (!sock) {
-    sendWml(res, resultCard('Error', ['Not connected to WhatsApp'], '/wml/home.wml'))
+app.get('/wml/accounts.remove.wml', (req, res) => {
+  const account = accounts.get(String(req.query.id || ''))
+  if (!account || account.id === AccountManager.DEFAULT_ACCOUNT) {
+    sendWml(res, resultCard('Remove Account', ['Account cannot be removed'], '/wml/accounts.wml'))
     return
   }
-  
+
   const body = `
-    <p><b>Update Presence</b></p>
-    <p>Set your availability status:</p>
-    
-    <p><b>Global Presence:</b></p>
+    <p><b>Remove Account</b></p>
+    <p>${esc(account.name)} (${esc(account.id)})</p>
+    <p>This logs the number out and deletes its stored chats.</p>
+    ${pinField()}
+
+    <do type="accept" label="Remove">
+      <go method="post" href="/wml/accounts.remove">
+        <postfield name="id" value="${esc(account.id)}"/>
+        <postfield name="pin" value="$(pin)"/>
+      </go>
+    </do>
+
+    <p><a href="/wml/accounts.wml" accesskey="0">[0] Cancel</a></p>
+  `
+
+  sendWml(res, card('accounts-remove', 'Remove Account', body))
+})
+
+app.post('/wml/accounts.remove', async (req, res) => {
+  try {
+    auth.confirmPin(req.body.pin, req.ip)
+    await removeAccount(String(req.body.id || ''))
+    if (req.session.accountId === req.body.id) delete req.session.accountId
+
+    sendWml(res, resultCard('Account Removed', [`Account: ${req.body.id}`], '/wml/accounts.wml'))
+  } catch (e) {
+    sendWml(res, resultCard('Remove Failed', [e.message || 'Failed to remove account'], '/wml/accounts.wml', false))
+  }
+})
+
+// Logs the account out of WhatsApp (best effort) before dropping its data
+async function removeAccount(id) {
+  const account = accounts.get(id)
+  if (!account) throw new Error('Account not found')
+  if (id === AccountManager.DEFAULT_ACCOUNT) throw new Error('The default account cannot be removed')
+
+  if (account.sock) {
+    await account.sock.logout().catch(() => {})
+    account.sock.end()
+    account.sock = null
+  }
+  accounts.remove(id)
+}
+
+// =================== BACKUP CARDS ===================
+
+function backupLabel(backup) {
+  return `${formatLocalTime(backup.createdAt)} ${Math.max(1, Math.round(backup.size / 1024))}KB${backup.encrypted ? ' [enc]' : ''}`
+}
+
+app.get('/wml/backups.wml', (req, res) => {
+  const list = backups.list({ account: accounts.current().id })
+  const items = list.slice(0, 10).map((backup, idx) => `
+    <p>${idx + 1}. ${esc(backupLabel(backup))}<br/>
+      <a href="/wml/backups.restore.wml?id=${encodeURIComponent(backup.id)}">[Restore]</a> |
+      <a href="/wml/backups.delete.wml?id=${encodeURIComponent(backup.id)}">[Delete]</a>
+    </p>`).join('') || '<p>No backups yet.</p>'
+  const schedule = backups.intervalHours > 0
+    ? `Every ${backups.intervalHours}h, keeps ${backups.keepDaily} daily / ${backups.keepWeekly} weekly`
+    : 'Scheduled backups are off'
+
+  const body = `
+    <p><b>Backups</b> (${esc(accounts.current().name)})</p>
+    <p><small>${esc(schedule)}${backups.passphrase ? ', encrypted' : ''}</small></p>
+    ${items}
     <p>
-      <a href="/wml/presence.set.wml?type=available" accesskey="1">[1] Available</a><br/>
-      <a href="/wml/presence.set.wml?type=unavailable" accesskey="2">[2] Unavailable</a><br/>
-      <a href="/wml/presence.set.wml?type=composing" accesskey="3">[3] Typing</a><br/>
-      <a href="/wml/presence.set.wml?type=recording" accesskey="4">[4] Recording</a><br/>
-      <a href="/wml/presence.set.wml?type=paused" accesskey="5">[5] Paused</a><br/>
-    </p>
-    
-    <p><b>Chat-Specific:</b></p>
-    <p>Contact/Group JID:</p>
-    <input name="jid" title="JID" size="20"/>
-    
-    <p>Presence type:</p>
-    <select name="presence" title="Presence">
-      <option value="available">Available</option>
-      <option value="unavailable">Unavailable</option>
-      <option value="composing">Typing</option>
-      <option value="recording">Recording</option>
-      <option value="paused">Paused</option>
-    </select>
-    
-    <do type="accept" label="Set">
-      <go method="post" href="/wml/presence.set">
-        <postfield name="jid" value="$(jid)"/>
-        <postfield name="presence" value="$(presence)"/>
+      <a href="/wml/backups.create.wml" accesskey="1">[1] Back Up Now</a><br/>
+      <a href="/wml/home.wml" accesskey="0">[0] Home</a>
+    </p>
+  `
+
+  sendWml(res, card('backups', 'Backups', body))
+})
+
+app.get('/wml/backups.create.wml', (req, res) => {
+  const body = `
+    <p><b>Back Up Now</b></p>
+    <p>Chats, contacts and the WhatsApp session of ${esc(accounts.current().name)}.</p>
+    <p>Passphrase${backups.passphrase ? ' (empty: default)' : ' (empty: none)'}:</p>
+    <input name="passphrase" title="Passphrase" type="password" size="16" maxlength="64" emptyok="true"/>
+    ${pinField()}
+
+    <do type="accept" label="Back Up">
+      <go method="post" href="/wml/backups.create">
+        <postfield name="passphrase" value="$(passphrase)"/>
+        <postfield name="pin" value="$(pin)"/>
       </go>
     </do>
-    
-    ${navigationBar()}
+
+    <p><a href="/wml/backups.wml" accesskey="0">[0] Cancel</a></p>
   `
-  
-  sendWml(res, card('presence', 'Presence', body))
+
+  sendWml(res, card('backups-create', 'Back Up', body))
 })
 
-// Privacy page - was referenced but not implemented
-app.get('/wml/privacy.wml', async (req, res) => {
+app.post('/wml/backups.create', async (req, res) => {
   try {
-    if (!sock) {
-      sendWml(res, resultCard('Error', ['Not connected to WhatsApp'], '/wml/home.wml'))
-      return
-    }
-    
-    let privacySettings = null
-    try {
-      privacySettings = await sock.fetchPrivacySettings()
-    } catch (e) {
-      // Silent fail
-    }
-    
-    const body = `
-    
-      <p><b>Privacy Settings</b></p>
-      
-      ${privacySettings ? `
-      <p><b>Current Settings:</b></p>
-      <p>Last Seen: ${esc(privacySettings.lastSeen || 'Unknown')}</p>
-      <p>Profile Photo: ${esc(privacySettings.profilePicture || 'Unknown')}</p>
-      <p>Status: ${esc(privacySettings.status || 'Unknown')}</p>
-      <p>Read Receipts: ${esc(privacySettings.readReceipts || 'Unknown')}</p>
-      ` : '<p><em>Privacy settings unavailable</em></p>'}
-      
-      <p><b>Privacy Actions:</b></p>
-      <p>
-        <a href="/wml/privacy.lastseen.wml" accesskey="1">[1] Last Seen</a><br/>
-        <a href="/wml/privacy.profile.wml" accesskey="2">[2] Profile Photo</a><br/>
-        <a href="/wml/privacy.status.wml" accesskey="3">[3] Status Privacy</a><br/>
-        <a href="/wml/privacy.receipts.wml" accesskey="4">[4] Read Receipts</a><br/>
-        <a href="/wml/privacy.groups.wml" accesskey="5">[5] Groups</a><br/>
-      </p>
-      
-      <p><b>Blocked Contacts:</b></p>
-      <p>
-        <a href="/wml/blocked.list.wml" accesskey="7">[7] View Blocked</a><br/>
-        <a href="/wml/block.contact.wml" accesskey="8">[8] Block Contact</a><br/>
-      </p>
-      
-      ${navigationBar()}
-      
-      <do type="accept" label="Refresh">
-        <go href="/wml/privacy.wml"/>
-      </do>
-    `
-    
-    sendWml(res, card('privacy', 'Privacy', body))
+    auth.confirmPin(req.body.pin, req.ip)
+    const backup = await backups.create(accounts.current(), { passphrase: req.body.passphrase || undefined })
+    sendWml(res, resultCard('Backup Done', [backupLabel(backup)], '/wml/backups.wml'))
   } catch (e) {
-    sendWml(res, resultCard('Error', [e.message || 'Failed to load privacy settings'], '/wml/home.wml'))
+    sendWml(res, resultCard('Backup Failed', [e.message || 'Failed to back up'], '/wml/backups.wml', false))
   }
 })
 
-// =================== POST HANDLERS FOR QUICK ACTIONS ===================
+app.get('/wml/backups.restore.wml', (req, res) => {
+  const backup = accountBackup(req.query.id)
+  if (!backup) {
+    sendWml(res, resultCard('Restore', ['Backup not found'], '/wml/backups.wml'))
+    return
+  }
 
-// Presence setting handler
-app.post('/wml/presence.set', async (req, res) => {
+  const body = `
+    <p><b>Restore Backup</b></p>
+    <p>${esc(backupLabel(backup))}</p>
+    <p>Replaces all chats and the session; the current state is backed up first. The account reconnects.</p>
+    ${backup.encrypted ? `<p>Passphrase${backups.passphrase ? ' (empty: default)' : ''}:</p>
+    <input name="passphrase" title="Passphrase" type="password" size="16" maxlength="64" emptyok="true"/>` : ''}
+    ${pinField()}
+
+    <do type="accept" label="Restore">
+      <go method="post" href="/wml/backups.restore">
+        <postfield name="id" value="${esc(backup.id)}"/>
+        ${backup.encrypted ? '<postfield name="passphrase" value="$(passphrase)"/>' : ''}
+        <postfield name="pin" value="$(pin)"/>
+      </go>
+    </do>
+
+    <p><a href="/wml/backups.wml" accesskey="0">[0] Cancel</a></p>
+  `
+
+  sendWml(res, card('backups-restore', 'Restore', body))
+})
+
+app.post('/wml/backups.restore', async (req, res) => {
   try {
-    const { jid, presence = 'available' } = req.body
-    const type = req.query.type || presence
-    
-    if (!sock) {
-      sendWml(res, resultCard('Error', ['Not connected to WhatsApp'], '/wml/presence.wml'))
-      return
-    }
-    
-    if (jid && jid.trim()) {
-      await sock.sendPresenceUpdate(type, formatJid(jid.trim()))
-      sendWml(res, resultCard('Presence Updated', [
-        `Set ${type} for ${esc(jid.trim())}`,
-        'Presence updated successfully'
-      ], '/wml/presence.wml', true))
-    } else {
-      await sock.sendPresenceUpdate(type)
-      sendWml(res, resultCard('Presence Updated', [
-        `Global presence set to ${type}`,
-        'Presence updated successfully'
-      ], '/wml/presence.wml', true))
-    }
+    auth.confirmPin(req.body.pin, req.ip)
+    const backup = accountBackup(req.body.id)
+    if (!backup) throw new Error('Backup not found')
+    const manifest = await restoreBackup(backup.id, req.body.passphrase)
+    sendWml(res, resultCard('Backup Restored', [
+      `From: ${formatLocalTime(manifest.createdAt)}`,
+      'Reconnecting to WhatsApp'
+    ], '/wml/status.wml'))
   } catch (e) {
-    sendWml(res, resultCard('Presence Failed', [e.message || 'Failed to update presence'], '/wml/presence.wml'))
+    sendWml(res, resultCard('Restore Failed', [e.message || 'Failed to restore'], '/wml/backups.wml', false))
   }
 })
 
-// Quick presence setting via GET for simple links
-app.get('/wml/presence.set.wml', async (req, res) => {
+app.get('/wml/backups.delete.wml', (req, res) => {
+  const backup = accountBackup(req.query.id)
+  if (!backup) {
+    sendWml(res, resultCard('Delete Backup', ['Backup not found'], '/wml/backups.wml'))
+    return
+  }
+
+  const body = `
+    <p><b>Delete Backup</b></p>
+    <p>${esc(backupLabel(backup))}</p>
+    ${pinField()}
+
+    <do type="accept" label="Delete">
+      <go method="post" href="/wml/backups.delete">
+        <postfield name="id" value="${esc(backup.id)}"/>
+        <postfield name="pin" value="$(pin)"/>
+      </go>
+    </do>
+
+    <p><a href="/wml/backups.wml" accesskey="0">[0] Cancel</a></p>
+  `
+
+  sendWml(res, card('backups-delete', 'Delete Backup', body))
+})
+
+app.post('/wml/backups.delete', (req, res) => {
   try {
-    const { type = 'available', jid } = req.query
-    
-    if (!sock) {
-      sendWml(res, resultCard('Error', ['Not connected to WhatsApp'], '/wml/presence.wml'))
-      return
-    }
-    
-    if (jid && jid.trim()) {
-      await sock.sendPresenceUpdate(type, formatJid(jid.trim()))
-      sendWml(res, resultCard('Presence Updated', [
-        `Set ${type} for ${esc(jid.trim())}`,
-        'Presence updated successfully'
-      ], '/wml/presence.wml', true))
-    } else {
-      await sock.sendPresenceUpdate(type)
-      sendWml(res, resultCard('Global Presence Updated', [
-        `Presence set to: ${type}`,
-        'All contacts will see this status'
-      ], '/wml/presence.wml', true))
-    }
+    auth.confirmPin(req.body.pin, req.ip)
+    const backup = accountBackup(req.body.id)
+    if (!backup) throw new Error('Backup not found')
+    backups.remove(backup.id)
+    sendWml(res, resultCard('Backup Deleted', [backupLabel(backup)], '/wml/backups.wml'))
   } catch (e) {
-    sendWml(res, resultCard('Presence Failed', [e.message || 'Failed to update presence'], '/wml/presence.wml'))
+    sendWml(res, resultCard('Delete Failed', [e.message || 'Failed to delete'], '/wml/backups.wml', false))
   }
 })
 
-// =================== MISSING UTILITY ENDPOINTS ===================
+// =================== RULE CARDS ===================
+
+// One-line summary of what a rule matches and does
+function describeRule(rule) {
+  const m = rule.match
+  const parts = []
+  if (m.chatType !== 'any') parts.push(m.chatType)
+  if (m.from.length) parts.push(`from ${m.from.join(',')}`)
+  if (m.keywords.length) parts.push(`"${m.keywords.join('","')}"`)
+  if (m.regex) parts.push(`/${m.regex}/`)
+  if (m.types.length) parts.push(m.types.join(','))
+  if (m.timeFrom || m.timeTo) parts.push(`${m.timeFrom || '00:00'}-${m.timeTo || '24:00'}`)
+  return `${parts.join(' ') || 'all'} -> ${rule.actions.map(a => a.type).join(', ')}`
+}
+
+app.get('/wml/rules.wml', (req, res) => {
+  const list = rules.list({ account: accounts.current().id })
+  const items = list.length
+    ? list.map(rule => `<p>${rule.enabled ? '[on]' : '[off]'} <b>${esc(rule.name)}</b><br/>
+      ${esc(truncate(describeRule(rule), 60))}<br/>
+      Fired: ${rule.fireCount}${rule.cooldownSeconds ? `  Cooldown: ${Math.round(rule.cooldownSeconds / 60)}m` : ''}<br/>
+      <a href="/wml/rules.toggle.wml?id=${encodeURIComponent(rule.id)}&amp;on=${rule.enabled ? 0 : 1}">${rule.enabled ? '[Switch off]' : '[Switch on]'}</a>
+      <a href="/wml/rules.delete.wml?id=${encodeURIComponent(rule.id)}">[Delete]</a></p>`).join('')
+    : '<p>No rules yet.</p>'
 
-// Broadcast page - was referenced but missing
-app.get('/wml/broadcast.wml', (req, res) => {
   const body = `
-    <p><b>Broadcast Message</b></p>
-    <p>Send message to multiple contacts</p>
-    
-    <p>Recipients (comma-separated):</p>
-    <input name="recipients" title="Phone numbers" size="25" maxlength="500"/>
-    
-    <p>Message:</p>
-    <input name="message" title="Your message" size="30" maxlength="1000"/>
-    
-    <p>Delay between sends (ms):</p>
-    <select name="delay" title="Delay">
-      <option value="1000">1 second</option>
-      <option value="2000">2 seconds</option>
-      <option value="5000">5 seconds</option>
-      <option value="10000">10 seconds</option>
-    </select>
-    
-    <do type="accept" label="Send">
-      <go method="post" href="/wml/broadcast.send">
-        <postfield name="recipients" value="$(recipients)"/>
-        <postfield name="message" value="$(message)"/>
-        <postfield name="delay" value="$(delay)"/>
-      </go>
-    </do>
-    
+    <p><b>Auto-Replies</b> (${list.length})</p>
+    ${items}
+
     <p>
-      <a href="/wml/contacts.wml" accesskey="1">[1] Select from Contacts</a> |
+      <a href="/wml/rules.away.wml" accesskey="1">[1] New Away Message</a><br/>
       <a href="/wml/home.wml" accesskey="0">[0] Home</a>
     </p>
   `
-  
-  sendWml(res, card('broadcast', 'Broadcast', body))
+
+  sendWml(res, card('rules', 'Auto-Replies', body))
 })
 
-// Debug page - was referenced but missing  
-app.get('/wml/debug.wml', (req, res) => {
-  const memUsage = process.memoryUsage()
-  const uptime = Math.floor(process.uptime())
-  
+app.get('/wml/rules.toggle.wml', (req, res) => {
+  const rule = accountRule(req.query.id)
+  if (!rule) {
+    sendWml(res, resultCard('Auto-Reply', ['Rule not found'], '/wml/rules.wml'))
+    return
+  }
+  const on = req.query.on === '1'
+
   const body = `
+    <p><b>Switch ${on ? 'On' : 'Off'}</b></p>
+    <p>${esc(rule.name)}<br/>${esc(describeRule(rule))}</p>
+    ${pinField()}
+
+    <do type="accept" label="${on ? 'Switch on' : 'Switch off'}">
+      <go method="post" href="/wml/rules.toggle">
+        <postfield name="id" value="${esc(rule.id)}"/>
+        <postfield name="on" value="${on ? 1 : 0}"/>
+        <postfield name="pin" value="$(pin)"/>
+      </go>
+    </do>
 
-    <p><b>Debug Information</b></p>
-    
-    <p><b>Connection:</b></p>
-    <p>State: ${esc(connectionState)}</p>
-    <p>Socket: ${sock ? 'Active' : 'Null'}</p>
-    <p>User: ${sock?.user?.id ? esc(sock.user.id) : 'None'}</p>
-    <p>QR: ${currentQR ? 'Available' : 'None'}</p>
-    
-    <p><b>Data Stores:</b></p>
-    <p>Contacts: ${contactStore.size}</p>
-    <p>Chats: ${chatStore.size}</p>
-    <p>Messages: ${messageStore.size}</p>
-    <p>Sync Status: ${isFullySynced ? 'Complete' : 'Pending'}</p>
-    <p>Sync Attempts: ${syncAttempts}</p>
-    
-    <p><b>System:</b></p>
-    <p>Uptime: ${uptime}s</p>
-    <p>Memory: ${Math.round(memUsage.rss / 1024 / 1024)}MB</p>
-    <p>Node: ${process.version}</p>
-    <p>Env: ${process.env.NODE_ENV || 'dev'}</p>
-    
-    <p><b>Debug Actions:</b></p>
-    <p>
-      <a href="/wml/debug.stores.wml" accesskey="1">[1] Store Details</a><br/>
-      <a href="/wml/debug.logs.wml" accesskey="2">[2] Recent Logs</a><br/>
-      <a href="/wml/debug.test.wml" accesskey="3">[3] Connection Test</a><br/>
-    </p>
-    
-    ${navigationBar()}
-    
-    <do type="accept" label="Refresh">
-      <go href="/wml/debug.wml"/>
+    <p><a href="/wml/rules.wml" accesskey="0">[0] Cancel</a></p>
+  `
+
+  sendWml(res, card('rules-toggle', 'Auto-Reply', body))
+})
+
+app.post('/wml/rules.toggle', (req, res) => {
+  try {
+    auth.confirmPin(req.body.pin, req.ip)
+    const rule = accountRule(req.body.id) && rules.setEnabled(String(req.body.id), req.body.on === '1')
+    if (!rule) throw new Error('Rule not found')
+    sendWml(res, resultCard('Auto-Reply', [`${rule.name}: ${rule.enabled ? 'on' : 'off'}`], '/wml/rules.wml'))
+  } catch (e) {
+    sendWml(res, resultCard('Auto-Reply', [e.message || 'Failed to change rule'], '/wml/rules.wml', false))
+  }
+})
+
+app.get('/wml/rules.away.wml', (req, res) => {
+  const body = `
+    <p><b>Away Message</b></p>
+    <p>Reply ({name} = sender):</p>
+    <input name="text" title="Reply" value="Hi {name}, I am away and will reply later." maxlength="500"/>
+    <p>From (HH:MM, empty = always):</p>
+    <input name="from" title="From" format="NN\\:NN" emptyok="true" size="5"/>
+    <p>To (HH:MM):</p>
+    <input name="to" title="To" format="NN\\:NN" emptyok="true" size="5"/>
+    <p>Once per chat every (minutes):</p>
+    <input name="cooldown" title="Cooldown" format="*N" value="60" size="4"/>
+    <p>Groups too?</p>
+    <select name="groups" title="Groups">
+      <option value="0">No, direct chats only</option>
+      <option value="1">Yes</option>
+    </select>
+    ${pinField()}
+
+    <do type="accept" label="Create">
+      <go method="post" href="/wml/rules.away">
+        <postfield name="text" value="$(text)"/>
+        <postfield name="from" value="$(from)"/>
+        <postfield name="to" value="$(to)"/>
+        <postfield name="cooldown" value="$(cooldown)"/>
+        <postfield name="groups" value="$(groups)"/>
+        <postfield name="pin" value="$(pin)"/>
+      </go>
     </do>
+
+    <p><a href="/wml/rules.wml" accesskey="0">[0] Cancel</a></p>
   `
-  
-  sendWml(res, card('debug', 'Debug', body, '/wml/debug.wml'))
+
+  sendWml(res, card('rules-away', 'Away Message', body))
+})
+
+app.post('/wml/rules.away', (req, res) => {
+  try {
+    auth.confirmPin(req.body.pin, req.ip)
+    const { text = '', from = '', to = '', cooldown = '60', groups = '0' } = req.body
+    const rule = rules.create({
+      name: 'Away message',
+      account: accounts.current().id,
+      match: {
+        chatType: groups === '1' ? 'any' : 'direct',
+        timeFrom: from.trim() || null,
+        timeTo: to.trim() || null
+      },
+      actions: [{ type: 'reply', text: text.trim() }],
+      cooldownSeconds: (parseInt(cooldown) || 0) * 60
+    })
+
+    sendWml(res, resultCard('Away Message On', [
+      describeRule(rule),
+      `Reply: ${truncate(text, 40)}`
+    ], '/wml/rules.wml'))
+  } catch (e) {
+    sendWml(res, resultCard('Not Created', [e.message || 'Failed to create rule'], '/wml/rules.away.wml', false))
+  }
 })
 
-// Logout confirmation page
-app.get('/wml/logout.wml', (req, res) => {
+app.get('/wml/rules.delete.wml', (req, res) => {
+  const rule = accountRule(req.query.id)
+  if (!rule) {
+    sendWml(res, resultCard('Delete Rule', ['Rule not found'], '/wml/rules.wml'))
+    return
+  }
+
   const body = `
-    <p><b>Logout Confirmation</b></p>
-    <p>This will:</p>
-    <p>• Disconnect from WhatsApp</p>
-    <p>• Clear all session data</p>
-    <p>• Remove authentication</p>
-    <p>• Clear local contacts/chats</p>
-    
-    <p><b>Are you sure?</b></p>
-    <p>
-      <a href="/wml/logout.confirm.wml" accesskey="1">[1] Yes, Logout</a><br/>
-      <a href="/wml/home.wml" accesskey="0">[0] Cancel</a><br/>
-    </p>
-    
-    <do type="accept" label="Cancel">
-      <go href="/wml/home.wml"/>
+    <p><b>Delete Rule</b></p>
+    <p>${esc(rule.name)}<br/>${esc(describeRule(rule))}</p>
+    ${pinField()}
+
+    <do type="accept" label="Delete">
+      <go method="post" href="/wml/rules.delete">
+        <postfield name="id" value="${esc(rule.id)}"/>
+        <postfield name="pin" value="$(pin)"/>
+      </go>
     </do>
+
+    <p><a href="/wml/rules.wml" accesskey="0">[0] Cancel</a></p>
   `
-  
-  sendWml(res, card('logout', 'Logout', body))
+
+  sendWml(res, card('rules-delete', 'Delete Rule', body))
 })
 
-// Logout execution
-app.get('/wml/logout.confirm.wml', async (req, res) => {
+app.post('/wml/rules.delete', (req, res) => {
   try {
-    if (sock) {
-      await sock.logout()
-    }
-    
-    // Clear auth files
-    if (fs.existsSync('./auth_info_baileys')) {
-      fs.rmSync('./auth_info_baileys', { recursive: true })
-    }
-    
-    // Clear stores
-    contactStore.clear()
-    chatStore.clear()
-    messageStore.clear()
-    isFullySynced = false
-    syncAttempts = 0
-    currentQR = null
-    connectionState = 'disconnected'
-    
-    sendWml(res, resultCard('Logged Out', [
-      'Successfully logged out',
-      'All data cleared',
-      'You can scan QR to reconnect'
-    ], '/wml/home.wml', true))
+    auth.confirmPin(req.body.pin, req.ip)
+    if (!accountRule(req.body.id) || !rules.remove(String(req.body.id))) throw new Error('Rule not found')
+    sendWml(res, resultCard('Rule Deleted', ['The rule was removed'], '/wml/rules.wml'))
   } catch (e) {
-    sendWml(res, resultCard('Logout Error', [e.message || 'Logout failed'], '/wml/home.wml'))
+    sendWml(res, resultCard('Delete Rule', [e.message || 'Failed to delete rule'], '/wml/rules.wml', false))
   }
 })
 
@@ -5008,7 +7684,7 @@ app.get('/wml/logout.confirm.wml', async (req, res) => {
 // Force sync endpoints that were referenced but missing handlers
 app.get('/wml/sync.full.wml', async (req, res) => {
   try {
-    if (!sock) {
+    if (!accounts.current().sock) {
       sendWml(res, resultCard('Error', ['Not connected to WhatsApp'], '/wml/status.wml'))
       return
     }
@@ -5027,18 +7703,19 @@ app.get('/wml/sync.full.wml', async (req, res) => {
 })
 
 app.get('/wml/sync.contacts.wml', async (req, res) => {
+  const account = accounts.current()
   try {
-    if (!sock) {
+    if (!account.sock) {
       sendWml(res, resultCard('Error', ['Not connected to WhatsApp'], '/wml/status.wml'))
       return
     }
     
-    const initialCount = contactStore.size
+    const initialCount = account.contactStore.size
     
     // Wait for contact events (contacts sync automatically in Baileys)
     await delay(3000)
     
-    const finalCount = contactStore.size
+    const finalCount = account.contactStore.size
     const newContacts = finalCount - initialCount
     
     sendWml(res, resultCard('Contact Sync Complete', [
@@ -5054,32 +7731,32 @@ app.get('/wml/sync.contacts.wml', async (req, res) => {
 
 // Enhanced Chats page with search and pagination
 app.get('/wml/chats.wml', async (req, res) => {
-  const userAgent = req.headers['user-agent'] || ''
-  
   // Use req.query for GET requests, like in contacts
+  const account = accounts.current()
   const query = req.query;
 
   const page = Math.max(1, parseInt(query.page || '1'))
   let limit = Math.max(1, Math.min(20, parseInt(query.limit || '10')))
   
-  // More restrictive limits for WAP 1.0 devices (like contacts)
-  if (userAgent.includes('Nokia') || userAgent.includes('UP.Browser')) {
+  // More restrictive limits for small-deck devices (like contacts)
+  if (res.locals.device.compact) {
     limit = Math.min(5, limit) // Max 5 items per page
   }
   
   const search = query.q || ''
   const showGroups = query.groups !== '0' // Default show groups
   const showDirect = query.direct !== '0' // Default show direct chats
+  const unreadOnly = query.unread === '1'
   
   // Auto-sync if no chats and not synced yet
-  if (chatStore.size === 0 && !isFullySynced && sock) {
+  if (account.chatStore.size === 0 && !account.isFullySynced && account.sock) {
     try {
       logger.info("💬 No chats found, attempting auto-sync...")
-      const groups = await sock.groupFetchAllParticipating()
+      const groups = await account.sock.groupFetchAllParticipating()
       
       Object.keys(groups).forEach(chatId => {
-        if (!chatStore.has(chatId)) {
-          chatStore.set(chatId, [])
+        if (!account.chatStore.has(chatId)) {
+          account.chatStore.set(chatId, [])
         }
       })
       
@@ -5091,10 +7768,11 @@ app.get('/wml/chats.wml', async (req, res) => {
   }
   
   // Build chat list with metadata
-  let chats = Array.from(chatStore.keys()).map(chatId => {
-    const messages = chatStore.get(chatId) || []
+  const readStates = account.storage.getReadStates()
+  let chats = Array.from(account.chatStore.keys()).map(chatId => {
+    const messages = account.chatStore.get(chatId) || []
     const lastMessage = messages.length > 0 ? messages[messages.length - 1] : null
-    const contact = contactStore.get(chatId)
+    const contact = account.contactStore.get(chatId)
     
     const isGroup = chatId.endsWith('@g.us')
     const phoneNumber = chatId.replace('@s.whatsapp.net', '').replace('@g.us', '')
@@ -5105,7 +7783,7 @@ app.get('/wml/chats.wml', async (req, res) => {
     
     const lastMessageText = lastMessage ? messageText(lastMessage) : 'No messages'
     const lastTimestamp = lastMessage ? Number(lastMessage.messageTimestamp) : 0
-    const unreadCount = messages.filter(m => !m.key.fromMe).length // Simplified unread logic
+    const unreadCount = unreadCountFor(chatId, readStates)
     
     return {
       id: chatId,
@@ -5135,6 +7813,9 @@ app.get('/wml/chats.wml', async (req, res) => {
   if (!showDirect) {
     chats = chats.filter(c => c.isGroup)
   }
+  if (unreadOnly) {
+    chats = chats.filter(c => c.unreadCount > 0)
+  }
   
   // Apply search filter (like contacts)
   if (search) {
@@ -5163,9 +7844,10 @@ app.get('/wml/chats.wml', async (req, res) => {
     .replace(/'/g, '&apos;')
 
   // Page header
+  const unreadTotal = chats.reduce((sum, c) => sum + c.unreadCount, 0)
   const searchHeader = search ? 
     `<p><b>Search Results for:</b> ${escWml(search)} (${total})</p>` :
-    `<p><b>All Chats</b> (${total})</p>`
+    `<p><b>${unreadOnly ? 'Unread Chats' : 'All Chats'}</b> (${total})${unreadTotal > 0 ? ` - ${unreadTotal} unread` : ''}</p>`
 
   // Chat list
   const list = items.map((c, idx) => {
@@ -5187,10 +7869,10 @@ app.get('/wml/chats.wml', async (req, res) => {
   
   // Pagination
   const prevPage = page > 1 ? 
-    `<a href="/wml/chats.wml?page=${page - 1}&amp;limit=${limit}&amp;q=${encodeURIComponent(search)}&amp;groups=${showGroups ? 1 : 0}&amp;direct=${showDirect ? 1 : 0}">[Previous]</a>` : ''
+    `<a href="/wml/chats.wml?page=${page - 1}&amp;limit=${limit}&amp;q=${encodeURIComponent(search)}&amp;groups=${showGroups ? 1 : 0}&amp;direct=${showDirect ? 1 : 0}&amp;unread=${unreadOnly ? 1 : 0}">[Previous]</a>` : ''
   
   const nextPage = start + limit < total ? 
-    `<a href="/wml/chats.wml?page=${page + 1}&amp;limit=${limit}&amp;q=${encodeURIComponent(search)}&amp;groups=${showGroups ? 1 : 0}&amp;direct=${showDirect ? 1 : 0}">[Next]</a>` : ''
+    `<a href="/wml/chats.wml?page=${page + 1}&amp;limit=${limit}&amp;q=${encodeURIComponent(search)}&amp;groups=${showGroups ? 1 : 0}&amp;direct=${showDirect ? 1 : 0}&amp;unread=${unreadOnly ? 1 : 0}">[Next]</a>` : ''
   
   const pagination = `<p>${prevPage} ${prevPage && nextPage ? '|' : ''} ${nextPage}</p>`
   
@@ -5223,6 +7905,10 @@ app.get('/wml/chats.wml', async (req, res) => {
       ${showDirect ? 
         `<a href="/wml/chats.wml?page=${page}&amp;limit=${limit}&amp;q=${encodeURIComponent(search)}&amp;groups=${showGroups ? 1 : 0}&amp;direct=0">[Hide Direct]</a>` :
         `<a href="/wml/chats.wml?page=${page}&amp;limit=${limit}&amp;q=${encodeURIComponent(search)}&amp;groups=${showGroups ? 1 : 0}&amp;direct=1">[Show Direct]</a>`
+      } |
+      ${unreadOnly ?
+        `<a href="/wml/chats.wml?limit=${limit}&amp;q=${encodeURIComponent(search)}&amp;groups=${showGroups ? 1 : 0}&amp;direct=${showDirect ? 1 : 0}">[All]</a>` :
+        `<a href="/wml/chats.wml?limit=${limit}&amp;q=${encodeURIComponent(search)}&amp;groups=${showGroups ? 1 : 0}&amp;direct=${showDirect ? 1 : 0}&amp;unread=1">[Unread Only]</a>`
       }
     </p>`
 
@@ -5258,19 +7944,8 @@ app.get('/wml/chats.wml', async (req, res) => {
   </card>
 </wml>`;
   
-  // --- KEY MODIFICATIONS FOR COMPATIBILITY (like contacts) ---
-  
-  // 1. Set headers for WAP 1.0 with correct encoding (ISO-8859-1)
-  res.setHeader('Content-Type', 'text/vnd.wap.wml; charset=iso-8859-1');
-  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-  res.setHeader('Pragma', 'no-cache');
-  res.setHeader('Expires', '0');
-  
-  // 2. Encode the entire WML string to ISO-8859-1 buffer
-  const encodedBuffer = iconv.encode(wmlOutput, 'iso-8859-1');
-  
-  // 3. Send the encoded buffer
-  res.send(encodedBuffer);
+  // Charset, markup and deck size follow the device (like contacts)
+  sendDeck(res, wmlOutput);
 });
 
 // Advanced chat search page
@@ -5317,7 +7992,7 @@ app.get('/wml/chats.search.wml', (req, res) => {
     
     <p><b>Quick Searches:</b></p>
     <p>
-      <a href="/wml/chats.wml?q=unread" accesskey="1">[1] Recent Activity</a><br/>
+      <a href="/wml/chats.wml?unread=1" accesskey="1">[1] Unread Chats</a><br/>
       <a href="/wml/chats.wml?groups=1&amp;direct=0" accesskey="2">[2] Groups Only</a><br/>
       <a href="/wml/chats.wml?groups=0&amp;direct=1" accesskey="3">[3] Direct Only</a><br/>
     </p>
@@ -5330,6 +8005,7 @@ app.get('/wml/chats.search.wml', (req, res) => {
 
 // Chat search results
 app.get('/wml/chats.results.wml', (req, res) => {
+  const account = accounts.current()
   const q = String(req.query.q || '').trim()
   const chatType = req.query.type || 'all'
   const sortBy = req.query.sort || 'recent'
@@ -5341,10 +8017,10 @@ app.get('/wml/chats.results.wml', (req, res) => {
   }
   
   // Build and filter chat list (similar to main chats.wml logic)
-  let chats = Array.from(chatStore.keys()).map(chatId => {
-    const messages = chatStore.get(chatId) || []
+  let chats = Array.from(account.chatStore.keys()).map(chatId => {
+    const messages = account.chatStore.get(chatId) || []
     const lastMessage = messages.length > 0 ? messages[messages.length - 1] : null
-    const contact = contactStore.get(chatId)
+    const contact = account.contactStore.get(chatId)
     
     const isGroup = chatId.endsWith('@g.us')
     const phoneNumber = chatId.replace('@s.whatsapp.net', '').replace('@g.us', '')
@@ -5432,25 +8108,26 @@ app.get('/wml/chats.results.wml', (req, res) => {
   sendWml(res, card('chat-results', 'Search Results', body))
 })
 app.get('/wml/sync.chats.wml', async (req, res) => {
+  const account = accounts.current()
   try {
-    if (!sock) {
+    if (!account.sock) {
       sendWml(res, resultCard('Error', ['Not connected to WhatsApp'], '/wml/status.wml'))
       return
     }
     
-    const initialCount = chatStore.size
+    const initialCount = account.chatStore.size
     
     // Fetch groups (the main chat sync method available)
-    const groups = await sock.groupFetchAllParticipating()
+    const groups = await account.sock.groupFetchAllParticipating()
     Object.keys(groups).forEach(chatId => {
-      if (!chatStore.has(chatId)) {
-        chatStore.set(chatId, [])
+      if (!account.chatStore.has(chatId)) {
+        account.chatStore.set(chatId, [])
       }
     })
     
     await delay(2000) // Wait for additional chat events
     
-    const finalCount = chatStore.size
+    const finalCount = account.chatStore.size
     const newChats = finalCount - initialCount
     
     sendWml(res, resultCard('Chat Sync Complete', [
@@ -5485,4 +8162,12 @@ app.use((req, res) => {
     })
 })
 
-module.exports = { app, sock, contactStore, chatStore, messageStore }
\ No newline at end of file
+// The single-account names refer to the default account
+module.exports = {
+    app,
+    accounts,
+    get sock() { return accounts.defaultAccount().sock },
+    get contactStore() { return accounts.defaultAccount().contactStore },
+    get chatStore() { return accounts.defaultAccount().chatStore },
+    get messageStore() { return accounts.defaultAccount().messageStore }
+}
\ No newline at end of file
@@ -0,0 +1,122 @@
+// wbmpEncoder.js - WBMP (type 0) encoder for WAP 1.x handsets
+const QRCode = require('qrcode')
+
+// Image sizes accepted from query strings; a Nokia 7210 screen is 128x128
+const MIN_SIZE = 16
+const MAX_SIZE = 320
+
+function clampSize(value, fallback) {
+  const n = parseInt(value)
+  if (isNaN(n)) return fallback
+  return Math.max(MIN_SIZE, Math.min(MAX_SIZE, n))
+}
+
+// WAP multi-byte integer: 7 bits per byte, most significant first, high bit set on all but the last
+function multibyteInt(value) {
+  const bytes = [value & 0x7f]
+  value >>>= 7
+  while (value > 0) {
+    bytes.unshift((value & 0x7f) | 0x80)
+    value >>>= 7
+  }
+  return bytes
+}
+
+// Packs a monochrome bitmap into WBMP type 0. isWhite(x, y) decides each pixel;
+// WBMP uses 1 for white and 0 for black, rows padded to a whole byte.
+function encodeWbmp(width, height, isWhite) {
+  const header = [0x00, 0x00, ...multibyteInt(width), ...multibyteInt(height)]
+  const rowBytes = Math.ceil(width / 8)
+  const out = Buffer.alloc(header.length + rowBytes * height)
+  out.set(header, 0)
+
+  let offset = header.length
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (isWhite(x, y)) {
+        out[offset + (x >> 3)] |= 0x80 >> (x & 7)
+      }
+    }
+    offset += rowBytes
+  }
+
+  return out
+}
+
+// Converts an 8-bit grayscale buffer (one byte per pixel) to WBMP,
+// either with a plain threshold or Floyd-Steinberg error diffusion.
+function grayToWbmp(gray, width, height, { dither = true, threshold = 128 } = {}) {
+  if (!dither) {
+    return encodeWbmp(width, height, (x, y) => gray[y * width + x] >= threshold)
+  }
+
+  const levels = Float32Array.from(gray)
+  const white = new Uint8Array(width * height)
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x
+      const old = levels[i]
+      const value = old >= threshold ? 255 : 0
+      const err = old - value
+      white[i] = value ? 1 : 0
+
+      if (x + 1 < width) levels[i + 1] += err * 7 / 16
+      if (y + 1 < height) {
+        if (x > 0) levels[i + width - 1] += err * 3 / 16
+        levels[i + width] += err * 5 / 16
+        if (x + 1 < width) levels[i + width + 1] += err * 1 / 16
+      }
+    }
+  }
+
+  return encodeWbmp(width, height, (x, y) => white[y * width + x] === 1)
+}
+
+// Scales any image sharp can read (JPEG, PNG, WebP stickers...) to fit
+// width x height and converts it to WBMP. Transparent areas become white.
+async function imageToWbmp(input, { width = 96, height = 65, dither = true, threshold = 128 } = {}) {
+  const sharp = require('sharp')
+
+  const { data, info } = await sharp(input)
+    .resize(width, height, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+
+  // grayscale() can still leave extra channels, keep the first one
+  const gray = info.channels === 1
+    ? data
+    : Buffer.from(Array.from({ length: info.width * info.height }, (_, i) => data[i * info.channels]))
+
+  return grayToWbmp(gray, info.width, info.height, { dither, threshold })
+}
+
+// Renders a QR code straight from its module matrix so every module
+// is a crisp block of whole pixels; no resampling, no dithering.
+function qrToWbmp(text, { size = 128, margin = 2 } = {}) {
+  const qr = QRCode.create(text, { errorCorrectionLevel: 'L' })
+  const modules = qr.modules.size
+  const total = modules + margin * 2
+  const scale = Math.max(1, Math.floor(size / total))
+  const pixels = total * scale
+
+  const wbmp = encodeWbmp(pixels, pixels, (x, y) => {
+    const col = Math.floor(x / scale) - margin
+    const row = Math.floor(y / scale) - margin
+    if (row < 0 || col < 0 || row >= modules || col >= modules) return true
+    return !qr.modules.get(row, col)
+  })
+
+  return { wbmp, width: pixels, height: pixels }
+}
+
+module.exports = {
+  clampSize,
+  encodeWbmp,
+  grayToWbmp,
+  imageToWbmp,
+  multibyteInt,
+  qrToWbmp
+}
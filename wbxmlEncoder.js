@@ -0,0 +1,501 @@
+// wbxmlEncoder.js - WML 1.1/1.3 deck compiler to WBXML (application/vnd.wap.wmlc) with string tables
+const iconv = require('iconv-lite')
+const { multibyteInt } = require('./wbmpEncoder')
+
+// Global tokens (WBXML 1.3, section 5.8.4)
+const END = 0x01
+const ENTITY = 0x02
+const STR_I = 0x03
+const LITERAL = 0x04
+const EXT_I_0 = 0x40
+const EXT_I_1 = 0x41
+const EXT_I_2 = 0x42
+const STR_T = 0x83
+
+// Tag flags
+const HAS_CONTENT = 0x40
+const HAS_ATTRIBUTES = 0x80
+
+// Document public identifiers and the WBXML version each WML version was
+// specified with
+const WML_VERSIONS = {
+  '1.1': { publicId: 0x04, wbxml: 0x01 },
+  '1.2': { publicId: 0x09, wbxml: 0x02 },
+  '1.3': { publicId: 0x0a, wbxml: 0x03 }
+}
+
+// IANA MIBenum of the supported document charsets
+const CHARSETS = {
+  'utf-8': 106,
+  'iso-8859-1': 4
+}
+
+// Tag tokens, code page 0: name -> [token, first WML version]
+const TAGS = {
+  pre: [0x1b, '1.2'],
+  td: [0x1d, '1.1'],
+  tr: [0x1e, '1.1'],
+  table: [0x1f, '1.1'],
+  a: [0x1c, '1.1'],
+  p: [0x20, '1.1'],
+  postfield: [0x21, '1.1'],
+  anchor: [0x22, '1.1'],
+  access: [0x23, '1.1'],
+  b: [0x24, '1.1'],
+  big: [0x25, '1.1'],
+  br: [0x26, '1.1'],
+  card: [0x27, '1.1'],
+  do: [0x28, '1.1'],
+  em: [0x29, '1.1'],
+  fieldset: [0x2a, '1.1'],
+  go: [0x2b, '1.1'],
+  head: [0x2c, '1.1'],
+  i: [0x2d, '1.1'],
+  img: [0x2e, '1.1'],
+  input: [0x2f, '1.1'],
+  meta: [0x30, '1.1'],
+  noop: [0x31, '1.1'],
+  prev: [0x32, '1.1'],
+  onevent: [0x33, '1.1'],
+  optgroup: [0x34, '1.1'],
+  option: [0x35, '1.1'],
+  refresh: [0x36, '1.1'],
+  select: [0x37, '1.1'],
+  small: [0x38, '1.1'],
+  strong: [0x39, '1.1'],
+  template: [0x3b, '1.1'],
+  timer: [0x3c, '1.1'],
+  u: [0x3d, '1.1'],
+  setvar: [0x3e, '1.1'],
+  wml: [0x3f, '1.1']
+}
+
+// Attribute start tokens, code page 0: [token, name, value prefix, first WML version]
+const ATTRIBUTE_STARTS = [
+  [0x05, 'accept-charset', '', '1.1'],
+  [0x06, 'align', 'bottom', '1.1'],
+  [0x07, 'align', 'center', '1.1'],
+  [0x08, 'align', 'left', '1.1'],
+  [0x09, 'align', 'middle', '1.1'],
+  [0x0a, 'align', 'right', '1.1'],
+  [0x0b, 'align', 'top', '1.1'],
+  [0x0c, 'alt', '', '1.1'],
+  [0x0d, 'content', '', '1.1'],
+  [0x0f, 'domain', '', '1.1'],
+  [0x10, 'emptyok', 'false', '1.1'],
+  [0x11, 'emptyok', 'true', '1.1'],
+  [0x12, 'format', '', '1.1'],
+  [0x13, 'height', '', '1.1'],
+  [0x14, 'hspace', '', '1.1'],
+  [0x15, 'ivalue', '', '1.1'],
+  [0x16, 'iname', '', '1.1'],
+  [0x18, 'label', '', '1.1'],
+  [0x19, 'localsrc', '', '1.1'],
+  [0x1a, 'maxlength', '', '1.1'],
+  [0x1b, 'method', 'get', '1.1'],
+  [0x1c, 'method', 'post', '1.1'],
+  [0x1d, 'mode', 'nowrap', '1.1'],
+  [0x1e, 'mode', 'wrap', '1.1'],
+  [0x1f, 'multiple', 'false', '1.1'],
+  [0x20, 'multiple', 'true', '1.1'],
+  [0x21, 'name', '', '1.1'],
+  [0x22, 'newcontext', 'false', '1.1'],
+  [0x23, 'newcontext', 'true', '1.1'],
+  [0x24, 'onpick', '', '1.1'],
+  [0x25, 'onenterbackward', '', '1.1'],
+  [0x26, 'onenterforward', '', '1.1'],
+  [0x27, 'ontimer', '', '1.1'],
+  [0x28, 'optional', 'false', '1.1'],
+  [0x29, 'optional', 'true', '1.1'],
+  [0x2a, 'path', '', '1.1'],
+  [0x2e, 'scheme', '', '1.1'],
+  [0x2f, 'sendreferer', 'false', '1.1'],
+  [0x30, 'sendreferer', 'true', '1.1'],
+  [0x31, 'size', '', '1.1'],
+  [0x32, 'src', '', '1.1'],
+  [0x33, 'ordered', 'true', '1.1'],
+  [0x34, 'ordered', 'false', '1.1'],
+  [0x35, 'tabindex', '', '1.1'],
+  [0x36, 'title', '', '1.1'],
+  [0x37, 'type', '', '1.1'],
+  [0x38, 'type', 'accept', '1.1'],
+  [0x39, 'type', 'delete', '1.1'],
+  [0x3a, 'type', 'help', '1.1'],
+  [0x3b, 'type', 'password', '1.1'],
+  [0x3c, 'type', 'onpick', '1.1'],
+  [0x3d, 'type', 'onenterbackward', '1.1'],
+  [0x3e, 'type', 'onenterforward', '1.1'],
+  [0x45, 'type', 'ontimer', '1.1'],
+  [0x46, 'type', 'options', '1.1'],
+  [0x47, 'type', 'prev', '1.1'],
+  [0x48, 'type', 'reset', '1.1'],
+  [0x49, 'type', 'text', '1.1'],
+  [0x4a, 'type', 'vnd.', '1.1'],
+  [0x4b, 'href', '', '1.1'],
+  [0x4c, 'href', 'http://', '1.1'],
+  [0x4d, 'href', 'https://', '1.1'],
+  [0x4e, 'value', '', '1.1'],
+  [0x4f, 'vspace', '', '1.1'],
+  [0x50, 'width', '', '1.1'],
+  [0x51, 'xml:lang', '', '1.1'],
+  [0x53, 'align', '', '1.1'],
+  [0x54, 'columns', '', '1.1'],
+  [0x55, 'class', '', '1.1'],
+  [0x56, 'id', '', '1.1'],
+  [0x57, 'forua', 'false', '1.1'],
+  [0x58, 'forua', 'true', '1.1'],
+  [0x59, 'src', 'http://', '1.1'],
+  [0x5a, 'src', 'https://', '1.1'],
+  [0x5b, 'http-equiv', '', '1.1'],
+  [0x5c, 'http-equiv', 'Content-Type', '1.1'],
+  [0x5d, 'content', 'application/vnd.wap.wmlc;charset=', '1.1'],
+  [0x5e, 'http-equiv', 'Expires', '1.1'],
+  [0x5f, 'accesskey', '', '1.2'],
+  [0x60, 'enctype', '', '1.2'],
+  [0x61, 'enctype', 'application/x-www-form-urlencoded', '1.2'],
+  [0x62, 'enctype', 'multipart/form-data', '1.2'],
+  [0x63, 'xml:space', 'preserve', '1.3'],
+  [0x64, 'xml:space', 'default', '1.3'],
+  [0x65, 'cache-control', 'no-cache', '1.3']
+]
+
+// Attribute value tokens. URL fragments are used anywhere in a value,
+// keywords only for a whole value.
+const URL_VALUES = [
+  [0x8f, 'http://www.'],
+  [0x91, 'https://www.'],
+  [0x8e, 'http://'],
+  [0x90, 'https://'],
+  [0xa1, 'www.'],
+  [0x85, '.com/'],
+  [0x86, '.edu/'],
+  [0x87, '.net/'],
+  [0x88, '.org/']
+]
+const KEYWORD_VALUES = {
+  accept: 0x89,
+  bottom: 0x8a,
+  clear: 0x8b,
+  delete: 0x8c,
+  help: 0x8d,
+  middle: 0x93,
+  nowrap: 0x94,
+  onpick: 0x95,
+  onenterbackward: 0x96,
+  onenterforward: 0x97,
+  ontimer: 0x98,
+  options: 0x99,
+  password: 0x9a,
+  reset: 0x9b,
+  text: 0x9d,
+  top: 0x9e,
+  unknown: 0x9f,
+  wrap: 0xa0
+}
+
+// Elements whose text is shown as is, so whitespace between children matters
+const MIXED_CONTENT = new Set(['p', 'pre', 'a', 'anchor', 'b', 'big', 'em', 'i', 'small', 'strong', 'u', 'td', 'fieldset'])
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', shy: '\u00ad' }
+
+// $$, $(name), $(name:escape|unesc|noesc) with the e/u/n short forms, $name
+const VARIABLE = /\$(?:(\$)|\(\s*([A-Za-z_]\w*)\s*(?::\s*([A-Za-z]+)\s*)?\)|([A-Za-z_]\w*))/g
+const VARIABLE_TOKENS = { e: EXT_I_0, escape: EXT_I_0, u: EXT_I_1, unesc: EXT_I_1, n: EXT_I_2, noesc: EXT_I_2 }
+
+// Strings seen at least this often and at least this long go to the string table
+const TABLE_MIN_COUNT = 2
+const TABLE_MIN_BYTES = 4
+
+const atLeast = (version, minimum) => parseFloat(version) >= parseFloat(minimum)
+
+// =================== PARSER ===================
+
+function decodeEntities(text, offset) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);|&/gi, (match, name) => {
+    if (!name) throw new Error(`Malformed WML: bare & at ${offset}`)
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10))
+    }
+    if (!(name in ENTITIES)) throw new Error(`Malformed WML: unknown entity &${name};`)
+    return ENTITIES[name]
+  })
+}
+
+// Small XML parser for generated decks: elements, attributes, text, CDATA.
+// The prolog, comments and processing instructions are skipped.
+// Returns { root, version } with version taken from the DOCTYPE.
+function parseWml(wml) {
+  const root = { name: null, attributes: [], children: [] }
+  const stack = [root]
+  let version = null
+  let i = 0
+
+  const top = () => stack[stack.length - 1]
+  const expectEnd = (marker, from) => {
+    const end = wml.indexOf(marker, from)
+    if (end < 0) throw new Error(`Malformed WML: unterminated markup at ${from}`)
+    return end
+  }
+
+  while (i < wml.length) {
+    const lt = wml.indexOf('<', i)
+    const textEnd = lt < 0 ? wml.length : lt
+    if (textEnd > i) {
+      top().children.push(decodeEntities(wml.slice(i, textEnd), i))
+      i = textEnd
+      continue
+    }
+
+    if (wml.startsWith('<!--', i)) {
+      i = expectEnd('-->', i) + 3
+    } else if (wml.startsWith('<![CDATA[', i)) {
+      const end = expectEnd(']]>', i)
+      top().children.push(wml.slice(i + 9, end))
+      i = end + 3
+    } else if (wml.startsWith('<?', i)) {
+      i = expectEnd('?>', i) + 2
+    } else if (wml.startsWith('<!', i)) {
+      const end = expectEnd('>', i)
+      const match = wml.slice(i, end).match(/DTD WML (\d\.\d)/)
+      if (match) version = match[1]
+      i = end + 1
+    } else if (wml.startsWith('</', i)) {
+      const end = expectEnd('>', i)
+      const name = wml.slice(i + 2, end).trim()
+      const element = stack.pop()
+      if (stack.length === 0 || element.name !== name) {
+        throw new Error(`Malformed WML: </${name}> closes <${element.name}>`)
+      }
+      i = end + 1
+    } else {
+      const tag = /<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y
+      tag.lastIndex = i
+      const match = tag.exec(wml)
+      if (!match) throw new Error(`Malformed WML: bad tag at ${i}`)
+      const element = { name: match[1], attributes: [], children: [] }
+      const attribute = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+      let a
+      while ((a = attribute.exec(match[2]))) {
+        element.attributes.push([a[1], decodeEntities(a[2] !== undefined ? a[2] : a[3], i)])
+      }
+      top().children.push(element)
+      if (!match[3]) stack.push(element)
+      i = tag.lastIndex
+    }
+  }
+
+  if (stack.length !== 1) throw new Error(`Malformed WML: <${top().name}> is not closed`)
+  const elements = root.children.filter(child => typeof child !== 'string')
+  if (elements.length !== 1 || elements[0].name !== 'wml') throw new Error('Malformed WML: no <wml> root element')
+  return { root: elements[0], version }
+}
+
+// Whitespace is collapsed, and dropped where it cannot be displayed
+function normalizeWhitespace(element, preserve = false) {
+  const keep = preserve || element.name === 'pre'
+  element.children = element.children.flatMap(child => {
+    if (typeof child !== 'string') {
+      normalizeWhitespace(child, keep)
+      return [child]
+    }
+    if (keep) return [child]
+    const text = child.replace(/\s+/g, ' ')
+    if (!MIXED_CONTENT.has(element.name)) return text.trim() ? [text.trim()] : []
+    return text ? [text] : []
+  })
+}
+
+// =================== ENCODER ===================
+
+// Splits text or an attribute value into strings, variables and value tokens
+function valueParts(value, isAttribute) {
+  const parts = []
+  const pushText = text => {
+    if (!text) return
+    if (!isAttribute) return parts.push({ text })
+    if (KEYWORD_VALUES[text] !== undefined && parts.length === 0) return parts.push({ token: KEYWORD_VALUES[text] })
+    let rest = text
+    while (rest) {
+      let best = null
+      for (const [token, fragment] of URL_VALUES) {
+        const at = rest.indexOf(fragment)
+        if (at >= 0 && (!best || at < best.at || (at === best.at && fragment.length > best.fragment.length))) {
+          best = { at, token, fragment }
+        }
+      }
+      if (!best) {
+        parts.push({ text: rest })
+        break
+      }
+      if (best.at > 0) parts.push({ text: rest.slice(0, best.at) })
+      parts.push({ token: best.token })
+      rest = rest.slice(best.at + best.fragment.length)
+    }
+  }
+
+  let last = 0
+  let literal = ''
+  for (const match of value.matchAll(VARIABLE)) {
+    const [whole, dollar, name, escaping, bareName] = match
+    const token = escaping ? VARIABLE_TOKENS[escaping.toLowerCase()] : EXT_I_0
+    if (token === undefined) continue
+    literal += value.slice(last, match.index) + (dollar ? '$' : '')
+    last = match.index + whole.length
+    if (dollar) continue
+    pushText(literal)
+    literal = ''
+    parts.push({ variable: name || bareName, token })
+  }
+  pushText(literal + value.slice(last))
+
+  // Neighbouring strings are merged so the string table sees whole values
+  return parts.reduce((merged, part) => {
+    const previous = merged[merged.length - 1]
+    if (part.text !== undefined && previous && previous.text !== undefined) previous.text += part.text
+    else merged.push({ ...part })
+    return merged
+  }, [])
+}
+
+// Longest attribute start token whose value prefixes the value
+function attributeStart(name, value, version) {
+  let best = null
+  for (const [token, attribute, prefix, since] of ATTRIBUTE_STARTS) {
+    if (attribute !== name || !atLeast(version, since) || !value.startsWith(prefix)) continue
+    if (!best || prefix.length > best.prefix.length) best = { token, prefix }
+  }
+  return best
+}
+
+// Calls visit(kind, value) for every name and string the document will
+// contain, in document order: kind is 'name' for literal tag and
+// attribute names, 'text' for strings
+function walk(element, version, visit) {
+  const tag = TAGS[element.name]
+  if (!tag || !atLeast(version, tag[1])) visit('name', element.name)
+  for (const [name, value] of element.attributes) {
+    const start = attributeStart(name, value, version)
+    if (!start) visit('name', name)
+    for (const part of valueParts(value.slice(start ? start.prefix.length : 0), true)) {
+      if (part.text !== undefined) visit('text', part.text)
+    }
+  }
+  for (const child of element.children) {
+    if (typeof child !== 'string') {
+      walk(child, version, visit)
+      continue
+    }
+    for (const part of valueParts(child, false)) {
+      if (part.text !== undefined) visit('text', part.text)
+    }
+  }
+}
+
+class StringTable {
+  constructor(encode) {
+    this.encode = encode
+    this.offsets = new Map()
+    this.chunks = []
+    this.length = 0
+  }
+
+  add(text) {
+    if (!this.offsets.has(text)) {
+      const bytes = Buffer.concat([this.encode(text), Buffer.from([0x00])])
+      this.offsets.set(text, this.length)
+      this.chunks.push(bytes)
+      this.length += bytes.length
+    }
+    return this.offsets.get(text)
+  }
+
+  has(text) {
+    return this.offsets.has(text)
+  }
+}
+
+// Compiles a textual WML deck. charset is the document charset the strings
+// are written in ('utf-8' or 'iso-8859-1'); characters it cannot hold are
+// sent as entities. The WML version comes from the deck's DOCTYPE unless
+// given.
+function wmlToWbxml(wml, { charset = 'utf-8', version } = {}) {
+  const mib = CHARSETS[String(charset).toLowerCase()]
+  if (!mib) throw new Error(`Unsupported charset ${charset}`)
+  const latin1 = mib === 4
+
+  const { root, version: declared } = parseWml(String(wml))
+  version = version || declared || '1.3'
+  const { publicId, wbxml } = WML_VERSIONS[version] || WML_VERSIONS['1.3']
+  normalizeWhitespace(root)
+
+  const encodeText = text => latin1 ? iconv.encode(text, 'latin1') : Buffer.from(text, 'utf8')
+  const table = new StringTable(encodeText)
+
+  // Literal names must be in the table; repeated strings are worth it
+  const counts = new Map()
+  walk(root, version, (kind, value) => {
+    if (kind === 'name') table.add(value)
+    else counts.set(value, (counts.get(value) || 0) + 1)
+  })
+  for (const [text, count] of counts) {
+    if (count >= TABLE_MIN_COUNT && encodeText(text).length >= TABLE_MIN_BYTES) table.add(text)
+  }
+
+  const body = []
+  const write = (...bytes) => body.push(Buffer.from(bytes))
+  const writeInline = (token, text) => body.push(Buffer.from([token]), encodeText(text), Buffer.from([0x00]))
+  const writeString = text => {
+    if (table.has(text)) return write(STR_T, ...multibyteInt(table.add(text)))
+    // ISO-8859-1 documents carry other characters as entities
+    const runs = latin1 ? text.split(/([^\u0000-\u00ff])/u) : [text]
+    runs.forEach((run, n) => {
+      if (!run) return
+      if (n % 2 === 1) write(ENTITY, ...multibyteInt(run.codePointAt(0)))
+      else writeInline(STR_I, run)
+    })
+  }
+  const writeParts = parts => {
+    for (const part of parts) {
+      if (part.variable !== undefined) writeInline(part.token, part.variable)
+      else if (part.token !== undefined) write(part.token)
+      else writeString(part.text)
+    }
+  }
+
+  const writeElement = element => {
+    const tag = TAGS[element.name]
+    const flags = (element.children.length ? HAS_CONTENT : 0) | (element.attributes.length ? HAS_ATTRIBUTES : 0)
+    if (tag && atLeast(version, tag[1])) write(tag[0] | flags)
+    else write(LITERAL | flags, ...multibyteInt(table.add(element.name)))
+
+    if (element.attributes.length) {
+      for (const [name, value] of element.attributes) {
+        const start = attributeStart(name, value, version)
+        if (start) write(start.token)
+        else write(LITERAL, ...multibyteInt(table.add(name)))
+        writeParts(valueParts(value.slice(start ? start.prefix.length : 0), true))
+      }
+      write(END)
+    }
+
+    if (element.children.length) {
+      for (const child of element.children) {
+        if (typeof child === 'string') writeParts(valueParts(child, false))
+        else writeElement(child)
+      }
+      write(END)
+    }
+  }
+  writeElement(root)
+
+  return Buffer.concat([
+    Buffer.from([wbxml, ...multibyteInt(publicId), ...multibyteInt(mib), ...multibyteInt(table.length)]),
+    ...table.chunks,
+    ...body
+  ])
+}
+
+module.exports = {
+  parseWml,
+  wmlToWbxml
+}
@@ -0,0 +1,341 @@
+// webhookManager.js - Signed outgoing webhooks with an on-disk retry queue
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const axios = require('axios')
+
+// Events a webhook can subscribe to; '*' subscribes to all of them
+const EVENTS = ['message.received', 'message.status', 'connection.update', 'qr', 'group.participants']
+
+const MAX_QUEUE = 1000
+const MAX_LOG = 100
+
+class WebhookManager {
+  constructor({
+    dataDir = './data',
+    maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    baseDelayMs = 5000,
+    maxDelayMs = 60 * 60 * 1000,
+    timeoutMs = 10000,
+    pollMs = 2000
+  } = {}) {
+    this.file = path.join(dataDir, 'webhooks.json')
+    this.queueFile = path.join(dataDir, 'webhook-queue.json')
+    this.maxAttempts = maxAttempts
+    this.baseDelayMs = baseDelayMs
+    this.maxDelayMs = maxDelayMs
+    this.timeoutMs = timeoutMs
+
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true })
+    }
+
+    this.webhooks = this.readJson(this.file, [])
+    // Deliveries still to be made survive restarts
+    this.queue = this.readJson(this.queueFile, [])
+    this.log = []
+    // Webhooks whose deliveries are being sent
+    this.busy = new Set()
+
+    this.timer = setInterval(() => this.processQueue(), pollMs)
+    this.timer.unref()
+  }
+
+  readJson(file, fallback) {
+    try {
+      if (fs.existsSync(file)) {
+        return JSON.parse(fs.readFileSync(file, 'utf8'))
+      }
+    } catch (error) {
+      console.error(`❌ Error loading ${path.basename(file)}:`, error.message)
+    }
+    return fallback
+  }
+
+  writeJson(file, data, mode = 0o644) {
+    const tempFile = `${file}.tmp`
+    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), { mode })
+    fs.renameSync(tempFile, file)
+  }
+
+  save() {
+    // Secrets are stored, so keep the file private
+    this.writeJson(this.file, this.webhooks, 0o600)
+  }
+
+  saveQueue() {
+    this.writeJson(this.queueFile, this.queue, 0o600)
+  }
+
+  // =================== REGISTRY ===================
+
+  validate({ url, events }) {
+    let parsed
+    try {
+      parsed = new URL(String(url || ''))
+    } catch (error) {
+      throw new Error('A valid http(s) URL is required')
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('A valid http(s) URL is required')
+    }
+
+    const list = Array.isArray(events) ? events : String(events || '*').split(',')
+    const cleaned = list.map(e => String(e).trim()).filter(Boolean)
+    const unknown = cleaned.filter(e => e !== '*' && !EVENTS.includes(e))
+    if (cleaned.length === 0 || unknown.length > 0) {
+      throw new Error(`Unknown event(s): ${unknown.join(', ') || 'none given'} (use ${EVENTS.join(', ')} or *)`)
+    }
+    return { url: parsed.toString(), events: cleaned.includes('*') ? ['*'] : cleaned }
+  }
+
+  // The secret is only returned here; deliveries are signed with it
+  create({ url, events, secret, account = null, description = '' } = {}) {
+    const record = {
+      id: crypto.randomBytes(4).toString('hex'),
+      ...this.validate({ url, events }),
+      account: account || null,
+      description: String(description).slice(0, 100),
+      secret: secret ? String(secret) : crypto.randomBytes(24).toString('base64url'),
+      enabled: true,
+      createdAt: new Date().toISOString(),
+      lastDeliveryAt: null,
+      lastStatus: null
+    }
+    this.webhooks.push(record)
+    this.save()
+    console.log(`🪝 Registered webhook ${record.id} for ${record.events.join(', ')}`)
+    return { ...this.publicWebhook(record), secret: record.secret }
+  }
+
+  update(id, changes = {}) {
+    const record = this.webhooks.find(w => w.id === id)
+    if (!record) return null
+
+    if (changes.url !== undefined || changes.events !== undefined) {
+      Object.assign(record, this.validate({
+        url: changes.url ?? record.url,
+        events: changes.events ?? record.events
+      }))
+    }
+    if (changes.enabled !== undefined) {
+      record.enabled = changes.enabled === true || changes.enabled === 'true'
+    }
+    if (changes.description !== undefined) {
+      record.description = String(changes.description).slice(0, 100)
+    }
+    this.save()
+    return this.publicWebhook(record)
+  }
+
+  remove(id) {
+    const before = this.webhooks.length
+    this.webhooks = this.webhooks.filter(w => w.id !== id)
+    if (this.webhooks.length === before) return false
+    this.queue = this.queue.filter(d => d.webhookId !== id)
+    this.save()
+    this.saveQueue()
+    return true
+  }
+
+  publicWebhook({ secret, ...record }) {
+    return { ...record, pending: this.queue.filter(d => d.webhookId === record.id).length }
+  }
+
+  get(id) {
+    const record = this.webhooks.find(w => w.id === id)
+    return record ? this.publicWebhook(record) : null
+  }
+
+  // With an account: its own webhooks and the unscoped ones
+  list({ account } = {}) {
+    return this.webhooks
+      .filter(w => account === undefined || !w.account || w.account === account)
+      .map(w => this.publicWebhook(w))
+  }
+
+  // =================== DELIVERY ===================
+
+  // Queues `event` for every enabled webhook subscribed to it. Webhooks
+  // bound to an account only receive that account's events.
+  emit(event, data, { account = null } = {}) {
+    const targets = this.webhooks.filter(w =>
+      w.enabled &&
+      (w.events.includes('*') || w.events.includes(event)) &&
+      (!w.account || w.account === account))
+    if (targets.length === 0) return 0
+
+    const timestamp = new Date().toISOString()
+    for (const webhook of targets) {
+      this.enqueue(webhook, { event, account, timestamp, data })
+    }
+    this.saveQueue()
+    setImmediate(() => this.processQueue())
+    return targets.length
+  }
+
+  // Queues an event for one webhook regardless of its subscriptions
+  // (tests, rule actions). Returns the delivery id.
+  deliver(id, event, data, { account = null } = {}) {
+    const webhook = this.webhooks.find(w => w.id === id)
+    if (!webhook) return null
+    const delivery = this.enqueue(webhook, {
+      event,
+      account: account || webhook.account,
+      timestamp: new Date().toISOString(),
+      data
+    })
+    this.saveQueue()
+    setImmediate(() => this.processQueue())
+    return delivery.id
+  }
+
+  // A 'ping' delivery to check the receiver
+  test(id) {
+    return this.deliver(id, 'ping', { message: 'Webhook test' })
+  }
+
+  enqueue(webhook, payload) {
+    const delivery = {
+      id: crypto.randomBytes(8).toString('hex'),
+      webhookId: webhook.id,
+      payload: { id: null, ...payload },
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null
+    }
+    delivery.payload.id = delivery.id
+    this.queue.push(delivery)
+
+    if (this.queue.length > MAX_QUEUE) {
+      const dropped = this.queue.splice(0, this.queue.length - MAX_QUEUE)
+      for (const d of dropped) this.record(d, 'dropped', null, 'Queue full')
+    }
+    return delivery
+  }
+
+  // Receivers verify X-Webhook-Signature: sha256=HMAC(secret, "<timestamp>.<body>")
+  sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  }
+
+  async send(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload)
+    const timestamp = Math.floor(Date.now() / 1000)
+    const response = await axios.post(webhook.url, body, {
+      timeout: this.timeoutMs,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'WhatsApp-WML-Gateway-Webhooks/1.0',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Event': delivery.payload.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': this.sign(webhook.secret, timestamp, body)
+      }
+    })
+    if (response.status < 200 || response.status >= 300) {
+      const error = new Error(`HTTP ${response.status}`)
+      error.status = response.status
+      throw error
+    }
+    return response.status
+  }
+
+  // Sends every due delivery once; failures are rescheduled with
+  // exponential backoff until maxAttempts is reached. Each webhook has its
+  // own worker, so a slow or unreachable receiver only delays itself.
+  processQueue() {
+    const now = Date.now()
+    const workers = []
+    for (const webhookId of new Set(this.queue.filter(d => d.nextAttemptAt <= now).map(d => d.webhookId))) {
+      if (this.busy.has(webhookId)) continue
+      this.busy.add(webhookId)
+      workers.push(this.processWebhook(webhookId).finally(() => this.busy.delete(webhookId)))
+    }
+    return Promise.all(workers)
+  }
+
+  // Due deliveries of one webhook, in order
+  async processWebhook(webhookId) {
+    try {
+      const now = Date.now()
+      const due = this.queue.filter(d => d.webhookId === webhookId && d.nextAttemptAt <= now)
+      const webhook = this.webhooks.find(w => w.id === webhookId)
+      if (!webhook) {
+        this.queue = this.queue.filter(d => d.webhookId !== webhookId)
+        this.saveQueue()
+        return
+      }
+
+      for (const delivery of due) {
+        // Removed while an earlier delivery was being sent
+        if (!this.queue.includes(delivery)) continue
+        delivery.attempts++
+        try {
+          const status = await this.send(webhook, delivery)
+          this.queue = this.queue.filter(d => d !== delivery)
+          webhook.lastStatus = status
+          this.record(delivery, 'delivered', status)
+        } catch (error) {
+          delivery.lastError = error.message
+          webhook.lastStatus = error.status || error.code || 'error'
+          if (delivery.attempts >= this.maxAttempts) {
+            this.queue = this.queue.filter(d => d !== delivery)
+            this.record(delivery, 'failed', error.status, error.message)
+          } else {
+            delivery.nextAttemptAt = Date.now() + this.backoff(delivery.attempts)
+            this.record(delivery, 'retrying', error.status, error.message)
+          }
+        }
+        webhook.lastDeliveryAt = new Date().toISOString()
+      }
+      if (due.length > 0) {
+        this.saveQueue()
+        this.save()
+      }
+    } catch (error) {
+      console.error(`❌ Error processing webhook queue:`, error.message)
+    }
+  }
+
+  backoff(attempts) {
+    const delay = Math.min(this.baseDelayMs * Math.pow(2, attempts - 1), this.maxDelayMs)
+    // Up to 10% jitter so failed receivers are not hit in lockstep
+    return Math.round(delay * (1 + Math.random() * 0.1))
+  }
+
+  record(delivery, result, status = null, error = null) {
+    this.log.unshift({
+      at: new Date().toISOString(),
+      delivery: delivery.id,
+      webhookId: delivery.webhookId,
+      event: delivery.payload.event,
+      attempt: delivery.attempts,
+      result,
+      status: status || null,
+      error
+    })
+    this.log.length = Math.min(this.log.length, MAX_LOG)
+  }
+
+  // With an account, only the deliveries of the webhooks list() shows it
+  deliveries(limit = 20, { account } = {}) {
+    const ids = new Set(this.list({ account }).map(w => w.id))
+    return {
+      pending: this.queue.filter(d => ids.has(d.webhookId)).length,
+      log: this.log.filter(entry => ids.has(entry.webhookId)).slice(0, limit)
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.saveQueue()
+  }
+}
+
+WebhookManager.EVENTS = EVENTS
+
+module.exports = WebhookManager
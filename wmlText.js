@@ -0,0 +1,19 @@
+// wmlText.js - Escaping and shortening of text put into WML decks
+
+// Also doubles "$", which would otherwise start a variable reference
+function esc(s = '') {
+  return String(s).replace(/[&<>"'$]/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '$': '$$'
+  }[c]))
+}
+
+// A max of 0 leaves the text whole
+function truncate(s = '', max = 64) {
+  const str = String(s ?? '')
+  return max && str.length > max ? str.slice(0, max - 1) + '…' : str
+}
+
+module.exports = {
+  esc,
+  truncate
+}
@@ -0,0 +1,953 @@
+// wmlscriptCompiler.js - WMLScript 1.1 compiler producing wmlscriptc bytecode (application/vnd.wap.wmlscriptc)
+const { multibyteInt } = require('./wbmpEncoder')
+
+const BYTECODE_VERSION = 0x01 // WMLScript 1.1: (major - 1) << 4 | minor
+const UTF8_MIB = 106
+
+// Constant pool entry types
+const CONST_INT8 = 0
+const CONST_INT16 = 1
+const CONST_INT32 = 2
+const CONST_FLOAT32 = 3
+const CONST_UTF8 = 4
+
+// Pragma types
+const PRAGMA_ACCESS_DOMAIN = 0
+const PRAGMA_ACCESS_PATH = 1
+const PRAGMA_USER_AGENT = 2
+const PRAGMA_USER_AGENT_SCHEME = 3
+
+// Instructions without operands (WMLScript 1.1, section 9.4)
+const OP = {
+  CONST_0: 0x14,
+  CONST_1: 0x15,
+  CONST_M1: 0x16,
+  CONST_ES: 0x17,
+  CONST_INVALID: 0x18,
+  CONST_TRUE: 0x19,
+  CONST_FALSE: 0x1a,
+  INCR: 0x1b,
+  DECR: 0x1c,
+  UMINUS: 0x1f,
+  ADD: 0x20,
+  SUB: 0x21,
+  MUL: 0x22,
+  DIV: 0x23,
+  IDIV: 0x24,
+  REM: 0x25,
+  B_AND: 0x26,
+  B_OR: 0x27,
+  B_XOR: 0x28,
+  B_NOT: 0x29,
+  B_LSHIFT: 0x2a,
+  B_RSSHIFT: 0x2b,
+  B_RSZSHIFT: 0x2c,
+  EQ: 0x2d,
+  LE: 0x2e,
+  LT: 0x2f,
+  GE: 0x30,
+  GT: 0x31,
+  NE: 0x32,
+  NOT: 0x33,
+  SCAND: 0x34,
+  SCOR: 0x35,
+  TOBOOL: 0x36,
+  POP: 0x37,
+  TYPEOF: 0x38,
+  ISVALID: 0x39,
+  RETURN: 0x3a,
+  RETURN_ES: 0x3b
+}
+
+// Jumps: offset in the low 5 bits of the opcode, in 1 byte or in 2 bytes
+const JUMP_FW = { short: 0x80, u8: 0x01, u16: 0x02 }
+const JUMP_BW = { short: 0xa0, u8: 0x03, u16: 0x04 }
+const TJUMP_FW = { short: 0xc0, u8: 0x05, u16: 0x06 }
+const TJUMP_BW = { short: null, u8: 0x07, u16: 0x08 }
+const CALL_S = 0x60
+const CALL_LIB_S = 0x68
+const INCR_VAR_S = 0x70
+const STORE_VAR_S = 0x40
+const LOAD_CONST_S = 0x50
+const LOAD_VAR_S = 0xe0
+const CALL = 0x09
+const CALL_LIB = 0x0a
+const CALL_LIB_W = 0x0b
+const CALL_URL = 0x0c
+const CALL_URL_W = 0x0d
+const LOAD_VAR = 0x0e
+const STORE_VAR = 0x0f
+const INCR_VAR = 0x10
+const DECR_VAR = 0x11
+const LOAD_CONST = 0x12
+const LOAD_CONST_W = 0x13
+const ADD_ASG = 0x1d
+const SUB_ASG = 0x1e
+
+// Standard libraries (WMLScript Standard Libraries 1.1) and the public WTAI
+// library: name -> [library index, { function: [function index, arguments] }]
+const LIBRARIES = {
+  Lang: [0, {
+    abs: [0, 1], min: [1, 2], max: [2, 2], parseInt: [3, 1], parseFloat: [4, 1], isInt: [5, 1], isFloat: [6, 1],
+    maxInt: [7, 0], minInt: [8, 0], float: [9, 0], exit: [10, 1], abort: [11, 1], random: [12, 1], seed: [13, 1],
+    characterSet: [14, 0]
+  }],
+  Float: [1, {
+    int: [0, 1], floor: [1, 1], ceil: [2, 1], pow: [3, 2], round: [4, 1], sqrt: [5, 1], maxFloat: [6, 0], minFloat: [7, 0]
+  }],
+  String: [2, {
+    length: [0, 1], isEmpty: [1, 1], charAt: [2, 2], subString: [3, 3], find: [4, 2], replace: [5, 3],
+    elements: [6, 2], elementAt: [7, 3], removeAt: [8, 3], replaceAt: [9, 4], insertAt: [10, 4], squeeze: [11, 1],
+    trim: [12, 1], compare: [13, 2], toString: [14, 1], format: [15, 2]
+  }],
+  URL: [3, {
+    isValid: [0, 1], getScheme: [1, 1], getHost: [2, 1], getPort: [3, 1], getPath: [4, 1], getParameters: [5, 1],
+    getQuery: [6, 1], getFragment: [7, 1], getBase: [8, 0], getReferer: [9, 0], resolve: [10, 2],
+    escapeString: [11, 1], unescapeString: [12, 1], loadString: [13, 2]
+  }],
+  WMLBrowser: [4, {
+    getVar: [0, 1], setVar: [1, 2], go: [2, 1], prev: [3, 0], newContext: [4, 0], getCurrentCard: [5, 0], refresh: [6, 0]
+  }],
+  Dialogs: [5, {
+    prompt: [0, 2], confirm: [1, 3], alert: [2, 1]
+  }],
+  Crypto: [6, {
+    signText: [16, 4]
+  }],
+  WTAPublic: [512, {
+    makeCall: [0, 1], sendDTMF: [1, 1], addPBEntry: [2, 2]
+  }]
+}
+
+const KEYWORDS = new Set([
+  'access', 'agent', 'break', 'continue', 'div', 'domain', 'else', 'equiv', 'extern', 'for', 'function', 'header',
+  'http', 'if', 'isvalid', 'meta', 'name', 'path', 'return', 'typeof', 'url', 'use', 'user', 'var', 'while',
+  'true', 'false', 'invalid'
+])
+// Reserved for future use; not allowed as names
+const RESERVED = new Set([
+  'delete', 'in', 'lib', 'new', 'null', 'this', 'void', 'with', 'case', 'catch', 'class', 'const', 'debugger',
+  'default', 'do', 'enum', 'export', 'extends', 'finally', 'import', 'private', 'public', 'sizeof', 'struct',
+  'super', 'switch', 'throw', 'try'
+])
+
+const PUNCTUATORS = [
+  '>>>=', '>>>', '<<=', '>>=', '==', '!=', '<=', '>=', '&&', '||', '++', '--', '+=', '-=', '*=', '/=', '%=',
+  '&=', '|=', '^=', '<<', '>>', '=', '>', '<', '!', '~', '?', ':', '.', '+', '-', '*', '/', '&', '|', '^', '%',
+  '(', ')', '{', '}', ',', ';', '#'
+]
+
+const BINARY_OPS = {
+  '*': OP.MUL, '/': OP.DIV, div: OP.IDIV, '%': OP.REM, '+': OP.ADD, '-': OP.SUB,
+  '<<': OP.B_LSHIFT, '>>': OP.B_RSSHIFT, '>>>': OP.B_RSZSHIFT,
+  '<': OP.LT, '>': OP.GT, '<=': OP.LE, '>=': OP.GE, '==': OP.EQ, '!=': OP.NE,
+  '&': OP.B_AND, '^': OP.B_XOR, '|': OP.B_OR
+}
+// Lowest first
+const PRECEDENCE = [
+  ['|'], ['^'], ['&'], ['==', '!='], ['<', '>', '<=', '>='], ['<<', '>>', '>>>'], ['+', '-'], ['*', '/', 'div', '%']
+]
+const ASSIGNMENTS = new Set(['=', '+=', '-=', '*=', '/=', 'div=', '%=', '<<=', '>>=', '>>>=', '&=', '^=', '|='])
+
+const INT_MAX = 2147483647
+
+class CompileError extends Error {
+  constructor(message, line) {
+    super(`line ${line}: ${message}`)
+    this.line = line
+  }
+}
+
+// =================== LEXER ===================
+
+const ESCAPES = { "'": "'", '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' }
+
+function tokenize(source) {
+  const tokens = []
+  let i = 0
+  let line = 1
+
+  while (i < source.length) {
+    const c = source[i]
+    if (c === '\n') {
+      line++
+      i++
+    } else if (/\s/.test(c)) {
+      i++
+    } else if (source.startsWith('//', i)) {
+      while (i < source.length && source[i] !== '\n') i++
+    } else if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2)
+      if (end < 0) throw new CompileError('unterminated comment', line)
+      line += source.slice(i, end).split('\n').length - 1
+      i = end + 2
+    } else if (/[A-Za-z_]/.test(c)) {
+      const word = source.slice(i).match(/^[A-Za-z_]\w*/)[0]
+      i += word.length
+      if (word === 'div' && source[i] === '=' && source[i + 1] !== '=') {
+        tokens.push({ type: 'punct', value: 'div=', line })
+        i++
+      } else {
+        tokens.push({ type: KEYWORDS.has(word) ? 'keyword' : 'name', value: word, line })
+      }
+    } else if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(source[i + 1]))) {
+      const text = source.slice(i).match(/^(0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/)[0]
+      i += text.length
+      let value
+      let type = 'integer'
+      if (/^0[xX]/.test(text)) {
+        value = parseInt(text.slice(2), 16)
+      } else if (/[.eE]/.test(text)) {
+        value = parseFloat(text)
+        type = 'float'
+        if (!isFinite(Math.fround(value))) throw new CompileError('float literal out of range', line)
+      } else if (/^0[0-7]+$/.test(text)) {
+        value = parseInt(text, 8)
+      } else {
+        value = parseInt(text, 10)
+      }
+      tokens.push({ type, value, line })
+    } else if (c === '"' || c === "'") {
+      let value = ''
+      i++
+      while (source[i] !== c) {
+        if (i >= source.length || source[i] === '\n') throw new CompileError('unterminated string', line)
+        if (source[i] !== '\\') {
+          value += source[i++]
+          continue
+        }
+        const e = source[i + 1]
+        let match
+        if (ESCAPES[e] !== undefined) {
+          value += ESCAPES[e]
+          i += 2
+        } else if ((match = source.slice(i + 1).match(/^x([0-9a-fA-F]{2})/))) {
+          value += String.fromCharCode(parseInt(match[1], 16))
+          i += 4
+        } else if ((match = source.slice(i + 1).match(/^u([0-9a-fA-F]{4})/))) {
+          value += String.fromCharCode(parseInt(match[1], 16))
+          i += 6
+        } else if ((match = source.slice(i + 1).match(/^[0-3]?[0-7]{1,2}/))) {
+          value += String.fromCharCode(parseInt(match[0], 8))
+          i += 1 + match[0].length
+        } else {
+          throw new CompileError(`bad escape \\${e}`, line)
+        }
+      }
+      i++
+      tokens.push({ type: 'string', value, line })
+    } else {
+      const punct = PUNCTUATORS.find(p => source.startsWith(p, i))
+      if (!punct) throw new CompileError(`unexpected character ${JSON.stringify(c)}`, line)
+      tokens.push({ type: 'punct', value: punct, line })
+      i += punct.length
+    }
+  }
+  tokens.push({ type: 'eof', value: null, line })
+  return tokens
+}
+
+// =================== PARSER ===================
+
+function parse(source) {
+  const tokens = tokenize(source)
+  let pos = 0
+
+  const peek = (offset = 0) => tokens[Math.min(pos + offset, tokens.length - 1)]
+  const next = () => tokens[pos++]
+  const is = (value, token = peek()) => (token.type === 'punct' || token.type === 'keyword' || token.type === 'name') && token.value === value
+  const accept = value => {
+    if (!is(value)) return false
+    pos++
+    return true
+  }
+  const expect = value => {
+    if (!is(value)) throw new CompileError(`expected '${value}'`, peek().line)
+    return next()
+  }
+  const identifier = () => {
+    const token = next()
+    if (token.type === 'keyword') throw new CompileError(`'${token.value}' is a keyword`, token.line)
+    if (token.type !== 'name') throw new CompileError('expected a name', token.line)
+    if (RESERVED.has(token.value)) throw new CompileError(`'${token.value}' is a reserved word`, token.line)
+    return token.value
+  }
+  const stringLiteral = () => {
+    const token = next()
+    if (token.type !== 'string') throw new CompileError('expected a string', token.line)
+    return token.value
+  }
+
+  // use url Name "url"; use access domain "d" path "p"; use meta user agent "n" "v" ["scheme"]
+  function pragma() {
+    const line = peek().line
+    if (accept('url')) {
+      const name = identifier()
+      const url = stringLiteral()
+      expect(';')
+      return { type: 'url', name, url, line }
+    }
+    if (accept('access')) {
+      const result = { type: 'access', domain: null, path: null, line }
+      if (accept('domain')) result.domain = stringLiteral()
+      if (accept('path')) result.path = stringLiteral()
+      if (result.domain === null && result.path === null) throw new CompileError('use access needs a domain or a path', line)
+      expect(';')
+      return result
+    }
+    if (accept('meta')) {
+      if (!(accept('user') && accept('agent'))) throw new CompileError('only "use meta user agent" is supported', line)
+      const property = stringLiteral()
+      const content = stringLiteral()
+      const scheme = peek().type === 'string' ? stringLiteral() : null
+      expect(';')
+      return { type: 'meta', property, content, scheme, line }
+    }
+    throw new CompileError('unknown pragma', line)
+  }
+
+  function functionDeclaration() {
+    const line = peek().line
+    const isExtern = accept('extern')
+    expect('function')
+    const name = identifier()
+    expect('(')
+    const params = []
+    if (!is(')')) {
+      do params.push(identifier())
+      while (accept(','))
+    }
+    expect(')')
+    return { name, params, isExtern, body: block(), line }
+  }
+
+  function block() {
+    expect('{')
+    const statements = []
+    while (!accept('}')) {
+      if (peek().type === 'eof') throw new CompileError("expected '}'", peek().line)
+      statements.push(statement())
+    }
+    return { type: 'block', statements }
+  }
+
+  function variableDeclarations() {
+    const line = peek().line
+    expect('var')
+    const declarations = []
+    do {
+      const name = identifier()
+      declarations.push({ name, init: accept('=') ? assignment() : null })
+    } while (accept(','))
+    return { type: 'var', declarations, line }
+  }
+
+  function statement() {
+    const line = peek().line
+    if (is('{')) return block()
+    if (accept(';')) return { type: 'empty' }
+    if (is('var')) {
+      const result = variableDeclarations()
+      expect(';')
+      return result
+    }
+    if (accept('if')) {
+      expect('(')
+      const test = expression()
+      expect(')')
+      const consequent = statement()
+      const alternate = accept('else') ? statement() : null
+      return { type: 'if', test, consequent, alternate }
+    }
+    if (accept('while')) {
+      expect('(')
+      const test = expression()
+      expect(')')
+      return { type: 'while', test, body: statement() }
+    }
+    if (accept('for')) {
+      expect('(')
+      const init = is(';') ? null : is('var') ? variableDeclarations() : { type: 'expression', expression: expression() }
+      expect(';')
+      const test = is(';') ? null : expression()
+      expect(';')
+      const update = is(')') ? null : expression()
+      expect(')')
+      return { type: 'for', init, test, update, body: statement() }
+    }
+    if (accept('break')) {
+      expect(';')
+      return { type: 'break', line }
+    }
+    if (accept('continue')) {
+      expect(';')
+      return { type: 'continue', line }
+    }
+    if (accept('return')) {
+      const argument = is(';') ? null : expression()
+      expect(';')
+      return { type: 'return', argument }
+    }
+    const result = { type: 'expression', expression: expression() }
+    expect(';')
+    return result
+  }
+
+  // Expressions
+  function expression() {
+    let node = assignment()
+    while (accept(',')) node = { type: 'comma', left: node, right: assignment() }
+    return node
+  }
+
+  function assignment() {
+    if (peek().type === 'name' && peek(1).type === 'punct' && ASSIGNMENTS.has(peek(1).value)) {
+      const line = peek().line
+      const target = identifier()
+      const operator = next().value
+      return { type: 'assign', target, operator, value: assignment(), line }
+    }
+    return conditional()
+  }
+
+  function conditional() {
+    const test = logicalOr()
+    if (!accept('?')) return test
+    const consequent = assignment()
+    expect(':')
+    return { type: 'conditional', test, consequent, alternate: assignment() }
+  }
+
+  function logicalOr() {
+    let node = logicalAnd()
+    while (accept('||')) node = { type: 'logical', operator: '||', left: node, right: logicalAnd() }
+    return node
+  }
+
+  function logicalAnd() {
+    let node = binary(0)
+    while (accept('&&')) node = { type: 'logical', operator: '&&', left: node, right: binary(0) }
+    return node
+  }
+
+  function binary(level) {
+    if (level === PRECEDENCE.length) return unary()
+    let node = binary(level + 1)
+    while (PRECEDENCE[level].some(op => is(op))) {
+      const operator = next().value
+      node = { type: 'binary', operator, left: node, right: binary(level + 1) }
+    }
+    return node
+  }
+
+  function unary() {
+    const token = peek()
+    if (['typeof', 'isvalid', '!', '~', '-', '+'].some(op => is(op))) {
+      next()
+      return { type: 'unary', operator: token.value, argument: unary(), line: token.line }
+    }
+    if (is('++') || is('--')) {
+      next()
+      return { type: 'update', operator: token.value, prefix: true, target: identifier(), line: token.line }
+    }
+    return postfix()
+  }
+
+  function postfix() {
+    if (peek().type === 'name' && peek(1).type === 'punct' && ['++', '--'].includes(peek(1).value)) {
+      const line = peek().line
+      const target = identifier()
+      return { type: 'update', operator: next().value, prefix: false, target, line }
+    }
+    return primary()
+  }
+
+  function callArguments() {
+    expect('(')
+    const args = []
+    if (!is(')')) {
+      do args.push(assignment())
+      while (accept(','))
+    }
+    expect(')')
+    return args
+  }
+
+  function primary() {
+    const token = next()
+    const { line } = token
+    switch (token.type) {
+      case 'integer':
+      case 'float':
+      case 'string':
+        return { type: 'literal', kind: token.type, value: token.value, line }
+      case 'keyword':
+        if (token.value === 'true' || token.value === 'false') return { type: 'literal', kind: 'boolean', value: token.value === 'true', line }
+        if (token.value === 'invalid') return { type: 'literal', kind: 'invalid', line }
+        break
+      case 'punct':
+        if (token.value === '(') {
+          const node = expression()
+          expect(')')
+          return node
+        }
+        break
+      case 'name': {
+        if (RESERVED.has(token.value)) throw new CompileError(`'${token.value}' is a reserved word`, line)
+        if (accept('.')) {
+          const name = identifier()
+          return { type: 'libraryCall', library: token.value, name, args: callArguments(), line }
+        }
+        if (accept('#')) {
+          const name = identifier()
+          return { type: 'externalCall', url: token.value, name, args: callArguments(), line }
+        }
+        if (is('(')) return { type: 'call', name: token.value, args: callArguments(), line }
+        return { type: 'variable', name: token.value, line }
+      }
+    }
+    throw new CompileError(`unexpected ${token.type === 'eof' ? 'end of script' : `'${token.value}'`}`, line)
+  }
+
+  const pragmas = []
+  const functions = []
+  while (accept('use')) pragmas.push(pragma())
+  while (peek().type !== 'eof') functions.push(functionDeclaration())
+  return { pragmas, functions }
+}
+
+// =================== CODE GENERATION ===================
+
+class ConstantPool {
+  constructor() {
+    this.entries = []
+    this.index = new Map()
+  }
+
+  add(kind, value) {
+    const key = `${kind}:${value}`
+    if (!this.index.has(key)) {
+      this.index.set(key, this.entries.length)
+      this.entries.push({ kind, value })
+    }
+    return this.index.get(key)
+  }
+
+  encode() {
+    const chunks = [Buffer.from([...multibyteInt(this.entries.length), ...multibyteInt(UTF8_MIB)])]
+    for (const { kind, value } of this.entries) {
+      if (kind === 'string') {
+        const bytes = Buffer.from(value, 'utf8')
+        chunks.push(Buffer.from([CONST_UTF8, ...multibyteInt(bytes.length)]), bytes)
+      } else if (kind === 'float') {
+        const bytes = Buffer.alloc(5)
+        bytes[0] = CONST_FLOAT32
+        bytes.writeFloatBE(value, 1)
+        chunks.push(bytes)
+      } else if (value >= -128 && value <= 127) {
+        chunks.push(Buffer.from([CONST_INT8, value & 0xff]))
+      } else if (value >= -32768 && value <= 32767) {
+        const bytes = Buffer.alloc(3)
+        bytes[0] = CONST_INT16
+        bytes.writeInt16BE(value, 1)
+        chunks.push(bytes)
+      } else {
+        const bytes = Buffer.alloc(5)
+        bytes[0] = CONST_INT32
+        bytes.writeInt32BE(value, 1)
+        chunks.push(bytes)
+      }
+    }
+    return Buffer.concat(chunks)
+  }
+}
+
+// Jump offsets: forward jumps count from the end of the jump instruction,
+// backward jumps from its start
+function assemble(code) {
+  const sizes = code.map(item => item.jump ? 1 : item.label !== undefined ? 0 : item.bytes.length)
+  const offsets = []
+  const labels = new Map()
+  const layout = () => {
+    let offset = 0
+    code.forEach((item, i) => {
+      offsets[i] = offset
+      if (item.label !== undefined) labels.set(item.label, offset)
+      offset += sizes[i]
+    })
+  }
+
+  const distance = (item, i) => {
+    const target = labels.get(item.target)
+    return target > offsets[i] ? { forward: true, offset: target - offsets[i] - sizes[i] } : { forward: false, offset: offsets[i] - target }
+  }
+  // Smallest form of at least minSize bytes that reaches the target
+  const encoding = (item, i, minSize = 1) => {
+    const { forward, offset } = distance(item, i)
+    const forms = item.jump === 'tjump' ? (forward ? TJUMP_FW : TJUMP_BW) : (forward ? JUMP_FW : JUMP_BW)
+    if (minSize <= 1 && forms.short !== null && offset <= 31) return [forms.short | offset]
+    if (minSize <= 2 && offset <= 0xff) return [forms.u8, offset]
+    if (offset <= 0xffff) return [forms.u16, offset >> 8, offset & 0xff]
+    throw new Error('Function too large')
+  }
+
+  // Jumps start short and only ever grow, so this settles
+  let changed = true
+  while (changed) {
+    changed = false
+    layout()
+    code.forEach((item, i) => {
+      if (!item.jump) return
+      const size = encoding(item, i, sizes[i]).length
+      if (size !== sizes[i]) {
+        sizes[i] = size
+        changed = true
+      }
+    })
+  }
+
+  return Buffer.concat(code.map((item, i) => {
+    if (item.label !== undefined) return Buffer.alloc(0)
+    if (!item.jump) return Buffer.from(item.bytes)
+    // Keeps the laid out size even where a shorter form would now reach
+    return Buffer.from(encoding(item, i, sizes[i]))
+  }))
+}
+
+function compileFunction(fn, unit) {
+  const { constants, functions, urls } = unit
+  const variables = new Map()
+  fn.params.forEach((name, i) => {
+    if (variables.has(name)) throw new CompileError(`duplicate parameter ${name}`, fn.line)
+    variables.set(name, i)
+  })
+
+  const code = []
+  let labelCount = 0
+  const newLabel = () => labelCount++
+  const loops = []
+
+  const emit = (...bytes) => code.push({ bytes })
+  const label = id => code.push({ label: id })
+  const jump = (kind, target) => code.push({ jump: kind, target })
+
+  const variable = (name, line) => {
+    if (!variables.has(name)) throw new CompileError(`undeclared variable ${name}`, line)
+    return variables.get(name)
+  }
+  const loadVar = index => index < 32 ? emit(LOAD_VAR_S | index) : emit(LOAD_VAR, index)
+  const storeVar = index => index < 16 ? emit(STORE_VAR_S | index) : emit(STORE_VAR, index)
+  const loadConst = index => index < 16 ? emit(LOAD_CONST_S | index)
+    : index <= 0xff ? emit(LOAD_CONST, index)
+      : emit(LOAD_CONST_W, index >> 8, index & 0xff)
+
+  const constInteger = value => {
+    if (value === 0) return emit(OP.CONST_0)
+    if (value === 1) return emit(OP.CONST_1)
+    if (value === -1) return emit(OP.CONST_M1)
+    loadConst(constants.add('integer', value))
+  }
+
+  function literal(node, negate = false) {
+    switch (node.kind) {
+      case 'integer': {
+        const value = negate ? -node.value : node.value
+        if (value > INT_MAX || value < -INT_MAX - 1) throw new CompileError('integer literal out of range', node.line)
+        return constInteger(value)
+      }
+      case 'float':
+        return loadConst(constants.add('float', negate ? -node.value : node.value))
+      case 'string':
+        return node.value === '' ? emit(OP.CONST_ES) : loadConst(constants.add('string', node.value))
+      case 'boolean':
+        return emit(node.value ? OP.CONST_TRUE : OP.CONST_FALSE)
+      case 'invalid':
+        return emit(OP.CONST_INVALID)
+    }
+  }
+
+  function callArguments(node, expected) {
+    if (node.args.length !== expected) {
+      throw new CompileError(`${node.name} takes ${expected} argument(s), got ${node.args.length}`, node.line)
+    }
+    node.args.forEach(arg => expression(arg))
+  }
+
+  // Leaves the value on the stack unless discard is set
+  function expression(node, discard = false) {
+    switch (node.type) {
+      case 'assign': {
+        const index = variable(node.target, node.line)
+        if (node.operator === '+=' || node.operator === '-=') {
+          expression(node.value)
+          emit(node.operator === '+=' ? ADD_ASG : SUB_ASG, index)
+        } else if (node.operator === '=') {
+          expression(node.value)
+          storeVar(index)
+        } else {
+          loadVar(index)
+          expression(node.value)
+          emit(BINARY_OPS[node.operator.slice(0, -1)])
+          storeVar(index)
+        }
+        if (!discard) loadVar(index)
+        return
+      }
+      case 'update': {
+        const index = variable(node.target, node.line)
+        const update = () => {
+          if (node.operator === '--') return emit(DECR_VAR, index)
+          if (index < 8) return emit(INCR_VAR_S | index)
+          emit(INCR_VAR, index)
+        }
+        if (discard) return update()
+        if (node.prefix) {
+          update()
+          loadVar(index)
+        } else {
+          loadVar(index)
+          update()
+        }
+        return
+      }
+      case 'comma':
+        expression(node.left, true)
+        return expression(node.right, discard)
+      case 'call': {
+        const target = functions.get(node.name)
+        if (!target) throw new CompileError(`unknown function ${node.name}`, node.line)
+        callArguments(node, target.params)
+        if (target.index < 8) emit(CALL_S | target.index)
+        else emit(CALL, target.index)
+        break
+      }
+      case 'libraryCall': {
+        const library = LIBRARIES[node.library]
+        const entry = library && library[1][node.name]
+        if (!entry) throw new CompileError(`unknown library function ${node.library}.${node.name}`, node.line)
+        const [findex, args] = entry
+        const lindex = library[0]
+        callArguments(node, args)
+        if (findex < 8 && lindex <= 0xff) emit(CALL_LIB_S | findex, lindex)
+        else if (lindex <= 0xff) emit(CALL_LIB, findex, lindex)
+        else emit(CALL_LIB_W, findex, lindex >> 8, lindex & 0xff)
+        break
+      }
+      case 'externalCall': {
+        const url = urls.get(node.url)
+        if (url === undefined) throw new CompileError(`no "use url ${node.url}" pragma`, node.line)
+        node.args.forEach(arg => expression(arg))
+        const findex = constants.add('string', node.name)
+        if (url <= 0xff && findex <= 0xff) emit(CALL_URL, url, findex, node.args.length)
+        else emit(CALL_URL_W, url >> 8, url & 0xff, findex >> 8, findex & 0xff, node.args.length)
+        break
+      }
+      case 'literal':
+        literal(node)
+        break
+      case 'variable':
+        loadVar(variable(node.name, node.line))
+        break
+      case 'unary':
+        if (node.operator === '-' && node.argument.type === 'literal' && ['integer', 'float'].includes(node.argument.kind)) {
+          literal(node.argument, true)
+          break
+        }
+        expression(node.argument)
+        if (node.operator === '-') emit(OP.UMINUS)
+        else if (node.operator === '!') emit(OP.NOT)
+        else if (node.operator === '~') emit(OP.B_NOT)
+        else if (node.operator === 'typeof') emit(OP.TYPEOF)
+        else if (node.operator === 'isvalid') emit(OP.ISVALID)
+        break
+      case 'binary':
+        expression(node.left)
+        expression(node.right)
+        emit(BINARY_OPS[node.operator])
+        break
+      case 'logical': {
+        // SCAND/SCOR leave the result and a flag for TJUMP when the left
+        // side decides the value
+        const end = newLabel()
+        expression(node.left)
+        emit(node.operator === '&&' ? OP.SCAND : OP.SCOR)
+        jump('tjump', end)
+        expression(node.right)
+        emit(OP.TOBOOL)
+        label(end)
+        break
+      }
+      case 'conditional': {
+        const otherwise = newLabel()
+        const end = newLabel()
+        expression(node.test)
+        jump('tjump', otherwise)
+        expression(node.consequent)
+        jump('jump', end)
+        label(otherwise)
+        expression(node.alternate)
+        label(end)
+        break
+      }
+    }
+    if (discard) emit(OP.POP)
+  }
+
+  function declare(statement) {
+    for (const { name, init } of statement.declarations) {
+      if (variables.has(name)) throw new CompileError(`variable ${name} is already declared`, statement.line)
+      if (variables.size >= 0xff) throw new CompileError('too many variables', statement.line)
+      variables.set(name, variables.size)
+      if (init) {
+        expression(init)
+        storeVar(variables.get(name))
+      }
+    }
+  }
+
+  function loopBody(body, breakLabel, continueLabel) {
+    loops.push({ breakLabel, continueLabel })
+    statement(body)
+    loops.pop()
+  }
+
+  function statement(node) {
+    switch (node.type) {
+      case 'block':
+        return node.statements.forEach(statement)
+      case 'empty':
+        return
+      case 'var':
+        return declare(node)
+      case 'expression':
+        return expression(node.expression, true)
+      case 'if': {
+        const otherwise = newLabel()
+        expression(node.test)
+        jump('tjump', otherwise)
+        statement(node.consequent)
+        if (node.alternate) {
+          const end = newLabel()
+          jump('jump', end)
+          label(otherwise)
+          statement(node.alternate)
+          label(end)
+        } else {
+          label(otherwise)
+        }
+        return
+      }
+      case 'while': {
+        const start = newLabel()
+        const end = newLabel()
+        label(start)
+        expression(node.test)
+        jump('tjump', end)
+        loopBody(node.body, end, start)
+        jump('jump', start)
+        label(end)
+        return
+      }
+      case 'for': {
+        const start = newLabel()
+        const next = newLabel()
+        const end = newLabel()
+        if (node.init) statement(node.init)
+        label(start)
+        if (node.test) {
+          expression(node.test)
+          jump('tjump', end)
+        }
+        loopBody(node.body, end, next)
+        label(next)
+        if (node.update) expression(node.update, true)
+        jump('jump', start)
+        label(end)
+        return
+      }
+      case 'break':
+      case 'continue': {
+        const loop = loops[loops.length - 1]
+        if (!loop) throw new CompileError(`${node.type} outside a loop`, node.line)
+        return jump('jump', node.type === 'break' ? loop.breakLabel : loop.continueLabel)
+      }
+      case 'return':
+        if (node.argument) {
+          expression(node.argument)
+          return emit(OP.RETURN)
+        }
+        return emit(OP.RETURN_ES)
+    }
+  }
+
+  statement(fn.body)
+  emit(OP.RETURN_ES)
+
+  const body = assemble(code)
+  return Buffer.concat([
+    Buffer.from([fn.params.length, variables.size - fn.params.length, ...multibyteInt(body.length)]),
+    body
+  ])
+}
+
+// Compiles WMLScript source to a bytecode compilation unit. Errors are
+// CompileErrors carrying the source line.
+function compileWmlScript(source) {
+  const { pragmas, functions } = parse(String(source))
+  if (functions.length > 0xff) throw new CompileError('too many functions', functions[0xff].line)
+
+  const constants = new ConstantPool()
+  const urls = new Map()
+  const table = new Map()
+  const pragmaBytes = []
+  let pragmaCount = 0
+
+  for (const pragma of pragmas) {
+    if (pragma.type === 'url') {
+      if (urls.has(pragma.name)) throw new CompileError(`url ${pragma.name} is already declared`, pragma.line)
+      urls.set(pragma.name, constants.add('string', pragma.url))
+    } else if (pragma.type === 'access') {
+      if (pragma.domain !== null) {
+        pragmaBytes.push(PRAGMA_ACCESS_DOMAIN, ...multibyteInt(constants.add('string', pragma.domain)))
+        pragmaCount++
+      }
+      if (pragma.path !== null) {
+        pragmaBytes.push(PRAGMA_ACCESS_PATH, ...multibyteInt(constants.add('string', pragma.path)))
+        pragmaCount++
+      }
+    } else {
+      const indexes = [pragma.property, pragma.content, ...(pragma.scheme !== null ? [pragma.scheme] : [])]
+        .map(value => multibyteInt(constants.add('string', value)))
+      pragmaBytes.push(pragma.scheme !== null ? PRAGMA_USER_AGENT_SCHEME : PRAGMA_USER_AGENT, ...indexes.flat())
+      pragmaCount++
+    }
+  }
+
+  functions.forEach((fn, index) => {
+    if (table.has(fn.name)) throw new CompileError(`function ${fn.name} is already defined`, fn.line)
+    table.set(fn.name, { index, params: fn.params.length })
+  })
+  const unit = { constants, functions: table, urls }
+  const compiled = functions.map(fn => compileFunction(fn, unit))
+
+  const names = functions
+    .map((fn, index) => ({ fn, index }))
+    .filter(({ fn }) => fn.isExtern)
+  const functionPool = Buffer.concat([
+    Buffer.from([functions.length, names.length]),
+    ...names.map(({ fn, index }) => Buffer.concat([Buffer.from([index, fn.name.length]), Buffer.from(fn.name, 'ascii')])),
+    ...compiled
+  ])
+
+  const rest = Buffer.concat([
+    constants.encode(),
+    Buffer.from([...multibyteInt(pragmaCount), ...pragmaBytes]),
+    functionPool
+  ])
+  return Buffer.concat([Buffer.from([BYTECODE_VERSION, ...multibyteInt(rest.length)]), rest])
+}
+
+module.exports = {
+  CompileError,
+  compileWmlScript
+}
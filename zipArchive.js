@@ -0,0 +1,152 @@
+// zipArchive.js - Minimal ZIP reader/writer (stored and deflated entries, no ZIP64)
+const zlib = require('zlib')
+
+// Already-compressed formats are stored as they are
+const STORED_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'mp4', '3gp', 'mp3', 'ogg', 'opus', 'aac', 'amr', 'zip', 'pdf']
+
+// MS-DOS date/time as used in ZIP headers (local time, 2 second resolution)
+function dosDateTime(date = new Date()) {
+  const year = Math.max(1980, date.getFullYear())
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+// entries: [{ name, data: Buffer|string, date }]. Returns the archive as a Buffer.
+function createZip(entries) {
+  const locals = []
+  const centrals = []
+  let offset = 0
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8')
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8')
+    const extension = entry.name.split('.').pop().toLowerCase()
+    const deflated = STORED_EXTENSIONS.includes(extension) ? null : zlib.deflateRawSync(data)
+    const method = deflated && deflated.length < data.length ? 8 : 0
+    const body = method === 8 ? deflated : data
+    const crc = zlib.crc32(data)
+    const { time, date } = dosDateTime(entry.date)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(20, 4) // version needed
+    local.writeUInt16LE(0x0800, 6) // names are UTF-8
+    local.writeUInt16LE(method, 8)
+    local.writeUInt16LE(time, 10)
+    local.writeUInt16LE(date, 12)
+    local.writeUInt32LE(crc, 14)
+    local.writeUInt32LE(body.length, 18)
+    local.writeUInt32LE(data.length, 22)
+    local.writeUInt16LE(name.length, 26)
+    locals.push(local, name, body)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(20, 4) // version made by
+    central.writeUInt16LE(20, 6)
+    central.writeUInt16LE(0x0800, 8)
+    central.writeUInt16LE(method, 10)
+    central.writeUInt16LE(time, 12)
+    central.writeUInt16LE(date, 14)
+    central.writeUInt32LE(crc, 16)
+    central.writeUInt32LE(body.length, 20)
+    central.writeUInt32LE(data.length, 24)
+    central.writeUInt16LE(name.length, 28)
+    central.writeUInt32LE(offset, 42)
+    centrals.push(central, name)
+
+    offset += local.length + name.length + body.length
+  }
+
+  const centralSize = centrals.reduce((sum, b) => sum + b.length, 0)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(entries.length, 8)
+  end.writeUInt16LE(entries.length, 10)
+  end.writeUInt32LE(centralSize, 12)
+  end.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...locals, ...centrals, end])
+}
+
+// Limits for archives that come from outside: a small upload can still
+// inflate to gigabytes or list millions of entries
+const READ_MAX_ENTRIES = 10000
+const READ_MAX_BYTES = 1024 * 1024 * 1024
+
+// Reads every file entry through the central directory. Returns [{ name, data, date }].
+// Throws once the archive holds more than maxEntries entries or more than
+// maxBytes once unpacked.
+function readZip(buffer, { maxEntries = READ_MAX_ENTRIES, maxBytes = READ_MAX_BYTES } = {}) {
+  // The end record sits in the last 22 bytes plus an optional comment
+  let end = -1
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i
+      break
+    }
+  }
+  if (end < 0) throw new Error('Not a ZIP archive')
+
+  const count = buffer.readUInt16LE(end + 10)
+  if (count > maxEntries) throw new Error(`ZIP archive has too many entries (${count}, at most ${maxEntries})`)
+  let offset = buffer.readUInt32LE(end + 16)
+  let total = 0
+  const entries = []
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > end || buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt ZIP central directory')
+    const flags = buffer.readUInt16LE(offset + 8)
+    const method = buffer.readUInt16LE(offset + 10)
+    const time = buffer.readUInt16LE(offset + 12)
+    const date = buffer.readUInt16LE(offset + 14)
+    const compressedSize = buffer.readUInt32LE(offset + 20)
+    const size = buffer.readUInt32LE(offset + 24)
+    const nameLength = buffer.readUInt16LE(offset + 28)
+    const extraLength = buffer.readUInt16LE(offset + 30)
+    const commentLength = buffer.readUInt16LE(offset + 32)
+    const localOffset = buffer.readUInt32LE(offset + 42)
+    const name = buffer.toString(flags & 0x0800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength)
+    offset += 46 + nameLength + extraLength + commentLength
+
+    if (name.endsWith('/')) continue
+    if (flags & 0x1) throw new Error(`Encrypted ZIP entries are not supported (${name})`)
+    if (![0, 8].includes(method)) throw new Error(`Unsupported compression in ${name}`)
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw new Error(`Corrupt ZIP entry ${name}`)
+    }
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28)
+    if (start + compressedSize > buffer.length) throw new Error(`Truncated ZIP entry ${name}`)
+    // The declared size can lie, so inflating is capped by what is left of the budget too
+    const remaining = maxBytes - total
+    if (size > remaining) throw new Error(`ZIP archive is too large once unpacked (over ${maxBytes} bytes)`)
+
+    const body = buffer.subarray(start, start + compressedSize)
+    let data
+    if (method === 8) {
+      try {
+        data = zlib.inflateRawSync(body, { maxOutputLength: Math.max(1, Math.min(size, remaining)) })
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`ZIP entry ${name} is larger than it claims`)
+        throw error
+      }
+    } else {
+      if (compressedSize > remaining) throw new Error(`ZIP archive is too large once unpacked (over ${maxBytes} bytes)`)
+      data = Buffer.from(body)
+    }
+    total += data.length
+    entries.push({
+      name,
+      data,
+      date: new Date(1980 + (date >> 9), ((date >> 5) & 0xf) - 1, date & 0x1f, time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2)
+    })
+  }
+  return entries
+}
+
+module.exports = {
+  createZip,
+  readZip
+}